@@ -5,12 +5,63 @@
  */
 
 require('dotenv').config();
+const crypto = require('crypto');
 const express = require('express');
 const cors = require('cors');
+const { or, CaspioQueryError } = require('./lib/caspio-query');
+const { createCaspioClient, CaspioError, CaspioUnavailableError } = require('./lib/caspio-client');
+const { TTLCache } = require('./lib/cache');
+const { verifySignature, parseFunctionCall } = require('./lib/retell');
+const { parseApiKeys, authenticate, requireToken, requireScope, rateLimit, corsOrigins } = require('./lib/auth');
+const businessHours = require('./lib/business-hours');
+const { loadRuleSet, listRuleSetVersions, evaluateRules } = require('./lib/status-rules');
+const messages = require('./lib/messages');
+const { createPaymentProvider } = require('./lib/payment-providers');
+const { CHANNELS: NOTIFICATION_CHANNELS, createNotifier } = require('./lib/notifiers');
+const { loadNotificationConfig, createStateStore, createNotificationScheduler, optOutKey } = require('./lib/notification-scheduler');
+const { ApiError, createApiRouter } = require('./lib/api-router');
+const { matchSpokenAnswer } = require('./lib/record-matcher');
+const { parsePhone, normalizePhone, formatE164 } = require('./lib/phone');
+const { loadRoutingTable, selectDestination } = require('./lib/transfer-routing');
+const { CALLBACK_STATUSES, createCallbackStore } = require('./lib/callback-store');
+const { loadRefundPolicy, refundTimeline } = require('./lib/refunds');
+const { SCHEDULING_CHANNELS, loadPackageCatalog, resolvePackage, overlayCodes } = require('./lib/package-catalog');
+const { createAnalyticsStore } = require('./lib/analytics-store');
+const { toCsv } = require('./lib/csv');
+const { createRegistry, httpMetrics } = require('./lib/metrics');
+const { KNOWLEDGE_FACTORS, createVerifier, matchFactors, pickFactors, maskEmail } = require('./lib/verification');
+const logger = require('./lib/logger');
+const { version: APP_VERSION } = require('./package.json');
+
+const destselLog = logger.child('destsel');
+const statusLog = logger.child('status');
+const lookupLog = logger.child('phone-lookup');
+const memoLog = logger.child('memo');
+const retellLog = logger.child('retell');
+const paymentLog = logger.child('payment');
+const verifyLog = logger.child('verify');
+const notificationLog = logger.child('notifications');
+const transferLog = logger.child('transfer');
+const callbackLog = logger.child('callbacks');
+const schedulingLog = logger.child('scheduling');
+const refundLog = logger.child('refunds');
+const analyticsLog = logger.child('analytics');
+const adminLog = logger.child('admin');
+const serverLog = logger.child('server');
+
+// Prometheus metrics for GET /metrics
+const metrics = createRegistry();
 
 const app = express();
-app.use(cors());
-app.use(express.json());
+app.use(httpMetrics(metrics));
+app.use(cors({ origin: corsOrigins(process.env.CORS_ORIGINS) }));
+app.use(express.json({
+    // Keep the raw body for Retell signature verification
+    verify: (req, res, buf) => {
+        req.rawBody = buf.toString('utf8');
+    }
+}));
+app.use(logger.requestLogger());
 
 const PORT = process.env.PORT || 3000;
 
@@ -20,80 +71,62 @@ const PORT = process.env.PORT || 3000;
 
 const CASPIO_CONFIG = {
     accountId: process.env.CASPIO_ACCOUNT_ID,
+    // CASPIO_BASE_URL points the API at a local stand-in (see dev/fake-caspio.js)
+    baseUrl: process.env.CASPIO_BASE_URL || `https://${process.env.CASPIO_ACCOUNT_ID}.caspio.com`,
     clientId: process.env.CASPIO_CLIENT_ID,
     clientSecret: process.env.CASPIO_CLIENT_SECRET,
     tables: {
         rims_data: 'RIMS_DATA',
-        destsel: 'destsel'
+        destsel: 'destsel',
+        memos: 'MEMOS',
+        payment_links: 'PAYMENT_LINKS',
+        callbacks: 'CALLBACKS',
+        travel_inventory: 'TRAVEL_INVENTORY',
+        refunds: 'REFUNDS'
     }
 };
 
-let caspioToken = null;
-let tokenExpiry = null;
-
 // =============================================================================
-// CASPIO AUTHENTICATION
+// CASPIO CLIENT
 // =============================================================================
+// Timeouts, retries, token refresh and circuit breaker live in lib/caspio-client.js
+
+const caspio = createCaspioClient({
+    baseUrl: CASPIO_CONFIG.baseUrl,
+    clientId: CASPIO_CONFIG.clientId,
+    clientSecret: CASPIO_CONFIG.clientSecret,
+    timeoutMs: parseInt(process.env.CASPIO_TIMEOUT_MS, 10) || 4000,
+    maxRetries: process.env.CASPIO_MAX_RETRIES ? parseInt(process.env.CASPIO_MAX_RETRIES, 10) : 2,
+    failureThreshold: parseInt(process.env.CASPIO_BREAKER_THRESHOLD, 10) || 5,
+    resetMs: parseInt(process.env.CASPIO_BREAKER_RESET_MS, 10) || 30000,
+    metrics
+});
 
-async function getCaspioToken() {
-    if (caspioToken && tokenExpiry && Date.now() < tokenExpiry) {
-        return caspioToken;
-    }
-
-    const tokenUrl = `https://${CASPIO_CONFIG.accountId}.caspio.com/oauth/token`;
-
-    const response = await fetch(tokenUrl, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
-        body: new URLSearchParams({
-            grant_type: 'client_credentials',
-            client_id: CASPIO_CONFIG.clientId,
-            client_secret: CASPIO_CONFIG.clientSecret
-        })
-    });
-
-    if (!response.ok) {
-        throw new Error(`Caspio auth failed: ${response.status}`);
-    }
-
-    const data = await response.json();
-    caspioToken = data.access_token;
-    tokenExpiry = Date.now() + (data.expires_in * 1000) - 60000; // 1 min buffer
-
-    console.log('[Caspio] Token refreshed');
-    return caspioToken;
-}
-
-async function queryCaspioTable(tableName, whereClause = null, pageSize = 100) {
-    const token = await getCaspioToken();
-    let url = `https://${CASPIO_CONFIG.accountId}.caspio.com/rest/v2/tables/${tableName}/records?q.pageSize=${pageSize}`;
-
-    if (whereClause) {
-        url += `&q.where=${encodeURIComponent(whereClause)}`;
-    }
-
-    const response = await fetch(url, {
-        headers: { 'Authorization': `Bearer ${token}` }
-    });
-
-    if (!response.ok) {
-        throw new Error(`Caspio query failed: ${response.status}`);
-    }
-
-    const data = await response.json();
-    return data.Result || [];
-}
+const {
+    query: queryCaspioTable,
+    iterate: iterateCaspioTable,
+    insert: insertCaspioRecord,
+    update: updateCaspioRecords
+} = caspio;
 
 // =============================================================================
 // HELPER FUNCTIONS
 // =============================================================================
 
-function isBusinessHours() {
-    const now = new Date();
-    const pst = new Date(now.toLocaleString('en-US', { timeZone: 'America/Los_Angeles' }));
-    const day = pst.getDay(); // 0=Sun, 1=Mon, ..., 6=Sat
-    const hour = pst.getHours();
-    return day >= 1 && day <= 5 && hour >= 9 && hour < 17;
+// Weekly hours, holidays and special hours per department (config/business-hours.json)
+const businessSchedule = businessHours.loadSchedule();
+
+/**
+ * Business-hours fields shared by the status responses. Callers reach customer
+ * service first, so that department drives is_business_hours.
+ */
+function businessHoursFields() {
+    const departments = businessHours.getHoursStatus(businessSchedule);
+    return {
+        is_business_hours: departments.customer_service.is_open,
+        next_open_at: departments.customer_service.next_open_at,
+        business_hours: departments
+    };
 }
 
 function daysUntilDate(dateString) {
@@ -105,86 +138,382 @@ function daysUntilDate(dateString) {
     return Math.ceil((target - now) / (1000 * 60 * 60 * 24));
 }
 
+// Lookup key for a phone number: 10 digits for US/Canada, country code +
+// number otherwise, extensions dropped (see lib/phone.js)
 function cleanPhone(phone) {
-    if (!phone) return '';
-    // Remove all non-digits
-    let cleaned = phone.replace(/\D/g, '');
-    // Remove leading 1 (country code) if 11 digits
-    if (cleaned.length === 11 && cleaned.startsWith('1')) {
-        cleaned = cleaned.substring(1);
-    }
-    console.log(`[cleanPhone] Input: "${phone}" -> Output: "${cleaned}"`);
-    return cleaned;
+    return normalizePhone(phone);
+}
+
+// RIMS_DATA stores the phone in either phn1 or phn2, in whatever format it
+// was typed in - match every format the number may be stored as
+function phoneWhere(candidates) {
+    return or(['phn1', 'IN', candidates], ['phn2', 'IN', candidates]);
 }
 
+// =============================================================================
+// CACHES
+// =============================================================================
+
+// destsel changes rarely - keep package lookups for an hour by default
+const destselCache = new TTLCache({
+    ttlMs: parseInt(process.env.DESTSEL_CACHE_TTL_MS, 10) || 60 * 60 * 1000
+});
+
+// RIMS_DATA lookups only need to survive a single conversation
+const rimsCache = new TTLCache({
+    ttlMs: parseInt(process.env.RIMS_CACHE_TTL_MS, 10) || 2 * 60 * 1000
+});
+
 // =============================================================================
 // DESTSEL LOOKUP
 // =============================================================================
 
+// Scheduling channel, URL, deposits and display name laid over destsel
+// (config/packages.json)
+const packageCatalog = loadPackageCatalog();
+
+function toPackageInfo(pkg) {
+    return { found: true, ...resolvePackage(packageCatalog, pkg.pkgcode2, pkg) };
+}
+
+/**
+ * Scheduling channel and URL for a package code. Codes destsel doesn't have
+ * fall back to the overlay alone, so a prefix like EX* still classifies them.
+ */
+function schedulingFor(pkgCode, packageInfo) {
+    const pkg = packageInfo || resolvePackage(packageCatalog, pkgCode);
+    return {
+        channel: pkg ? pkg.scheduling_channel : 'other',
+        url: pkg ? pkg.scheduling_url : null
+    };
+}
+
 async function getPackageFromDestsel(pkgCode2) {
     if (!pkgCode2) return null;
 
     const code = pkgCode2.toUpperCase();
-    console.log(`[Destsel] Looking up: ${code}`);
+
+    const cached = destselCache.get(code);
+    if (cached !== undefined) {
+        return cached;
+    }
+
+    destselLog.debug('Looking up package', { pkg_code2: code });
 
     try {
         const results = await queryCaspioTable(
             CASPIO_CONFIG.tables.destsel,
-            `pkgcode2='${code}'`
+            ['pkgcode2', '=', code],
+            { limit: 1 }
         );
 
-        if (results && results.length > 0) {
-            const pkg = results[0];
-            const refDeposit = pkg.ref_dep || 0;
-            const confDeposit = pkg.deposit || 0;
+        // Cache misses too, so an unknown code doesn't hit Caspio on every call
+        const packageInfo = results && results.length > 0 ? toPackageInfo(results[0]) : null;
+        destselCache.set(code, packageInfo);
+        return packageInfo;
+    } catch (error) {
+        // Errors are not cached - the next call retries
+        destselLog.error('Package lookup failed', { pkg_code2: code, error });
+        return null;
+    }
+}
 
-            return {
-                found: true,
-                pkgcode2: code,
-                ref_dep: refDeposit,
-                deposit: confDeposit,
-                total_expected: refDeposit + confDeposit,
-                destination: pkg.destination || pkg.dest || null,
-                nights: pkg.ngts || pkg.nights || null,
-                vacation_type: pkg.vacation_type || null,
-                vaca_desc: pkg.vaca_desc || null
-            };
+/**
+ * Look up several packages with one IN query, skipping codes already cached.
+ * Returns a Map of upper-case code -> package info (null when unknown).
+ */
+async function getPackagesFromDestsel(pkgCodes) {
+    const codes = [...new Set(pkgCodes.filter(Boolean).map(code => code.toUpperCase()))];
+    const packages = new Map();
+    const missing = [];
+
+    for (const code of codes) {
+        const cached = destselCache.get(code);
+        if (cached !== undefined) {
+            packages.set(code, cached);
+        } else {
+            missing.push(code);
         }
+    }
 
-        return null;
+    if (missing.length === 0) return packages;
+
+    destselLog.debug('Looking up packages', { pkg_codes: missing });
+
+    try {
+        const results = await queryCaspioTable(CASPIO_CONFIG.tables.destsel, ['pkgcode2', 'IN', missing]);
+        const found = new Map(results
+            .filter(pkg => pkg.pkgcode2)
+            .map(pkg => [pkg.pkgcode2.toUpperCase(), toPackageInfo(pkg)]));
+
+        for (const code of missing) {
+            const packageInfo = found.get(code) || null;
+            destselCache.set(code, packageInfo);
+            packages.set(code, packageInfo);
+        }
     } catch (error) {
-        console.error(`[Destsel] Error: ${error.message}`);
-        return null;
+        // Same as a single lookup - not cached, treated as unknown for this call
+        destselLog.error('Package batch lookup failed', { pkg_codes: missing, error });
+        for (const code of missing) packages.set(code, null);
+    }
+
+    return packages;
+}
+
+/**
+ * Load the whole destsel table into the cache (DESTSEL_WARM_LOAD=true at startup)
+ */
+async function warmDestselCache() {
+    let loaded = 0;
+    for await (const pkg of iterateCaspioTable(CASPIO_CONFIG.tables.destsel, null, { pageSize: 1000 })) {
+        if (!pkg.pkgcode2) continue;
+        destselCache.set(pkg.pkgcode2.toUpperCase(), toPackageInfo(pkg));
+        loaded++;
+    }
+    destselLog.info('Cache warmed', { packages: loaded });
+    return loaded;
+}
+
+// =============================================================================
+// PACKAGE CATALOG
+// =============================================================================
+// Every destsel package with the overlay applied, plus packages only the
+// overlay lists (by exact code)
+
+// Catalog entry without the lookup's found flag
+function catalogEntry(packageInfo) {
+    const { found, ...entry } = packageInfo;
+    return entry;
+}
+
+/**
+ * Whole catalog, refreshing the destsel cache on the way.
+ * Filters: scheduling_channel?
+ */
+async function listPackages({ scheduling_channel } = {}) {
+    if (scheduling_channel && !SCHEDULING_CHANNELS.includes(scheduling_channel)) {
+        return { success: false, error: `scheduling_channel must be one of: ${SCHEDULING_CHANNELS.join(', ')}` };
+    }
+
+    try {
+        const packages = new Map();
+        for await (const pkg of iterateCaspioTable(CASPIO_CONFIG.tables.destsel, null, { pageSize: 1000 })) {
+            if (!pkg.pkgcode2) continue;
+            const packageInfo = toPackageInfo(pkg);
+            destselCache.set(packageInfo.pkgcode2, packageInfo);
+            packages.set(packageInfo.pkgcode2, catalogEntry(packageInfo));
+        }
+        for (const code of overlayCodes(packageCatalog)) {
+            if (!packages.has(code)) packages.set(code, resolvePackage(packageCatalog, code));
+        }
+
+        const list = [...packages.values()]
+            .filter(pkg => !scheduling_channel || pkg.scheduling_channel === scheduling_channel)
+            .sort((a, b) => a.pkgcode2.localeCompare(b.pkgcode2));
+        return { success: true, count: list.length, packages: list };
+
+    } catch (error) {
+        destselLog.error('Package catalog listing failed', { error });
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * One package by code - from destsel, or listed by exact code in the overlay
+ */
+async function getCatalogPackage(pkgCode) {
+    const code = String(pkgCode || '').trim().toUpperCase();
+    if (!code) {
+        return { success: false, error: 'pkg_code2 is required' };
+    }
+
+    const packageInfo = await getPackageFromDestsel(code);
+    if (packageInfo) {
+        return { success: true, found: true, package: catalogEntry(packageInfo) };
+    }
+
+    if (overlayCodes(packageCatalog).includes(code)) {
+        return { success: true, found: true, package: resolvePackage(packageCatalog, code) };
+    }
+    return { success: true, found: false, pkg_code2: code, message: 'Package not found' };
+}
+
+// =============================================================================
+// RIMS_DATA LOOKUP
+// =============================================================================
+
+// Most records the loose phone match reads back
+const PHONE_FALLBACK_LIMIT = 10;
+
+const queryRimsData = where => queryCaspioTable(CASPIO_CONFIG.tables.rims_data, where, { select: STATUS_FIELDS });
+
+async function cachedRimsQuery(cacheKey, load) {
+    const cached = rimsCache.get(cacheKey);
+    if (cached !== undefined) {
+        // Callers sort the list in place - hand out a copy
+        return [...cached];
+    }
+
+    const results = await load();
+    rimsCache.set(cacheKey, results);
+    return [...results];
+}
+
+async function findCustomersByPhone(phone) {
+    const parsed = parsePhone(phone);
+    if (parsed.candidates.length === 0) return [];
+
+    return cachedRimsQuery(`phone:${parsed.lookup_key}`, async () => {
+        const exact = await queryRimsData(phoneWhere(parsed.candidates));
+        if (exact.length > 0 || !parsed.valid) return exact;
+
+        // Stored in a format we did not guess (odd spacing, an extension) -
+        // every digit of the number in order with anything between them,
+        // capped, then compared as normalized numbers
+        const digits = `%${parsed.national.split('').join('%')}%`;
+        const loose = await queryCaspioTable(
+            CASPIO_CONFIG.tables.rims_data,
+            or(['phn1', 'LIKE', digits], ['phn2', 'LIKE', digits]),
+            { select: STATUS_FIELDS, limit: PHONE_FALLBACK_LIMIT }
+        );
+        return loose.filter(record => [record.phn1, record.phn2].some(stored => (
+            stored && normalizePhone(stored) === parsed.lookup_key
+        )));
+    });
+}
+
+async function findCustomersByVacId(vacId) {
+    return cachedRimsQuery(`vac_id:${vacId}`, () => queryRimsData(['vac_id', '=', vacId]));
+}
+
+/**
+ * Drop cached RIMS_DATA lookups for a vac_id or phone, or everything.
+ * Phone lookups that include the vac_id are dropped along with it.
+ */
+function invalidateRimsCache({ vac_id, phone } = {}) {
+    if (vac_id === undefined && phone === undefined) {
+        return rimsCache.clear();
     }
+
+    let removed = 0;
+    if (phone !== undefined) {
+        removed += rimsCache.delete(`phone:${cleanPhone(phone)}`) ? 1 : 0;
+    }
+    if (vac_id !== undefined) {
+        removed += rimsCache.deleteWhere((records, key) => (
+            key === `vac_id:${vac_id}` || records.some(r => String(r.vac_id) === String(vac_id))
+        ));
+    }
+    return removed;
+}
+
+// =============================================================================
+// MEMOS
+// =============================================================================
+
+// Memo types the agent is allowed to record
+const MEMO_TYPES = [
+    'transfer',
+    'deposit_inquiry',
+    'reschedule_request',
+    'refund_question',
+    'refund_escalation',
+    'status_inquiry',
+    'callback_request',
+    'deposit_payment',
+    'travel_scheduled',
+    'general'
+];
+
+// Accept "Deposit Inquiry" / "deposit-inquiry" as well as "deposit_inquiry"
+function normalizeMemoType(memoType) {
+    if (!memoType) return '';
+    return String(memoType).trim().toLowerCase().replace(/[\s-]+/g, '_');
+}
+
+function isValidVacId(vacId) {
+    return vacId !== undefined && vacId !== null && /^\d+$/.test(String(vacId));
 }
 
 // =============================================================================
 // STATUS DETERMINATION
 // =============================================================================
 
-// Online scheduling packages - customers schedule and pay at activatemytrip.com
-const ONLINE_SCHEDULING_PACKAGES = ['ECRA', 'ECRB', 'ECRD', 'EKCA'];
+// RIMS_DATA columns needed to identify a customer (phone lookup, record lists)
+const LOOKUP_FIELDS = ['vac_id', 'pkg_code2', 'p1F', 'p1L', 'phn1', 'phn2', 'dest', 'val_entered_on'];
+
+// Optional RIMS_DATA column holding the customer's preferred language
+const LANGUAGE_FIELD = process.env.RIMS_LANGUAGE_FIELD || null;
+
+// Optional RIMS_DATA column holding the customer's ZIP code (caller verification)
+const ZIP_FIELD = process.env.RIMS_ZIP_FIELD || null;
 
-// Phone scheduling packages - customers call to schedule and pay deposit over the phone
-// Includes: EM, ES, and packages starting with EX or EZ
-function isPhoneSchedulingPackage(pkgCode) {
-    if (!pkgCode) return false;
-    const code = pkgCode.toUpperCase();
-    return code === 'EM' || code === 'ES' || code.startsWith('EX') || code.startsWith('EZ');
+// RIMS_DATA columns read by determineStatus and the status responses
+const STATUS_FIELDS = [
+    ...LOOKUP_FIELDS,
+    'email', 'val_dep', 'conf_deposit', 'asgn_trv_dt', 'tm', 'conf_valid_code',
+    'cash_back_amt', 'Fnl_Doc_MO_Date', 'date_print_enc', 'decReady',
+    'date_htl_book', 'date_agncy_book',
+    ...(LANGUAGE_FIELD ? [LANGUAGE_FIELD] : []),
+    ...(ZIP_FIELD ? [ZIP_FIELD] : [])
+];
+
+/**
+ * Language for agent messages: the requested lang, else the customer's stored
+ * preference, else English
+ */
+function resolveLanguage(requested, customer = null) {
+    return messages.normalizeLanguage(requested)
+        || (customer && LANGUAGE_FIELD ? messages.normalizeLanguage(customer[LANGUAGE_FIELD]) : null)
+        || messages.DEFAULT_LANGUAGE;
+}
+
+/**
+ * Load a rule set and check every rule has an English agent message
+ */
+function loadStatusRules(version) {
+    const ruleSet = loadRuleSet(version);
+    const missing = ruleSet.rules.filter(rule => !messages.hasMessage(`status.${rule.id}`));
+    if (missing.length > 0) {
+        throw new Error(`Rule set ${version} has rules without messages: ${missing.map(r => r.id).join(', ')}`);
+    }
+    return ruleSet;
 }
 
-function determineStatus(customer, packageInfo) {
-    const {
-        val_dep, conf_deposit, asgn_trv_dt, tm, conf_valid_code,
-        cash_back_amt, Fnl_Doc_MO_Date, date_print_enc, decReady,
-        date_htl_book, date_agncy_book, pkg_code2
-    } = customer;
+// Ordered status rules (config/status-rules/<version>.json)
+const activeRuleSet = loadStatusRules(process.env.STATUS_RULES_VERSION || 'v1');
 
-    // Check if this is an online scheduling package
-    const isOnlineScheduling = pkg_code2 && ONLINE_SCHEDULING_PACKAGES.includes(pkg_code2.toUpperCase());
+/**
+ * Facts the status rules can test, derived from a RIMS_DATA record
+ */
+function buildStatusFacts(customer, { depositsComplete, daysUntilTravel, schedulingChannel }) {
+    return {
+        deposits_complete: depositsComplete,
+        // Unparseable travel dates count as missing
+        days_until_travel: Number.isNaN(daysUntilTravel) ? null : daysUntilTravel,
+        has_travel_date: Boolean(customer.asgn_trv_dt),
+        has_travel_rep: Boolean(customer.tm && customer.tm.trim() !== ''),
+        has_final_docs: Boolean(customer.Fnl_Doc_MO_Date),
+        cash_back_amt: customer.cash_back_amt || 0,
+        docs_printed: Boolean(customer.date_print_enc),
+        hotel_booked: Boolean(customer.date_htl_book),
+        agency_booked: Boolean(customer.date_agncy_book),
+        conf_valid_code: customer.conf_valid_code || null,
+        dec_ready: customer.decReady === true,
+        scheduling_mode: schedulingChannel,
+        pkg_code2: customer.pkg_code2 ? customer.pkg_code2.toUpperCase() : null,
+        travel_date: customer.asgn_trv_dt || null
+    };
+}
+
+function determineStatus(customer, packageInfo, { ruleSet = activeRuleSet, lang = messages.DEFAULT_LANGUAGE } = {}) {
+    const { val_dep, conf_deposit, asgn_trv_dt, pkg_code2 } = customer;
 
-    // Check if this is a phone scheduling package (call to schedule and pay)
-    const isPhoneScheduling = isPhoneSchedulingPackage(pkg_code2);
+    // Online packages schedule and pay at their scheduling URL; phone packages
+    // call to schedule and pay the deposit over the phone (package catalog)
+    const scheduling = schedulingFor(pkg_code2, packageInfo);
+    const isOnlineScheduling = scheduling.channel === 'online';
+    const isPhoneScheduling = scheduling.channel === 'phone';
 
     // Calculate deposits
     const expectedRefDep = packageInfo ? packageInfo.ref_dep : 0;
@@ -218,86 +547,20 @@ function determineStatus(customer, packageInfo) {
 
     const daysUntilTravel = asgn_trv_dt ? daysUntilDate(asgn_trv_dt) : null;
 
-    let status, statusLabel, agentMessage;
-
-    // 1. REFUND PENDING
-    if (cash_back_amt && cash_back_amt > 0 && !Fnl_Doc_MO_Date) {
-        status = 'Refund Pending';
-        statusLabel = 'Refund Pending';
-        agentMessage = 'I see there is a pending matter on your account.';
-    }
-    // 2. TRIP COMPLETE
-    else if (Fnl_Doc_MO_Date || (daysUntilTravel !== null && daysUntilTravel < -7)) {
-        status = 'Trip Complete';
-        statusLabel = 'Trip Complete';
-        agentMessage = 'I can see you have already traveled with us.';
-    }
-    // 3. TRAVEL PENDING
-    else if (date_htl_book && date_agncy_book && daysUntilTravel !== null && daysUntilTravel <= 14) {
-        status = 'Travel Pending';
-        statusLabel = 'Travel Pending';
-        agentMessage = 'Your trip is all booked and your itinerary should have been sent.';
-    }
-    // 4. BOOKING PENDING
-    else if (date_print_enc && daysUntilTravel !== null && daysUntilTravel <= 45) {
-        status = 'Booking Pending';
-        statusLabel = 'Booking Pending';
-        agentMessage = 'Your booking is being finalized. Expect a call from our booking agent 7-14 days before your trip.';
-    }
-    // 5. TRAVEL REP ASSIGNED
-    else if (tm && tm.trim() !== '' && daysUntilTravel !== null && daysUntilTravel <= 75) {
-        status = 'Travel Rep Assigned';
-        statusLabel = 'Travel Rep Assigned';
-        agentMessage = 'Your travel rep has been assigned. Be sure to answer calls from the 805 area code.';
-    }
-    // 6. WAITING FOR TRAVEL REP
-    else if (depositsComplete && asgn_trv_dt && (!tm || tm.trim() === '') && daysUntilTravel !== null && daysUntilTravel <= 75) {
-        status = 'Waiting For Travel Rep';
-        statusLabel = 'Waiting for Travel Rep';
-        agentMessage = 'Your travel dates are set and you are waiting for a travel rep to be assigned.';
-    }
-    // 7. READY TO SCHEDULE
-    else if (depositsComplete && !asgn_trv_dt) {
-        status = 'Ready to Schedule';
-        statusLabel = 'Ready to Schedule';
-        if (isOnlineScheduling) {
-            agentMessage = 'Great news! Your deposit is all paid up and you are ready to select your travel dates. You can login to your activatemytrip.com account to select your dates.';
-        } else if (isPhoneScheduling) {
-            agentMessage = 'Great news! Your deposit is all paid up and you are ready to select your travel dates. Would you like me to transfer you to scheduling?';
-        } else {
-            agentMessage = 'Great news! Your deposit is all paid up and you are ready to select your travel dates.';
-        }
-    }
-    // 8. DATES SCHEDULED (outside TR window)
-    else if (depositsComplete && asgn_trv_dt && (!tm || tm.trim() === '') && conf_valid_code === 'CONFIRM' && daysUntilTravel > 75) {
-        status = 'Dates Scheduled';
-        statusLabel = 'Dates Scheduled';
-        agentMessage = `Your travel dates are all set for ${asgn_trv_dt}. A travel rep will be assigned 45-75 days before your trip.`;
-    }
-    // 9. SCHEDULED NOT CONFIRMED
-    else if (asgn_trv_dt && conf_valid_code !== 'CONFIRM' && decReady !== true) {
-        if (daysUntilTravel <= 75) {
-            status = 'Scheduled Not Confirmed - Must Reschedule';
-            statusLabel = 'Needs Rescheduling';
-            agentMessage = 'Your scheduled dates may no longer be available. Would you like me to transfer you to reschedule?';
-        } else {
-            status = 'Scheduled Not Confirmed - Can Confirm';
-            statusLabel = 'Needs Confirmation';
-            agentMessage = 'Your dates are scheduled but not yet confirmed. Would you like me to transfer you to confirm?';
-        }
-    }
-    // 10. DEPOSIT NEEDED
-    else {
-        status = 'Deposit Needed';
-        statusLabel = 'Deposit Needed';
-        if (isOnlineScheduling) {
-            agentMessage = 'I see you have activated your vacation package. You can login to your activatemytrip.com account to select your travel dates and pay your deposit with a credit card.';
-        } else if (isPhoneScheduling) {
-            agentMessage = 'I see you have activated your vacation package. Would you like me to transfer you to scheduling so you can select your dates and pay the deposit over the phone?';
-        } else {
-            agentMessage = 'I see you have activated your vacation package. It looks like we are just waiting on your deposit.';
-        }
-    }
+    const facts = buildStatusFacts(customer, {
+        depositsComplete,
+        daysUntilTravel,
+        schedulingChannel: scheduling.channel
+    });
+    const { rule, trace } = evaluateRules(ruleSet, facts);
+
+    const status = rule.status;
+    const statusLabel = rule.label || rule.status;
+    const agentMessage = messages.translate(`status.${rule.id}`, {
+        lang,
+        variant: facts.scheduling_mode,
+        vars: { ...facts, scheduling_url: scheduling.url }
+    });
 
     return {
         status,
@@ -316,276 +579,313 @@ function determineStatus(customer, packageInfo) {
         },
         daysUntilTravel,
         isOnlineScheduling,
-        isPhoneScheduling
+        isPhoneScheduling,
+        schedulingUrl: scheduling.url,
+        rule: rule.id,
+        rulesVersion: ruleSet.version,
+        facts,
+        trace
     };
 }
 
 // =============================================================================
-// ENDPOINTS
+// RESPONSE BUILDERS
 // =============================================================================
+// One customer-status shape shared by the /api routes, Retell and /v2
+
+// Most recently entered record first (sorts in place)
+function sortByMostRecent(records) {
+    return records.sort((a, b) => {
+        const dateA = a.val_entered_on ? new Date(a.val_entered_on) : new Date(0);
+        const dateB = b.val_entered_on ? new Date(b.val_entered_on) : new Date(0);
+        return dateB - dateA;
+    });
+}
+
+function fullNameOf(customer) {
+    return `${customer.p1F || ''} ${customer.p1L || ''}`.trim() || 'Valued Customer';
+}
+
+// Package info for a record from a getPackagesFromDestsel() map
+function packageFor(packages, customer) {
+    return packages.get(String(customer.pkg_code2 || '').toUpperCase()) || null;
+}
+
+// "a", "a and b", "a, b and c"
+function joinList(items, conjunction) {
+    if (items.length <= 1) return items.join('');
+    return `${items.slice(0, -1).join(', ')} ${conjunction} ${items[items.length - 1]}`;
+}
 
 /**
- * GET /health
- * Health check endpoint
+ * Status, customer, deposits and package for one RIMS_DATA record.
+ * Pass `packages` (from getPackagesFromDestsel) to skip the destsel lookup.
  */
-app.get('/health', (req, res) => {
-    res.json({
-        status: 'healthy',
-        timestamp: new Date().toISOString(),
-        service: 'best-agent-api',
-        version: '1.0.0'
+async function buildCustomerStatus(customer, { lang, pkg_code2, fallbackPhone = '', packages } = {}) {
+    const packageInfo = packages
+        ? packageFor(packages, customer)
+        : await getPackageFromDestsel(customer.pkg_code2 || pkg_code2);
+    const language = resolveLanguage(lang, customer);
+    const statusInfo = determineStatus(customer, packageInfo, { lang: language });
+
+    statusLog.info('Customer found', { vac_id: customer.vac_id, status: statusInfo.status, rule: statusInfo.rule });
+
+    return {
+        status: statusInfo.status,
+        status_label: statusInfo.statusLabel,
+        agent_message: statusInfo.agentMessage,
+        language,
+        customer: {
+            full_name: fullNameOf(customer),
+            first_name: customer.p1F || '',
+            last_name: customer.p1L || '',
+            email: customer.email || '',
+            phone: formatE164(customer.phn1) || fallbackPhone,
+            vac_id: customer.vac_id,
+            pkg_code2: customer.pkg_code2,
+            destination: customer.dest,
+            travel_date: customer.asgn_trv_dt || null,
+            days_until_travel: statusInfo.daysUntilTravel,
+            travel_rep_name: customer.tm || null
+        },
+        deposits: statusInfo.deposits,
+        package: packageInfo ? {
+            description: packageInfo.vaca_desc,
+            display_name: packageInfo.display_name,
+            destination: packageInfo.destination,
+            nights: packageInfo.nights,
+            vacation_type: packageInfo.vacation_type,
+            scheduling_channel: packageInfo.scheduling_channel,
+            scheduling_url: packageInfo.scheduling_url
+        } : null,
+        is_online_scheduling: statusInfo.isOnlineScheduling,
+        is_phone_scheduling: statusInfo.isPhoneScheduling
+    };
+}
+
+/**
+ * One spoken sentence covering every package: "I see 2 trips on your account:
+ * Cancun is ready to schedule and Las Vegas needs a deposit."
+ */
+function summarizeRecords(customers, statuses, packages, language) {
+    const phrases = customers.map((customer, i) => {
+        const destination = customer.dest || (packageFor(packages, customer) || {}).destination || customer.pkg_code2;
+        const key = `summary.${statuses[i].rule}`;
+        return messages.hasMessage(key)
+            ? messages.translate(key, { lang: language, vars: { ...statuses[i].facts, destination } })
+            : `${destination}: ${statuses[i].statusLabel}`;
     });
-});
+
+    return messages.translate('responses.all_records_summary', {
+        lang: language,
+        vars: {
+            count: customers.length,
+            summary: joinList(phrases, messages.translate('responses.list_and', { lang: language }))
+        }
+    });
+}
 
 /**
- * GET /api/customer/status
- * Main caller ID status lookup endpoint
- * Uses caller's phone number to look up customer and return full status
+ * Several packages on one phone - list them so the agent can ask which one.
+ * Expects the records sorted most recent first. With `packages` (from
+ * getPackagesFromDestsel) every record carries its own computed status and
+ * agent_message summarizes them all.
  */
-app.get('/api/customer/status', async (req, res) => {
-    const { phone } = req.query;
-    console.log(`[Status] Raw request - phone param: "${phone}", full query:`, req.query);
+function buildMultipleRecords(customers, { lang, fallbackPhone = '', packages } = {}) {
+    const mostRecent = customers[0];
+    const language = resolveLanguage(lang, mostRecent);
+    const statuses = packages
+        ? customers.map(c => determineStatus(c, packageFor(packages, c), { lang: language }))
+        : null;
+
+    return {
+        multiple_records: true,
+        record_count: customers.length,
+        status: 'verification_needed',
+        status_label: 'Multiple Packages',
+        agent_message: statuses
+            ? summarizeRecords(customers, statuses, packages, language)
+            : messages.translate(
+                mostRecent.dest ? 'responses.multiple_records' : 'responses.multiple_records_no_destination',
+                { lang: language, vars: { destination: mostRecent.dest } }
+            ),
+        language,
+        customer: {
+            full_name: fullNameOf(mostRecent),
+            first_name: mostRecent.p1F || '',
+            last_name: mostRecent.p1L || '',
+            phone: formatE164(mostRecent.phn1) || fallbackPhone
+        },
+        all_records: customers.map((c, index) => ({
+            index,
+            vac_id: c.vac_id,
+            pkg_code2: c.pkg_code2,
+            destination: c.dest,
+            full_name: fullNameOf(c),
+            val_entered_on: c.val_entered_on,
+            ...(statuses ? {
+                status: statuses[index].status,
+                status_label: statuses[index].statusLabel,
+                agent_message: statuses[index].agentMessage,
+                deposits: statuses[index].deposits,
+                travel_date: c.asgn_trv_dt || null,
+                days_until_travel: statuses[index].daysUntilTravel
+            } : {})
+        })),
+        most_recent: {
+            vac_id: mostRecent.vac_id,
+            pkg_code2: mostRecent.pkg_code2,
+            destination: mostRecent.dest
+        }
+    };
+}
+
+// =============================================================================
+// HANDLERS
+// =============================================================================
+// Shared by the REST routes and the Retell function webhook
 
+/**
+ * Caller ID status lookup - look up customer by phone and return full status
+ */
+async function getStatusByPhone(phone, { lang, session_token, include_all = false } = {}) {
     if (!phone) {
-        return res.json({
+        return {
             found: false,
             status: 'unknown',
-            agent_message: 'No phone number provided'
-        });
+            agent_message: messages.translate('responses.no_phone', { lang: resolveLanguage(lang) })
+        };
     }
 
     const phoneClean = cleanPhone(phone);
-    console.log(`[Status] Looking up phone: ${phoneClean} (raw: ${phone})`);
+    statusLog.info('Looking up phone', { phone: phoneClean, raw_phone: phone });
 
     try {
         // Look up customer by phone
-        const customers = await queryCaspioTable(
-            CASPIO_CONFIG.tables.rims_data,
-            `phn1='${phoneClean}' OR phn2='${phoneClean}'`
-        );
+        const matches = await findCustomersByPhone(phone);
 
-        if (!customers || customers.length === 0) {
-            console.log(`[Status] Customer not found: ${phoneClean}`);
-            return res.json({
+        if (!matches || matches.length === 0) {
+            statusLog.info('Customer not found', { phone: phoneClean });
+            return {
                 found: false,
                 status: 'unknown',
                 status_label: 'Unknown Caller',
-                agent_message: 'Customer not found in our system',
-                is_business_hours: isBusinessHours()
-            });
+                agent_message: messages.translate('responses.not_found', { lang: resolveLanguage(lang) }),
+                ...businessHoursFields()
+            };
         }
 
-        // Sort by val_entered_on (most recent first)
-        customers.sort((a, b) => {
-            const dateA = a.val_entered_on ? new Date(a.val_entered_on) : new Date(0);
-            const dateB = b.val_entered_on ? new Date(b.val_entered_on) : new Date(0);
-            return dateB - dateA;
-        });
-
-        // Multiple records - ask customer to verify which package
-        if (customers.length > 1) {
-            console.log(`[Status] Found ${customers.length} records for ${phoneClean}`);
-
-            const allRecords = customers.map((c, index) => ({
-                index,
-                vac_id: c.vac_id,
-                pkg_code2: c.pkg_code2,
-                destination: c.dest,
-                full_name: `${c.p1F || ''} ${c.p1L || ''}`.trim() || 'Valued Customer',
-                val_entered_on: c.val_entered_on
-            }));
+        // Only records the caller has verified are disclosed
+        const customers = verifiedRecords(matches, session_token);
+        if (customers.length === 0) {
+            statusLog.info('Caller not verified', { phone: phoneClean, record_count: matches.length });
+            return verificationRequiredResponse(matches, lang);
+        }
 
-            const mostRecent = customers[0];
-            const fullName = `${mostRecent.p1F || ''} ${mostRecent.p1L || ''}`.trim() || 'Valued Customer';
+        sortByMostRecent(customers);
 
-            return res.json({
+        // Multiple records - ask customer to verify which package, or with
+        // include_all answer for every package at once
+        if (customers.length > 1) {
+            statusLog.info('Multiple records found', { phone: phoneClean, record_count: customers.length });
+            const packages = include_all ? await getPackagesFromDestsel(customers.map(c => c.pkg_code2)) : undefined;
+            return {
                 found: true,
-                multiple_records: true,
-                record_count: customers.length,
-                status: 'verification_needed',
-                status_label: 'Multiple Packages',
-                agent_message: `Are you calling about your package to ${mostRecent.dest || 'your vacation'}?`,
-                customer: {
-                    full_name: fullName,
-                    first_name: mostRecent.p1F || '',
-                    last_name: mostRecent.p1L || '',
-                    phone: mostRecent.phn1 ? '+1' + mostRecent.phn1 : phone
-                },
-                all_records: allRecords,
-                most_recent: {
-                    vac_id: mostRecent.vac_id,
-                    pkg_code2: mostRecent.pkg_code2,
-                    destination: mostRecent.dest
-                },
-                is_business_hours: isBusinessHours()
-            });
+                ...buildMultipleRecords(customers, { lang, fallbackPhone: phone, packages }),
+                ...businessHoursFields()
+            };
         }
 
         // Single record - get full status
-        const customer = customers[0];
-        const fullName = `${customer.p1F || ''} ${customer.p1L || ''}`.trim() || 'Valued Customer';
-
-        // Look up package info from destsel
-        const packageInfo = await getPackageFromDestsel(customer.pkg_code2);
-
-        // Determine status
-        const statusInfo = determineStatus(customer, packageInfo);
-
-        console.log(`[Status] Found: ${fullName}, Status: ${statusInfo.status}`);
-
-        return res.json({
+        return {
             found: true,
-            status: statusInfo.status,
-            status_label: statusInfo.statusLabel,
-            agent_message: statusInfo.agentMessage,
-            customer: {
-                full_name: fullName,
-                first_name: customer.p1F || '',
-                last_name: customer.p1L || '',
-                email: customer.email || '',
-                phone: customer.phn1 ? '+1' + customer.phn1 : phone,
-                vac_id: customer.vac_id,
-                pkg_code2: customer.pkg_code2,
-                destination: customer.dest,
-                travel_date: customer.asgn_trv_dt || null,
-                days_until_travel: statusInfo.daysUntilTravel,
-                travel_rep_name: customer.tm || null
-            },
-            deposits: statusInfo.deposits,
-            package: packageInfo ? {
-                description: packageInfo.vaca_desc,
-                destination: packageInfo.destination,
-                nights: packageInfo.nights,
-                vacation_type: packageInfo.vacation_type
-            } : null,
-            is_online_scheduling: statusInfo.isOnlineScheduling,
-            is_phone_scheduling: statusInfo.isPhoneScheduling,
-            is_business_hours: isBusinessHours()
-        });
+            ...await buildCustomerStatus(customers[0], { lang, fallbackPhone: phone }),
+            ...businessHoursFields()
+        };
 
     } catch (error) {
-        console.error(`[Status] Error: ${error.message}`);
-        return res.json({
+        statusLog.error('Status lookup failed', { phone: phoneClean, error });
+        return {
             found: false,
             status: 'error',
             status_label: 'Error',
-            agent_message: 'I had trouble looking up your account. How can I help you today?',
-            is_business_hours: isBusinessHours()
-        });
+            agent_message: messages.translate('responses.lookup_error', { lang: resolveLanguage(lang) }),
+            ...businessHoursFields()
+        };
     }
-});
+}
 
 /**
- * POST /api/customer/status-by-id
- * Get status for a specific customer by vac_id and pkg_code2
- * Used after verifying which package customer is calling about
+ * Status for a specific customer by vac_id (after verifying which package)
  */
-app.post('/api/customer/status-by-id', async (req, res) => {
-    const { vac_id, pkg_code2 } = req.body;
-
+async function getStatusById({ vac_id, pkg_code2, lang, session_token }) {
     if (!vac_id) {
-        return res.json({
+        return {
             found: false,
             error: 'vac_id is required'
-        });
+        };
     }
 
-    console.log(`[Status By ID] Looking up vac_id: ${vac_id}`);
+    statusLog.info('Looking up vac_id', { vac_id });
 
     try {
-        const results = await queryCaspioTable(
-            CASPIO_CONFIG.tables.rims_data,
-            `vac_id=${vac_id}`
-        );
+        const results = await findCustomersByVacId(vac_id);
 
         if (!results || results.length === 0) {
-            return res.json({
+            return {
                 found: false,
                 error: 'Customer not found'
-            });
+            };
         }
 
-        const customer = results[0];
-        const fullName = `${customer.p1F || ''} ${customer.p1L || ''}`.trim() || 'Valued Customer';
-
-        const packageInfo = await getPackageFromDestsel(customer.pkg_code2 || pkg_code2);
-        const statusInfo = determineStatus(customer, packageInfo);
-
-        console.log(`[Status By ID] Found: ${fullName}, Status: ${statusInfo.status}`);
+        if (verifiedRecords(results, session_token).length === 0) {
+            statusLog.info('Caller not verified', { vac_id });
+            return verificationRequiredResponse(results, lang, { byVacId: true });
+        }
 
-        return res.json({
+        return {
             found: true,
-            status: statusInfo.status,
-            status_label: statusInfo.statusLabel,
-            agent_message: statusInfo.agentMessage,
-            customer: {
-                full_name: fullName,
-                first_name: customer.p1F || '',
-                last_name: customer.p1L || '',
-                email: customer.email || '',
-                phone: customer.phn1 ? '+1' + customer.phn1 : '',
-                vac_id: customer.vac_id,
-                pkg_code2: customer.pkg_code2,
-                destination: customer.dest,
-                travel_date: customer.asgn_trv_dt || null,
-                days_until_travel: statusInfo.daysUntilTravel,
-                travel_rep_name: customer.tm || null
-            },
-            deposits: statusInfo.deposits,
-            package: packageInfo ? {
-                description: packageInfo.vaca_desc,
-                destination: packageInfo.destination,
-                nights: packageInfo.nights,
-                vacation_type: packageInfo.vacation_type
-            } : null,
-            is_online_scheduling: statusInfo.isOnlineScheduling,
-            is_phone_scheduling: statusInfo.isPhoneScheduling,
-            is_business_hours: isBusinessHours()
-        });
+            ...await buildCustomerStatus(results[0], { lang, pkg_code2 }),
+            ...businessHoursFields()
+        };
 
     } catch (error) {
-        console.error(`[Status By ID] Error: ${error.message}`);
-        return res.json({
+        statusLog.error('Status by ID failed', { vac_id, error });
+        return {
             found: false,
             error: error.message
-        });
+        };
     }
-});
+}
 
 /**
- * POST /api/rims/phone-lookup
- * Look up customer by phone number (compatible with existing flows)
+ * Look up customer records by phone number
  */
-app.post('/api/rims/phone-lookup', async (req, res) => {
-    const { phone_number } = req.body;
-
+async function lookupPhone(phone_number, { session_token } = {}) {
     if (!phone_number) {
-        return res.json({ found: false, message: 'Phone number required' });
+        return { found: false, message: 'Phone number required' };
     }
 
     const phoneClean = cleanPhone(phone_number);
-    console.log(`[Phone Lookup] Looking up: ${phoneClean}`);
+    lookupLog.info('Looking up phone', { phone: phoneClean });
 
     try {
-        const results = await queryCaspioTable(
-            CASPIO_CONFIG.tables.rims_data,
-            `phn1='${phoneClean}' OR phn2='${phoneClean}'`
-        );
+        const matches = await findCustomersByPhone(phone_number);
 
-        if (!results || results.length === 0) {
-            return res.json({ found: false, message: 'Customer not found' });
+        if (!matches || matches.length === 0) {
+            return { found: false, message: 'Customer not found' };
         }
 
-        // Sort by val_entered_on
-        results.sort((a, b) => {
-            const dateA = a.val_entered_on ? new Date(a.val_entered_on) : new Date(0);
-            const dateB = b.val_entered_on ? new Date(b.val_entered_on) : new Date(0);
-            return dateB - dateA;
-        });
+        const results = verifiedRecords(matches, session_token);
+        if (results.length === 0) {
+            return verificationRequiredResponse(matches);
+        }
+
+        sortByMostRecent(results);
 
         const customer = results[0];
 
-        return res.json({
+        return {
             found: true,
             customer: {
                 vac_id: customer.vac_id,
@@ -600,123 +900,3162 @@ app.post('/api/rims/phone-lookup', async (req, res) => {
                 destination: c.dest,
                 name: `${c.p1F || ''} ${c.p1L || ''}`.trim()
             }))
+        };
+
+    } catch (error) {
+        lookupLog.error('Phone lookup failed', { phone: phoneClean, error });
+        return { found: false, error: error.message };
+    }
+}
+
+// Minimum confidence for the spoken-answer matcher to pick a record
+const RECORD_MATCH_THRESHOLD = parseFloat(process.env.RECORD_MATCH_THRESHOLD) || 0.6;
+
+/**
+ * Pick the package a caller means from their spoken answer ("the Cancun one").
+ * A confident match carries the full status of that record.
+ */
+async function matchAmongRecords(customers, { answer, lang, fallbackPhone = '' }) {
+    sortByMostRecent(customers);
+    const packages = await getPackagesFromDestsel(customers.map(c => c.pkg_code2));
+    const result = matchSpokenAnswer(answer, customers, {
+        packageFor: customer => packageFor(packages, customer),
+        threshold: RECORD_MATCH_THRESHOLD
+    });
+
+    const candidates = result.candidates.map(c => ({
+        vac_id: c.record.vac_id,
+        pkg_code2: c.record.pkg_code2,
+        destination: c.record.dest,
+        score: c.score,
+        reasons: c.reasons
+    }));
+
+    statusLog.info('Record match', {
+        vac_id: result.match ? result.match.record.vac_id : null,
+        confidence: result.confidence
+    });
+
+    if (!result.match) {
+        const language = resolveLanguage(lang, customers[0]);
+        const options = customers.map(c => c.dest || (packageFor(packages, c) || {}).destination || c.pkg_code2);
+        return {
+            matched: false,
+            confidence: result.confidence,
+            candidates,
+            agent_message: messages.translate('responses.record_not_matched', {
+                lang: language,
+                vars: { options: joinList(options, messages.translate('responses.list_or', { lang: language })) }
+            }),
+            language
+        };
+    }
+
+    return {
+        matched: true,
+        confidence: result.confidence,
+        candidates,
+        ...await buildCustomerStatus(result.match.record, { lang, packages, fallbackPhone })
+    };
+}
+
+/**
+ * Match a spoken answer against the records on a phone
+ */
+async function matchRecordAnswer({ phone, answer, lang, session_token }) {
+    if (!phone || !answer) {
+        return { found: false, error: 'phone and answer are required' };
+    }
+
+    const phoneClean = cleanPhone(phone);
+
+    try {
+        const matches = await findCustomersByPhone(phone);
+
+        if (!matches || matches.length === 0) {
+            return { found: false, error: 'Customer not found' };
+        }
+
+        const customers = verifiedRecords(matches, session_token);
+        if (customers.length === 0) {
+            return verificationRequiredResponse(matches, lang);
+        }
+
+        return {
+            found: true,
+            ...await matchAmongRecords(customers, { answer, lang, fallbackPhone: phone }),
+            ...businessHoursFields()
+        };
+
+    } catch (error) {
+        statusLog.error('Record match failed', { phone: phoneClean, error });
+        return { found: false, error: error.message };
+    }
+}
+
+/**
+ * Validate and save a memo to the customer's account
+ */
+async function createMemo({ vac_id, memo_type, details }) {
+    if (!isValidVacId(vac_id)) {
+        return { success: false, error: 'A numeric vac_id is required' };
+    }
+
+    const memoType = normalizeMemoType(memo_type);
+    if (!MEMO_TYPES.includes(memoType)) {
+        return {
+            success: false,
+            error: `Invalid memo_type. Must be one of: ${MEMO_TYPES.join(', ')}`
+        };
+    }
+
+    memoLog.info('Creating memo', { vac_id, memo_type: memoType });
+
+    try {
+        const created = await insertCaspioRecord(CASPIO_CONFIG.tables.memos, {
+            vac_id: Number(vac_id),
+            memo_type: memoType,
+            details: details || '',
+            created_by: 'best-agent',
+            created_on: new Date().toISOString()
         });
 
+        return {
+            success: true,
+            message: 'Memo saved',
+            memo_id: created ? created.PK_ID : null,
+            vac_id: Number(vac_id),
+            memo_type: memoType,
+            details: details || '',
+            timestamp: created ? created.created_on : new Date().toISOString()
+        };
+
     } catch (error) {
-        console.error(`[Phone Lookup] Error: ${error.message}`);
-        return res.json({ found: false, error: error.message });
+        memoLog.error('Memo create failed', { vac_id, error });
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * List prior memos for a customer, most recent first. Needs a verified
+ * session for the vac_id.
+ */
+async function listMemos({ vac_id, lang, session_token } = {}) {
+    if (!isValidVacId(vac_id)) {
+        return { success: false, error: 'A numeric vac_id is required' };
+    }
+
+    memoLog.info('Listing memos', { vac_id });
+
+    try {
+        const denied = await vacIdAccessDenied(vac_id, session_token, lang);
+        if (denied) return denied;
+
+        const results = await queryCaspioTable(
+            CASPIO_CONFIG.tables.memos,
+            ['vac_id', '=', vac_id]
+        );
+
+        results.sort((a, b) => new Date(b.created_on || 0) - new Date(a.created_on || 0));
+
+        return {
+            success: true,
+            vac_id: Number(vac_id),
+            count: results.length,
+            memos: results.map(m => ({
+                memo_id: m.PK_ID,
+                memo_type: m.memo_type,
+                details: m.details,
+                created_by: m.created_by,
+                created_on: m.created_on
+            }))
+        };
+
+    } catch (error) {
+        memoLog.error('Memo list failed', { vac_id, error });
+        return { success: false, error: error.message };
     }
+}
+
+// =============================================================================
+// DEPOSIT PAYMENTS
+// =============================================================================
+// Payment links go through a pluggable provider (lib/payment-providers.js) and
+// reach the customer through a pluggable notifier (lib/notifiers.js). Each link
+// is recorded in PAYMENT_LINKS with the ref/tax split it was created for, so
+// the provider webhook can write val_dep/conf_deposit back to RIMS_DATA.
+
+const paymentProvider = createPaymentProvider(process.env.PAYMENT_PROVIDER || 'mock', {
+    baseUrl: process.env.MOCK_PAYMENT_BASE_URL,
+    webhookSecret: process.env.PAYMENT_WEBHOOK_SECRET,
+    linkTtlHours: parseInt(process.env.PAYMENT_LINK_TTL_HOURS, 10) || 72
+});
+
+const notifier = createNotifier(process.env.NOTIFIER || 'file', {
+    file: process.env.NOTIFIER_OUTBOX_FILE || undefined,
+    url: process.env.NOTIFIER_WEBHOOK_URL,
+    token: process.env.NOTIFIER_WEBHOOK_TOKEN,
+    timeoutMs: parseInt(process.env.NOTIFIER_TIMEOUT_MS, 10) || undefined
 });
 
+// Verification codes and payment links would silently go nowhere
+if (process.env.NODE_ENV === 'production' && !notifier.delivers) {
+    throw new Error(`NOTIFIER=${notifier.name} does not deliver messages - configure NOTIFIER=webhook in production`);
+}
+
+// Whole dollars read better over the phone ("$250" rather than "$250.00")
+function formatAmount(amount) {
+    return Number.isInteger(amount) ? `$${amount}` : `$${amount.toFixed(2)}`;
+}
+
+const roundCents = amount => Math.round(amount * 100) / 100;
+
 /**
- * POST /api/rims/customer-status
- * Get customer status by vac_id and pkg_code2
+ * Outstanding refundable (val_dep) and tax (conf_deposit) deposit amounts.
+ * Capped at the overall remaining balance, refundable deposit first, so a
+ * customer who overpaid one field is not charged twice.
  */
-app.post('/api/rims/customer-status', async (req, res) => {
-    const { vac_id, pkg_code2, phone_number } = req.body;
+function outstandingDeposits(customer, packageInfo, deposits) {
+    if (deposits.complete || !packageInfo) {
+        return { refundable: 0, tax: 0, total: 0 };
+    }
 
-    if (!vac_id && !phone_number) {
-        return res.json({ found: false, error: 'vac_id or phone_number required' });
+    const refundableDue = Math.max(0, (packageInfo.ref_dep || 0) - (customer.val_dep || 0));
+    const taxDue = Math.max(0, (packageInfo.deposit || 0) - (customer.conf_deposit || 0));
+    const total = roundCents(Math.min(refundableDue + taxDue, deposits.remaining));
+    const refundable = roundCents(Math.min(refundableDue, total));
+
+    return { refundable, tax: roundCents(total - refundable), total };
+}
+
+async function loadDepositContext(vac_id, lang) {
+    const results = await findCustomersByVacId(vac_id);
+    if (!results || results.length === 0) return null;
+
+    const customer = results[0];
+    const packageInfo = await getPackageFromDestsel(customer.pkg_code2);
+    const language = resolveLanguage(lang, customer);
+    const { deposits } = determineStatus(customer, packageInfo, { lang: language });
+
+    return {
+        customer,
+        packageInfo,
+        language,
+        deposits,
+        outstanding: outstandingDeposits(customer, packageInfo, deposits)
+    };
+}
+
+/**
+ * Create a payment link for the outstanding deposit, send it by SMS or email
+ * and record it. Needs a verified session for the vac_id.
+ */
+async function createDepositPaymentLink({ vac_id, channel = 'sms', lang, session_token } = {}) {
+    if (!isValidVacId(vac_id)) {
+        return { success: false, error: 'A numeric vac_id is required' };
+    }
+    if (!['sms', 'email'].includes(channel)) {
+        return { success: false, error: "channel must be 'sms' or 'email'" };
     }
 
-    console.log(`[Customer Status] Looking up vac_id: ${vac_id}, pkg_code2: ${pkg_code2}`);
+    paymentLog.info('Creating payment link', { vac_id, channel });
 
     try {
-        let whereClause;
-        if (vac_id) {
-            whereClause = `vac_id=${vac_id}`;
-        } else {
-            const phoneClean = cleanPhone(phone_number);
-            whereClause = `phn1='${phoneClean}' OR phn2='${phoneClean}'`;
+        const context = await loadDepositContext(vac_id, lang);
+        if (!context) {
+            return { success: false, error: 'Customer not found' };
         }
 
-        const results = await queryCaspioTable(CASPIO_CONFIG.tables.rims_data, whereClause);
+        const { customer, packageInfo, language, deposits, outstanding } = context;
 
-        if (!results || results.length === 0) {
-            return res.json({ found: false, message: 'Customer not found' });
+        if (verifiedRecords([customer], session_token).length === 0) {
+            paymentLog.info('Caller not verified', { vac_id });
+            return { success: false, ...verificationRequiredResponse([customer], lang, { byVacId: true }) };
         }
 
-        const customer = results[0];
-        const fullName = `${customer.p1F || ''} ${customer.p1L || ''}`.trim() || 'Valued Customer';
+        if (!packageInfo) {
+            return { success: false, error: `Package ${customer.pkg_code2} not found - cannot compute deposit` };
+        }
+
+        if (outstanding.total <= 0) {
+            return {
+                success: false,
+                error: 'No deposit outstanding',
+                deposits,
+                agent_message: messages.translate('responses.deposits_complete', { lang: language })
+            };
+        }
 
-        const packageInfo = await getPackageFromDestsel(customer.pkg_code2 || pkg_code2);
-        const statusInfo = determineStatus(customer, packageInfo);
+        const sendTo = channel === 'sms'
+            ? formatE164(customer.phn1)
+            : customer.email || null;
+        if (!sendTo) {
+            return { success: false, error: `No ${channel === 'sms' ? 'phone number' : 'email'} on file` };
+        }
 
-        console.log(`[Customer Status] Found: ${fullName}, Status: ${statusInfo.status}`);
+        const link = await paymentProvider.createPaymentLink({
+            amount: outstanding.total,
+            currency: 'USD',
+            description: `Vacation deposit - ${packageInfo.display_name}`,
+            reference: `vac_${customer.vac_id}`,
+            customer: { vac_id: customer.vac_id, email: customer.email, phone: customer.phn1 }
+        });
 
-        return res.json({
-            found: true,
-            status: statusInfo.status,
-            status_label: statusInfo.statusLabel,
-            agent_message: statusInfo.agentMessage,
-            customer: {
-                full_name: fullName,
-                first_name: customer.p1F || '',
-                last_name: customer.p1L || '',
-                email: customer.email || '',
-                phone: customer.phn1 ? '+1' + customer.phn1 : '',
-                vac_id: customer.vac_id,
-                pkg_code2: customer.pkg_code2,
-                destination: customer.dest,
-                travel_date: customer.asgn_trv_dt || null,
-                days_until_travel: statusInfo.daysUntilTravel,
-                travel_rep_name: customer.tm || null
-            },
-            deposits: statusInfo.deposits,
-            details: {
-                deposits: statusInfo.deposits
-            },
-            package: packageInfo ? {
-                description: packageInfo.vaca_desc,
-                destination: packageInfo.destination,
-                nights: packageInfo.nights
-            } : null,
-            is_online_scheduling: statusInfo.isOnlineScheduling,
-            is_phone_scheduling: statusInfo.isPhoneScheduling,
-            is_business_hours: isBusinessHours()
+        const amountText = formatAmount(outstanding.total);
+        const vars = { first_name: customer.p1F || '', amount: amountText, url: link.url };
+
+        await notifier.send({
+            channel,
+            to: sendTo,
+            subject: messages.translate('notifications.payment_link_subject', { lang: language }),
+            body: messages.translate('notifications.payment_link', { lang: language, vars }),
+            meta: { vac_id: customer.vac_id, link_id: link.id }
+        });
+
+        const createdOn = new Date().toISOString();
+        await insertCaspioRecord(CASPIO_CONFIG.tables.payment_links, {
+            link_id: link.id,
+            vac_id: Number(customer.vac_id),
+            provider: paymentProvider.name,
+            url: link.url,
+            amount: outstanding.total,
+            refundable_amount: outstanding.refundable,
+            tax_amount: outstanding.tax,
+            channel,
+            sent_to: sendTo,
+            status: 'pending',
+            created_on: createdOn,
+            expires_on: link.expires_at
         });
 
+        await createMemo({
+            vac_id: customer.vac_id,
+            memo_type: 'deposit_payment',
+            details: `Payment link for ${amountText} sent by ${channel} (${link.id})`
+        });
+
+        return {
+            success: true,
+            link_id: link.id,
+            url: link.url,
+            amount: outstanding.total,
+            breakdown: {
+                refundable_deposit: outstanding.refundable,
+                tax_deposit: outstanding.tax
+            },
+            channel,
+            expires_at: link.expires_at,
+            agent_message: messages.translate('responses.payment_link_sent', { lang: language, variant: channel, vars }),
+            language
+        };
+
     } catch (error) {
-        console.error(`[Customer Status] Error: ${error.message}`);
-        return res.json({ found: false, error: error.message });
+        paymentLog.error('Payment link failed', { vac_id, error });
+        return { success: false, error: error.message };
     }
-});
+}
 
 /**
- * POST /api/memos/create
- * Create a memo in the customer's account (stub - logs for now)
+ * Deposit status for a customer plus the payment links sent to them.
+ * Needs a verified session for the vac_id.
+ */
+async function getDepositPaymentStatus({ vac_id, lang, session_token } = {}) {
+    if (!isValidVacId(vac_id)) {
+        return { success: false, error: 'A numeric vac_id is required' };
+    }
+
+    try {
+        const context = await loadDepositContext(vac_id, lang);
+        if (!context) {
+            return { success: false, error: 'Customer not found' };
+        }
+        if (verifiedRecords([context.customer], session_token).length === 0) {
+            paymentLog.info('Caller not verified', { vac_id });
+            return { success: false, ...verificationRequiredResponse([context.customer], lang, { byVacId: true }) };
+        }
+
+        const links = await queryCaspioTable(
+            CASPIO_CONFIG.tables.payment_links,
+            ['vac_id', '=', vac_id],
+            { orderBy: 'created_on DESC' }
+        );
+
+        return {
+            success: true,
+            vac_id: Number(vac_id),
+            deposits: context.deposits,
+            outstanding: context.outstanding,
+            payment_links: links.map(l => ({
+                link_id: l.link_id,
+                status: l.status,
+                amount: l.amount,
+                amount_paid: l.amount_paid ?? null,
+                channel: l.channel,
+                created_on: l.created_on,
+                expires_on: l.expires_on,
+                paid_on: l.paid_on || null
+            }))
+        };
+
+    } catch (error) {
+        paymentLog.error('Payment status failed', { vac_id, error });
+        return { success: false, error: error.message };
+    }
+}
+
+// Where clause matching a deposit field that may be null
+const depositIs = (field, value) => (value === null || value === undefined ? [field, 'IS NULL'] : [field, '=', value]);
+
+const sameDeposits = (a, b) => roundCents(a.val_dep || 0) === roundCents(b.val_dep || 0)
+    && roundCents(a.conf_deposit || 0) === roundCents(b.conf_deposit || 0);
+
+/**
+ * Apply a verified provider event to its payment link. The link is claimed
+ * (pending -> paid) before RIMS_DATA is touched, so a redelivered webhook
+ * never credits the deposit twice. Returns { httpStatus, body }.
+ *
+ * The claim carries a random claim_id: when it matches no rows the link is
+ * read back, and a claim_id of ours means a retried request already claimed
+ * it (the first response was lost), not a duplicate delivery.
+ *
+ * The deposit values being written are recorded on the link (credited_*)
+ * before RIMS_DATA is updated, and the update only matches the values it
+ * was computed from. A retry of an apply_failed link that finds RIMS_DATA
+ * already holding the recorded values treats the credit as done.
  */
-app.post('/api/memos/create', async (req, res) => {
-    const { vac_id, memo_type, details } = req.body;
+async function applyPaymentEvent(event) {
+    const linkWhere = ['link_id', '=', event.link_id];
+    const [link] = await queryCaspioTable(CASPIO_CONFIG.tables.payment_links, linkWhere, { limit: 1 });
 
-    console.log(`[Memo] Creating memo for vac_id: ${vac_id}, type: ${memo_type}, details: ${details}`);
+    if (!link) {
+        paymentLog.warn('Webhook for unknown link', { link_id: event.link_id });
+        return { httpStatus: 404, body: { error: 'Unknown payment link' } };
+    }
 
-    // For now, just acknowledge - full implementation would write to Caspio
-    return res.json({
-        success: true,
-        message: 'Memo logged',
-        vac_id,
-        memo_type,
-        details,
-        timestamp: new Date().toISOString()
-    });
-});
+    if (event.status === 'failed') {
+        await updateCaspioRecords(CASPIO_CONFIG.tables.payment_links, [linkWhere, ['status', '=', 'pending']], { status: 'failed' });
+        paymentLog.info('Payment failed', { link_id: link.link_id, vac_id: link.vac_id });
+        return { httpStatus: 200, body: { received: true, status: 'failed' } };
+    }
+
+    const claimId = crypto.randomUUID();
+    const claimed = await updateCaspioRecords(
+        CASPIO_CONFIG.tables.payment_links,
+        [linkWhere, or(['status', '=', 'pending'], ['status', '=', 'apply_failed'])],
+        { status: 'paid', amount_paid: event.amount_paid, paid_on: event.paid_at, claim_id: claimId }
+    );
+
+    if (claimed.length === 0) {
+        const [current] = await queryCaspioTable(CASPIO_CONFIG.tables.payment_links, linkWhere, { limit: 1 });
+        if (!current || current.claim_id !== claimId) {
+            const status = current ? current.status : link.status;
+            paymentLog.info('Duplicate webhook ignored', { link_id: link.link_id, status });
+            return { httpStatus: 200, body: { received: true, status, duplicate: true } };
+        }
+        paymentLog.info('Claim landed on an earlier attempt', { link_id: link.link_id });
+    }
+
+    // Credit the refundable deposit first, then tax, up to what was paid
+    const refundablePaid = roundCents(Math.min(event.amount_paid, link.refundable_amount || 0));
+    const taxPaid = roundCents(Math.min(event.amount_paid - refundablePaid, link.tax_amount || 0));
+
+    try {
+        const [customer] = await queryCaspioTable(
+            CASPIO_CONFIG.tables.rims_data,
+            ['vac_id', '=', link.vac_id],
+            { select: ['vac_id', 'val_dep', 'conf_deposit'], limit: 1 }
+        );
+        if (!customer) {
+            throw new Error(`vac_id ${link.vac_id} not found in RIMS_DATA`);
+        }
+
+        const credited = link.credited_val_dep !== null && link.credited_val_dep !== undefined
+            ? { val_dep: link.credited_val_dep, conf_deposit: link.credited_conf_deposit }
+            : null;
+        let updated;
+
+        if (credited && sameDeposits(customer, credited)) {
+            // An earlier attempt wrote the credit but its response was lost
+            paymentLog.info('Credit landed on an earlier attempt', { link_id: link.link_id });
+            updated = credited;
+        } else {
+            updated = {
+                val_dep: roundCents((customer.val_dep || 0) + refundablePaid),
+                conf_deposit: roundCents((customer.conf_deposit || 0) + taxPaid)
+            };
+            await updateCaspioRecords(CASPIO_CONFIG.tables.payment_links, linkWhere, {
+                credited_val_dep: updated.val_dep,
+                credited_conf_deposit: updated.conf_deposit
+            });
+
+            const written = await updateCaspioRecords(
+                CASPIO_CONFIG.tables.rims_data,
+                [
+                    ['vac_id', '=', link.vac_id],
+                    depositIs('val_dep', customer.val_dep),
+                    depositIs('conf_deposit', customer.conf_deposit)
+                ],
+                updated,
+                { idempotent: false }
+            );
+            if (written.length === 0) {
+                // Either our write landed and its response was lost, or the
+                // deposits changed since they were read
+                const [current] = await queryCaspioTable(
+                    CASPIO_CONFIG.tables.rims_data,
+                    ['vac_id', '=', link.vac_id],
+                    { select: ['vac_id', 'val_dep', 'conf_deposit'], limit: 1 }
+                );
+                if (!current || !sameDeposits(current, updated)) {
+                    throw new Error(`Deposits for vac_id ${link.vac_id} changed while applying the payment`);
+                }
+            }
+        }
+        invalidateRimsCache({ vac_id: link.vac_id });
+
+        paymentLog.info('Payment applied', { link_id: link.link_id, vac_id: link.vac_id, ...updated });
+
+        await createMemo({
+            vac_id: link.vac_id,
+            memo_type: 'deposit_payment',
+            details: `Payment of ${formatAmount(event.amount_paid)} received (${link.link_id})`
+        });
+
+        return { httpStatus: 200, body: { received: true, status: 'paid', vac_id: link.vac_id, ...updated } };
+
+    } catch (error) {
+        // Leave the link retryable - the provider redelivers on a non-2xx
+        paymentLog.error('Payment write-back failed', { link_id: link.link_id, vac_id: link.vac_id, error });
+        await updateCaspioRecords(CASPIO_CONFIG.tables.payment_links, linkWhere, { status: 'apply_failed' })
+            .catch(err => paymentLog.error('Could not mark link apply_failed', { link_id: link.link_id, error: err }));
+        return { httpStatus: 500, body: { error: 'Payment could not be applied' } };
+    }
+}
 
 // =============================================================================
-// ERROR HANDLING
+// PROACTIVE NOTIFICATIONS
 // =============================================================================
+// A scheduled scan of RIMS_DATA notifies customers when their status moves
+// into one of the rules in config/notifications.json (lib/notification-scheduler.js).
+// Messages go out through the same notifier as payment links.
 
-app.use((err, req, res, next) => {
-    console.error('[Error]', err.message);
-    res.status(500).json({ error: 'Internal server error' });
+const notificationConfig = loadNotificationConfig();
+
+const unknownTriggers = Object.keys(notificationConfig.triggers).filter(rule => (
+    !activeRuleSet.rules.some(r => r.id === rule) || !messages.hasMessage(`notifications.status_update.${rule}`)
+));
+if (unknownTriggers.length > 0) {
+    throw new Error(`Notification triggers without a status rule or message: ${unknownTriggers.join(', ')}`);
+}
+
+const notificationStore = createStateStore({ file: process.env.NOTIFICATION_STATE_FILE || undefined });
+
+/**
+ * Every RIMS_DATA record with its current status
+ */
+async function* scanCustomerStatuses() {
+    for await (const record of iterateCaspioTable(CASPIO_CONFIG.tables.rims_data, null, {
+        select: STATUS_FIELDS,
+        pageSize: 1000
+    })) {
+        const packageInfo = await getPackageFromDestsel(record.pkg_code2);
+        const language = resolveLanguage(null, record);
+        const result = determineStatus(record, packageInfo, { lang: language });
+
+        yield {
+            record,
+            rule: result.rule,
+            status: result.status,
+            label: result.statusLabel,
+            language,
+            scheduling_mode: result.facts.scheduling_mode
+        };
+    }
+}
+
+function composeStatusNotification({ record, rule, status, language }, channel) {
+    const to = channel === 'email'
+        ? record.email || null
+        : formatE164(record.phn1);
+    if (!to) return null;
+
+    const vars = {
+        first_name: record.p1F || '',
+        destination: record.dest || '',
+        travel_date: record.asgn_trv_dt || ''
+    };
+
+    return {
+        to,
+        subject: messages.translate('notifications.status_update_subject', { lang: language }),
+        body: messages.translate(`notifications.status_update.${rule}`, { lang: language, variant: channel, vars }),
+        meta: {
+            vac_id: record.vac_id,
+            rule,
+            status,
+            language,
+            // Passed to the voice agent as dynamic variables on an outbound call
+            ...(channel === 'call' ? { dynamic_variables: { ...vars, vac_id: String(record.vac_id), status } } : {})
+        }
+    };
+}
+
+const notificationScheduler = createNotificationScheduler({
+    config: notificationConfig,
+    store: notificationStore,
+    notifier,
+    scan: scanCustomerStatuses,
+    compose: composeStatusNotification
 });
 
+/**
+ * Opt a phone number, email address and/or vac_id out of (or back into)
+ * proactive notifications. channels defaults to every channel.
+ */
+async function setNotificationOptOut({ phone, email, vac_id, channels, opt_out = true, source = 'api', lang }) {
+    if (vac_id !== undefined && vac_id !== null && vac_id !== '' && !isValidVacId(vac_id)) {
+        return { success: false, error: 'vac_id must be numeric' };
+    }
+
+    const keys = [optOutKey('phone', phone), optOutKey('email', email), optOutKey('vac_id', vac_id)].filter(Boolean);
+    if (keys.length === 0) {
+        return { success: false, error: 'phone, email or vac_id is required' };
+    }
+
+    const channelList = channels === undefined || channels === null
+        ? null
+        : [].concat(channels).map(c => String(c).toLowerCase());
+    if (channelList && (channelList.length === 0 || channelList.some(c => !NOTIFICATION_CHANNELS.includes(c)))) {
+        return { success: false, error: `channels must be a list of: ${NOTIFICATION_CHANNELS.join(', ')}` };
+    }
+
+    try {
+        const changed = keys.filter(key => (opt_out
+            ? notificationStore.optOut(key, { channels: channelList, source })
+            : notificationStore.optIn(key)));
+        await notificationStore.save();
+
+        notificationLog.info(opt_out ? 'Opted out' : 'Opted in', { keys: keys.length, channels: channelList, source });
+
+        const language = resolveLanguage(lang);
+        return {
+            success: true,
+            opted_out: opt_out,
+            channels: channelList || NOTIFICATION_CHANNELS,
+            updated: changed.length,
+            agent_message: messages.translate(opt_out ? 'responses.notifications_opted_out' : 'responses.notifications_opted_in', { lang: language }),
+            language
+        };
+
+    } catch (error) {
+        notificationLog.error('Opt-out update failed', { error });
+        return { success: false, error: error.message };
+    }
+}
+
 // =============================================================================
-// START SERVER
+// TRANSFER ROUTING
 // =============================================================================
+// Where to send a live transfer, from the caller's status and the routing table
+// in config/transfer-routing.json (lib/transfer-routing.js). Closed
+// departments get a callback offer instead, noted in a memo.
 
-app.listen(PORT, () => {
-    console.log(`Best Agent API running on port ${PORT}`);
-    console.log(`Created: 2026-01-13`);
-});
+const routingTable = loadRoutingTable();
+
+const unknownHours = Object.entries(routingTable.destinations)
+    .filter(([, destination]) => !businessSchedule.departments[destination.hours])
+    .map(([id]) => id);
+if (unknownHours.length > 0) {
+    throw new Error(`Transfer destinations with unknown hours departments: ${unknownHours.join(', ')}`);
+}
+
+// "Customer Service" / "customer-service" -> customer_service
+function normalizeDepartment(department) {
+    return String(department).trim().toLowerCase().replace(/[\s-]+/g, '_');
+}
+
+// "Monday, October 19 at 9:00 AM" in the schedule's timezone
+function speakableTime(isoString, language) {
+    return new Intl.DateTimeFormat(language === 'es' ? 'es-MX' : 'en-US', {
+        timeZone: businessSchedule.timezone,
+        weekday: 'long',
+        month: 'long',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: '2-digit'
+    }).format(new Date(isoString));
+}
+
+/**
+ * Routing facts from a customer record, or from a status result the agent
+ * already has ({ status, scheduling_mode, pkg_code2 })
+ */
+async function loadRoutingFacts({ vac_id, status, scheduling_mode, pkg_code2 }) {
+    if (isValidVacId(vac_id)) {
+        const results = await findCustomersByVacId(vac_id);
+        if (results && results.length > 0) {
+            const customer = results[0];
+            const result = determineStatus(customer, await getPackageFromDestsel(customer.pkg_code2));
+            return {
+                customer,
+                facts: {
+                    rule: result.rule,
+                    status: result.status,
+                    scheduling_mode: result.facts.scheduling_mode,
+                    has_travel_rep: result.facts.has_travel_rep,
+                    pkg_code2: result.facts.pkg_code2,
+                    tm: customer.tm
+                }
+            };
+        }
+    }
+
+    const rule = status
+        ? activeRuleSet.rules.find(r => [r.id, r.status, r.label].includes(status))
+        : null;
+    const code = pkg_code2 ? String(pkg_code2).toUpperCase() : null;
+    const mode = scheduling_mode || schedulingFor(code, code ? await getPackageFromDestsel(code) : null).channel;
+
+    return {
+        customer: null,
+        facts: {
+            rule: rule ? rule.id : null,
+            status: rule ? rule.status : status || null,
+            scheduling_mode: mode,
+            has_travel_rep: Boolean(rule) && rule.id === 'travel_rep_assigned',
+            pkg_code2: code
+        }
+    };
+}
+
+/**
+ * Pick the transfer destination for a caller. department forces a specific
+ * destination (the caller asked for it); otherwise the status decides.
+ */
+async function routeTransfer({ vac_id, status, scheduling_mode, pkg_code2, department, lang, session_token } = {}) {
+    if (vac_id !== undefined && vac_id !== null && vac_id !== '' && !isValidVacId(vac_id)) {
+        return { success: false, error: 'vac_id must be numeric' };
+    }
+
+    const requested = department ? normalizeDepartment(department) : null;
+    if (requested && !routingTable.destinations[requested]) {
+        return {
+            success: false,
+            error: `Unknown department. Must be one of: ${Object.keys(routingTable.destinations).join(', ')}`
+        };
+    }
+
+    try {
+        // An unverified caller's vac_id is not looked up - the response would
+        // disclose the account's status. They are routed on what the agent
+        // passed instead.
+        const lookupVacId = isValidVacId(vac_id)
+            && verifiedRecords(await findCustomersByVacId(vac_id), session_token).length > 0 ? vac_id : undefined;
+        if (isValidVacId(vac_id) && !lookupVacId) {
+            transferLog.info('Caller not verified - routing without the account', { vac_id });
+        }
+
+        const { customer, facts } = await loadRoutingFacts({ vac_id: lookupVacId, status, scheduling_mode, pkg_code2 });
+        const destination = selectDestination(routingTable, facts, { department: requested });
+        const language = resolveLanguage(lang, customer);
+
+        const open = businessHours.isOpen(businessSchedule, destination.hours);
+        const target = {
+            department: destination.id,
+            department_name: destination.name,
+            number: destination.number,
+            sip_uri: destination.sip_uri,
+            reason: destination.reason,
+            status: facts.status,
+            customer_found: Boolean(customer)
+        };
+
+        if (open) {
+            transferLog.info('Transfer routed', { vac_id, department: destination.id, reason: destination.reason });
+            return {
+                success: true,
+                transfer: true,
+                ...target,
+                is_open: true,
+                agent_message: messages.translate('responses.transfer_connecting', {
+                    lang: language,
+                    vars: { department: destination.name }
+                }),
+                language
+            };
+        }
+
+        const nextOpen = businessHours.nextOpenAt(businessSchedule, destination.hours);
+        const nextOpenAt = nextOpen ? nextOpen.toISOString() : null;
+        transferLog.info('Transfer after hours', { vac_id, department: destination.id, next_open_at: nextOpenAt });
+
+        let memoId = null;
+        if (customer) {
+            const memo = await createMemo({
+                vac_id: customer.vac_id,
+                memo_type: 'transfer',
+                details: `After-hours transfer to ${destination.name} requested; callback offered`
+                    + (nextOpenAt ? ` for ${nextOpenAt}` : '')
+            });
+            memoId = memo.success ? memo.memo_id : null;
+        }
+
+        return {
+            success: true,
+            transfer: false,
+            ...target,
+            is_open: false,
+            next_open_at: nextOpenAt,
+            callback: {
+                offered: true,
+                department: destination.id,
+                earliest_at: nextOpenAt
+            },
+            memo_id: memoId,
+            agent_message: messages.translate(nextOpenAt ? 'responses.transfer_after_hours' : 'responses.transfer_closed', {
+                lang: language,
+                vars: { department: destination.name, next_open: nextOpenAt ? speakableTime(nextOpenAt, language) : '' }
+            }),
+            language
+        };
+
+    } catch (error) {
+        transferLog.error('Transfer routing failed', { vac_id, error });
+        return { success: false, error: error.message };
+    }
+}
+
+// =============================================================================
+// CALLBACKS
+// =============================================================================
+// Callers who reach a closed department can book a callback in its next open
+// hours. Slots are CALLBACK_SLOT_MINUTES long and each department takes at
+// most CALLBACK_SLOT_CAPACITY callbacks per slot. Stored in the CALLBACKS
+// table, or a local file with CALLBACK_STORE=file (lib/callback-store.js).
+
+const callbackStore = createCallbackStore(process.env.CALLBACK_STORE || 'caspio', {
+    client: caspio,
+    table: CASPIO_CONFIG.tables.callbacks,
+    file: process.env.CALLBACK_STORE_FILE || undefined
+});
+
+const CALLBACK_SLOT_MINUTES = parseInt(process.env.CALLBACK_SLOT_MINUTES, 10) || 30;
+const CALLBACK_SLOT_CAPACITY = parseInt(process.env.CALLBACK_SLOT_CAPACITY, 10) || 3;
+// Soonest a callback can be booked, so the team has time to see it
+const CALLBACK_LEAD_MINUTES = parseInt(process.env.CALLBACK_LEAD_MINUTES, 10) || 15;
+// How far ahead to look for a free slot
+const CALLBACK_HORIZON_DAYS = 14;
+
+// Bookings are checked and written one at a time so two callers can't both
+// take the last place in a slot
+let callbackBooking = Promise.resolve();
+
+function serializeBooking(task) {
+    const result = callbackBooking.then(task);
+    callbackBooking = result.catch(() => {});
+    return result;
+}
+
+/**
+ * First slot at or after `from` with room left, or null
+ */
+async function findCallbackSlot(destination, from) {
+    const to = new Date(from.getTime() + CALLBACK_HORIZON_DAYS * 24 * 3600 * 1000);
+    const booked = await callbackStore.list({ department: destination.id, statuses: CALLBACK_STATUSES, from, to });
+
+    const counts = new Map();
+    for (const callback of booked) {
+        const key = new Date(callback.slot_start).getTime();
+        counts.set(key, (counts.get(key) || 0) + 1);
+    }
+
+    for (const slot of businessHours.openSlots(businessSchedule, destination.hours, {
+        from,
+        slotMinutes: CALLBACK_SLOT_MINUTES,
+        days: CALLBACK_HORIZON_DAYS
+    })) {
+        if ((counts.get(slot.start.getTime()) || 0) < CALLBACK_SLOT_CAPACITY) return slot;
+    }
+    return null;
+}
+
+function callbackResponse(callback) {
+    return {
+        callback_id: callback.id,
+        vac_id: callback.vac_id,
+        department: callback.department,
+        phone: callback.phone,
+        slot_start: callback.slot_start,
+        slot_end: callback.slot_end,
+        status: callback.status,
+        claimed_by: callback.claimed_by || null,
+        claimed_on: callback.claimed_on || null,
+        notes: callback.notes || '',
+        language: callback.language || null,
+        created_on: callback.created_on
+    };
+}
+
+/**
+ * Book a callback for a customer in the next slot with room, at or after
+ * preferred_at when given. The department defaults to where a transfer
+ * would go. A customer with an upcoming callback for the same department
+ * keeps that one. Needs a verified session for the vac_id.
+ */
+async function bookCallback({ vac_id, department, phone, preferred_at, notes, lang, session_token } = {}) {
+    if (!isValidVacId(vac_id)) {
+        return { success: false, error: 'A numeric vac_id is required' };
+    }
+
+    const requested = department ? normalizeDepartment(department) : null;
+    if (requested && !routingTable.destinations[requested]) {
+        return {
+            success: false,
+            error: `Unknown department. Must be one of: ${Object.keys(routingTable.destinations).join(', ')}`
+        };
+    }
+
+    const preferred = preferred_at ? new Date(preferred_at) : null;
+    if (preferred && isNaN(preferred.getTime())) {
+        return { success: false, error: 'preferred_at must be an ISO date-time' };
+    }
+
+    try {
+        const denied = await vacIdAccessDenied(vac_id, session_token, lang);
+        if (denied) return denied;
+
+        const { customer, facts } = await loadRoutingFacts({ vac_id });
+        if (!customer) {
+            return { success: false, error: 'Customer not found' };
+        }
+
+        const destination = selectDestination(routingTable, facts, { department: requested });
+        const language = resolveLanguage(lang, customer);
+        const callbackPhone = phone ? (formatE164(phone) || String(phone)) : formatE164(customer.phn1);
+        if (!callbackPhone) {
+            return { success: false, error: 'No phone number to call back' };
+        }
+
+        const earliest = new Date(Date.now() + CALLBACK_LEAD_MINUTES * 60000);
+        const from = preferred && preferred > earliest ? preferred : earliest;
+
+        const { callback, existing } = await serializeBooking(async () => {
+            const upcoming = await callbackStore.list({
+                vac_id: customer.vac_id,
+                department: destination.id,
+                statuses: CALLBACK_STATUSES,
+                from: new Date()
+            });
+            if (upcoming.length > 0) return { callback: upcoming[0], existing: true };
+
+            const slot = await findCallbackSlot(destination, from);
+            if (!slot) return { callback: null };
+
+            const created = await callbackStore.create({
+                vac_id: Number(customer.vac_id),
+                department: destination.id,
+                phone: callbackPhone,
+                slot_start: slot.start.toISOString(),
+                slot_end: slot.end.toISOString(),
+                status: 'scheduled',
+                notes: notes || '',
+                language,
+                created_on: new Date().toISOString()
+            });
+            return { callback: created, existing: false };
+        });
+
+        if (!callback) {
+            callbackLog.warn('No callback slot available', { vac_id, department: destination.id });
+            return {
+                success: false,
+                error: 'No callback slots available',
+                agent_message: messages.translate('responses.callback_unavailable', { lang: language }),
+                language
+            };
+        }
+
+        if (!existing) {
+            callbackLog.info('Callback booked', { vac_id, department: destination.id, slot_start: callback.slot_start });
+            await createMemo({
+                vac_id: customer.vac_id,
+                memo_type: 'callback_request',
+                details: `Callback from ${destination.name} booked for ${callback.slot_start}`
+                    + (notes ? ` - ${notes}` : '')
+            });
+        }
+
+        return {
+            success: true,
+            already_scheduled: existing,
+            ...callbackResponse(callback),
+            department_name: destination.name,
+            agent_message: messages.translate(existing ? 'responses.callback_existing' : 'responses.callback_booked', {
+                lang: language,
+                vars: {
+                    department: destination.name,
+                    time: speakableTime(callback.slot_start, language),
+                    last4: String(callback.phone).replace(/\D/g, '').slice(-4)
+                }
+            }),
+            language
+        };
+
+    } catch (error) {
+        callbackLog.error('Callback booking failed', { vac_id, error });
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * Upcoming callbacks for agents, earliest first. Includes slots that started
+ * within the last slot length so in-progress ones still show.
+ */
+async function listCallbacks({ department, status, from, to } = {}) {
+    const statuses = status ? String(status).split(',').map(s => s.trim()) : CALLBACK_STATUSES;
+    if (statuses.some(s => !CALLBACK_STATUSES.includes(s))) {
+        return { success: false, error: `status must be one of: ${CALLBACK_STATUSES.join(', ')}` };
+    }
+
+    const fromDate = from ? new Date(from) : new Date(Date.now() - CALLBACK_SLOT_MINUTES * 60000);
+    const toDate = to ? new Date(to) : null;
+    if (isNaN(fromDate.getTime()) || (toDate && isNaN(toDate.getTime()))) {
+        return { success: false, error: 'from and to must be ISO date-times' };
+    }
+
+    try {
+        const callbacks = await callbackStore.list({
+            department: department ? normalizeDepartment(department) : undefined,
+            statuses,
+            from: fromDate,
+            to: toDate
+        });
+        return { success: true, count: callbacks.length, callbacks: callbacks.map(callbackResponse) };
+
+    } catch (error) {
+        callbackLog.error('Callback list failed', { error });
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * Claim a scheduled callback for an agent. Fails if someone else got it first.
+ */
+async function claimCallback(id, agent) {
+    if (!/^\d+$/.test(String(id))) {
+        return { success: false, error: 'A numeric callback id is required' };
+    }
+    if (!agent) {
+        return { success: false, error: 'agent is required' };
+    }
+
+    try {
+        const result = await callbackStore.claim(Number(id), String(agent));
+        if (!result) {
+            return { success: false, error: 'Callback not found' };
+        }
+        if (!result.claimed) {
+            return {
+                success: false,
+                error: `Callback already ${result.callback.status}${result.callback.claimed_by ? ` by ${result.callback.claimed_by}` : ''}`,
+                callback: callbackResponse(result.callback)
+            };
+        }
+
+        callbackLog.info('Callback claimed', { callback_id: id, agent });
+        return { success: true, callback: callbackResponse(result.callback) };
+
+    } catch (error) {
+        callbackLog.error('Callback claim failed', { callback_id: id, error });
+        return { success: false, error: error.message };
+    }
+}
+
+// =============================================================================
+// SELF-SERVICE SCHEDULING
+// =============================================================================
+// Customers who need to reschedule or confirm, and phone-scheduling packages
+// ready to schedule, pick a travel date with the agent instead of waiting for
+// a transfer. Open arrival dates per destination and length of stay come from
+// the TRAVEL_INVENTORY table, which the reservations team maintains.
+
+// Rules any package can schedule from
+const RESCHEDULE_RULES = ['scheduled_must_reschedule', 'scheduled_can_confirm'];
+// Rules phone-scheduling packages can schedule from (online packages use their scheduling URL)
+const PHONE_SCHEDULING_RULES = ['ready_to_schedule', 'deposit_needed'];
+
+// Soonest bookable travel date, in days from today
+const SCHEDULING_LEAD_DAYS = parseInt(process.env.SCHEDULING_LEAD_DAYS, 10) || 30;
+// Ranges read out to the caller - the response lists them all
+const MAX_SPOKEN_RANGES = 3;
+
+const DAY_MS = 24 * 3600 * 1000;
+
+// Today as YYYY-MM-DD in the schedule's timezone
+function calendarToday() {
+    return new Intl.DateTimeFormat('en-CA', {
+        timeZone: businessSchedule.timezone,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit'
+    }).format(new Date());
+}
+
+function addDays(isoDate, days) {
+    return new Date(Date.parse(`${isoDate}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+function isCalendarDate(value) {
+    return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) && addDays(value, 0) === value;
+}
+
+// "November 17" / "17 de noviembre"
+function speakableDate(isoDate, language) {
+    return new Intl.DateTimeFormat(language === 'es' ? 'es-MX' : 'en-US', {
+        timeZone: 'UTC',
+        month: 'long',
+        day: 'numeric'
+    }).format(new Date(`${isoDate}T00:00:00Z`));
+}
+
+// "from November 17 to December 15 or on January 5"
+function speakableRanges(ranges, language) {
+    const phrases = ranges.slice(0, MAX_SPOKEN_RANGES).map(range => messages.translate(
+        range.start_date === range.end_date ? 'responses.scheduling_single_day' : 'responses.scheduling_range',
+        {
+            lang: language,
+            vars: { start: speakableDate(range.start_date, language), end: speakableDate(range.end_date, language) }
+        }
+    ));
+    return joinList(phrases, messages.translate('responses.list_or', { lang: language }));
+}
+
+function canSelfSchedule(statusInfo) {
+    return RESCHEDULE_RULES.includes(statusInfo.rule)
+        || (statusInfo.isPhoneScheduling && PHONE_SCHEDULING_RULES.includes(statusInfo.rule));
+}
+
+/**
+ * Open arrival date ranges for a package on or after `earliest`, merged
+ * where inventory rows overlap or touch. Dates are YYYY-MM-DD.
+ */
+async function findOpenTravelRanges(packageInfo, earliest) {
+    const rows = await queryCaspioTable(CASPIO_CONFIG.tables.travel_inventory, [
+        ['destination', '=', packageInfo.destination],
+        ['nights', '=', packageInfo.nights],
+        ['end_date', '>=', earliest]
+    ], { orderBy: 'start_date' });
+
+    const ranges = [];
+    for (const row of rows) {
+        const start = String(row.start_date).slice(0, 10);
+        const end = String(row.end_date).slice(0, 10);
+        const from = start < earliest ? earliest : start;
+        if (from > end) continue;
+
+        const last = ranges[ranges.length - 1];
+        if (last && from <= addDays(last.end_date, 1)) {
+            if (end > last.end_date) last.end_date = end;
+        } else {
+            ranges.push({ start_date: from, end_date: end });
+        }
+    }
+    return ranges;
+}
+
+/**
+ * Customer, package, status and open ranges for a scheduling request, or
+ * { response } when the request stops here (not found, not verified, not
+ * eligible, no package details)
+ */
+async function loadSchedulingContext({ vac_id, lang, session_token }) {
+    if (!isValidVacId(vac_id)) {
+        return { response: { success: false, error: 'A numeric vac_id is required' } };
+    }
+
+    const results = await findCustomersByVacId(vac_id);
+    if (!results || results.length === 0) {
+        return { response: { success: false, error: 'Customer not found' } };
+    }
+    if (verifiedRecords(results, session_token).length === 0) {
+        schedulingLog.info('Caller not verified', { vac_id });
+        return { response: { success: false, ...verificationRequiredResponse(results, lang, { byVacId: true }) } };
+    }
+
+    const customer = results[0];
+    const packageInfo = await getPackageFromDestsel(customer.pkg_code2);
+    const language = resolveLanguage(lang, customer);
+    const statusInfo = determineStatus(customer, packageInfo, { lang: language });
+
+    if (!canSelfSchedule(statusInfo)) {
+        return {
+            response: {
+                success: false,
+                eligible: false,
+                error: `Travel dates can't be scheduled by phone for status: ${statusInfo.status}`,
+                status: statusInfo.status,
+                agent_message: messages.translate('responses.scheduling_not_eligible', {
+                    lang: language,
+                    variant: statusInfo.facts.scheduling_mode,
+                    vars: { scheduling_url: statusInfo.schedulingUrl }
+                }),
+                language
+            }
+        };
+    }
+
+    if (!packageInfo || !packageInfo.destination || !packageInfo.nights) {
+        schedulingLog.warn('Package has no destination or nights', { vac_id, pkg_code2: customer.pkg_code2 });
+        return { response: { success: false, error: 'No destination and length of stay for this package' } };
+    }
+
+    const earliest = addDays(calendarToday(), SCHEDULING_LEAD_DAYS);
+    const ranges = await findOpenTravelRanges(packageInfo, earliest);
+
+    return { customer, packageInfo, language, statusInfo, earliest, ranges };
+}
+
+/**
+ * Open travel date ranges for a customer's package
+ */
+async function getSchedulingAvailability({ vac_id, lang, session_token } = {}) {
+    try {
+        const context = await loadSchedulingContext({ vac_id, lang, session_token });
+        if (context.response) return context.response;
+
+        const { customer, packageInfo, language, statusInfo, earliest, ranges } = context;
+        const vars = {
+            destination: packageInfo.destination,
+            nights: packageInfo.nights,
+            ranges: speakableRanges(ranges, language),
+            remaining: formatAmount(statusInfo.deposits.remaining || 0)
+        };
+
+        schedulingLog.info('Availability checked', { vac_id, ranges: ranges.length });
+
+        return {
+            success: true,
+            eligible: true,
+            vac_id: customer.vac_id,
+            status: statusInfo.status,
+            destination: packageInfo.destination,
+            nights: packageInfo.nights,
+            current_travel_date: customer.asgn_trv_dt || null,
+            deposits_complete: statusInfo.deposits.complete,
+            earliest_date: earliest,
+            ranges,
+            agent_message: ranges.length > 0
+                ? messages.translate('responses.scheduling_availability', {
+                    lang: language,
+                    variant: statusInfo.deposits.complete ? 'other' : 'deposits_due',
+                    vars
+                })
+                : messages.translate('responses.scheduling_no_availability', { lang: language, vars }),
+            language
+        };
+
+    } catch (error) {
+        schedulingLog.error('Availability lookup failed', { vac_id, error });
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * Book a travel date: checks the deposits are complete and the date is open,
+ * then writes asgn_trv_dt with conf_valid_code CONFIRM and logs a memo
+ */
+async function bookTravelDate({ vac_id, travel_date, lang, session_token } = {}) {
+    if (!isCalendarDate(travel_date)) {
+        return { success: false, error: 'travel_date must be a date (YYYY-MM-DD)' };
+    }
+
+    try {
+        const context = await loadSchedulingContext({ vac_id, lang, session_token });
+        if (context.response) return context.response;
+
+        const { customer, packageInfo, language, statusInfo, ranges } = context;
+
+        if (!statusInfo.deposits.complete) {
+            return {
+                success: false,
+                error: 'Deposits must be complete before a travel date is booked',
+                deposits: statusInfo.deposits,
+                agent_message: messages.translate('responses.scheduling_deposits_due', {
+                    lang: language,
+                    vars: { remaining: formatAmount(statusInfo.deposits.remaining || 0) }
+                }),
+                language
+            };
+        }
+
+        if (!ranges.some(range => range.start_date <= travel_date && travel_date <= range.end_date)) {
+            return {
+                success: false,
+                error: 'travel_date is not available',
+                ranges,
+                agent_message: messages.translate(ranges.length > 0
+                    ? 'responses.scheduling_date_unavailable'
+                    : 'responses.scheduling_no_availability', {
+                    lang: language,
+                    vars: {
+                        date: speakableDate(travel_date, language),
+                        destination: packageInfo.destination,
+                        ranges: speakableRanges(ranges, language)
+                    }
+                }),
+                language
+            };
+        }
+
+        const previousDate = customer.asgn_trv_dt ? String(customer.asgn_trv_dt).slice(0, 10) : null;
+        const updated = await updateCaspioRecords(CASPIO_CONFIG.tables.rims_data, ['vac_id', '=', customer.vac_id], {
+            asgn_trv_dt: `${travel_date}T00:00:00`,
+            conf_valid_code: 'CONFIRM'
+        });
+        if (updated.length === 0) {
+            throw new Error(`vac_id ${customer.vac_id} not found in RIMS_DATA`);
+        }
+        invalidateRimsCache({ vac_id: customer.vac_id });
+
+        schedulingLog.info('Travel date booked', { vac_id, travel_date, previous_travel_date: previousDate });
+
+        const memo = await createMemo({
+            vac_id: customer.vac_id,
+            memo_type: 'travel_scheduled',
+            details: `Travel date booked by phone for ${travel_date}`
+                + (previousDate ? ` (was ${previousDate})` : '')
+                + `, ${packageInfo.nights} nights in ${packageInfo.destination}; dates confirmed`
+        });
+
+        return {
+            success: true,
+            vac_id: customer.vac_id,
+            travel_date,
+            previous_travel_date: previousDate,
+            conf_valid_code: 'CONFIRM',
+            destination: packageInfo.destination,
+            nights: packageInfo.nights,
+            memo_id: memo.success ? memo.memo_id : null,
+            agent_message: messages.translate('responses.scheduling_booked', {
+                lang: language,
+                vars: { destination: packageInfo.destination, date: speakableDate(travel_date, language) }
+            }),
+            language
+        };
+
+    } catch (error) {
+        schedulingLog.error('Travel date booking failed', { vac_id, travel_date, error });
+        return { success: false, error: error.message };
+    }
+}
+
+// =============================================================================
+// REFUNDS
+// =============================================================================
+// Where a customer's refund stands, from the REFUNDS table or, when it has no
+// row yet, RIMS_DATA cash_back_amt. Stages and processing times come from
+// config/refunds.json (lib/refunds.js). Unverified callers only hear the
+// stage; amounts and dates need a verified session. An inquiry on a refund
+// past SLA is escalated to the refunds team once.
+
+const refundPolicy = loadRefundPolicy();
+
+const missingRefundMessages = Object.keys(refundPolicy.stages)
+    .filter(stage => !messages.hasMessage(`refunds.stage.${stage}`) || !messages.hasMessage(`refunds.details.${stage}`));
+if (missingRefundMessages.length > 0) {
+    throw new Error(`Refund stages without messages: ${missingRefundMessages.join(', ')}`);
+}
+
+/**
+ * Most recent refund for a customer, or null when there is none
+ */
+async function findRefund(customer) {
+    const [row] = await queryCaspioTable(CASPIO_CONFIG.tables.refunds, ['vac_id', '=', customer.vac_id], {
+        orderBy: 'requested_on DESC',
+        limit: 1
+    });
+
+    if (row) {
+        return {
+            id: row.PK_ID,
+            source: 'refunds',
+            amount: row.amount !== null && row.amount !== undefined ? row.amount : customer.cash_back_amt || 0,
+            stage: row.stage,
+            requested_on: row.requested_on,
+            issued_on: row.issued_on,
+            escalated_on: row.escalated_on || null
+        };
+    }
+
+    if (customer.cash_back_amt > 0 && !customer.Fnl_Doc_MO_Date) {
+        return { id: null, source: 'rims_data', amount: customer.cash_back_amt, stage: null, escalated_on: null };
+    }
+    return null;
+}
+
+/**
+ * Customer, refund and timeline for a refund request, or { response } when
+ * the request stops here
+ */
+async function loadRefundContext({ vac_id, lang, session_token }) {
+    if (!isValidVacId(vac_id)) {
+        return { response: { found: false, error: 'A numeric vac_id is required' } };
+    }
+
+    const results = await findCustomersByVacId(vac_id);
+    if (!results || results.length === 0) {
+        return { response: { found: false, error: 'Customer not found' } };
+    }
+
+    const customer = results[0];
+    const language = resolveLanguage(lang, customer);
+    const refund = await findRefund(customer);
+    if (!refund) {
+        return {
+            response: {
+                found: false,
+                error: 'No refund on this account',
+                agent_message: messages.translate('refunds.none', { lang: language }),
+                language
+            }
+        };
+    }
+
+    return {
+        customer,
+        language,
+        refund,
+        timeline: refundTimeline(refundPolicy, refund, calendarToday()),
+        verified: verifiedRecords(results, session_token).length > 0
+    };
+}
+
+/**
+ * Spoken refund update: stage only, or with amounts and dates when verified
+ */
+function refundMessage({ refund, timeline, language, verified }) {
+    if (!verified) {
+        return [
+            messages.translate(`refunds.stage.${timeline.stage}`, { lang: language }),
+            messages.translate('refunds.verify_for_details', { lang: language })
+        ].join(' ');
+    }
+
+    const dated = timeline.final ? timeline.issued_on : timeline.requested_on;
+    let variant = dated ? 'other' : 'undated';
+    if (dated && !timeline.final && timeline.expected_by < calendarToday()) variant = 'overdue';
+
+    const details = messages.translate(`refunds.details.${timeline.stage}`, {
+        lang: language,
+        variant,
+        vars: {
+            amount: formatAmount(refund.amount),
+            requested_on: timeline.requested_on ? speakableDate(timeline.requested_on, language) : '',
+            issued_on: timeline.issued_on ? speakableDate(timeline.issued_on, language) : '',
+            expected_from: timeline.expected_from ? speakableDate(timeline.expected_from, language) : '',
+            expected_by: timeline.expected_by ? speakableDate(timeline.expected_by, language) : ''
+        }
+    });
+    return timeline.past_sla
+        ? `${details} ${messages.translate('refunds.past_sla', { lang: language })}`
+        : details;
+}
+
+function refundDetails(refund, timeline) {
+    return {
+        amount: refund.amount,
+        ...timeline,
+        escalated_on: refund.escalated_on,
+        source: refund.source
+    };
+}
+
+/**
+ * Refund amount, dates, expected window and stage for a customer
+ */
+async function getRefundStatus({ vac_id, lang, session_token } = {}) {
+    try {
+        const context = await loadRefundContext({ vac_id, lang, session_token });
+        if (context.response) return context.response;
+
+        const { customer, language, refund, timeline, verified } = context;
+        refundLog.info('Refund status', { vac_id, stage: timeline.stage, past_sla: timeline.past_sla, verified });
+
+        if (!verified) {
+            return {
+                found: true,
+                verified: false,
+                verification_required: true,
+                stage: timeline.stage,
+                stage_label: timeline.stage_label,
+                verification_methods: verificationMethods([customer], { byVacId: true }),
+                min_factors: MIN_VERIFICATION_FACTORS,
+                agent_message: refundMessage(context),
+                language
+            };
+        }
+
+        return {
+            found: true,
+            verified: true,
+            vac_id: customer.vac_id,
+            refund: refundDetails(refund, timeline),
+            agent_message: refundMessage(context),
+            language
+        };
+
+    } catch (error) {
+        refundLog.error('Refund lookup failed', { vac_id, error });
+        return { found: false, error: error.message };
+    }
+}
+
+/**
+ * Flag an overdue refund to the refunds team. Returns false when it was
+ * already escalated.
+ */
+async function escalateRefund(customer, refund, timeline, notes) {
+    const escalatedOn = new Date().toISOString();
+
+    if (refund.id !== null) {
+        // Only the first inquiry to get here escalates
+        const updated = await updateCaspioRecords(
+            CASPIO_CONFIG.tables.refunds,
+            [['PK_ID', '=', refund.id], ['escalated_on', 'IS NULL']],
+            { escalated_on: escalatedOn },
+            { idempotent: false }
+        );
+        if (updated.length === 0) return false;
+    }
+
+    const summary = `Refund of ${formatAmount(refund.amount)} requested ${timeline.requested_on} is `
+        + `${timeline.days_past_sla} days past the ${refundPolicy.sla_days}-day SLA (stage: ${timeline.stage_label})`;
+
+    await createMemo({
+        vac_id: customer.vac_id,
+        memo_type: 'refund_escalation',
+        details: summary + (notes ? ` - ${notes}` : '')
+    });
+
+    if (refundPolicy.escalation_email) {
+        await notifier.send({
+            channel: 'email',
+            to: refundPolicy.escalation_email,
+            subject: `Overdue refund - vac_id ${customer.vac_id}`,
+            body: `${fullNameOf(customer)} (vac_id ${customer.vac_id}) called about their refund. ${summary}.`
+                + (notes ? `\n\nNotes: ${notes}` : ''),
+            meta: { vac_id: customer.vac_id, refund_id: refund.id }
+        }).catch(error => refundLog.error('Escalation email failed', { vac_id: customer.vac_id, error }));
+    }
+
+    refundLog.warn('Refund escalated', { vac_id: customer.vac_id, days_past_sla: timeline.days_past_sla });
+    return true;
+}
+
+/**
+ * Record a caller's refund follow-up as a memo, and escalate the refund if it
+ * is past SLA
+ */
+async function recordRefundInquiry({ vac_id, notes, lang, session_token } = {}) {
+    try {
+        const context = await loadRefundContext({ vac_id, lang, session_token });
+        if (context.response) return context.response;
+
+        const { customer, language, refund, timeline, verified } = context;
+
+        const memo = await createMemo({
+            vac_id: customer.vac_id,
+            memo_type: 'refund_question',
+            details: `Refund inquiry - stage ${timeline.stage_label}`
+                + (timeline.past_sla ? `, ${timeline.days_past_sla} days past SLA` : '')
+                + (notes ? ` - ${notes}` : '')
+        });
+
+        const escalated = timeline.past_sla && !refund.escalated_on
+            ? await escalateRefund(customer, refund, timeline, notes)
+            : false;
+
+        // Escalated earlier, or by another inquiry while this one was running
+        const alreadyEscalated = timeline.past_sla && !escalated;
+
+        refundLog.info('Refund inquiry', { vac_id, stage: timeline.stage, past_sla: timeline.past_sla, escalated });
+
+        const followUp = messages.translate(timeline.past_sla
+            ? 'refunds.inquiry_escalated'
+            : 'refunds.inquiry_recorded', { lang: language });
+
+        return {
+            success: true,
+            found: true,
+            verified,
+            memo_id: memo.success ? memo.memo_id : null,
+            past_sla: timeline.past_sla,
+            escalated,
+            already_escalated: alreadyEscalated,
+            ...(verified
+                ? { refund: refundDetails(refund, timeline) }
+                : { stage: timeline.stage, stage_label: timeline.stage_label }),
+            agent_message: `${refundMessage(context)} ${followUp}`,
+            language
+        };
+
+    } catch (error) {
+        refundLog.error('Refund inquiry failed', { vac_id, error });
+        return { success: false, error: error.message };
+    }
+}
+
+// =============================================================================
+// CALL ANALYTICS
+// =============================================================================
+// Every status lookup - found or not, multiple records, resulting status,
+// scheduling mode, business hours and latency - is recorded to a local SQLite
+// database (lib/analytics-store.js) for the report routes.
+// ANALYTICS_ENABLED=false turns recording and reports off.
+
+const analyticsStore = process.env.ANALYTICS_ENABLED === 'false'
+    ? null
+    : createAnalyticsStore({ file: process.env.ANALYTICS_DB_FILE || undefined });
+
+// Default report window
+const REPORT_DEFAULT_DAYS = 30;
+
+// Counted whether or not analytics recording is on
+const statusLookupsTotal = metrics.counter(
+    'status_lookups_total',
+    'Status lookups by source and outcome',
+    ['source', 'found', 'status']
+);
+
+function schedulingModeOf(result) {
+    if (result.is_online_scheduling) return 'online';
+    if (result.is_phone_scheduling) return 'phone';
+    return result.is_online_scheduling === false ? 'other' : null;
+}
+
+/**
+ * Analytics fields for a status response (/api or /v2 shape)
+ */
+function lookupOutcome(result) {
+    const found = result.found !== false;
+    // Several packages on one phone have no single package or status yet
+    const pkgCode = !result.multiple_records && result.customer ? result.customer.pkg_code2 : null;
+    const isBusinessHours = result.is_business_hours !== undefined
+        ? result.is_business_hours
+        : (result.business_hours || businessHoursFields()).is_business_hours;
+
+    return {
+        found,
+        multiple: Boolean(result.multiple_records),
+        record_count: result.record_count || (found ? 1 : 0),
+        status: result.status || null,
+        scheduling_mode: schedulingModeOf(result),
+        pkg_code2: pkgCode ? String(pkgCode).toUpperCase() : null,
+        is_business_hours: isBusinessHours,
+        language: result.language || null
+    };
+}
+
+// /v2 answers not found and unverified callers with an ApiError
+function lookupErrorOutcome(error) {
+    const outcome = { found: false, multiple: false, record_count: 0, status: 'error' };
+    if (error instanceof ApiError && error.code === 'not_found') {
+        outcome.status = 'unknown';
+    } else if (error instanceof ApiError && error.code === 'verification_required') {
+        Object.assign(outcome, { found: true, record_count: error.details.record_count, status: 'verification_required' });
+    }
+    return { ...outcome, is_business_hours: businessHoursFields().is_business_hours };
+}
+
+/**
+ * Run a status lookup and record its outcome. A recording failure is logged
+ * and never affects the response.
+ * meta: { source: 'api' | 'retell' | 'v2', lookup: 'phone' | 'vac_id' }
+ */
+async function trackLookup(meta, run) {
+    const started = Date.now();
+    let result;
+    let failure = null;
+    try {
+        result = await run();
+    } catch (error) {
+        failure = error;
+    }
+
+    const outcome = failure ? lookupErrorOutcome(failure) : lookupOutcome(result);
+    statusLookupsTotal.inc({ source: meta.source, found: outcome.found, status: outcome.status || 'none' });
+
+    if (analyticsStore) {
+        try {
+            analyticsStore.record({ ...meta, ...outcome, latency_ms: Date.now() - started });
+        } catch (error) {
+            analyticsLog.error('Could not record lookup', { error });
+        }
+    }
+
+    if (failure) throw failure;
+    return result;
+}
+
+// 2026-10-01 -> start of that day (UTC); full date-times as given
+function parseReportDate(value, { endOfDay = false } = {}) {
+    if (/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+        const date = new Date(`${value}T00:00:00.000Z`);
+        if (endOfDay) date.setUTCDate(date.getUTCDate() + 1);
+        return date;
+    }
+    return new Date(value);
+}
+
+/**
+ * Report filters from the query string. from/to default to the last
+ * REPORT_DEFAULT_DAYS days; a date-only `to` includes that whole day.
+ */
+function reportFilter(query) {
+    const to = query.to ? parseReportDate(query.to, { endOfDay: true }) : new Date();
+    const from = query.from ? parseReportDate(query.from) : new Date(to.getTime() - REPORT_DEFAULT_DAYS * 24 * 3600 * 1000);
+
+    if (isNaN(from.getTime()) || isNaN(to.getTime())) {
+        return { error: 'from and to must be dates (YYYY-MM-DD) or ISO date-times' };
+    }
+    if (from >= to) {
+        return { error: 'from must be before to' };
+    }
+
+    return {
+        filter: {
+            from: from.toISOString(),
+            to: to.toISOString(),
+            source: query.source || null,
+            status: query.status || null,
+            scheduling_mode: query.scheduling_mode || null,
+            pkg_code2: query.pkg_code2 ? String(query.pkg_code2).toUpperCase() : null
+        }
+    };
+}
+
+/**
+ * Run a report and send it as JSON, or its rows as CSV with format=csv
+ */
+function sendReport(req, res, name, build, columns) {
+    if (!analyticsStore) {
+        return res.json({ success: false, error: 'Analytics is disabled' });
+    }
+
+    const { filter, error } = reportFilter(req.query);
+    if (error) {
+        return res.json({ success: false, error });
+    }
+
+    try {
+        const report = build(filter);
+
+        if (req.query.format === 'csv') {
+            const filename = `${name}-${filter.from.slice(0, 10)}-${filter.to.slice(0, 10)}.csv`;
+            res.set('Content-Disposition', `attachment; filename="${filename}"`);
+            return res.type('text/csv').send(toCsv(report.rows, columns));
+        }
+
+        return res.json({ success: true, report: name, filter, ...report });
+
+    } catch (err) {
+        analyticsLog.error('Report failed', { report: name, error: err });
+        return res.json({ success: false, error: err.message });
+    }
+}
+
+// =============================================================================
+// CALLER VERIFICATION
+// =============================================================================
+// Caller ID can be spoofed, so status responses only disclose account details
+// for records the caller has verified (lib/verification.js). Verifying returns
+// a session_token the agent passes back on later status calls.
+// REQUIRE_CALLER_VERIFICATION=false turns the gate off.
+
+const REQUIRE_VERIFICATION = process.env.REQUIRE_CALLER_VERIFICATION !== 'false';
+
+// Knowledge factors needed when the caller is not using a one-time code
+const MIN_VERIFICATION_FACTORS = parseInt(process.env.VERIFICATION_MIN_FACTORS, 10) || 2;
+
+// How long an emailed one-time code stays valid
+const VERIFICATION_CODE_TTL_MS = parseInt(process.env.VERIFICATION_CODE_TTL_MS, 10) || 10 * 60 * 1000;
+
+const verifier = createVerifier({
+    otpTtlMs: VERIFICATION_CODE_TTL_MS,
+    sessionTtlMs: parseInt(process.env.VERIFICATION_SESSION_TTL_MS, 10) || 15 * 60 * 1000,
+    maxAttempts: parseInt(process.env.VERIFICATION_MAX_ATTEMPTS, 10) || 5,
+    lockoutMs: parseInt(process.env.VERIFICATION_LOCKOUT_MS, 10) || 15 * 60 * 1000
+});
+
+function sessionTokenFrom(req) {
+    return req.get('x-session-token') || req.query.session_token || (req.body && req.body.session_token) || null;
+}
+
+/**
+ * The records a verified session may see (all of them when the gate is off)
+ */
+function verifiedRecords(records, sessionToken) {
+    if (!REQUIRE_VERIFICATION) return records;
+
+    const session = verifier.getSession(sessionToken);
+    if (!session) return [];
+    return records.filter(r => session.vac_ids.includes(String(r.vac_id)));
+}
+
+/**
+ * Ways the caller can verify. byVacId: the caller identified with their
+ * vac_id, so its last four digits prove nothing.
+ */
+function verificationMethods(records, { byVacId = false } = {}) {
+    return [
+        'last_name',
+        ...(byVacId ? [] : ['vac_id_last4']),
+        ...(ZIP_FIELD ? ['zip'] : []),
+        ...(records.some(r => r.email) ? ['otp'] : [])
+    ];
+}
+
+/**
+ * Minimal greeting payload for an unverified caller - confirms we found an
+ * account without disclosing anything from it
+ */
+function verificationRequiredResponse(records, lang, { byVacId = false } = {}) {
+    const language = resolveLanguage(lang, records[0]);
+    return {
+        found: true,
+        verified: false,
+        verification_required: true,
+        status: 'verification_required',
+        status_label: 'Verification Required',
+        record_count: records.length,
+        verification_methods: verificationMethods(records, { byVacId }),
+        min_factors: MIN_VERIFICATION_FACTORS,
+        agent_message: messages.translate('responses.verification_required', {
+            lang: language,
+            variant: byVacId ? 'vac_id' : 'other'
+        }),
+        language,
+        ...businessHoursFields()
+    };
+}
+
+/**
+ * Gate for requests keyed by a vac_id the caller supplied. Returns null when
+ * the session may see the account, else the response to send instead.
+ */
+async function vacIdAccessDenied(vac_id, session_token, lang) {
+    if (!REQUIRE_VERIFICATION) return null;
+
+    const records = await findCustomersByVacId(vac_id);
+    if (records.length === 0) {
+        return { success: false, found: false, error: 'Customer not found' };
+    }
+    if (verifiedRecords(records, session_token).length > 0) return null;
+
+    verifyLog.info('Caller not verified', { vac_id });
+    return { success: false, ...verificationRequiredResponse(records, lang, { byVacId: true }) };
+}
+
+async function findVerificationCandidates({ phone, vac_id }) {
+    if (vac_id !== undefined && vac_id !== null && vac_id !== '') {
+        return isValidVacId(vac_id) ? findCustomersByVacId(vac_id) : [];
+    }
+    return findCustomersByPhone(phone);
+}
+
+// Lockout applies to the caller's number and the account they are trying
+function verificationKeys({ phone, vac_id }) {
+    const keys = [];
+    if (vac_id) keys.push(`vac_id:${vac_id}`);
+    if (phone) keys.push(`phone:${cleanPhone(phone)}`);
+    return keys;
+}
+
+// Most recent record with an email - the one-time code goes there
+function codeRecipient(records) {
+    return [...records]
+        .sort((a, b) => new Date(b.val_entered_on || 0) - new Date(a.val_entered_on || 0))
+        .find(r => r.email) || null;
+}
+
+function lockedResponse(seconds, language) {
+    return {
+        verified: false,
+        locked: true,
+        retry_after_seconds: seconds,
+        agent_message: messages.translate('responses.verification_locked', { lang: language })
+    };
+}
+
+/**
+ * Email a one-time code to the address on file for a phone or vac_id
+ */
+async function sendVerificationCode({ phone, vac_id, lang }) {
+    if (!phone && !vac_id) {
+        return { success: false, error: 'phone or vac_id is required' };
+    }
+
+    const keys = verificationKeys({ phone, vac_id });
+    const language = resolveLanguage(lang);
+
+    const locked = verifier.lockedFor(keys);
+    if (locked > 0) {
+        return { success: false, ...lockedResponse(locked, language) };
+    }
+
+    try {
+        const records = await findVerificationCandidates({ phone, vac_id });
+        const recipient = codeRecipient(records);
+
+        if (!recipient) {
+            verifyLog.info('No email on file for code', { phone, vac_id });
+            return {
+                success: false,
+                error: 'No email on file',
+                agent_message: messages.translate('responses.verification_no_email', { lang: language })
+            };
+        }
+
+        const { code, expires_at } = verifier.issueCode(keys[0]);
+        const recipientLanguage = resolveLanguage(lang, recipient);
+
+        await notifier.send({
+            channel: 'email',
+            to: recipient.email,
+            subject: messages.translate('notifications.verification_code_subject', { lang: recipientLanguage }),
+            body: messages.translate('notifications.verification_code', {
+                lang: recipientLanguage,
+                vars: { code, minutes: Math.round(VERIFICATION_CODE_TTL_MS / 60000) }
+            }),
+            meta: { vac_id: recipient.vac_id }
+        });
+
+        verifyLog.info('Verification code sent', { vac_id: recipient.vac_id });
+
+        return {
+            success: true,
+            sent_to: maskEmail(recipient.email),
+            expires_at,
+            agent_message: messages.translate('responses.verification_code_sent', { lang: recipientLanguage })
+        };
+
+    } catch (error) {
+        verifyLog.error('Sending verification code failed', { phone, vac_id, error });
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * Check knowledge factors or a one-time code and open a verified session.
+ * Body: { phone | vac_id, last_name?, zip?, vac_id_last4?, otp?, lang? }
+ */
+async function verifyCaller(input = {}) {
+    const { phone, vac_id, otp, lang } = input;
+
+    if (!phone && !vac_id) {
+        return { verified: false, error: 'phone or vac_id is required' };
+    }
+
+    const keys = verificationKeys({ phone, vac_id });
+    const language = resolveLanguage(lang);
+
+    const locked = verifier.lockedFor(keys);
+    if (locked > 0) {
+        verifyLog.warn('Verification attempt while locked', { phone, vac_id });
+        return lockedResponse(locked, language);
+    }
+
+    // A caller who gave their vac_id already knows its last four digits
+    const usableFactors = vac_id ? KNOWLEDGE_FACTORS.filter(name => name !== 'vac_id_last4') : KNOWLEDGE_FACTORS;
+    const factors = pickFactors(input);
+    if (vac_id) delete factors.vac_id_last4;
+
+    if (!otp && Object.keys(factors).length < MIN_VERIFICATION_FACTORS) {
+        return {
+            verified: false,
+            error: `Provide a one-time code or at least ${MIN_VERIFICATION_FACTORS} of: ${usableFactors.join(', ')}`,
+            agent_message: messages.translate('responses.verification_more_factors', {
+                lang: language,
+                variant: vac_id ? 'vac_id' : 'other'
+            })
+        };
+    }
+
+    try {
+        const records = await findVerificationCandidates({ phone, vac_id });
+
+        let matched = [];
+        let method;
+        if (otp) {
+            method = 'otp';
+            const recipient = codeRecipient(records);
+            if (recipient && verifier.checkCode(keys[0], otp)) {
+                const email = recipient.email.toLowerCase();
+                matched = records.filter(r => (r.email || '').toLowerCase() === email);
+            }
+        } else {
+            method = Object.keys(factors).join('+');
+            matched = records.filter(r => matchFactors(r, factors, { zipField: ZIP_FIELD }));
+        }
+
+        if (matched.length === 0) {
+            const attemptsRemaining = verifier.recordFailure(keys);
+            verifyLog.warn('Verification failed', { phone, vac_id, method, attempts_remaining: attemptsRemaining });
+
+            if (attemptsRemaining === 0) {
+                return lockedResponse(verifier.lockedFor(keys), language);
+            }
+            return {
+                verified: false,
+                attempts_remaining: attemptsRemaining,
+                agent_message: messages.translate('responses.verification_failed', { lang: language })
+            };
+        }
+
+        verifier.clearFailures(keys);
+        const session = verifier.createSession({
+            phone: phone ? cleanPhone(phone) : null,
+            vac_ids: matched.map(r => r.vac_id),
+            method
+        });
+
+        verifyLog.info('Caller verified', { vac_ids: session.vac_ids, method });
+
+        return {
+            verified: true,
+            session_token: session.token,
+            expires_at: session.expires_at,
+            vac_ids: matched.map(r => r.vac_id),
+            method,
+            agent_message: messages.translate('responses.verified', { lang: resolveLanguage(lang, matched[0]) })
+        };
+
+    } catch (error) {
+        verifyLog.error('Verification failed', { phone, vac_id, error });
+        return { verified: false, error: error.message };
+    }
+}
+
+// =============================================================================
+// AUTHENTICATION
+// =============================================================================
+// Every /api and /v2 route needs an API key; /health, /retell and /webhooks
+// (signed) and /v2/openapi.json do not, and /metrics only needs METRICS_TOKEN
+// when one is set. Both share one rate-limit window.
+
+const apiAccess = [
+    authenticate(parseApiKeys(process.env.API_KEYS)),
+    rateLimit({
+        windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS, 10) || 60 * 1000,
+        max: parseInt(process.env.RATE_LIMIT_MAX, 10) || 120
+    })
+];
+
+app.use('/api', apiAccess);
+
+// =============================================================================
+// ENDPOINTS
+// =============================================================================
+
+/**
+ * GET /health
+ * Health check endpoint
+ */
+app.get('/health', (req, res) => {
+    res.json({
+        status: 'healthy',
+        timestamp: new Date().toISOString(),
+        service: 'best-agent-api',
+        version: APP_VERSION,
+        cache: {
+            destsel: destselCache.stats(),
+            rims: rimsCache.stats()
+        },
+        caspio: caspio.stats(),
+        verification: verifier.stats(),
+        notifications: notificationScheduler.stats()
+    });
+});
+
+// Each readiness check gives up after this long
+const READINESS_TIMEOUT_MS = parseInt(process.env.READINESS_TIMEOUT_MS, 10) || 3000;
+
+/**
+ * Run one readiness check with a timeout.
+ * Returns { ok, latency_ms, error? }
+ */
+async function readinessCheck(name, check) {
+    const started = Date.now();
+    let timer;
+    try {
+        await Promise.race([
+            check(),
+            new Promise((resolve, reject) => {
+                timer = setTimeout(() => reject(new Error(`timed out after ${READINESS_TIMEOUT_MS}ms`)), READINESS_TIMEOUT_MS);
+            })
+        ]);
+        return { ok: true, latency_ms: Date.now() - started };
+    } catch (error) {
+        serverLog.warn('Readiness check failed', { check: name, error });
+        return { ok: false, latency_ms: Date.now() - started, error: error.message };
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+/**
+ * GET /health/ready
+ * Deep readiness check - a Caspio token can be acquired and destsel answers
+ * a one-row query (uncached). 200 when ready, 503 otherwise.
+ */
+app.get('/health/ready', async (req, res) => {
+    const token = await readinessCheck('caspio_token', () => caspio.getToken());
+    const destsel = token.ok
+        ? await readinessCheck('destsel_query', () => queryCaspioTable(
+            CASPIO_CONFIG.tables.destsel,
+            null,
+            { select: ['pkgcode2'], limit: 1 }
+        ))
+        : { ok: false, error: 'skipped: no Caspio token' };
+
+    const ready = token.ok && destsel.ok;
+    res.status(ready ? 200 : 503).json({
+        status: ready ? 'ready' : 'not_ready',
+        timestamp: new Date().toISOString(),
+        service: 'best-agent-api',
+        version: APP_VERSION,
+        checks: {
+            caspio_token: token,
+            destsel_query: destsel
+        },
+        circuit: caspio.stats().circuit
+    });
+});
+
+/**
+ * GET /metrics
+ * Prometheus metrics - requests by route and status code, Caspio latency,
+ * errors and token refreshes, status lookup outcomes.
+ * Needs METRICS_TOKEN (Bearer) when it is set.
+ */
+app.get('/metrics', requireToken(process.env.METRICS_TOKEN), (req, res) => {
+    res.type('text/plain; version=0.0.4').send(metrics.render());
+});
+
+/**
+ * GET /api/customer/status
+ * Main caller ID status lookup endpoint
+ * Uses caller's phone number to look up customer and return full status.
+ * Unverified callers get a minimal greeting payload - pass the session_token
+ * from /api/customer/verify (query or x-session-token header).
+ * include_all=true computes the status of every package when there are several.
+ */
+app.get('/api/customer/status', requireScope('read-status'), async (req, res) => {
+    res.json(await trackLookup({ source: 'api', lookup: 'phone' }, () => getStatusByPhone(req.query.phone, {
+        lang: req.query.lang,
+        session_token: sessionTokenFrom(req),
+        include_all: req.query.include_all === 'true'
+    })));
+});
+
+/**
+ * POST /api/customer/match-record
+ * Match the caller's spoken answer to one of their packages
+ * Body: { phone, answer, lang? }
+ */
+app.post('/api/customer/match-record', requireScope('read-status'), async (req, res) => {
+    res.json(await matchRecordAnswer({ ...req.body, session_token: sessionTokenFrom(req) }));
+});
+
+/**
+ * POST /api/customer/status-by-id
+ * Get status for a specific customer by vac_id and pkg_code2
+ * Used after verifying which package customer is calling about
+ */
+app.post('/api/customer/status-by-id', requireScope('read-status'), async (req, res) => {
+    res.json(await trackLookup({ source: 'api', lookup: 'vac_id' }, () => (
+        getStatusById({ ...req.body, session_token: sessionTokenFrom(req) })
+    )));
+});
+
+/**
+ * POST /api/customer/verify
+ * Verify the caller with knowledge factors or a one-time code
+ * Body: { phone | vac_id, last_name?, zip?, vac_id_last4?, otp?, lang? }
+ */
+app.post('/api/customer/verify', requireScope('read-status'), async (req, res) => {
+    res.json(await verifyCaller(req.body));
+});
+
+/**
+ * POST /api/customer/verify/send-code
+ * Email a one-time verification code to the address on file
+ * Body: { phone | vac_id, lang? }
+ */
+app.post('/api/customer/verify/send-code', requireScope('read-status'), async (req, res) => {
+    res.json(await sendVerificationCode(req.body));
+});
+
+/**
+ * POST /api/rims/phone-lookup
+ * Look up customer by phone number (compatible with existing flows)
+ */
+app.post('/api/rims/phone-lookup', requireScope('read-status'), async (req, res) => {
+    res.json(await lookupPhone(req.body.phone_number, { session_token: sessionTokenFrom(req) }));
+});
+
+/**
+ * POST /api/rims/customer-status
+ * Get customer status by vac_id and pkg_code2
+ */
+app.post('/api/rims/customer-status', requireScope('read-status'), async (req, res) => {
+    const { vac_id, pkg_code2, phone_number, lang } = req.body;
+    const sessionToken = sessionTokenFrom(req);
+
+    if (!vac_id && !phone_number) {
+        return res.json({ found: false, error: 'vac_id or phone_number required' });
+    }
+
+    statusLog.info('Customer status lookup', { vac_id, pkg_code2, phone: phone_number });
+
+    try {
+        const results = vac_id
+            ? await findCustomersByVacId(vac_id)
+            : await findCustomersByPhone(phone_number);
+
+        if (!results || results.length === 0) {
+            return res.json({ found: false, message: 'Customer not found' });
+        }
+
+        const visible = verifiedRecords(results, sessionToken);
+        if (visible.length === 0) {
+            return res.json(verificationRequiredResponse(results, lang, { byVacId: Boolean(vac_id) }));
+        }
+
+        const payload = await buildCustomerStatus(sortByMostRecent(visible)[0], { lang, pkg_code2 });
+
+        // details.deposits kept for existing flows
+        return res.json({
+            found: true,
+            ...payload,
+            details: { deposits: payload.deposits },
+            ...businessHoursFields()
+        });
+
+    } catch (error) {
+        statusLog.error('Customer status failed', { vac_id, error });
+        return res.json({ found: false, error: error.message });
+    }
+});
+
+/**
+ * POST /api/status/evaluate
+ * Dry-run the status rules against a raw RIMS_DATA record
+ * Body: { customer, package?, version?, lang? }
+ * `package` is a raw destsel row; when omitted it is looked up by pkg_code2.
+ * `version` tests a rule set other than the active one.
+ */
+app.post('/api/status/evaluate', requireScope('admin'), async (req, res) => {
+    const { customer, package: rawPackage, version, lang } = req.body;
+
+    if (!customer || typeof customer !== 'object') {
+        return res.json({ success: false, error: 'customer record is required' });
+    }
+
+    let ruleSet = activeRuleSet;
+    if (version && version !== activeRuleSet.version) {
+        try {
+            ruleSet = loadStatusRules(version);
+        } catch (error) {
+            return res.json({
+                success: false,
+                error: `Could not load rule set ${version}: ${error.message}`,
+                available_versions: listRuleSetVersions()
+            });
+        }
+    }
+
+    try {
+        const packageInfo = rawPackage
+            ? toPackageInfo({ pkgcode2: customer.pkg_code2 || '', ...rawPackage })
+            : await getPackageFromDestsel(customer.pkg_code2);
+
+        const statusInfo = determineStatus(customer, packageInfo, {
+            ruleSet,
+            lang: resolveLanguage(lang, customer)
+        });
+
+        return res.json({
+            success: true,
+            rules_version: statusInfo.rulesVersion,
+            active_version: activeRuleSet.version,
+            rule: statusInfo.rule,
+            status: statusInfo.status,
+            status_label: statusInfo.statusLabel,
+            agent_message: statusInfo.agentMessage,
+            deposits: statusInfo.deposits,
+            facts: statusInfo.facts,
+            trace: statusInfo.trace
+        });
+
+    } catch (error) {
+        adminLog.error('Status evaluation failed', { error });
+        return res.json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * GET /api/hours
+ * Business hours schedule and current open/closed state per department
+ */
+app.get('/api/hours', requireScope('read-status'), (req, res) => {
+    // Holiday dates are business-local - late evening in the US is already
+    // tomorrow in UTC
+    const now = new Date();
+    const today = calendarToday();
+
+    res.json({
+        timezone: businessSchedule.timezone,
+        departments: Object.fromEntries(
+            Object.entries(businessSchedule.departments).map(([key, dept]) => [key, {
+                name: dept.name || key,
+                weekly: dept.weekly
+            }])
+        ),
+        upcoming_holidays: businessSchedule.holidays.filter(h => h.date >= today),
+        upcoming_special_hours: businessSchedule.special_hours.filter(s => s.date >= today),
+        current: businessHours.getHoursStatus(businessSchedule, now),
+        timestamp: now.toISOString()
+    });
+});
+
+/**
+ * GET /api/packages
+ * Package catalog - scheduling channel and URL, deposits and display name
+ * per package from destsel and config/packages.json
+ * Query: scheduling_channel? (online | phone | other)
+ */
+app.get('/api/packages', requireScope('read-status'), async (req, res) => {
+    res.json(await listPackages(req.query));
+});
+
+/**
+ * GET /api/packages/:code
+ * One package from the catalog
+ */
+app.get('/api/packages/:code', requireScope('read-status'), async (req, res) => {
+    res.json(await getCatalogPackage(req.params.code));
+});
+
+/**
+ * POST /api/memos/create
+ * Create a memo in the customer's account
+ */
+app.post('/api/memos/create', requireScope('write-memos'), async (req, res) => {
+    res.json(await createMemo(req.body));
+});
+
+/**
+ * GET /api/memos
+ * List prior memos for a customer, most recent first (verified callers only)
+ * Query: vac_id, lang?, session_token?
+ */
+app.get('/api/memos', requireScope('read-memos'), async (req, res) => {
+    res.json(await listMemos({ ...req.query, session_token: sessionTokenFrom(req) }));
+});
+
+/**
+ * POST /api/deposits/payment-link
+ * Create a payment link for the outstanding deposit and send it to the customer (verified callers only)
+ * Body: { vac_id, channel?: 'sms' | 'email', lang?, session_token? }
+ */
+app.post('/api/deposits/payment-link', requireScope('payments'), async (req, res) => {
+    res.json(await createDepositPaymentLink({ ...req.body, session_token: sessionTokenFrom(req) }));
+});
+
+/**
+ * GET /api/deposits/status
+ * Deposit status and payment links for a customer (verified callers only)
+ * Query: vac_id, lang?, session_token?
+ */
+app.get('/api/deposits/status', requireScope('read-status'), async (req, res) => {
+    res.json(await getDepositPaymentStatus({ ...req.query, session_token: sessionTokenFrom(req) }));
+});
+
+/**
+ * POST /webhooks/payments
+ * Payment provider webhook - marks the link paid and writes the deposit back
+ * to RIMS_DATA. Authenticated by the provider's signature, not an API key.
+ */
+app.post('/webhooks/payments', async (req, res) => {
+    const verification = paymentProvider.parseWebhook(req.rawBody || '', req.headers);
+
+    if (!verification.valid) {
+        paymentLog.warn('Rejected webhook', { reason: verification.reason });
+        return res.status(401).json({ error: 'Invalid signature' });
+    }
+
+    if (verification.ignored) {
+        paymentLog.info('Webhook event ignored', { type: verification.ignored });
+        return res.json({ received: true, ignored: verification.ignored });
+    }
+
+    try {
+        const { httpStatus, body } = await applyPaymentEvent(verification.event);
+        return res.status(httpStatus).json(body);
+    } catch (error) {
+        // A non-2xx makes the provider redeliver
+        paymentLog.error('Webhook failed', { link_id: verification.event.link_id, error });
+        return res.status(500).json({ error: 'Payment could not be processed' });
+    }
+});
+
+/**
+ * POST /api/transfer/route
+ * Transfer destination (number / SIP URI and department) for a caller, from
+ * their status or an explicitly requested department. After hours the
+ * response offers a callback instead and a memo is logged. vac_id is only
+ * looked up for a verified session.
+ * Body: { vac_id? | status?, scheduling_mode?, pkg_code2?, department?, lang?, session_token? }
+ */
+app.post('/api/transfer/route', requireScope('read-status'), async (req, res) => {
+    res.json(await routeTransfer({ ...req.body, session_token: sessionTokenFrom(req) }));
+});
+
+/**
+ * POST /api/callbacks
+ * Book a callback in the department's next open slot with room
+ * Body: { vac_id, department?, phone?, preferred_at?, notes?, lang?, session_token? }
+ */
+app.post('/api/callbacks', requireScope('callbacks'), async (req, res) => {
+    res.json(await bookCallback({ ...req.body, session_token: sessionTokenFrom(req) }));
+});
+
+/**
+ * GET /api/callbacks
+ * Upcoming callbacks for agents, earliest first
+ * Query: department?, status? (scheduled,claimed), from?, to?
+ */
+app.get('/api/callbacks', requireScope('callbacks'), async (req, res) => {
+    res.json(await listCallbacks(req.query));
+});
+
+/**
+ * POST /api/callbacks/:id/claim
+ * Claim a scheduled callback
+ * Body: { agent }
+ */
+app.post('/api/callbacks/:id/claim', requireScope('callbacks'), async (req, res) => {
+    res.json(await claimCallback(req.params.id, req.body.agent));
+});
+
+/**
+ * GET /api/scheduling/availability
+ * Open travel date ranges for a customer who can schedule by phone
+ * Query: vac_id, lang?, session_token?
+ */
+app.get('/api/scheduling/availability', requireScope('read-status'), async (req, res) => {
+    res.json(await getSchedulingAvailability({ ...req.query, session_token: sessionTokenFrom(req) }));
+});
+
+/**
+ * POST /api/scheduling/book
+ * Book and confirm a travel date once the deposits are complete
+ * Body: { vac_id, travel_date: 'YYYY-MM-DD', lang?, session_token? }
+ */
+app.post('/api/scheduling/book', requireScope('scheduling'), async (req, res) => {
+    res.json(await bookTravelDate({ ...req.body, session_token: sessionTokenFrom(req) }));
+});
+
+/**
+ * GET /api/refunds/:vac_id
+ * Refund stage, plus amount, dates and expected window for verified callers
+ * Query: lang?, session_token?
+ */
+app.get('/api/refunds/:vac_id', requireScope('read-status'), async (req, res) => {
+    res.json(await getRefundStatus({ ...req.query, vac_id: req.params.vac_id, session_token: sessionTokenFrom(req) }));
+});
+
+/**
+ * POST /api/refunds/:vac_id/inquiry
+ * Record a refund follow-up call; escalates a refund that is past SLA
+ * Body: { notes?, lang?, session_token? }
+ */
+app.post('/api/refunds/:vac_id/inquiry', requireScope('write-memos'), async (req, res) => {
+    res.json(await recordRefundInquiry({ ...req.body, vac_id: req.params.vac_id, session_token: sessionTokenFrom(req) }));
+});
+
+/**
+ * GET /api/reports/status-distribution
+ * Status lookups per resulting status and scheduling mode
+ * Query: from?, to?, source?, status?, scheduling_mode?, pkg_code2?, format? ('csv')
+ */
+app.get('/api/reports/status-distribution', requireScope('reports'), (req, res) => {
+    sendReport(req, res, 'status-distribution', filter => analyticsStore.statusDistribution(filter),
+        ['status', 'scheduling_mode', 'count', 'percent', 'avg_latency_ms']);
+});
+
+/**
+ * GET /api/reports/not-found-rate
+ * Share of status lookups that found no customer, per day
+ * Query: from?, to?, source?, format? ('csv')
+ */
+app.get('/api/reports/not-found-rate', requireScope('reports'), (req, res) => {
+    sendReport(req, res, 'not-found-rate', filter => analyticsStore.notFoundRate(filter),
+        ['day', 'total', 'not_found', 'errors', 'not_found_percent']);
+});
+
+/**
+ * GET /api/reports/by-package
+ * Status lookups per package code, scheduling mode and status, e.g.
+ * ?status=Deposit Needed&scheduling_mode=online
+ * Query: from?, to?, source?, status?, scheduling_mode?, pkg_code2?, format? ('csv')
+ */
+app.get('/api/reports/by-package', requireScope('reports'), (req, res) => {
+    sendReport(req, res, 'by-package', filter => analyticsStore.byPackage(filter),
+        ['pkg_code2', 'scheduling_mode', 'status', 'count', 'percent']);
+});
+
+/**
+ * GET /api/notifications/dry-run
+ * Scan every record and report the status changes and notifications the next
+ * run would send, without sending anything or saving state
+ */
+app.get('/api/notifications/dry-run', requireScope('notifications'), async (req, res) => {
+    try {
+        res.json(await notificationScheduler.run({ dryRun: true }));
+    } catch (error) {
+        notificationLog.error('Dry run failed', { error });
+        res.json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * POST /api/notifications/run
+ * Run the notification scan now instead of waiting for the schedule
+ */
+app.post('/api/notifications/run', requireScope('admin'), async (req, res) => {
+    try {
+        res.json(await notificationScheduler.run());
+    } catch (error) {
+        notificationLog.error('Run failed', { error });
+        res.json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * POST /api/notifications/opt-out
+ * Stop proactive notifications for a phone, email and/or vac_id
+ * Body: { phone?, email?, vac_id?, channels?: ['sms' | 'email' | 'call'], lang? }
+ */
+app.post('/api/notifications/opt-out', requireScope('notifications'), async (req, res) => {
+    const { phone, email, vac_id, channels, lang } = req.body;
+    res.json(await setNotificationOptOut({ phone, email, vac_id, channels, lang, source: req.client ? req.client.name : 'api' }));
+});
+
+/**
+ * POST /api/notifications/opt-in
+ * Remove an opt-out
+ * Body: { phone?, email?, vac_id?, lang? }
+ */
+app.post('/api/notifications/opt-in', requireScope('notifications'), async (req, res) => {
+    const { phone, email, vac_id, lang } = req.body;
+    res.json(await setNotificationOptOut({ phone, email, vac_id, lang, opt_out: false }));
+});
+
+/**
+ * GET /api/notifications/opt-outs
+ * Every recorded opt-out
+ */
+app.get('/api/notifications/opt-outs', requireScope('notifications'), (req, res) => {
+    const optOuts = notificationStore.listOptOuts();
+    res.json({ success: true, count: optOuts.length, opt_outs: optOuts });
+});
+
+// =============================================================================
+// RETELL FUNCTION WEBHOOK
+// =============================================================================
+
+// Retell custom function name -> handler(args, call)
+// Lookups default to the caller's number from the call metadata; functions that
+// verify, send or change something always use it - args can't name another phone
+const RETELL_FUNCTIONS = {
+    get_customer_status: (args, call) => trackLookup({ source: 'retell', lookup: 'phone' }, () => (
+        getStatusByPhone(args.phone || call.from_number, {
+            lang: args.lang,
+            session_token: args.session_token,
+            include_all: args.include_all === true || args.include_all === 'true'
+        })
+    )),
+    match_record: (args, call) => matchRecordAnswer({ ...args, phone: call.from_number }),
+    get_status_by_id: (args) => trackLookup({ source: 'retell', lookup: 'vac_id' }, () => getStatusById(args)),
+    phone_lookup: (args, call) => lookupPhone(args.phone_number || call.from_number, { session_token: args.session_token }),
+    verify_caller: (args, call) => verifyCaller({ ...args, phone: call.from_number }),
+    send_verification_code: (args, call) => sendVerificationCode({ ...args, phone: call.from_number }),
+    create_memo: (args) => createMemo(args),
+    get_memos: (args) => listMemos(args),
+    send_payment_link: (args) => createDepositPaymentLink(args),
+    route_transfer: (args) => routeTransfer(args),
+    schedule_callback: (args, call) => bookCallback({ ...args, phone: call.from_number }),
+    get_travel_availability: (args) => getSchedulingAvailability(args),
+    book_travel_date: (args) => bookTravelDate(args),
+    get_refund_status: (args) => getRefundStatus(args),
+    record_refund_inquiry: (args) => recordRefundInquiry(args),
+    opt_out_notifications: (args, call) => setNotificationOptOut({ ...args, phone: call.from_number, source: 'call' })
+};
+
+// Per caller, so one caller can't spray verification attempts or texts
+const retellRateLimit = rateLimit({
+    windowMs: parseInt(process.env.RETELL_RATE_LIMIT_WINDOW_MS, 10) || 60 * 1000,
+    max: parseInt(process.env.RETELL_RATE_LIMIT_MAX, 10) || 30,
+    key: req => {
+        const { from_number: from } = parseFunctionCall(req.body).call;
+        return `retell:${typeof from === 'string' && from ? from : req.ip}`;
+    }
+});
+
+/**
+ * POST /retell/functions
+ * Single endpoint for Retell custom function calls
+ * Body: { name, args, call } signed with x-retell-signature
+ */
+app.post('/retell/functions', retellRateLimit, async (req, res) => {
+    const verification = verifySignature(
+        req.rawBody || '',
+        req.get('x-retell-signature'),
+        process.env.RETELL_API_KEY
+    );
+
+    if (!verification.valid) {
+        retellLog.warn('Rejected call', { reason: verification.reason });
+        return res.status(401).json({ error: 'Invalid signature' });
+    }
+
+    const { name, args, call } = parseFunctionCall(req.body);
+    const handler = Object.prototype.hasOwnProperty.call(RETELL_FUNCTIONS, name) ? RETELL_FUNCTIONS[name] : null;
+
+    if (!handler) {
+        retellLog.warn('Unknown function', { function: name });
+        return res.status(400).json({
+            error: `Unknown function: ${name}`,
+            available_functions: Object.keys(RETELL_FUNCTIONS)
+        });
+    }
+
+    retellLog.info('Function call', { function: name, call_id: call.call_id });
+
+    // Retell hands the JSON body to the LLM as the function result, so a
+    // failure still needs something the agent can say
+    try {
+        return res.json(await handler(args, call));
+    } catch (error) {
+        retellLog.error('Function failed', { function: name, call_id: call.call_id, error });
+        return res.json({
+            success: false,
+            status: 'error',
+            agent_message: messages.translate('responses.function_error', { lang: resolveLanguage(args.lang) })
+        });
+    }
+});
+
+/**
+ * POST /api/admin/cache/invalidate
+ * Invalidate cached lookups after data is corrected in Caspio
+ * Body: { cache: 'destsel' | 'rims' | 'all', pkg_code2?, vac_id?, phone? }
+ */
+app.post('/api/admin/cache/invalidate', requireScope('admin'), (req, res) => {
+    const { cache = 'all', pkg_code2, vac_id, phone } = req.body;
+
+    if (!['destsel', 'rims', 'all'].includes(cache)) {
+        return res.json({ success: false, error: "cache must be 'destsel', 'rims' or 'all'" });
+    }
+
+    const removed = {};
+
+    if (cache === 'destsel' || cache === 'all') {
+        removed.destsel = pkg_code2
+            ? (destselCache.delete(String(pkg_code2).toUpperCase()) ? 1 : 0)
+            : destselCache.clear();
+    }
+
+    if (cache === 'rims' || cache === 'all') {
+        removed.rims = invalidateRimsCache({ vac_id, phone });
+    }
+
+    adminLog.info('Cache invalidated', { cache, removed });
+
+    return res.json({ success: true, cache, removed });
+});
+
+// =============================================================================
+// V2 CUSTOMER API
+// =============================================================================
+// Versioned routes with validated input, HTTP status codes for errors and a
+// generated OpenAPI document at /v2/openapi.json. Payloads come from the same
+// response builders as the /api routes.
+
+const V2_SCHEMAS = {
+    CustomerStatus: {
+        type: 'object',
+        properties: {
+            multiple_records: { type: 'boolean', enum: [false] },
+            status: { type: 'string' },
+            status_label: { type: 'string' },
+            agent_message: { type: 'string' },
+            language: { type: 'string' },
+            customer: {
+                type: 'object',
+                properties: {
+                    full_name: { type: 'string' },
+                    first_name: { type: 'string' },
+                    last_name: { type: 'string' },
+                    email: { type: 'string' },
+                    phone: { type: 'string' },
+                    vac_id: { type: 'integer' },
+                    pkg_code2: { type: 'string' },
+                    destination: { type: 'string', nullable: true },
+                    travel_date: { type: 'string', nullable: true },
+                    days_until_travel: { type: 'integer', nullable: true },
+                    travel_rep_name: { type: 'string', nullable: true }
+                }
+            },
+            deposits: {
+                type: 'object',
+                properties: {
+                    status: { type: 'string', enum: ['complete', 'pending'] },
+                    val_dep_paid: { type: 'number' },
+                    conf_deposit_paid: { type: 'number' },
+                    total_paid: { type: 'number' },
+                    refundable_deposit_required: { type: 'number', nullable: true },
+                    tax_deposit_required: { type: 'number', nullable: true },
+                    expected_deposit: { type: 'number', nullable: true },
+                    remaining: { type: 'number', nullable: true },
+                    complete: { type: 'boolean' }
+                }
+            },
+            package: {
+                type: 'object',
+                nullable: true,
+                properties: {
+                    description: { type: 'string' },
+                    display_name: { type: 'string' },
+                    destination: { type: 'string' },
+                    nights: { type: 'integer' },
+                    vacation_type: { type: 'string' },
+                    scheduling_channel: { type: 'string', enum: SCHEDULING_CHANNELS },
+                    scheduling_url: { type: 'string', nullable: true }
+                }
+            },
+            is_online_scheduling: { type: 'boolean' },
+            is_phone_scheduling: { type: 'boolean' },
+            business_hours: { $ref: '#/components/schemas/BusinessHours' }
+        }
+    },
+    MultipleRecords: {
+        type: 'object',
+        properties: {
+            multiple_records: { type: 'boolean', enum: [true] },
+            record_count: { type: 'integer' },
+            status: { type: 'string', enum: ['verification_needed'] },
+            status_label: { type: 'string' },
+            agent_message: { type: 'string' },
+            language: { type: 'string' },
+            customer: { type: 'object' },
+            all_records: { type: 'array', items: { $ref: '#/components/schemas/RecordSummary' } },
+            most_recent: { type: 'object' },
+            business_hours: { $ref: '#/components/schemas/BusinessHours' }
+        }
+    },
+    StatusResult: {
+        oneOf: [
+            { $ref: '#/components/schemas/CustomerStatus' },
+            { $ref: '#/components/schemas/MultipleRecords' }
+        ]
+    },
+    RecordSummary: {
+        type: 'object',
+        properties: {
+            index: { type: 'integer' },
+            vac_id: { type: 'integer' },
+            pkg_code2: { type: 'string' },
+            destination: { type: 'string', nullable: true },
+            full_name: { type: 'string' },
+            val_entered_on: { type: 'string', nullable: true },
+            status: { type: 'string', description: 'Only with include_all' },
+            status_label: { type: 'string', description: 'Only with include_all' },
+            agent_message: { type: 'string', description: 'Only with include_all' },
+            deposits: { type: 'object', description: 'Only with include_all' },
+            travel_date: { type: 'string', nullable: true, description: 'Only with include_all' },
+            days_until_travel: { type: 'integer', nullable: true, description: 'Only with include_all' }
+        }
+    },
+    MatchResult: {
+        type: 'object',
+        description: 'With matched=true the CustomerStatus fields for the matched record are included',
+        properties: {
+            matched: { type: 'boolean' },
+            confidence: { type: 'number', minimum: 0, maximum: 1 },
+            candidates: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    properties: {
+                        vac_id: { type: 'integer' },
+                        pkg_code2: { type: 'string' },
+                        destination: { type: 'string', nullable: true },
+                        score: { type: 'number' },
+                        reasons: { type: 'array', items: { type: 'string' } }
+                    }
+                }
+            },
+            agent_message: { type: 'string' }
+        }
+    },
+    CustomerRecords: {
+        type: 'object',
+        properties: {
+            record_count: { type: 'integer' },
+            records: { type: 'array', items: { $ref: '#/components/schemas/RecordSummary' } }
+        }
+    },
+    BusinessHours: {
+        type: 'object',
+        properties: {
+            is_business_hours: { type: 'boolean' },
+            next_open_at: { type: 'string', nullable: true },
+            departments: { type: 'object' }
+        }
+    },
+    VerificationResult: {
+        type: 'object',
+        properties: {
+            verified: { type: 'boolean' },
+            session_token: { type: 'string' },
+            expires_at: { type: 'string' },
+            vac_ids: { type: 'array', items: { type: 'integer' } },
+            method: { type: 'string' },
+            agent_message: { type: 'string' }
+        }
+    },
+    CodeSent: {
+        type: 'object',
+        properties: {
+            sent_to: { type: 'string' },
+            expires_at: { type: 'string' },
+            agent_message: { type: 'string' }
+        }
+    }
+};
+
+const v2Api = createApiRouter({
+    title: 'Best Agent Customer API',
+    version: APP_VERSION,
+    description: 'Customer status, record lookup and caller verification for the Retell voice agent.',
+    basePath: '/v2',
+    authorize: requireScope,
+    schemas: V2_SCHEMAS,
+    mapError: (error) => {
+        if (error instanceof CaspioQueryError) return new ApiError(400, 'invalid_query', error.message);
+        if (error instanceof CaspioUnavailableError) return new ApiError(503, 'upstream_unavailable', 'Customer records are temporarily unavailable');
+        if (error instanceof CaspioError) return new ApiError(502, 'upstream_error', 'Customer records lookup failed');
+        return null;
+    },
+    onError: (error) => serverLog.error('Unhandled v2 error', { error })
+});
+
+const V2_LANG = { type: 'string', enum: messages.SUPPORTED_LANGUAGES, description: 'Language for agent_message' };
+const V2_PHONE = {
+    type: 'string',
+    pattern: '^[+\\d\\s().-]{7,25}(\\s*([xX#,]|[eE][xX][tT]\\.?)\\s*\\d{1,6})?$',
+    description: 'Caller phone number - E.164, national or with an extension'
+};
+const V2_SESSION = { 'x-session-token': { type: 'string', description: 'session_token from POST /customers/verify' } };
+
+// Business hours under one key rather than spread into the payload
+function v2BusinessHours() {
+    const { is_business_hours, next_open_at, business_hours } = businessHoursFields();
+    return { is_business_hours, next_open_at, departments: business_hours };
+}
+
+function verificationRequiredError(records, lang, options) {
+    const { record_count, verification_methods, min_factors, agent_message } = verificationRequiredResponse(records, lang, options);
+    return new ApiError(403, 'verification_required', 'Caller must be verified first', {
+        record_count,
+        verification_methods,
+        min_factors,
+        agent_message
+    });
+}
+
+const customerNotFound = () => new ApiError(404, 'not_found', 'Customer not found');
+
+v2Api.route({
+    method: 'get',
+    path: '/customers/status',
+    operationId: 'getCustomerStatusByPhone',
+    summary: 'Status for the customer on a phone number',
+    description: 'Returns the full status for a single record, or the list of packages when the phone has several. '
+        + 'With include_all=true every package in the list carries its computed status.',
+    tags: ['status'],
+    scope: 'read-status',
+    query: {
+        phone: { ...V2_PHONE, required: true },
+        lang: V2_LANG,
+        include_all: { type: 'boolean', description: 'Compute the status of every package' }
+    },
+    headers: V2_SESSION,
+    responses: {
+        200: { description: 'Customer status or package list', schema: 'StatusResult' },
+        403: 'Caller not verified',
+        404: 'No customer on this phone'
+    }
+}, ({ query, headers }) => trackLookup({ source: 'v2', lookup: 'phone' }, async () => {
+    const matches = await findCustomersByPhone(query.phone);
+    if (matches.length === 0) throw customerNotFound();
+
+    const customers = sortByMostRecent(verifiedRecords(matches, headers['x-session-token']));
+    if (customers.length === 0) throw verificationRequiredError(matches, query.lang);
+
+    if (customers.length > 1) {
+        const packages = query.include_all ? await getPackagesFromDestsel(customers.map(c => c.pkg_code2)) : undefined;
+        return { ...buildMultipleRecords(customers, { lang: query.lang, packages }), business_hours: v2BusinessHours() };
+    }
+    return {
+        multiple_records: false,
+        ...await buildCustomerStatus(customers[0], { lang: query.lang }),
+        business_hours: v2BusinessHours()
+    };
+}));
+
+v2Api.route({
+    method: 'get',
+    path: '/customers/{vac_id}/status',
+    operationId: 'getCustomerStatusById',
+    summary: 'Status for one customer record',
+    tags: ['status'],
+    scope: 'read-status',
+    params: { vac_id: { type: 'integer', minimum: 1, description: 'Vacation ID' } },
+    query: { lang: V2_LANG },
+    headers: V2_SESSION,
+    responses: {
+        200: { description: 'Customer status', schema: 'CustomerStatus' },
+        403: 'Caller not verified',
+        404: 'Customer not found'
+    }
+}, ({ params, query, headers }) => trackLookup({ source: 'v2', lookup: 'vac_id' }, async () => {
+    const matches = await findCustomersByVacId(params.vac_id);
+    if (matches.length === 0) throw customerNotFound();
+
+    const customers = verifiedRecords(matches, headers['x-session-token']);
+    if (customers.length === 0) throw verificationRequiredError(matches, query.lang, { byVacId: true });
+
+    return {
+        multiple_records: false,
+        ...await buildCustomerStatus(customers[0], { lang: query.lang }),
+        business_hours: v2BusinessHours()
+    };
+}));
+
+v2Api.route({
+    method: 'get',
+    path: '/customers',
+    operationId: 'listCustomerRecords',
+    summary: 'Customer records on a phone number, most recent first',
+    tags: ['lookup'],
+    scope: 'read-status',
+    query: { phone: { ...V2_PHONE, required: true } },
+    headers: V2_SESSION,
+    responses: {
+        200: { description: 'Matching records', schema: 'CustomerRecords' },
+        403: 'Caller not verified',
+        404: 'No customer on this phone'
+    }
+}, async ({ query, headers }) => {
+    const matches = await findCustomersByPhone(query.phone);
+    if (matches.length === 0) throw customerNotFound();
+
+    const customers = sortByMostRecent(verifiedRecords(matches, headers['x-session-token']));
+    if (customers.length === 0) throw verificationRequiredError(matches);
+
+    const { all_records } = buildMultipleRecords(customers);
+    return { record_count: all_records.length, records: all_records };
+});
+
+v2Api.route({
+    method: 'post',
+    path: '/customers/match',
+    operationId: 'matchCustomerRecord',
+    summary: "Match the caller's spoken answer to one of their packages",
+    description: 'Scores each record on package code, vac_id digits, destination, description and position. '
+        + 'A confident match includes the full status of that record.',
+    tags: ['status'],
+    scope: 'read-status',
+    headers: V2_SESSION,
+    body: {
+        phone: { ...V2_PHONE, required: true },
+        answer: { type: 'string', required: true, maxLength: 500, description: 'What the caller said' },
+        lang: V2_LANG
+    },
+    responses: {
+        200: { description: 'Match result', schema: 'MatchResult' },
+        403: 'Caller not verified',
+        404: 'No customer on this phone'
+    }
+}, async ({ body, headers }) => {
+    const matches = await findCustomersByPhone(body.phone);
+    if (matches.length === 0) throw customerNotFound();
+
+    const customers = verifiedRecords(matches, headers['x-session-token']);
+    if (customers.length === 0) throw verificationRequiredError(matches, body.lang);
+
+    const result = await matchAmongRecords(customers, { answer: body.answer, lang: body.lang });
+    return result.matched ? { ...result, business_hours: v2BusinessHours() } : result;
+});
+
+v2Api.route({
+    method: 'post',
+    path: '/customers/verify',
+    operationId: 'verifyCaller',
+    summary: 'Verify the caller and open a session',
+    description: 'Provide a one-time code, or at least the configured number of knowledge factors.',
+    tags: ['verification'],
+    scope: 'read-status',
+    body: {
+        phone: V2_PHONE,
+        vac_id: { type: 'integer', minimum: 1, description: 'Vacation ID (instead of phone)' },
+        last_name: { type: 'string', maxLength: 100 },
+        zip: { type: 'string', pattern: '^\\d{5}(-?\\d{4})?$' },
+        vac_id_last4: { type: 'string', pattern: '^\\d{4}$' },
+        otp: { type: 'string', pattern: '^\\d{4,8}$', description: 'Code from POST /customers/verify/send-code' },
+        lang: V2_LANG
+    },
+    responses: {
+        200: { description: 'Caller verified', schema: 'VerificationResult' },
+        403: 'Details did not match',
+        423: 'Too many failed attempts'
+    }
+}, async ({ body }, req, res) => {
+    if (!body.phone && !body.vac_id) {
+        throw new ApiError(400, 'validation_error', 'Invalid request', [{ in: 'body', field: 'phone', message: 'phone or vac_id is required' }]);
+    }
+
+    const result = await verifyCaller(body);
+
+    if (result.verified) return result;
+    if (result.locked) {
+        res.set('Retry-After', String(result.retry_after_seconds));
+        throw new ApiError(423, 'locked', 'Too many failed attempts', {
+            retry_after_seconds: result.retry_after_seconds,
+            agent_message: result.agent_message
+        });
+    }
+    if (result.attempts_remaining !== undefined) {
+        throw new ApiError(403, 'verification_failed', 'Verification details did not match', {
+            attempts_remaining: result.attempts_remaining,
+            agent_message: result.agent_message
+        });
+    }
+    if (result.agent_message) {
+        throw new ApiError(400, 'more_factors_required', result.error, { agent_message: result.agent_message });
+    }
+    throw new ApiError(502, 'upstream_error', 'Verification lookup failed');
+});
+
+v2Api.route({
+    method: 'post',
+    path: '/customers/verify/send-code',
+    operationId: 'sendVerificationCode',
+    summary: 'Email a one-time verification code to the address on file',
+    tags: ['verification'],
+    scope: 'read-status',
+    body: {
+        phone: V2_PHONE,
+        vac_id: { type: 'integer', minimum: 1, description: 'Vacation ID (instead of phone)' },
+        lang: V2_LANG
+    },
+    responses: {
+        200: { description: 'Code sent', schema: 'CodeSent' },
+        422: 'No email on file',
+        423: 'Too many failed attempts'
+    }
+}, async ({ body }, req, res) => {
+    if (!body.phone && !body.vac_id) {
+        throw new ApiError(400, 'validation_error', 'Invalid request', [{ in: 'body', field: 'phone', message: 'phone or vac_id is required' }]);
+    }
+
+    const result = await sendVerificationCode(body);
+
+    if (result.success) {
+        const { success, ...sent } = result;
+        return sent;
+    }
+    if (result.locked) {
+        res.set('Retry-After', String(result.retry_after_seconds));
+        throw new ApiError(423, 'locked', 'Too many failed attempts', {
+            retry_after_seconds: result.retry_after_seconds,
+            agent_message: result.agent_message
+        });
+    }
+    if (result.agent_message) {
+        throw new ApiError(422, 'no_email', result.error, { agent_message: result.agent_message });
+    }
+    throw new ApiError(502, 'upstream_error', 'Sending the code failed');
+});
+
+/**
+ * GET /v2/openapi.json
+ * OpenAPI document generated from the route declarations above (public)
+ */
+app.get('/v2/openapi.json', (req, res) => {
+    res.json(v2Api.openApiDocument());
+});
+
+app.use('/v2', apiAccess, v2Api.router);
+
+// =============================================================================
+// ERROR HANDLING
+// =============================================================================
+
+app.use((err, req, res, next) => {
+    serverLog.error('Unhandled error', { error: err });
+    res.status(500).json({ error: 'Internal server error' });
+});
+
+// =============================================================================
+// START SERVER
+// =============================================================================
+
+// Only listen when run directly, so the app can be required without a server
+if (require.main === module) {
+    app.listen(PORT, () => {
+        serverLog.info(`Best Agent API running on port ${PORT}`, { port: PORT });
+
+        const missing = messages.findMissingTranslations();
+        if (missing.length > 0) {
+            serverLog.warn('Missing translations (English used)', { missing: missing.map(m => `${m.lang}:${m.key}`) });
+        }
+
+        const notificationIntervalMs = parseInt(process.env.NOTIFICATION_INTERVAL_MS, 10) || 0;
+        if (notificationIntervalMs > 0) {
+            notificationScheduler.start(notificationIntervalMs);
+        }
+
+        if (process.env.DESTSEL_WARM_LOAD === 'true') {
+            warmDestselCache().catch(error => {
+                destselLog.error('Cache warm failed', { error });
+            });
+        }
+    });
+}
+
+module.exports = {
+    app,
+    determineStatus,
+    cleanPhone,
+    daysUntilDate,
+    getPackageFromDestsel,
+    caspio,
+    destselCache,
+    rimsCache
+};
 
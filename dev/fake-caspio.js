@@ -0,0 +1,314 @@
+/**
+ * Fake Caspio - local stand-in for the Caspio REST v2 API
+ *
+ * Supports what the Best Agent API uses:
+ *   POST /oauth/token                               client_credentials grant
+ *   GET  /rest/v2/tables/:table/records             q.where, q.select, q.orderBy,
+ *                                                   q.pageSize, q.pageNumber
+ *   POST /rest/v2/tables/:table/records             insert (response=rows)
+ *   PUT  /rest/v2/tables/:table/records?q.where=    update matching records
+ *
+ * Run standalone against the seed data in dev/fake-caspio-data.json:
+ *   npm run fake-caspio
+ *   CASPIO_BASE_URL=http://localhost:4010 npm start
+ *
+ * Or require it and call createFakeCaspio(tables) for an in-process server.
+ */
+
+const express = require('express');
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_DATA_FILE = path.join(__dirname, 'fake-caspio-data.json');
+const TOKEN_TTL_SECONDS = 86400;
+
+// =============================================================================
+// q.where PARSER
+// =============================================================================
+// Handles the subset the query builder emits: comparisons, LIKE, IN lists,
+// IS [NOT] NULL, AND/OR and parenthesised groups.
+
+function tokenize(input) {
+    const tokens = [];
+    const pattern = /\s*(?:('(?:[^']|'')*')|(-?\d+(?:\.\d+)?)\b|(<=|>=|!=|<>|=|<|>|\(|\)|,)|([A-Za-z_][A-Za-z0-9_]*))/y;
+    let index = 0;
+
+    while (index < input.length) {
+        if (/^\s*$/.test(input.slice(index))) break;
+        pattern.lastIndex = index;
+        const match = pattern.exec(input);
+        if (!match) {
+            throw new Error(`Unexpected input at ${index}: ${input.slice(index, index + 20)}`);
+        }
+        index = pattern.lastIndex;
+
+        if (match[1] !== undefined) {
+            tokens.push({ type: 'value', value: match[1].slice(1, -1).replace(/''/g, "'") });
+        } else if (match[2] !== undefined) {
+            tokens.push({ type: 'value', value: Number(match[2]) });
+        } else if (match[3] !== undefined) {
+            tokens.push({ type: 'symbol', value: match[3] });
+        } else {
+            const word = match[4];
+            const upper = word.toUpperCase();
+            if (['AND', 'OR', 'IN', 'LIKE', 'IS', 'NOT', 'NULL'].includes(upper)) {
+                tokens.push({ type: 'keyword', value: upper });
+            } else {
+                tokens.push({ type: 'field', value: word });
+            }
+        }
+    }
+    return tokens;
+}
+
+function compareValues(actual, expected) {
+    if (typeof expected === 'number') {
+        const number = Number(actual);
+        return number === expected ? 0 : (number < expected ? -1 : 1);
+    }
+    const a = String(actual);
+    return a === expected ? 0 : (a < expected ? -1 : 1);
+}
+
+function likeToRegExp(pattern) {
+    const escaped = pattern.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(`^${escaped.replace(/%/g, '.*').replace(/_/g, '.')}$`, 'i');
+}
+
+/**
+ * Parse a q.where clause into a predicate over records
+ */
+function parseWhere(input) {
+    const tokens = tokenize(input);
+    let position = 0;
+
+    const peek = () => tokens[position];
+    const next = () => tokens[position++];
+    const expect = (type, value) => {
+        const token = next();
+        if (!token || token.type !== type || (value !== undefined && token.value !== value)) {
+            throw new Error(`Expected ${value || type} in q.where`);
+        }
+        return token;
+    };
+
+    function parseComparison() {
+        const token = peek();
+        if (token && token.type === 'symbol' && token.value === '(') {
+            next();
+            const inner = parseOr();
+            expect('symbol', ')');
+            return inner;
+        }
+
+        const field = expect('field').value;
+        const op = next();
+        if (!op) throw new Error('Unexpected end of q.where');
+
+        if (op.type === 'keyword' && op.value === 'IS') {
+            const negate = peek() && peek().value === 'NOT' ? (next(), true) : false;
+            expect('keyword', 'NULL');
+            return record => {
+                const isNull = record[field] === null || record[field] === undefined || record[field] === '';
+                return negate ? !isNull : isNull;
+            };
+        }
+
+        if (op.type === 'keyword' && op.value === 'IN') {
+            expect('symbol', '(');
+            const values = [expect('value').value];
+            while (peek() && peek().value === ',') {
+                next();
+                values.push(expect('value').value);
+            }
+            expect('symbol', ')');
+            return record => record[field] !== null && record[field] !== undefined
+                && values.some(v => compareValues(record[field], v) === 0);
+        }
+
+        if (op.type === 'keyword' && op.value === 'LIKE') {
+            const regexp = likeToRegExp(String(expect('value').value));
+            return record => record[field] !== null && record[field] !== undefined
+                && regexp.test(String(record[field]));
+        }
+
+        if (op.type !== 'symbol') {
+            throw new Error(`Unsupported operator in q.where: ${op.value}`);
+        }
+
+        const expected = expect('value').value;
+        return record => {
+            const actual = record[field];
+            if (actual === null || actual === undefined) return false;
+            const cmp = compareValues(actual, expected);
+            switch (op.value) {
+                case '=': return cmp === 0;
+                case '!=':
+                case '<>': return cmp !== 0;
+                case '<': return cmp < 0;
+                case '<=': return cmp <= 0;
+                case '>': return cmp > 0;
+                case '>=': return cmp >= 0;
+                default: throw new Error(`Unsupported operator in q.where: ${op.value}`);
+            }
+        };
+    }
+
+    function parseAnd() {
+        const parts = [parseComparison()];
+        while (peek() && peek().value === 'AND') {
+            next();
+            parts.push(parseComparison());
+        }
+        return record => parts.every(p => p(record));
+    }
+
+    function parseOr() {
+        const parts = [parseAnd()];
+        while (peek() && peek().value === 'OR') {
+            next();
+            parts.push(parseAnd());
+        }
+        return record => parts.some(p => p(record));
+    }
+
+    const predicate = parseOr();
+    if (position < tokens.length) {
+        throw new Error(`Unexpected token in q.where: ${peek().value}`);
+    }
+    return predicate;
+}
+
+function sortRecords(records, orderBy) {
+    const keys = orderBy.split(',').map(entry => {
+        const [field, direction = 'ASC'] = entry.trim().split(/\s+/);
+        return { field, desc: direction.toUpperCase() === 'DESC' };
+    });
+
+    return [...records].sort((a, b) => {
+        for (const { field, desc } of keys) {
+            const x = a[field];
+            const y = b[field];
+            if (x === y) continue;
+            // Nulls sort first ascending, like SQL Server
+            if (x === null || x === undefined) return desc ? 1 : -1;
+            if (y === null || y === undefined) return desc ? -1 : 1;
+            return (x < y ? -1 : 1) * (desc ? -1 : 1);
+        }
+        return 0;
+    });
+}
+
+// =============================================================================
+// SERVER
+// =============================================================================
+
+/**
+ * Create the fake Caspio express app. `tables` maps table name to an array of
+ * records and is mutated by inserts/updates, so callers can inspect it.
+ */
+function createFakeCaspio(tables = {}, { clientId, clientSecret } = {}) {
+    const app = express();
+    app.use(express.json());
+    app.use(express.urlencoded({ extended: false }));
+
+    const tokens = new Set();
+    const stats = { tokenRequests: 0, queries: 0 };
+    let nextId = 1 + Math.max(0, ...Object.values(tables).flat().map(r => Number(r.PK_ID) || 0));
+
+    app.post('/oauth/token', (req, res) => {
+        stats.tokenRequests++;
+        const { grant_type, client_id, client_secret } = req.body;
+
+        if (grant_type !== 'client_credentials'
+            || (clientId && client_id !== clientId)
+            || (clientSecret && client_secret !== clientSecret)) {
+            return res.status(401).json({ error: 'invalid_client' });
+        }
+
+        const token = `fake-${Date.now()}-${Math.random().toString(36).slice(2)}`;
+        tokens.add(token);
+        return res.json({ access_token: token, token_type: 'bearer', expires_in: TOKEN_TTL_SECONDS });
+    });
+
+    const tablesRouter = express.Router();
+
+    tablesRouter.use((req, res, next) => {
+        const match = (req.get('authorization') || '').match(/^Bearer (.+)$/);
+        if (!match || !tokens.has(match[1])) {
+            return res.status(401).json({ Code: 'InvalidToken', Message: 'Invalid access token' });
+        }
+        next();
+    });
+
+    tablesRouter.use('/:table/records', (req, res, next) => {
+        if (!tables[req.params.table]) {
+            return res.status(404).json({ Code: 'TableNotFound', Message: `Table ${req.params.table} not found` });
+        }
+        try {
+            req.matches = req.query['q.where'] ? parseWhere(req.query['q.where']) : () => true;
+        } catch (error) {
+            return res.status(400).json({ Code: 'SqlServerError', Message: error.message });
+        }
+        next();
+    });
+
+    tablesRouter.get('/:table/records', (req, res) => {
+        stats.queries++;
+        let records = tables[req.params.table].filter(req.matches);
+
+        if (req.query['q.orderBy']) {
+            records = sortRecords(records, req.query['q.orderBy']);
+        }
+
+        const pageSize = Math.min(parseInt(req.query['q.pageSize'], 10) || 100, 1000);
+        const pageNumber = parseInt(req.query['q.pageNumber'], 10) || 1;
+        records = records.slice((pageNumber - 1) * pageSize, pageNumber * pageSize);
+
+        if (req.query['q.select']) {
+            const fields = req.query['q.select'].split(',').map(f => f.trim());
+            records = records.map(r => Object.fromEntries(fields.map(f => [f, r[f] === undefined ? null : r[f]])));
+        }
+
+        res.json({ Result: records });
+    });
+
+    tablesRouter.post('/:table/records', (req, res) => {
+        const record = { PK_ID: nextId++, ...req.body };
+        tables[req.params.table].push(record);
+        res.status(201).json(req.query.response === 'rows' ? { Result: [record] } : {});
+    });
+
+    tablesRouter.put('/:table/records', (req, res) => {
+        if (!req.query['q.where']) {
+            return res.status(400).json({ Code: 'MissingWhere', Message: 'q.where is required for updates' });
+        }
+        const updated = tables[req.params.table].filter(req.matches);
+        updated.forEach(record => Object.assign(record, req.body));
+        res.json(req.query.response === 'rows'
+            ? { RecordsAffected: updated.length, Result: updated }
+            : { RecordsAffected: updated.length });
+    });
+
+    app.use('/rest/v2/tables', tablesRouter);
+    app.locals.stats = stats;
+    app.locals.tables = tables;
+    return app;
+}
+
+function loadSeedData(file = process.env.FAKE_CASPIO_DATA || DEFAULT_DATA_FILE) {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+if (require.main === module) {
+    const port = process.env.FAKE_CASPIO_PORT || 4010;
+    createFakeCaspio(loadSeedData()).listen(port, () => {
+        console.log(`Fake Caspio running on http://localhost:${port}`);
+    });
+}
+
+module.exports = {
+    createFakeCaspio,
+    loadSeedData,
+    parseWhere
+};
@@ -0,0 +1,171 @@
+/**
+ * Call Analytics Store
+ * Every status lookup recorded to a local SQLite database, and the reports
+ * read from it.
+ *
+ * Lookup: { created_at, source, lookup, found, multiple, record_count, status,
+ *           scheduling_mode, pkg_code2, is_business_hours, latency_ms, language }
+ *   source - where the lookup came from (api | retell | v2)
+ *   lookup - what it was keyed on (phone | vac_id)
+ *
+ * Report filters: { from, to, source?, status?, scheduling_mode?, pkg_code2? }
+ * where from/to are ISO date-times (from inclusive, to exclusive). Days in
+ * reports are UTC.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+
+const DEFAULT_DB_FILE = path.join(__dirname, '..', 'data', 'analytics.db');
+
+const SCHEMA = `
+    CREATE TABLE IF NOT EXISTS status_lookups (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        created_at TEXT NOT NULL,
+        source TEXT NOT NULL,
+        lookup TEXT NOT NULL,
+        found INTEGER NOT NULL,
+        multiple INTEGER NOT NULL,
+        record_count INTEGER NOT NULL,
+        status TEXT,
+        scheduling_mode TEXT,
+        pkg_code2 TEXT,
+        is_business_hours INTEGER,
+        latency_ms INTEGER,
+        language TEXT
+    );
+    CREATE INDEX IF NOT EXISTS status_lookups_created_at ON status_lookups (created_at);
+`;
+
+// Filters that match a column exactly
+const EXACT_FILTERS = ['source', 'status', 'scheduling_mode', 'pkg_code2'];
+
+/**
+ * WHERE clause and named parameters for report filters
+ */
+function buildFilter(filter) {
+    const clauses = ['created_at >= @from', 'created_at < @to'];
+    const params = { from: filter.from, to: filter.to };
+
+    for (const field of EXACT_FILTERS) {
+        if (filter[field]) {
+            clauses.push(`${field} = @${field}`);
+            params[field] = filter[field];
+        }
+    }
+    return { where: clauses.join(' AND '), params };
+}
+
+const percent = (count, total) => (total > 0 ? Math.round((count / total) * 1000) / 10 : 0);
+
+function createAnalyticsStore({ file = DEFAULT_DB_FILE } = {}) {
+    let db = null;
+    let insert = null;
+
+    // Opened on first use, so requiring the app doesn't create the file
+    function open() {
+        if (db) return db;
+        if (file !== ':memory:') {
+            fs.mkdirSync(path.dirname(file), { recursive: true });
+        }
+
+        db = new Database(file);
+        db.pragma('journal_mode = WAL');
+        db.exec(SCHEMA);
+        insert = db.prepare(`
+            INSERT INTO status_lookups (created_at, source, lookup, found, multiple, record_count, status,
+                                        scheduling_mode, pkg_code2, is_business_hours, latency_ms, language)
+            VALUES (@created_at, @source, @lookup, @found, @multiple, @record_count, @status,
+                    @scheduling_mode, @pkg_code2, @is_business_hours, @latency_ms, @language)
+        `);
+        return db;
+    }
+
+    return {
+        record(lookup) {
+            open();
+            insert.run({
+                created_at: lookup.created_at || new Date().toISOString(),
+                source: lookup.source,
+                lookup: lookup.lookup,
+                found: lookup.found ? 1 : 0,
+                multiple: lookup.multiple ? 1 : 0,
+                record_count: lookup.record_count || 0,
+                status: lookup.status || null,
+                scheduling_mode: lookup.scheduling_mode || null,
+                pkg_code2: lookup.pkg_code2 || null,
+                is_business_hours: lookup.is_business_hours === null || lookup.is_business_hours === undefined
+                    ? null
+                    : (lookup.is_business_hours ? 1 : 0),
+                latency_ms: lookup.latency_ms === undefined ? null : lookup.latency_ms,
+                language: lookup.language || null
+            });
+        },
+
+        /**
+         * Lookups per resulting status and scheduling mode, most common first
+         */
+        statusDistribution(filter) {
+            const { where, params } = buildFilter(filter);
+            const rows = open().prepare(`
+                SELECT status, scheduling_mode, COUNT(*) AS count, ROUND(AVG(latency_ms)) AS avg_latency_ms
+                FROM status_lookups WHERE ${where}
+                GROUP BY status, scheduling_mode
+                ORDER BY count DESC, status
+            `).all(params);
+
+            const total = rows.reduce((sum, row) => sum + row.count, 0);
+            return { total, rows: rows.map(row => ({ ...row, percent: percent(row.count, total) })) };
+        },
+
+        /**
+         * Lookups that found no customer, per day and overall. Failed lookups
+         * (status 'error') are counted separately.
+         */
+        notFoundRate(filter) {
+            const { where, params } = buildFilter(filter);
+            const rows = open().prepare(`
+                SELECT substr(created_at, 1, 10) AS day,
+                       COUNT(*) AS total,
+                       SUM(CASE WHEN found = 0 AND IFNULL(status, '') != 'error' THEN 1 ELSE 0 END) AS not_found,
+                       SUM(CASE WHEN status = 'error' THEN 1 ELSE 0 END) AS errors
+                FROM status_lookups WHERE ${where}
+                GROUP BY day
+                ORDER BY day
+            `).all(params).map(row => ({ ...row, not_found_percent: percent(row.not_found, row.total) }));
+
+            const total = rows.reduce((sum, row) => sum + row.total, 0);
+            const notFound = rows.reduce((sum, row) => sum + row.not_found, 0);
+            const errors = rows.reduce((sum, row) => sum + row.errors, 0);
+            return { total, not_found: notFound, errors, not_found_percent: percent(notFound, total), rows };
+        },
+
+        /**
+         * Lookups per package code, scheduling mode and status, most common first
+         */
+        byPackage(filter) {
+            const { where, params } = buildFilter(filter);
+            const rows = open().prepare(`
+                SELECT pkg_code2, scheduling_mode, status, COUNT(*) AS count
+                FROM status_lookups WHERE ${where} AND pkg_code2 IS NOT NULL
+                GROUP BY pkg_code2, scheduling_mode, status
+                ORDER BY count DESC, pkg_code2, status
+            `).all(params);
+
+            const total = rows.reduce((sum, row) => sum + row.count, 0);
+            return { total, rows: rows.map(row => ({ ...row, percent: percent(row.count, total) })) };
+        },
+
+        stats: () => ({ lookups: open().prepare('SELECT COUNT(*) AS count FROM status_lookups').get().count }),
+
+        close() {
+            if (db) db.close();
+            db = null;
+        }
+    };
+}
+
+module.exports = {
+    createAnalyticsStore
+};
@@ -0,0 +1,289 @@
+/**
+ * Declarative API Router
+ * Routes are declared with their parameters, scope and responses; the same
+ * declarations drive request validation and the generated OpenAPI document.
+ *
+ *   const api = createApiRouter({ title, version, basePath: '/v2', authorize });
+ *   api.route({
+ *       method: 'get',
+ *       path: '/customers/{vac_id}/status',
+ *       scope: 'read-status',
+ *       params: { vac_id: { type: 'integer', description: 'Vacation ID' } },
+ *       query: { lang: { type: 'string', enum: ['en', 'es'] } },
+ *       responses: { 200: { description: 'Status', schema: 'CustomerStatus' }, 404: 'Customer not found' }
+ *   }, async ({ params, query }, req, res) => ({ ... }));
+ *
+ * Handlers return the response body (200) or throw ApiError for anything else.
+ * Errors are sent as { error: { code, message, details? } }.
+ */
+
+const express = require('express');
+
+class ApiError extends Error {
+    constructor(status, code, message, details = undefined) {
+        super(message);
+        this.name = 'ApiError';
+        this.status = status;
+        this.code = code;
+        this.details = details;
+    }
+}
+
+// =============================================================================
+// VALIDATION
+// =============================================================================
+// Field rules: type (string | integer | number | boolean), required, enum,
+// pattern, minLength, maxLength, minimum, maximum, description
+
+function coerce(value, type) {
+    if (type === 'integer' || type === 'number') {
+        if (typeof value === 'number') return value;
+        if (typeof value !== 'string' || value.trim() === '' || isNaN(Number(value))) return undefined;
+        return Number(value);
+    }
+    if (type === 'boolean') {
+        if (typeof value === 'boolean') return value;
+        if (value === 'true') return true;
+        if (value === 'false') return false;
+        return undefined;
+    }
+    if (typeof value === 'number') return String(value);
+    return typeof value === 'string' ? value : undefined;
+}
+
+function checkField(name, raw, rule) {
+    const value = coerce(raw, rule.type || 'string');
+
+    if (value === undefined) return { error: `must be ${rule.type === 'integer' ? 'an' : 'a'} ${rule.type || 'string'}` };
+    if (rule.type === 'integer' && !Number.isInteger(value)) return { error: 'must be an integer' };
+    if (rule.enum && !rule.enum.includes(value)) return { error: `must be one of: ${rule.enum.join(', ')}` };
+    if (rule.pattern && !new RegExp(rule.pattern).test(value)) return { error: `must match ${rule.pattern}` };
+    if (rule.minLength !== undefined && value.length < rule.minLength) return { error: `must be at least ${rule.minLength} characters` };
+    if (rule.maxLength !== undefined && value.length > rule.maxLength) return { error: `must be at most ${rule.maxLength} characters` };
+    if (rule.minimum !== undefined && value < rule.minimum) return { error: `must be >= ${rule.minimum}` };
+    if (rule.maximum !== undefined && value > rule.maximum) return { error: `must be <= ${rule.maximum}` };
+
+    return { value };
+}
+
+/**
+ * Validate and coerce one request section against its field rules.
+ * Unknown fields are dropped.
+ */
+function validateSection(location, rules = {}, source = {}, { allRequired = false } = {}) {
+    const values = {};
+    const errors = [];
+
+    for (const [name, rule] of Object.entries(rules)) {
+        const raw = source[name];
+        if (raw === undefined || raw === null || raw === '') {
+            if (allRequired || rule.required) {
+                errors.push({ in: location, field: name, message: 'is required' });
+            }
+            continue;
+        }
+
+        const result = checkField(name, raw, rule);
+        if (result.error) {
+            errors.push({ in: location, field: name, message: result.error });
+        } else {
+            values[name] = result.value;
+        }
+    }
+
+    return { values, errors };
+}
+
+function validateRequest(spec, req) {
+    const params = validateSection('path', spec.params, req.params, { allRequired: true });
+    const query = validateSection('query', spec.query, req.query);
+    const headers = validateSection('header', spec.headers, Object.fromEntries(
+        Object.keys(spec.headers || {}).map(name => [name, req.get(name)])
+    ));
+    const body = validateSection('body', spec.body, req.body || {});
+
+    return {
+        errors: [...params.errors, ...query.errors, ...headers.errors, ...body.errors],
+        input: { params: params.values, query: query.values, headers: headers.values, body: body.values }
+    };
+}
+
+// =============================================================================
+// OPENAPI
+// =============================================================================
+
+function fieldSchema(rule) {
+    const schema = { type: rule.type || 'string' };
+    for (const key of ['enum', 'pattern', 'minLength', 'maxLength', 'minimum', 'maximum']) {
+        if (rule[key] !== undefined) schema[key] = rule[key];
+    }
+    return schema;
+}
+
+function parameters(location, rules = {}, allRequired = false) {
+    return Object.entries(rules).map(([name, rule]) => ({
+        name,
+        in: location,
+        required: allRequired || Boolean(rule.required),
+        ...(rule.description ? { description: rule.description } : {}),
+        schema: fieldSchema(rule)
+    }));
+}
+
+function responseObject(response) {
+    const { description, schema } = typeof response === 'string' ? { description: response } : response;
+    const ref = schema || 'Error';
+    return {
+        description,
+        content: { 'application/json': { schema: { $ref: `#/components/schemas/${ref}` } } }
+    };
+}
+
+function operation(spec) {
+    const op = {
+        operationId: spec.operationId,
+        summary: spec.summary,
+        ...(spec.description ? { description: spec.description } : {}),
+        ...(spec.tags ? { tags: spec.tags } : {}),
+        parameters: [
+            ...parameters('path', spec.params, true),
+            ...parameters('query', spec.query),
+            ...parameters('header', spec.headers)
+        ],
+        responses: {}
+    };
+
+    if (spec.body) {
+        const required = Object.entries(spec.body).filter(([, rule]) => rule.required).map(([name]) => name);
+        op.requestBody = {
+            required: true,
+            content: {
+                'application/json': {
+                    schema: {
+                        type: 'object',
+                        properties: Object.fromEntries(Object.entries(spec.body).map(([name, rule]) => [
+                            name,
+                            { ...fieldSchema(rule), ...(rule.description ? { description: rule.description } : {}) }
+                        ])),
+                        ...(required.length > 0 ? { required } : {})
+                    }
+                }
+            }
+        };
+    }
+
+    for (const [status, response] of Object.entries(spec.responses || {})) {
+        op.responses[status] = responseObject(response);
+    }
+    if (spec.params || spec.query || spec.headers || spec.body) {
+        op.responses[400] = op.responses[400] || responseObject('Invalid request');
+    }
+
+    if (spec.public) {
+        op.security = [];
+    } else if (spec.scope) {
+        op['x-required-scope'] = spec.scope;
+    }
+
+    return op;
+}
+
+// =============================================================================
+// ROUTER
+// =============================================================================
+
+/**
+ * Options:
+ *   title, version, description - OpenAPI info
+ *   basePath  - where the router is mounted (OpenAPI server URL)
+ *   authorize - scope => middleware (e.g. requireScope)
+ *   mapError  - error => ApiError | null, for errors thrown by dependencies
+ *   schemas   - OpenAPI component schemas referenced by responses
+ *   onError   - (error, req) => void, for logging unexpected errors
+ */
+function createApiRouter({ title, version, description, basePath = '', authorize, mapError, schemas = {}, onError }) {
+    const router = express.Router();
+    const specs = [];
+
+    function sendError(res, error) {
+        res.status(error.status).json({
+            error: {
+                code: error.code,
+                message: error.message,
+                ...(error.details !== undefined ? { details: error.details } : {})
+            }
+        });
+    }
+
+    function route(spec, handler) {
+        specs.push(spec);
+
+        const expressPath = spec.path.replace(/\{(\w+)\}/g, ':$1');
+        const middleware = spec.scope && !spec.public && authorize ? [authorize(spec.scope)] : [];
+
+        router[spec.method](expressPath, ...middleware, async (req, res) => {
+            const { errors, input } = validateRequest(spec, req);
+            if (errors.length > 0) {
+                return sendError(res, new ApiError(400, 'validation_error', 'Invalid request', errors));
+            }
+
+            try {
+                const body = await handler(input, req, res);
+                if (!res.headersSent) res.json(body);
+            } catch (error) {
+                const apiError = error instanceof ApiError ? error : (mapError && mapError(error));
+                if (apiError) return sendError(res, apiError);
+
+                if (onError) onError(error, req);
+                sendError(res, new ApiError(500, 'internal_error', 'Internal server error'));
+            }
+        });
+    }
+
+    function openApiDocument() {
+        const paths = {};
+        for (const spec of specs) {
+            paths[spec.path] = paths[spec.path] || {};
+            paths[spec.path][spec.method] = operation(spec);
+        }
+
+        return {
+            openapi: '3.0.3',
+            info: { title, version, ...(description ? { description } : {}) },
+            servers: [{ url: basePath }],
+            security: [{ ApiKeyHeader: [] }, { BearerAuth: [] }],
+            paths,
+            components: {
+                securitySchemes: {
+                    ApiKeyHeader: { type: 'apiKey', in: 'header', name: 'x-api-key' },
+                    BearerAuth: { type: 'http', scheme: 'bearer' }
+                },
+                schemas: {
+                    Error: {
+                        type: 'object',
+                        properties: {
+                            error: {
+                                type: 'object',
+                                properties: {
+                                    code: { type: 'string' },
+                                    message: { type: 'string' },
+                                    details: {}
+                                },
+                                required: ['code', 'message']
+                            }
+                        }
+                    },
+                    ...schemas
+                }
+            }
+        };
+    }
+
+    return { router, route, openApiDocument };
+}
+
+module.exports = {
+    ApiError,
+    createApiRouter,
+    validateRequest
+};
@@ -0,0 +1,167 @@
+/**
+ * API key authentication, scopes and rate limiting
+ *
+ * Keys are configured in API_KEYS as comma-separated `name:key:scopes`
+ * entries, with scopes separated by `|`, e.g.
+ *   API_KEYS=retell:abc123:read-status|read-memos|write-memos,ops:def456:*
+ */
+
+const crypto = require('crypto');
+const log = require('./logger').child('auth');
+
+const SCOPES = ['read-status', 'read-memos', 'write-memos', 'payments', 'notifications', 'callbacks', 'scheduling', 'reports', 'admin'];
+
+function parseApiKeys(value) {
+    const keys = [];
+    if (!value) return keys;
+
+    for (const entry of value.split(',')) {
+        const [name, key, scopeList = ''] = entry.trim().split(':');
+        if (!name || !key) {
+            log.warn('Ignoring malformed API_KEYS entry', { key_name: name || '?' });
+            continue;
+        }
+
+        const scopes = scopeList.split('|').map(s => s.trim()).filter(Boolean);
+        const unknown = scopes.filter(s => s !== '*' && !SCOPES.includes(s));
+        if (unknown.length > 0) {
+            log.warn('Unknown scopes for API key', { key_name: name, scopes: unknown });
+        }
+
+        keys.push({ name, key, scopes });
+    }
+    return keys;
+}
+
+function getPresentedKey(req) {
+    const header = req.get('authorization') || '';
+    const match = header.match(/^Bearer\s+(.+)$/i);
+    if (match) return match[1].trim();
+    return req.get('x-api-key') || null;
+}
+
+// Compare hashes so the comparison is constant-time regardless of key length
+function keysMatch(presented, expected) {
+    const a = crypto.createHash('sha256').update(presented).digest();
+    const b = crypto.createHash('sha256').update(expected).digest();
+    return crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Middleware: require a valid API key (Authorization: Bearer or x-api-key)
+ * and attach the client as req.client = { name, scopes }.
+ */
+function authenticate(apiKeys) {
+    if (apiKeys.length === 0) {
+        log.warn('No API_KEYS configured - all /api requests will be rejected');
+    }
+
+    return (req, res, next) => {
+        const presented = getPresentedKey(req);
+        if (!presented) {
+            return res.status(401).json({ error: 'API key required' });
+        }
+
+        const client = apiKeys.find(k => keysMatch(presented, k.key));
+        if (!client) {
+            return res.status(401).json({ error: 'Invalid API key' });
+        }
+
+        req.client = { name: client.name, scopes: client.scopes };
+        next();
+    };
+}
+
+/**
+ * Middleware: require one shared token (Authorization: Bearer or x-api-key),
+ * for endpoints outside the API keys such as /metrics. No token lets every
+ * request through.
+ */
+function requireToken(token) {
+    return (req, res, next) => {
+        if (!token) return next();
+
+        const presented = getPresentedKey(req);
+        if (!presented || !keysMatch(presented, token)) {
+            return res.status(401).json({ error: 'Invalid token' });
+        }
+        next();
+    };
+}
+
+/**
+ * Middleware: require the authenticated client to hold a scope ('*' holds all)
+ */
+function requireScope(scope) {
+    return (req, res, next) => {
+        const scopes = (req.client && req.client.scopes) || [];
+        if (!scopes.includes('*') && !scopes.includes(scope)) {
+            return res.status(403).json({ error: `Missing required scope: ${scope}` });
+        }
+        next();
+    };
+}
+
+const clientKey = req => (req.client ? req.client.name : req.ip);
+
+// Expired windows are swept once this many keys are tracked
+const MAX_TRACKED_WINDOWS = 10000;
+
+/**
+ * Middleware: fixed-window rate limit per authenticated client, or per
+ * `key(req)` when given
+ */
+function rateLimit({ windowMs, max, key = clientKey }) {
+    const windows = new Map();
+
+    return (req, res, next) => {
+        const clientName = key(req);
+        const now = Date.now();
+
+        if (windows.size >= MAX_TRACKED_WINDOWS) {
+            for (const [name, expired] of windows) {
+                if (expired.resetAt <= now) windows.delete(name);
+            }
+        }
+
+        let window = windows.get(clientName);
+        if (!window || window.resetAt <= now) {
+            window = { count: 0, resetAt: now + windowMs };
+            windows.set(clientName, window);
+        }
+        window.count++;
+
+        const remaining = Math.max(0, max - window.count);
+        res.set('RateLimit-Limit', String(max));
+        res.set('RateLimit-Remaining', String(remaining));
+        res.set('RateLimit-Reset', String(Math.ceil((window.resetAt - now) / 1000)));
+
+        if (window.count > max) {
+            res.set('Retry-After', String(Math.ceil((window.resetAt - now) / 1000)));
+            log.warn('Rate limit exceeded', { client: clientName });
+            return res.status(429).json({ error: 'Too many requests' });
+        }
+        next();
+    };
+}
+
+/**
+ * cors() origin option from a comma-separated allowlist. Requests without an
+ * Origin header (server-to-server, Retell) are unaffected by CORS.
+ */
+function corsOrigins(value) {
+    const allowed = (value || '').split(',').map(o => o.trim()).filter(Boolean);
+    return (origin, callback) => {
+        callback(null, !origin || allowed.includes(origin));
+    };
+}
+
+module.exports = {
+    SCOPES,
+    parseApiKeys,
+    authenticate,
+    requireToken,
+    requireScope,
+    rateLimit,
+    corsOrigins
+};
@@ -0,0 +1,210 @@
+/**
+ * Business Hours Calendar
+ * Weekly hours per department, holiday closures and special hours, all in the
+ * schedule's timezone. See config/business-hours.json.
+ *
+ * Holidays and special hours apply to every department unless they list
+ * `departments`.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_SCHEDULE_FILE = path.join(__dirname, '..', 'config', 'business-hours.json');
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+// How far ahead nextOpenAt looks before giving up
+const MAX_LOOKAHEAD_DAYS = 30;
+
+function loadSchedule(file = process.env.BUSINESS_HOURS_FILE || DEFAULT_SCHEDULE_FILE) {
+    const schedule = JSON.parse(fs.readFileSync(file, 'utf8'));
+
+    if (!schedule.timezone || !schedule.departments) {
+        throw new Error(`Business hours config ${file} needs a timezone and departments`);
+    }
+
+    schedule.holidays = schedule.holidays || [];
+    schedule.special_hours = schedule.special_hours || [];
+    return schedule;
+}
+
+// =============================================================================
+// TIMEZONE HELPERS
+// =============================================================================
+
+function toMinutes(hhmm) {
+    const [h, m] = hhmm.split(':').map(Number);
+    return h * 60 + m;
+}
+
+/**
+ * Wall-clock parts of an instant in a timezone
+ */
+function getLocalParts(date, timeZone) {
+    const parts = {};
+    new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit',
+        hourCycle: 'h23'
+    }).formatToParts(date).forEach(p => { parts[p.type] = p.value; });
+
+    return {
+        year: Number(parts.year),
+        month: Number(parts.month),
+        day: Number(parts.day),
+        hour: Number(parts.hour),
+        minute: Number(parts.minute),
+        second: Number(parts.second)
+    };
+}
+
+// Offset (ms) of the timezone from UTC at an instant
+function getOffset(instant, timeZone) {
+    const p = getLocalParts(new Date(instant), timeZone);
+    const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+    return asUtc - Math.floor(instant / 1000) * 1000;
+}
+
+/**
+ * Convert a wall-clock date + minutes-since-midnight in a timezone to a Date
+ */
+function zonedTimeToDate(year, month, day, minutes, timeZone) {
+    const guess = Date.UTC(year, month - 1, day, 0, minutes);
+    const offset = getOffset(guess, timeZone);
+    // Re-check once in case the guess and the answer straddle a DST change
+    const adjusted = getOffset(guess - offset, timeZone);
+    return new Date(guess - adjusted);
+}
+
+function formatDate(year, month, day) {
+    return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+// =============================================================================
+// SCHEDULE LOOKUP
+// =============================================================================
+
+function appliesTo(entry, department) {
+    return !entry.departments || entry.departments.includes(department);
+}
+
+/**
+ * Open intervals ([startMinutes, endMinutes]) for a department on a local date,
+ * plus the holiday/special-hours entry that overrides the weekly hours, if any.
+ */
+function getHoursForDate(schedule, department, year, month, day) {
+    const dept = schedule.departments[department];
+    if (!dept) {
+        throw new Error(`Unknown department: ${department}`);
+    }
+
+    const date = formatDate(year, month, day);
+
+    const holiday = schedule.holidays.find(h => h.date === date && appliesTo(h, department));
+    if (holiday) {
+        return { intervals: [], holiday };
+    }
+
+    const special = schedule.special_hours.find(s => s.date === date && appliesTo(s, department));
+    const weekday = WEEKDAYS[new Date(Date.UTC(year, month - 1, day)).getUTCDay()];
+    const hours = special ? special.hours : (dept.weekly[weekday] || []);
+
+    return {
+        intervals: hours.map(([start, end]) => [toMinutes(start), toMinutes(end)]),
+        special: special || null
+    };
+}
+
+function isOpen(schedule, department, date = new Date()) {
+    const now = getLocalParts(date, schedule.timezone);
+    const minutes = now.hour * 60 + now.minute;
+    const { intervals } = getHoursForDate(schedule, department, now.year, now.month, now.day);
+    return intervals.some(([start, end]) => minutes >= start && minutes < end);
+}
+
+/**
+ * Start of the next open period for a department, or null if it is open now
+ * (or nothing opens within MAX_LOOKAHEAD_DAYS).
+ */
+function nextOpenAt(schedule, department, date = new Date()) {
+    if (isOpen(schedule, department, date)) return null;
+
+    const now = getLocalParts(date, schedule.timezone);
+    const nowMinutes = now.hour * 60 + now.minute;
+
+    for (let offset = 0; offset <= MAX_LOOKAHEAD_DAYS; offset++) {
+        const day = new Date(Date.UTC(now.year, now.month - 1, now.day + offset));
+        const year = day.getUTCFullYear();
+        const month = day.getUTCMonth() + 1;
+        const dayOfMonth = day.getUTCDate();
+
+        const { intervals } = getHoursForDate(schedule, department, year, month, dayOfMonth);
+        const starts = intervals
+            .map(([start]) => start)
+            .filter(start => offset > 0 || start > nowMinutes)
+            .sort((a, b) => a - b);
+
+        if (starts.length > 0) {
+            return zonedTimeToDate(year, month, dayOfMonth, starts[0], schedule.timezone);
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Bookable slots ({ start, end } Dates) of slotMinutes within a department's
+ * open hours, starting at or after `from`, for up to `days` local days.
+ * A slot never runs past closing time.
+ */
+function* openSlots(schedule, department, { from = new Date(), slotMinutes = 30, days = MAX_LOOKAHEAD_DAYS } = {}) {
+    const local = getLocalParts(from, schedule.timezone);
+
+    for (let offset = 0; offset <= days; offset++) {
+        const day = new Date(Date.UTC(local.year, local.month - 1, local.day + offset));
+        const year = day.getUTCFullYear();
+        const month = day.getUTCMonth() + 1;
+        const dayOfMonth = day.getUTCDate();
+
+        const { intervals } = getHoursForDate(schedule, department, year, month, dayOfMonth);
+        for (const [open, close] of [...intervals].sort((a, b) => a[0] - b[0])) {
+            for (let start = open; start + slotMinutes <= close; start += slotMinutes) {
+                const startAt = zonedTimeToDate(year, month, dayOfMonth, start, schedule.timezone);
+                if (startAt < from) continue;
+                yield { start: startAt, end: new Date(startAt.getTime() + slotMinutes * 60000) };
+            }
+        }
+    }
+}
+
+/**
+ * { department: { name, is_open, next_open_at } } for every department
+ */
+function getHoursStatus(schedule, date = new Date()) {
+    const status = {};
+    for (const [key, dept] of Object.entries(schedule.departments)) {
+        const next = nextOpenAt(schedule, key, date);
+        status[key] = {
+            name: dept.name || key,
+            is_open: isOpen(schedule, key, date),
+            next_open_at: next ? next.toISOString() : null
+        };
+    }
+    return status;
+}
+
+module.exports = {
+    loadSchedule,
+    isOpen,
+    nextOpenAt,
+    openSlots,
+    getHoursStatus,
+    getHoursForDate,
+    getLocalParts,
+    zonedTimeToDate
+};
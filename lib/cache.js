@@ -0,0 +1,94 @@
+/**
+ * In-process TTL cache
+ * Small Map-backed cache with per-entry expiry and hit/miss counters.
+ *
+ * When full, expired entries are dropped first, then the oldest entry that
+ * `pinned(value)` does not protect. A cache full of pinned entries grows
+ * past maxEntries rather than lose one.
+ */
+
+class TTLCache {
+    constructor({ ttlMs, maxEntries = 1000, pinned = null }) {
+        this.ttlMs = ttlMs;
+        this.maxEntries = maxEntries;
+        this.pinned = pinned;
+        this.entries = new Map();
+        this.hits = 0;
+        this.misses = 0;
+    }
+
+    /**
+     * Returns the cached value, or undefined on a miss. A cached null is a hit
+     * (e.g. a package code known not to exist).
+     */
+    get(key) {
+        const entry = this.entries.get(key);
+        if (!entry || entry.expiresAt <= Date.now()) {
+            if (entry) this.entries.delete(key);
+            this.misses++;
+            return undefined;
+        }
+        this.hits++;
+        return entry.value;
+    }
+
+    set(key, value, ttlMs = this.ttlMs) {
+        if (!this.entries.has(key) && this.entries.size >= this.maxEntries) {
+            this.evict();
+        }
+        this.entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+    }
+
+    evict() {
+        const now = Date.now();
+        for (const [key, entry] of this.entries) {
+            if (entry.expiresAt <= now) this.entries.delete(key);
+        }
+        if (this.entries.size < this.maxEntries) return;
+
+        // Map keeps insertion order, so the first unpinned key is the oldest one
+        for (const [key, entry] of this.entries) {
+            if (!this.pinned || !this.pinned(entry.value)) {
+                this.entries.delete(key);
+                return;
+            }
+        }
+    }
+
+    delete(key) {
+        return this.entries.delete(key);
+    }
+
+    /**
+     * Delete every entry whose value matches the predicate. Returns the count removed.
+     */
+    deleteWhere(predicate) {
+        let removed = 0;
+        for (const [key, entry] of this.entries) {
+            if (predicate(entry.value, key)) {
+                this.entries.delete(key);
+                removed++;
+            }
+        }
+        return removed;
+    }
+
+    clear() {
+        const removed = this.entries.size;
+        this.entries.clear();
+        return removed;
+    }
+
+    stats() {
+        const total = this.hits + this.misses;
+        return {
+            size: this.entries.size,
+            hits: this.hits,
+            misses: this.misses,
+            hit_rate: total > 0 ? Math.round((this.hits / total) * 1000) / 1000 : null,
+            ttl_ms: this.ttlMs
+        };
+    }
+}
+
+module.exports = { TTLCache };
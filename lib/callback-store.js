@@ -0,0 +1,179 @@
+/**
+ * Callback Stores
+ * Where booked callbacks are kept, selected with CALLBACK_STORE.
+ *
+ * A store implements:
+ *   name
+ *   create(fields)                             -> callback (with id)
+ *   get(id)                                    -> callback | null
+ *   list({ department?, statuses?, from?, to?, vac_id? })
+ *                                              -> callbacks, earliest slot first
+ *   claim(id, agent)                           -> { callback, claimed: bool } | null
+ *
+ * Callback: { id, vac_id, department, phone, slot_start, slot_end, status,
+ *             claimed_by, claimed_on, notes, language, created_on }
+ * Statuses: scheduled -> claimed
+ *
+ * Backends:
+ *   caspio - the CALLBACKS table (PK_ID is the id)
+ *   file   - a local JSON file (CALLBACK_STORE_FILE), for testing
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_STORE_FILE = path.join(__dirname, '..', 'data', 'callbacks.json');
+
+const CALLBACK_STATUSES = ['scheduled', 'claimed'];
+
+function matchesFilter(callback, { department, statuses, from, to, vac_id }) {
+    const start = new Date(callback.slot_start);
+    return (!department || callback.department === department)
+        && (!statuses || statuses.includes(callback.status))
+        && (!from || start >= from)
+        && (!to || start < to)
+        && (vac_id === undefined || String(callback.vac_id) === String(vac_id));
+}
+
+const bySlot = (a, b) => new Date(a.slot_start) - new Date(b.slot_start);
+
+// =============================================================================
+// CASPIO
+// =============================================================================
+
+// Caspio returns datetimes without a zone; they were written as UTC
+function asUtc(value) {
+    return typeof value === 'string' && /T\d{2}:\d{2}(:\d{2}(\.\d+)?)?$/.test(value) ? `${value}Z` : value;
+}
+
+/**
+ * Options: client (a createCaspioClient()), table
+ */
+function createCaspioStore({ client, table = 'CALLBACKS' }) {
+    const fromRow = row => row && {
+        id: row.PK_ID,
+        ...row,
+        slot_start: asUtc(row.slot_start),
+        slot_end: asUtc(row.slot_end)
+    };
+
+    async function get(id) {
+        const rows = await client.query(table, ['PK_ID', '=', id], { limit: 1 });
+        return fromRow(rows[0]) || null;
+    }
+
+    return {
+        name: 'caspio',
+
+        async create(fields) {
+            return fromRow(await client.insert(table, fields));
+        },
+
+        get,
+
+        async list(filter = {}) {
+            const where = [];
+            if (filter.department) where.push(['department', '=', filter.department]);
+            if (filter.statuses) where.push(['status', 'IN', filter.statuses]);
+            if (filter.from) where.push(['slot_start', '>=', filter.from]);
+            if (filter.to) where.push(['slot_start', '<', filter.to]);
+            if (filter.vac_id !== undefined) where.push(['vac_id', '=', filter.vac_id]);
+
+            const rows = await client.query(table, where.length > 0 ? where : null, { orderBy: 'slot_start' });
+            return rows.map(fromRow);
+        },
+
+        async claim(id, agent) {
+            // Only a still-scheduled callback is updated, so two agents can't both claim it
+            const updated = await client.update(table, [['PK_ID', '=', id], ['status', '=', 'scheduled']], {
+                status: 'claimed',
+                claimed_by: agent,
+                claimed_on: new Date().toISOString()
+            }, { idempotent: false });
+            if (updated.length > 0) return { callback: fromRow(updated[0]), claimed: true };
+
+            const existing = await get(id);
+            return existing ? { callback: existing, claimed: false } : null;
+        }
+    };
+}
+
+// =============================================================================
+// FILE
+// =============================================================================
+
+function createFileStore({ file = DEFAULT_STORE_FILE } = {}) {
+    let data = null;
+
+    function load() {
+        if (data) return data;
+        try {
+            data = JSON.parse(fs.readFileSync(file, 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+            data = { next_id: 1, callbacks: [] };
+        }
+        return data;
+    }
+
+    async function save() {
+        const tmp = `${file}.tmp`;
+        await fs.promises.mkdir(path.dirname(file), { recursive: true });
+        await fs.promises.writeFile(tmp, JSON.stringify(load(), null, 2));
+        await fs.promises.rename(tmp, file);
+    }
+
+    async function get(id) {
+        const callback = load().callbacks.find(c => String(c.id) === String(id));
+        return callback ? { ...callback } : null;
+    }
+
+    return {
+        name: 'file',
+
+        async create(fields) {
+            const store = load();
+            const callback = { id: store.next_id++, ...fields };
+            store.callbacks.push(callback);
+            await save();
+            return { ...callback };
+        },
+
+        get,
+
+        async list(filter = {}) {
+            return load().callbacks
+                .filter(callback => matchesFilter(callback, filter))
+                .sort(bySlot)
+                .map(callback => ({ ...callback }));
+        },
+
+        async claim(id, agent) {
+            const callback = load().callbacks.find(c => String(c.id) === String(id));
+            if (!callback) return null;
+            if (callback.status !== 'scheduled') return { callback: { ...callback }, claimed: false };
+
+            Object.assign(callback, { status: 'claimed', claimed_by: agent, claimed_on: new Date().toISOString() });
+            await save();
+            return { callback: { ...callback }, claimed: true };
+        }
+    };
+}
+
+const STORES = {
+    caspio: createCaspioStore,
+    file: createFileStore
+};
+
+function createCallbackStore(name = 'caspio', options = {}) {
+    const factory = STORES[name];
+    if (!factory) {
+        throw new Error(`Unknown callback store: ${name}. Available: ${Object.keys(STORES).join(', ')}`);
+    }
+    return factory(options);
+}
+
+module.exports = {
+    CALLBACK_STATUSES,
+    createCallbackStore
+};
@@ -0,0 +1,462 @@
+/**
+ * Caspio REST v2 Client
+ * OAuth token handling, queries and writes with timeouts, retries and a
+ * circuit breaker, so a slow or failing Caspio fails fast during a live call.
+ *
+ * - Every request has a timeout (timeoutMs)
+ * - 429 / 5xx / network errors are retried with exponential backoff;
+ *   writes only retry on 429 since the request was not processed
+ * - A 401 forces a token refresh and one retry
+ * - Concurrent callers share a single in-flight token refresh
+ * - After failureThreshold consecutive failures the circuit opens and calls
+ *   fail immediately with CaspioUnavailableError for resetMs
+ */
+
+const { buildWhere, buildSelect, buildOrderBy } = require('./caspio-query');
+const logger = require('./logger');
+const { createRegistry } = require('./metrics');
+
+const log = logger.child('caspio');
+
+// Caspio REST v2 caps q.pageSize at 1000
+const CASPIO_MAX_PAGE_SIZE = 1000;
+
+class CaspioError extends Error {
+    constructor(message, status = null) {
+        super(message);
+        this.name = 'CaspioError';
+        this.status = status;
+    }
+}
+
+class CaspioUnavailableError extends CaspioError {
+    constructor(message = 'Caspio unavailable (circuit open)') {
+        super(message);
+        this.name = 'CaspioUnavailableError';
+    }
+}
+
+function isRetryableStatus(status) {
+    return status === 429 || status >= 500;
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// =============================================================================
+// CIRCUIT BREAKER
+// =============================================================================
+
+function createCircuitBreaker({ failureThreshold, resetMs }) {
+    let state = 'closed';
+    let failures = 0;
+    let openedAt = 0;
+    let trialInFlight = false;
+
+    return {
+        /**
+         * Throws CaspioUnavailableError while open. After resetMs one trial
+         * request is let through (half-open).
+         */
+        before() {
+            if (state === 'open') {
+                if (Date.now() - openedAt < resetMs || trialInFlight) {
+                    throw new CaspioUnavailableError();
+                }
+                state = 'half-open';
+            }
+            if (state === 'half-open') {
+                if (trialInFlight) throw new CaspioUnavailableError();
+                trialInFlight = true;
+            }
+        },
+
+        success() {
+            if (state !== 'closed') {
+                log.info('Circuit closed');
+            }
+            state = 'closed';
+            failures = 0;
+            trialInFlight = false;
+        },
+
+        failure() {
+            failures++;
+            trialInFlight = false;
+            if (state === 'half-open' || failures >= failureThreshold) {
+                if (state !== 'open') {
+                    log.warn('Circuit opened', { consecutive_failures: failures });
+                }
+                state = 'open';
+                openedAt = Date.now();
+            }
+        },
+
+        stats() {
+            return { state, consecutive_failures: failures };
+        }
+    };
+}
+
+// =============================================================================
+// CLIENT
+// =============================================================================
+
+/**
+ * Options: baseUrl, clientId, clientSecret, timeoutMs, maxRetries,
+ * retryBaseMs, failureThreshold, resetMs, metrics (a createRegistry() the
+ * client's metrics are added to)
+ */
+function createCaspioClient({
+    baseUrl,
+    clientId,
+    clientSecret,
+    timeoutMs = 4000,
+    maxRetries = 2,
+    retryBaseMs = 200,
+    failureThreshold = 5,
+    resetMs = 30000,
+    metrics = createRegistry()
+}) {
+    const breaker = createCircuitBreaker({ failureThreshold, resetMs });
+    const counters = { requests: 0, retries: 0, failures: 0, token_refreshes: 0 };
+
+    const requestDuration = metrics.histogram(
+        'caspio_request_duration_seconds',
+        'Caspio HTTP request latency, per attempt',
+        ['operation', 'status_code']
+    );
+    const errorsTotal = metrics.counter(
+        'caspio_errors_total',
+        'Failed Caspio calls - after retries, refused by the open circuit, or rejected credentials',
+        ['operation', 'reason']
+    );
+    const retriesTotal = metrics.counter('caspio_retries_total', 'Caspio request retries', ['operation']);
+    const tokenRefreshesTotal = metrics.counter('caspio_token_refreshes_total', 'Caspio OAuth token refreshes');
+    tokenRefreshesTotal.inc({}, 0);
+    const circuitState = metrics.gauge('caspio_circuit_state', 'Caspio circuit breaker state (1 for the current state)', ['state']);
+    metrics.collect(() => {
+        const { state } = breaker.stats();
+        for (const name of ['closed', 'half-open', 'open']) circuitState.set({ state: name }, name === state ? 1 : 0);
+    });
+
+    let token = null;
+    let tokenExpiry = null;
+    let tokenPromise = null;
+
+    async function fetchWithTimeout(url, options) {
+        try {
+            return await fetch(url, { ...options, signal: AbortSignal.timeout(timeoutMs) });
+        } catch (error) {
+            if (error.name === 'TimeoutError' || error.name === 'AbortError') {
+                throw new CaspioError(`Caspio request timed out after ${timeoutMs}ms`);
+            }
+            throw new CaspioError(`Caspio request failed: ${error.message}`);
+        }
+    }
+
+    function backoffDelay(attempt, response) {
+        const retryAfter = response && Number(response.headers.get('retry-after'));
+        if (retryAfter > 0) {
+            // Don't let Caspio park a live call for long
+            return Math.min(retryAfter * 1000, timeoutMs);
+        }
+        return retryBaseMs * 2 ** attempt + Math.floor(Math.random() * retryBaseMs);
+    }
+
+    /**
+     * Fetch through the circuit breaker with retries. Returns the Response for
+     * any status that should not be retried (including 4xx).
+     */
+    async function resilientFetch(url, options, { idempotent = true, label }) {
+        try {
+            breaker.before();
+        } catch (error) {
+            errorsTotal.inc({ operation: label, reason: 'circuit_open' });
+            throw error;
+        }
+
+        for (let attempt = 0; ; attempt++) {
+            counters.requests++;
+            let response = null;
+            let error = null;
+
+            const start = process.hrtime.bigint();
+            try {
+                response = await fetchWithTimeout(url, options);
+            } catch (err) {
+                error = err;
+            }
+            requestDuration.observe(
+                { operation: label, status_code: response ? response.status : 'error' },
+                Number(process.hrtime.bigint() - start) / 1e9
+            );
+
+            const retryable = error
+                ? idempotent
+                : isRetryableStatus(response.status) && (idempotent || response.status === 429);
+
+            if (!retryable) {
+                if (error) {
+                    // Non-idempotent write that may have reached Caspio
+                    counters.failures++;
+                    errorsTotal.inc({ operation: label, reason: 'request_failed' });
+                    breaker.failure();
+                    throw error;
+                }
+                if (response.status >= 500) {
+                    counters.failures++;
+                    errorsTotal.inc({ operation: label, reason: `status_${response.status}` });
+                    breaker.failure();
+                } else {
+                    breaker.success();
+                }
+                return response;
+            }
+
+            if (attempt >= maxRetries) {
+                counters.failures++;
+                errorsTotal.inc({ operation: label, reason: error ? 'request_failed' : `status_${response.status}` });
+                breaker.failure();
+                if (error) throw error;
+                return response;
+            }
+
+            counters.retries++;
+            retriesTotal.inc({ operation: label });
+            const delay = backoffDelay(attempt, response);
+            log.warn(`${label} retrying`, {
+                attempt: attempt + 1,
+                status_code: response ? response.status : undefined,
+                delay_ms: delay,
+                error
+            });
+            await sleep(delay);
+        }
+    }
+
+    // =========================================================================
+    // AUTHENTICATION
+    // =========================================================================
+
+    async function refreshToken() {
+        const response = await logger.timed(log, 'Token request', {}, () => resilientFetch(`${baseUrl}/oauth/token`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+            body: new URLSearchParams({
+                grant_type: 'client_credentials',
+                client_id: clientId,
+                client_secret: clientSecret
+            })
+        }, { label: 'Token request' }));
+
+        if (!response.ok) {
+            // Rejected credentials never reach the 5xx accounting in resilientFetch
+            if (response.status < 500) errorsTotal.inc({ operation: 'Token request', reason: `status_${response.status}` });
+            throw new CaspioError(`Caspio auth failed: ${response.status}`, response.status);
+        }
+
+        const data = await response.json();
+        token = data.access_token;
+        tokenExpiry = Date.now() + (data.expires_in * 1000) - 60000; // 1 min buffer
+        counters.token_refreshes++;
+        tokenRefreshesTotal.inc();
+
+        log.info('Token refreshed');
+        return token;
+    }
+
+    /**
+     * Cached token, refreshed when expired or forced. Concurrent callers share
+     * one refresh request.
+     */
+    async function getToken({ force = false } = {}) {
+        if (!force && token && tokenExpiry && Date.now() < tokenExpiry) {
+            return token;
+        }
+
+        if (!tokenPromise) {
+            tokenPromise = refreshToken().finally(() => {
+                tokenPromise = null;
+            });
+        }
+        return tokenPromise;
+    }
+
+    /**
+     * Authenticated request. A 401 means Caspio revoked the token early -
+     * refresh it and retry once.
+     */
+    async function authorizedFetch(url, options = {}, fetchOptions) {
+        const send = async accessToken => resilientFetch(url, {
+            ...options,
+            headers: { ...options.headers, 'Authorization': `Bearer ${accessToken}` }
+        }, fetchOptions);
+
+        const usedToken = await getToken();
+        let response = await send(usedToken);
+
+        if (response.status === 401) {
+            log.warn('Token rejected, refreshing', { label: fetchOptions.label });
+            // Another request may already have replaced the token
+            const freshToken = token !== usedToken ? token : await getToken({ force: true });
+            response = await send(freshToken);
+        }
+
+        return response;
+    }
+
+    // =========================================================================
+    // TABLE OPERATIONS
+    // =========================================================================
+
+    function recordsUrl(tableName, params) {
+        const query = Object.entries(params)
+            .filter(([, value]) => value !== null && value !== undefined)
+            .map(([key, value]) => `${key}=${encodeURIComponent(value)}`)
+            .join('&');
+        return `${baseUrl}/rest/v2/tables/${tableName}/records${query ? `?${query}` : ''}`;
+    }
+
+    async function fetchPage(tableName, params) {
+        const response = await logger.timed(
+            log,
+            'Query',
+            { table: tableName, where: params['q.where'], page: params['q.pageNumber'] },
+            () => authorizedFetch(recordsUrl(tableName, params), {}, { label: 'Query' })
+        );
+
+        if (!response.ok) {
+            throw new CaspioError(`Caspio query failed: ${response.status}`, response.status);
+        }
+
+        const data = await response.json();
+        return data.Result || [];
+    }
+
+    /**
+     * Iterate over every record matching a query, one page at a time.
+     * `where` is a condition triple, list of triples or or()/and() group - see
+     * lib/caspio-query.js. Values are escaped there.
+     *
+     * Options:
+     *   select   - field name or list of fields to return (q.select)
+     *   orderBy  - 'field' / 'field DESC' or a list of them (q.orderBy)
+     *   limit    - stop after this many records
+     *   pageSize - records per request (max 1000)
+     */
+    async function* iterate(tableName, where = null, options = {}) {
+        // Build the clauses first so invalid input never costs a token request
+        const params = {
+            'q.where': buildWhere(tableName, where),
+            'q.select': buildSelect(options.select),
+            'q.orderBy': buildOrderBy(tableName, options.orderBy)
+        };
+        const limit = options.limit || Infinity;
+        const pageSize = Math.min(options.pageSize || 100, limit, CASPIO_MAX_PAGE_SIZE);
+
+        let yielded = 0;
+        for (let pageNumber = 1; ; pageNumber++) {
+            const page = await fetchPage(tableName, {
+                ...params,
+                'q.pageSize': pageSize,
+                'q.pageNumber': pageNumber
+            });
+
+            for (const record of page) {
+                yield record;
+                if (++yielded >= limit) return;
+            }
+
+            if (page.length < pageSize) return;
+        }
+    }
+
+    /**
+     * Collect every matching record (across pages). Same options as iterate.
+     */
+    async function query(tableName, where = null, options = {}) {
+        const records = [];
+        for await (const record of iterate(tableName, where, options)) {
+            records.push(record);
+        }
+        return records;
+    }
+
+    /**
+     * Insert a record and return it as created (including the autonumber PK_ID)
+     */
+    async function insert(tableName, record) {
+        const response = await logger.timed(log, 'Insert', { table: tableName }, () => authorizedFetch(
+            recordsUrl(tableName, { response: 'rows' }),
+            {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(record)
+            },
+            { label: 'Insert', idempotent: false }
+        ));
+
+        if (!response.ok) {
+            throw new CaspioError(`Caspio insert failed: ${response.status}`, response.status);
+        }
+
+        const data = await response.json();
+        return (data.Result && data.Result[0]) || null;
+    }
+
+    /**
+     * Set fields on every record matching `where` and return the updated
+     * records. An empty where is refused rather than updating the whole table.
+     *
+     * Setting fixed values is idempotent, so updates are retried like reads by
+     * default. Pass { idempotent: false } for a conditional update that claims
+     * a record (where status = 'pending'): a retry after a lost response would
+     * match nothing and look like someone else got there first.
+     */
+    async function update(tableName, where, fields, { idempotent = true } = {}) {
+        const whereClause = buildWhere(tableName, where);
+        if (!whereClause) {
+            throw new CaspioError('Refusing to update without a where clause');
+        }
+
+        const response = await logger.timed(log, 'Update', { table: tableName, where: whereClause }, () => authorizedFetch(
+            recordsUrl(tableName, { 'q.where': whereClause, response: 'rows' }),
+            {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(fields)
+            },
+            { label: 'Update', idempotent }
+        ));
+
+        if (!response.ok) {
+            throw new CaspioError(`Caspio update failed: ${response.status}`, response.status);
+        }
+
+        const data = await response.json();
+        return data.Result || [];
+    }
+
+    function stats() {
+        return {
+            circuit: breaker.stats(),
+            ...counters,
+            token_valid: Boolean(token && tokenExpiry && Date.now() < tokenExpiry)
+        };
+    }
+
+    return {
+        getToken,
+        iterate,
+        query,
+        insert,
+        update,
+        stats
+    };
+}
+
+module.exports = {
+    createCaspioClient,
+    CaspioError,
+    CaspioUnavailableError
+};
@@ -0,0 +1,299 @@
+/**
+ * Caspio Query Builder
+ * Builds q.where clauses from field/operator/value conditions so that
+ * request input is never concatenated into Caspio SQL directly.
+ */
+
+// =============================================================================
+// TABLE SCHEMAS
+// =============================================================================
+
+// Fields that may appear in a where clause, per Caspio table, with their type.
+// Anything not listed here is rejected.
+const TABLE_SCHEMAS = {
+    RIMS_DATA: {
+        vac_id: 'number',
+        phn1: 'string',
+        phn2: 'string',
+        pkg_code2: 'string',
+        p1F: 'string',
+        p1L: 'string',
+        email: 'string',
+        dest: 'string',
+        tm: 'string',
+        conf_valid_code: 'string',
+        val_dep: 'number',
+        conf_deposit: 'number',
+        cash_back_amt: 'number',
+        decReady: 'boolean',
+        asgn_trv_dt: 'date',
+        val_entered_on: 'date',
+        Fnl_Doc_MO_Date: 'date',
+        date_print_enc: 'date',
+        date_htl_book: 'date',
+        date_agncy_book: 'date'
+    },
+    destsel: {
+        pkgcode2: 'string',
+        destination: 'string',
+        vacation_type: 'string',
+        ref_dep: 'number',
+        deposit: 'number',
+        ngts: 'number'
+    },
+    MEMOS: {
+        PK_ID: 'number',
+        vac_id: 'number',
+        memo_type: 'string',
+        created_by: 'string',
+        created_on: 'date'
+    },
+    PAYMENT_LINKS: {
+        PK_ID: 'number',
+        link_id: 'string',
+        vac_id: 'number',
+        status: 'string',
+        provider: 'string',
+        created_on: 'date',
+        paid_on: 'date'
+    },
+    CALLBACKS: {
+        PK_ID: 'number',
+        vac_id: 'number',
+        department: 'string',
+        status: 'string',
+        slot_start: 'date',
+        claimed_by: 'string',
+        created_on: 'date'
+    },
+    TRAVEL_INVENTORY: {
+        PK_ID: 'number',
+        destination: 'string',
+        nights: 'number',
+        start_date: 'date',
+        end_date: 'date'
+    },
+    REFUNDS: {
+        PK_ID: 'number',
+        vac_id: 'number',
+        amount: 'number',
+        stage: 'string',
+        requested_on: 'date',
+        issued_on: 'date',
+        escalated_on: 'date'
+    }
+};
+
+const OPERATORS = ['=', '!=', '<', '<=', '>', '>=', 'LIKE', 'IN', 'IS NULL', 'IS NOT NULL'];
+
+class CaspioQueryError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'CaspioQueryError';
+    }
+}
+
+// =============================================================================
+// VALUE ESCAPING
+// =============================================================================
+
+function formatNumber(field, value) {
+    if (typeof value === 'string' && /^-?\d+(\.\d+)?$/.test(value.trim())) {
+        value = Number(value.trim());
+    }
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+        throw new CaspioQueryError(`Invalid numeric value for ${field}`);
+    }
+    return String(value);
+}
+
+function formatString(field, value) {
+    if (typeof value === 'number') {
+        value = String(value);
+    }
+    if (typeof value !== 'string') {
+        throw new CaspioQueryError(`Invalid string value for ${field}`);
+    }
+    // Control characters have no business in a lookup value
+    if (/[\u0000-\u001f]/.test(value)) {
+        throw new CaspioQueryError(`Invalid characters in value for ${field}`);
+    }
+    return `'${value.replace(/'/g, "''")}'`;
+}
+
+// ISO 8601 date or date-time - Date() alone also parses "1=1" as 2001-01-01
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}(?:[T ]\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:Z|[+-]\d{2}:?\d{2})?)?$/;
+
+function formatDate(field, value) {
+    const date = value instanceof Date ? value : new Date(value);
+    const isIso = value instanceof Date || (typeof value === 'string' && ISO_DATE_PATTERN.test(value));
+    if (!isIso || isNaN(date.getTime())) {
+        throw new CaspioQueryError(`Invalid date value for ${field}`);
+    }
+    return `'${date.toISOString().substring(0, 19)}'`;
+}
+
+function formatBoolean(field, value) {
+    if (value === true || value === 'true' || value === 1 || value === '1') return '1';
+    if (value === false || value === 'false' || value === 0 || value === '0') return '0';
+    throw new CaspioQueryError(`Invalid boolean value for ${field}`);
+}
+
+const FORMATTERS = {
+    number: formatNumber,
+    string: formatString,
+    date: formatDate,
+    boolean: formatBoolean
+};
+
+function formatValue(type, field, value) {
+    return FORMATTERS[type](field, value);
+}
+
+// =============================================================================
+// WHERE CLAUSE BUILDING
+// =============================================================================
+
+function getSchema(tableName) {
+    const schema = TABLE_SCHEMAS[tableName];
+    if (!schema) {
+        throw new CaspioQueryError(`Unknown table: ${tableName}`);
+    }
+    return schema;
+}
+
+function buildCondition(schema, tableName, condition) {
+    if (!Array.isArray(condition)) {
+        throw new CaspioQueryError('Condition must be a [field, operator, value] triple');
+    }
+
+    const [field, rawOperator, value] = condition;
+    const type = Object.prototype.hasOwnProperty.call(schema, field) ? schema[field] : null;
+    if (!type) {
+        throw new CaspioQueryError(`Unknown field for ${tableName}: ${field}`);
+    }
+
+    const operator = String(rawOperator || '').toUpperCase();
+    if (!OPERATORS.includes(operator)) {
+        throw new CaspioQueryError(`Unsupported operator: ${rawOperator}`);
+    }
+
+    if (operator === 'IS NULL' || operator === 'IS NOT NULL') {
+        return `${field} ${operator}`;
+    }
+
+    if (operator === 'IN') {
+        if (!Array.isArray(value) || value.length === 0) {
+            throw new CaspioQueryError(`IN requires a non-empty list for ${field}`);
+        }
+        return `${field} IN (${value.map(v => formatValue(type, field, v)).join(',')})`;
+    }
+
+    if (operator === 'LIKE' && type !== 'string') {
+        throw new CaspioQueryError(`LIKE is only supported on text fields: ${field}`);
+    }
+
+    return `${field}${operator === 'LIKE' ? ' LIKE ' : operator}${formatValue(type, field, value)}`;
+}
+
+function buildGroup(schema, tableName, group) {
+    const parts = group.conditions.map(c => (
+        c && c.conditions ? `(${buildGroup(schema, tableName, c)})` : buildCondition(schema, tableName, c)
+    ));
+    return parts.join(` ${group.join} `);
+}
+
+/**
+ * Group conditions with OR, e.g. or(['phn1', '=', phone], ['phn2', '=', phone])
+ */
+function or(...conditions) {
+    return { join: 'OR', conditions };
+}
+
+/**
+ * Group conditions with AND
+ */
+function and(...conditions) {
+    return { join: 'AND', conditions };
+}
+
+/**
+ * Build an escaped q.where clause for a table.
+ * `where` is either a single triple, an array of triples (joined with AND),
+ * or a group created with or()/and().
+ */
+function buildWhere(tableName, where) {
+    const schema = getSchema(tableName);
+
+    if (!where) return null;
+
+    let group;
+    if (where.conditions) {
+        group = where;
+    } else if (Array.isArray(where) && !Array.isArray(where[0]) && !(where[0] && where[0].conditions)) {
+        group = and(where);
+    } else if (Array.isArray(where)) {
+        group = and(...where);
+    } else {
+        throw new CaspioQueryError('Invalid where clause');
+    }
+
+    if (group.conditions.length === 0) {
+        throw new CaspioQueryError('Where clause must contain at least one condition');
+    }
+
+    return buildGroup(schema, tableName, group);
+}
+
+// =============================================================================
+// PROJECTION AND ORDERING
+// =============================================================================
+
+/**
+ * Build a q.select list. Projections may name any column, so only plain
+ * identifiers are accepted.
+ */
+function buildSelect(fields) {
+    if (!fields) return null;
+    const list = Array.isArray(fields) ? fields : [fields];
+    if (list.length === 0) return null;
+
+    for (const field of list) {
+        if (typeof field !== 'string' || !/^[A-Za-z_][A-Za-z0-9_]*$/.test(field)) {
+            throw new CaspioQueryError(`Invalid select field: ${field}`);
+        }
+    }
+    return list.join(',');
+}
+
+/**
+ * Build a q.orderBy clause from 'field' / 'field DESC' strings.
+ * Only schema fields can be sorted on.
+ */
+function buildOrderBy(tableName, orderBy) {
+    if (!orderBy) return null;
+    const schema = getSchema(tableName);
+    const list = Array.isArray(orderBy) ? orderBy : [orderBy];
+
+    return list.map(entry => {
+        const [field, direction = 'ASC', ...rest] = String(entry).trim().split(/\s+/);
+        const dir = direction.toUpperCase();
+        if (!Object.prototype.hasOwnProperty.call(schema, field)) {
+            throw new CaspioQueryError(`Unknown field for ${tableName}: ${field}`);
+        }
+        if (rest.length > 0 || (dir !== 'ASC' && dir !== 'DESC')) {
+            throw new CaspioQueryError(`Invalid orderBy: ${entry}`);
+        }
+        return `${field} ${dir}`;
+    }).join(',');
+}
+
+module.exports = {
+    TABLE_SCHEMAS,
+    CaspioQueryError,
+    buildWhere,
+    buildSelect,
+    buildOrderBy,
+    or,
+    and
+};
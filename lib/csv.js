@@ -0,0 +1,29 @@
+/**
+ * CSV Export
+ * Report rows as CSV (RFC 4180) for spreadsheets.
+ */
+
+// Text starting with these is run as a formula by Excel and Sheets
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+function formatCell(value) {
+    if (value === null || value === undefined) return '';
+    let text = String(value);
+    if (typeof value === 'string' && FORMULA_PREFIX.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * CSV text for a list of objects. Columns default to the first row's keys.
+ */
+function toCsv(rows, columns = rows.length > 0 ? Object.keys(rows[0]) : []) {
+    const lines = [columns.map(formatCell).join(',')];
+    for (const row of rows) {
+        lines.push(columns.map(column => formatCell(row[column])).join(','));
+    }
+    return `${lines.join('\r\n')}\r\n`;
+}
+
+module.exports = {
+    toCsv
+};
@@ -0,0 +1,181 @@
+/**
+ * Structured Logger
+ * One JSON object per line with level, component, correlation ID and route.
+ * Phones, emails and names are masked unless LOG_PII=true.
+ *
+ *   const log = logger.child('status');
+ *   log.info('Customer found', { phone, status });
+ *
+ * LOG_LEVEL: debug | info | warn | error (default info)
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+const crypto = require('crypto');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+const minLevel = LEVELS[(process.env.LOG_LEVEL || 'info').toLowerCase()] || LEVELS.info;
+const logPii = process.env.LOG_PII === 'true';
+
+// Per-request context (correlation ID, route) carried across awaits
+const requestContext = new AsyncLocalStorage();
+
+// =============================================================================
+// PII MASKING
+// =============================================================================
+
+const PHONE_KEYS = /^(phone|phone_number|phn\d*|from_number|to_number|raw_phone)$/i;
+const EMAIL_KEYS = /^(email|email_address)$/i;
+const NAME_KEYS = /^(name|full_name|first_name|last_name|p\dF|p\dL|travel_rep_name)$/i;
+
+function maskPhone(value) {
+    const digits = String(value).replace(/\D/g, '');
+    return digits.length > 4 ? `***${digits.slice(-4)}` : '***';
+}
+
+function maskEmail(value) {
+    const [user, domain] = String(value).split('@');
+    return domain ? `${user.charAt(0)}***@${domain}` : '***';
+}
+
+function maskName(value) {
+    return String(value)
+        .split(/\s+/)
+        .filter(Boolean)
+        .map(part => `${part.charAt(0)}***`)
+        .join(' ');
+}
+
+// Catch PII embedded in free text (error messages, Caspio where clauses)
+function maskText(text) {
+    return text
+        .replace(/[\w.+-]+@[\w-]+\.[\w.-]+/g, match => maskEmail(match))
+        .replace(/(?<![\w-])\+?\d(?:[\s().-]?\d){6,14}(?![\w-])/g, match => (
+            // Leave dates alone
+            /^\d{4}-\d{2}-\d{2}$/.test(match) ? match : maskPhone(match)
+        ));
+}
+
+function redact(value, key = '') {
+    if (logPii || value === null || value === undefined) return value;
+
+    if (typeof value === 'string' || typeof value === 'number') {
+        if (PHONE_KEYS.test(key)) return maskPhone(value);
+        if (EMAIL_KEYS.test(key)) return maskEmail(value);
+        if (NAME_KEYS.test(key)) return maskName(value);
+        return typeof value === 'string' ? maskText(value) : value;
+    }
+
+    if (Array.isArray(value)) {
+        return value.map(item => redact(item, key));
+    }
+
+    if (typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, redact(v, k)]));
+    }
+
+    return value;
+}
+
+// =============================================================================
+// OUTPUT
+// =============================================================================
+
+function write(level, component, message, fields = {}) {
+    if (LEVELS[level] < minLevel) return;
+
+    const context = requestContext.getStore() || {};
+    const { error, ...rest } = fields;
+
+    const entry = {
+        ts: new Date().toISOString(),
+        level,
+        component,
+        msg: redact(message),
+        correlation_id: context.correlationId,
+        route: context.route,
+        ...redact(rest)
+    };
+
+    if (error) {
+        entry.error = redact(error instanceof Error ? error.message : String(error));
+    }
+
+    const line = JSON.stringify(entry);
+    if (level === 'error' || level === 'warn') {
+        process.stderr.write(line + '\n');
+    } else {
+        process.stdout.write(line + '\n');
+    }
+}
+
+/**
+ * Logger bound to a component name (the old "[Status]" style tags)
+ */
+function child(component) {
+    return {
+        debug: (message, fields) => write('debug', component, message, fields),
+        info: (message, fields) => write('info', component, message, fields),
+        warn: (message, fields) => write('warn', component, message, fields),
+        error: (message, fields) => write('error', component, message, fields)
+    };
+}
+
+// =============================================================================
+// REQUEST MIDDLEWARE
+// =============================================================================
+
+const httpLog = child('http');
+
+/**
+ * Express middleware: assign a correlation ID (Retell call ID when present),
+ * echo it in x-correlation-id, and log each request with its latency.
+ * Must run after the JSON body parser so Retell's call.call_id is available.
+ */
+function requestLogger() {
+    return (req, res, next) => {
+        const correlationId = req.get('x-retell-call-id')
+            || (req.body && req.body.call && req.body.call.call_id)
+            || req.get('x-correlation-id')
+            || crypto.randomUUID();
+
+        const context = { correlationId, route: `${req.method} ${req.path}` };
+        const start = process.hrtime.bigint();
+        res.set('x-correlation-id', correlationId);
+
+        res.on('finish', () => {
+            requestContext.run(context, () => {
+                httpLog.info('Request completed', {
+                    status_code: res.statusCode,
+                    latency_ms: Number(process.hrtime.bigint() - start) / 1e6,
+                    client: req.client ? req.client.name : undefined
+                });
+            });
+        });
+
+        requestContext.run(context, next);
+    };
+}
+
+/**
+ * Run an async function and log how long it took (Caspio calls etc.)
+ */
+async function timed(log, message, fields, fn) {
+    const start = process.hrtime.bigint();
+    try {
+        const result = await fn();
+        log.info(message, { ...fields, duration_ms: Number(process.hrtime.bigint() - start) / 1e6 });
+        return result;
+    } catch (error) {
+        log.warn(`${message} failed`, { ...fields, duration_ms: Number(process.hrtime.bigint() - start) / 1e6, error });
+        throw error;
+    }
+}
+
+module.exports = {
+    child,
+    requestLogger,
+    timed,
+    redact,
+    getCorrelationId: () => (requestContext.getStore() || {}).correlationId
+};
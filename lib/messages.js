@@ -0,0 +1,111 @@
+/**
+ * Agent Message Catalog
+ * Translated agent messages from config/messages/<lang>.json.
+ *
+ * Keys are dotted paths, e.g. 'status.ready_to_schedule' or
+ * 'responses.not_found'. An entry is either a string or an object of
+ * variants the caller picks from - scheduling modes ({ online, phone, other })
+ * for status messages - with `other` as the fallback. Messages interpolate
+ * values with {{name}}. Anything missing in a language falls back to English.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const MESSAGES_DIR = path.join(__dirname, '..', 'config', 'messages');
+const DEFAULT_LANGUAGE = 'en';
+
+// Spoken / written forms callers and Retell send, mapped to catalog languages
+const LANGUAGE_ALIASES = {
+    en: 'en',
+    english: 'en',
+    es: 'es',
+    spanish: 'es',
+    'español': 'es',
+    espanol: 'es'
+};
+
+const catalogs = {};
+for (const file of fs.readdirSync(MESSAGES_DIR).filter(f => f.endsWith('.json'))) {
+    catalogs[file.replace(/\.json$/, '')] = JSON.parse(fs.readFileSync(path.join(MESSAGES_DIR, file), 'utf8'));
+}
+
+const SUPPORTED_LANGUAGES = Object.keys(catalogs).sort();
+
+/**
+ * Map 'es', 'es-MX', 'Spanish' etc. to a catalog language, or null if unsupported
+ */
+function normalizeLanguage(value) {
+    if (!value || typeof value !== 'string') return null;
+    const lower = value.trim().toLowerCase();
+    const lang = LANGUAGE_ALIASES[lower] || LANGUAGE_ALIASES[lower.split(/[-_]/)[0]];
+    return lang && catalogs[lang] ? lang : null;
+}
+
+function lookup(lang, key) {
+    return key.split('.').reduce((node, part) => (
+        node && typeof node === 'object' ? node[part] : undefined
+    ), catalogs[lang]);
+}
+
+function pickVariant(entry, variant) {
+    if (typeof entry === 'string') return entry;
+    if (!entry || typeof entry !== 'object') return undefined;
+    return entry[variant] || entry.other;
+}
+
+function hasMessage(key, lang = DEFAULT_LANGUAGE) {
+    return lookup(lang, key) !== undefined;
+}
+
+/**
+ * Translate a message key.
+ * Options: lang (default 'en'), variant (scheduling mode), vars (interpolation)
+ */
+function translate(key, { lang = DEFAULT_LANGUAGE, variant = 'other', vars = {} } = {}) {
+    const template = pickVariant(lookup(lang, key), variant)
+        || pickVariant(lookup(DEFAULT_LANGUAGE, key), variant);
+
+    if (template === undefined) {
+        throw new Error(`Missing message: ${key}`);
+    }
+
+    return template.replace(/\{\{(\w+)\}\}/g, (match, name) => (
+        vars[name] === undefined || vars[name] === null ? '' : String(vars[name])
+    ));
+}
+
+/**
+ * Every key (and scheduling-mode variant) present in English but missing
+ * from another language: [{ lang, key }]
+ */
+function findMissingTranslations() {
+    const missing = [];
+
+    const walk = (node, prefix) => {
+        for (const [name, value] of Object.entries(node)) {
+            const key = prefix ? `${prefix}.${name}` : name;
+            if (value && typeof value === 'object') {
+                walk(value, key);
+                continue;
+            }
+            for (const lang of SUPPORTED_LANGUAGES) {
+                if (lang !== DEFAULT_LANGUAGE && lookup(lang, key) === undefined) {
+                    missing.push({ lang, key });
+                }
+            }
+        }
+    };
+
+    walk(catalogs[DEFAULT_LANGUAGE], '');
+    return missing;
+}
+
+module.exports = {
+    DEFAULT_LANGUAGE,
+    SUPPORTED_LANGUAGES,
+    normalizeLanguage,
+    hasMessage,
+    translate,
+    findMissingTranslations
+};
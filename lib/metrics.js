@@ -0,0 +1,162 @@
+/**
+ * Prometheus Metrics
+ * Counters, gauges and histograms kept in process and rendered in the
+ * Prometheus text exposition format for GET /metrics.
+ *
+ *   const registry = createRegistry();
+ *   const requests = registry.counter('http_requests_total', 'HTTP requests', ['route']);
+ *   requests.inc({ route: '/health' });
+ *   registry.render();
+ *
+ * Collectors registered with registry.collect(fn) run before each render, for
+ * values read from elsewhere (cache sizes, circuit state).
+ */
+
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+function escapeLabelValue(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labelNames, values, extra = '') {
+    const pairs = labelNames.map((name, i) => `${name}="${escapeLabelValue(values[i])}"`);
+    if (extra) pairs.push(extra);
+    return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+function formatNumber(value) {
+    if (value === Infinity) return '+Inf';
+    if (value === -Infinity) return '-Inf';
+    return String(value);
+}
+
+/**
+ * Series key for a label set - values in labelNames order
+ */
+function labelValues(labelNames, labels = {}) {
+    return labelNames.map(name => (labels[name] === undefined || labels[name] === null ? '' : String(labels[name])));
+}
+
+function createRegistry() {
+    const metrics = new Map();
+    const collectors = [];
+
+    function register(name, help, type, labelNames, extra = {}) {
+        if (metrics.has(name)) {
+            const existing = metrics.get(name);
+            if (existing.type !== type) throw new Error(`Metric ${name} already registered as ${existing.type}`);
+            return existing;
+        }
+        const metric = { name, help, type, labelNames, series: new Map(), ...extra };
+        metrics.set(name, metric);
+        return metric;
+    }
+
+    function seriesFor(metric, labels, create) {
+        const values = labelValues(metric.labelNames, labels);
+        const key = values.join('\u0000');
+        if (!metric.series.has(key)) metric.series.set(key, { values, ...create() });
+        return metric.series.get(key);
+    }
+
+    function counter(name, help, labelNames = []) {
+        const metric = register(name, help, 'counter', labelNames);
+        return {
+            inc(labels = {}, value = 1) {
+                seriesFor(metric, labels, () => ({ value: 0 })).value += value;
+            }
+        };
+    }
+
+    function gauge(name, help, labelNames = []) {
+        const metric = register(name, help, 'gauge', labelNames);
+        return {
+            set(labels, value) {
+                seriesFor(metric, labels, () => ({ value: 0 })).value = value;
+            }
+        };
+    }
+
+    function histogram(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+        const metric = register(name, help, 'histogram', labelNames, { buckets: [...buckets].sort((a, b) => a - b) });
+        return {
+            observe(labels, value) {
+                const series = seriesFor(metric, labels, () => ({
+                    counts: metric.buckets.map(() => 0),
+                    sum: 0,
+                    count: 0
+                }));
+                metric.buckets.forEach((bound, i) => {
+                    if (value <= bound) series.counts[i]++;
+                });
+                series.sum += value;
+                series.count++;
+            }
+        };
+    }
+
+    function render() {
+        for (const collector of collectors) collector();
+
+        const lines = [];
+        for (const metric of metrics.values()) {
+            lines.push(`# HELP ${metric.name} ${metric.help}`);
+            lines.push(`# TYPE ${metric.name} ${metric.type}`);
+
+            for (const series of metric.series.values()) {
+                if (metric.type !== 'histogram') {
+                    lines.push(`${metric.name}${formatLabels(metric.labelNames, series.values)} ${formatNumber(series.value)}`);
+                    continue;
+                }
+                metric.buckets.forEach((bound, i) => {
+                    const le = `le="${formatNumber(bound)}"`;
+                    lines.push(`${metric.name}_bucket${formatLabels(metric.labelNames, series.values, le)} ${series.counts[i]}`);
+                });
+                lines.push(`${metric.name}_bucket${formatLabels(metric.labelNames, series.values, 'le="+Inf"')} ${series.count}`);
+                lines.push(`${metric.name}_sum${formatLabels(metric.labelNames, series.values)} ${series.sum}`);
+                lines.push(`${metric.name}_count${formatLabels(metric.labelNames, series.values)} ${series.count}`);
+            }
+        }
+        return `${lines.join('\n')}\n`;
+    }
+
+    return {
+        counter,
+        gauge,
+        histogram,
+        collect: fn => collectors.push(fn),
+        render
+    };
+}
+
+/**
+ * Express middleware counting requests and timing them by method, route
+ * pattern and status code. Routes are labelled with their pattern
+ * (/api/refunds/:vac_id) so ids don't create a series each.
+ */
+function httpMetrics(registry) {
+    const requests = registry.counter('http_requests_total', 'HTTP requests', ['method', 'route', 'status_code']);
+    const duration = registry.histogram(
+        'http_request_duration_seconds',
+        'HTTP request latency',
+        ['method', 'route', 'status_code']
+    );
+
+    return (req, res, next) => {
+        const start = process.hrtime.bigint();
+
+        res.on('finish', () => {
+            const route = req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched';
+            const labels = { method: req.method, route, status_code: res.statusCode };
+            requests.inc(labels);
+            duration.observe(labels, Number(process.hrtime.bigint() - start) / 1e9);
+        });
+
+        next();
+    };
+}
+
+module.exports = {
+    createRegistry,
+    httpMetrics
+};
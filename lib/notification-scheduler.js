@@ -0,0 +1,300 @@
+/**
+ * Proactive Notification Scheduler
+ * Scans customer records, detects status changes since the last run and
+ * sends the notifications configured for the new status
+ * (config/notifications.json) through a notifier (lib/notifiers.js).
+ *
+ * - Last-seen statuses and opt-outs live in a local JSON state file
+ * - A record seen for the first time only has its status recorded (unless
+ *   notify_on_first_seen), so switching the scheduler on does not message
+ *   every customer at once
+ * - Channels that fail to send stay pending and are retried on the next run,
+ *   until the status changes again
+ * - A dry run builds the same report without sending or saving anything
+ */
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+const { CHANNELS } = require('./notifiers');
+const { normalizePhone } = require('./phone');
+
+const log = logger.child('notifications');
+
+const DEFAULT_CONFIG_FILE = path.join(__dirname, '..', 'config', 'notifications.json');
+const DEFAULT_STATE_FILE = path.join(__dirname, '..', 'data', 'notification-state.json');
+
+// Report entries kept per run (the counts cover everything)
+const MAX_REPORT_ENTRIES = 200;
+
+function loadNotificationConfig(file = process.env.NOTIFICATIONS_FILE || DEFAULT_CONFIG_FILE) {
+    const config = JSON.parse(fs.readFileSync(file, 'utf8'));
+
+    if (!config.triggers || typeof config.triggers !== 'object') {
+        throw new Error(`Notification config ${file} needs triggers`);
+    }
+    for (const [rule, trigger] of Object.entries(config.triggers)) {
+        const unknown = (trigger.channels || []).filter(channel => !CHANNELS.includes(channel));
+        if (!Array.isArray(trigger.channels) || trigger.channels.length === 0 || unknown.length > 0) {
+            throw new Error(`Notification trigger ${rule}: channels must be a non-empty list of ${CHANNELS.join(', ')}`);
+        }
+    }
+
+    config.notify_on_first_seen = config.notify_on_first_seen === true;
+    config.max_per_run = config.max_per_run || Infinity;
+    return config;
+}
+
+// =============================================================================
+// STATE STORE
+// =============================================================================
+// { records: { <vac_id>: { rule, status, changed_at, pending: [channels] } },
+//   opt_outs: { 'phone:5551234567' | 'email:a@b.com' | 'vac_id:123': { channels, source, created_at } } }
+
+/**
+ * Opt-out key for a phone number, email address or vac_id
+ */
+function optOutKey(type, value) {
+    if (value === undefined || value === null || value === '') return null;
+    if (type === 'phone') {
+        const key = normalizePhone(value);
+        return key ? `phone:${key}` : null;
+    }
+    if (type === 'email') return `email:${String(value).trim().toLowerCase()}`;
+    return `vac_id:${String(value).trim()}`;
+}
+
+function createStateStore({ file = DEFAULT_STATE_FILE } = {}) {
+    let state = null;
+
+    function load() {
+        if (state) return state;
+        try {
+            state = JSON.parse(fs.readFileSync(file, 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+            state = {};
+        }
+        state.records = state.records || {};
+        state.opt_outs = state.opt_outs || {};
+        return state;
+    }
+
+    /**
+     * Write to a temp file and rename so a crash never leaves half a file
+     */
+    async function save() {
+        const tmp = `${file}.tmp`;
+        await fs.promises.mkdir(path.dirname(file), { recursive: true });
+        await fs.promises.writeFile(tmp, JSON.stringify(load(), null, 2));
+        await fs.promises.rename(tmp, file);
+    }
+
+    return {
+        getRecord: vacId => load().records[String(vacId)] || null,
+        setRecord: (vacId, entry) => { load().records[String(vacId)] = entry; },
+
+        /**
+         * True when any of the keys has opted out of the channel
+         */
+        isOptedOut(keys, channel) {
+            const optOuts = load().opt_outs;
+            return keys.some(key => {
+                const entry = key && optOuts[key];
+                return Boolean(entry) && (!entry.channels || entry.channels.includes(channel));
+            });
+        },
+
+        // channels null = every channel
+        optOut(key, { channels = null, source = null } = {}) {
+            const entry = { channels, source, created_at: new Date().toISOString() };
+            load().opt_outs[key] = entry;
+            return entry;
+        },
+
+        optIn(key) {
+            const existed = Boolean(load().opt_outs[key]);
+            delete load().opt_outs[key];
+            return existed;
+        },
+
+        listOptOuts: () => Object.entries(load().opt_outs).map(([key, entry]) => ({ key, ...entry })),
+
+        stats: () => ({
+            tracked_records: Object.keys(load().records).length,
+            opt_outs: Object.keys(load().opt_outs).length
+        }),
+
+        save
+    };
+}
+
+// =============================================================================
+// SCHEDULER
+// =============================================================================
+
+/**
+ * Options:
+ *   config   - loadNotificationConfig()
+ *   store    - createStateStore()
+ *   notifier - createNotifier()
+ *   scan     - async iterable of { record, rule, status, label, language }
+ *              for every customer record
+ *   compose  - (item, channel) => { to, subject?, body, meta? } or null when
+ *              there is nowhere to send it
+ */
+function createNotificationScheduler({ config, store, notifier, scan, compose }) {
+    let running = false;
+    let timer = null;
+    let lastRun = null;
+
+    function optOutKeys(item, message) {
+        return [
+            optOutKey('vac_id', item.record.vac_id),
+            optOutKey(message.channel === 'email' ? 'email' : 'phone', message.to)
+        ];
+    }
+
+    /**
+     * Send (or in a dry run, preview) each pending channel. Returns the
+     * channels still pending afterwards.
+     */
+    async function deliver(item, pending, report, { dryRun }) {
+        const stillPending = [];
+
+        for (const channel of pending) {
+            const entry = { vac_id: item.record.vac_id, rule: item.rule, channel };
+            const composed = compose(item, channel);
+            const message = composed && { channel, ...composed };
+
+            if (!message || !message.to) {
+                entry.result = 'no_contact';
+            } else if (store.isOptedOut(optOutKeys(item, message), channel)) {
+                entry.result = 'opted_out';
+            } else if (report.counts.sent + report.counts.would_send >= config.max_per_run) {
+                entry.result = 'deferred';
+                stillPending.push(channel);
+            } else if (dryRun) {
+                entry.result = 'would_send';
+                entry.body = message.body;
+            } else {
+                try {
+                    const sent = await notifier.send(message);
+                    entry.result = 'sent';
+                    entry.id = sent.id;
+                } catch (error) {
+                    log.error('Notification failed', { vac_id: item.record.vac_id, channel, error });
+                    entry.result = 'failed';
+                    entry.error = error.message;
+                    stillPending.push(channel);
+                }
+            }
+
+            if (message && message.to) {
+                entry.to = logger.redact(message.to, channel === 'email' ? 'email' : 'phone');
+            }
+            report.counts[entry.result]++;
+            if (report.notifications.length < MAX_REPORT_ENTRIES) report.notifications.push(entry);
+        }
+
+        return stillPending;
+    }
+
+    async function runOnce({ dryRun }) {
+        const report = {
+            dry_run: dryRun,
+            started_at: new Date().toISOString(),
+            finished_at: null,
+            scanned: 0,
+            first_seen: 0,
+            transitions: [],
+            counts: { sent: 0, would_send: 0, failed: 0, deferred: 0, opted_out: 0, no_contact: 0 },
+            notifications: []
+        };
+
+        for await (const item of scan()) {
+            report.scanned++;
+            const vacId = item.record.vac_id;
+            const previous = store.getRecord(vacId);
+            const trigger = config.triggers[item.rule];
+            const triggerChannels = trigger ? trigger.channels : [];
+
+            let entry;
+            if (!previous) {
+                report.first_seen++;
+                entry = {
+                    rule: item.rule,
+                    status: item.status,
+                    changed_at: report.started_at,
+                    pending: config.notify_on_first_seen ? [...triggerChannels] : []
+                };
+            } else if (previous.rule !== item.rule) {
+                if (report.transitions.length < MAX_REPORT_ENTRIES) {
+                    report.transitions.push({ vac_id: vacId, from: previous.status, to: item.status, notify: triggerChannels });
+                }
+                entry = { rule: item.rule, status: item.status, changed_at: report.started_at, pending: [...triggerChannels] };
+            } else {
+                entry = { ...previous, pending: [...(previous.pending || [])] };
+            }
+
+            if (entry.pending.length > 0) {
+                entry.pending = await deliver(item, entry.pending, report, { dryRun });
+            }
+
+            if (!dryRun) store.setRecord(vacId, entry);
+        }
+
+        report.transition_count = report.transitions.length;
+        report.finished_at = new Date().toISOString();
+        if (!dryRun) await store.save();
+        return report;
+    }
+
+    /**
+     * Scan every record once. Runs never overlap - a run requested while one
+     * is in progress is refused.
+     */
+    async function run({ dryRun = false } = {}) {
+        if (running) {
+            return { skipped: true, reason: 'A run is already in progress' };
+        }
+
+        running = true;
+        try {
+            const report = await logger.timed(log, dryRun ? 'Dry run' : 'Run', {}, () => runOnce({ dryRun }));
+            if (!dryRun) {
+                lastRun = { finished_at: report.finished_at, scanned: report.scanned, counts: report.counts };
+            }
+            return report;
+        } finally {
+            running = false;
+        }
+    }
+
+    function start(intervalMs) {
+        if (timer) return;
+        timer = setInterval(() => {
+            run().catch(error => log.error('Scheduled run failed', { error }));
+        }, intervalMs);
+        timer.unref();
+        log.info('Scheduler started', { interval_ms: intervalMs });
+    }
+
+    function stop() {
+        clearInterval(timer);
+        timer = null;
+    }
+
+    function stats() {
+        return { scheduled: Boolean(timer), running, last_run: lastRun, ...store.stats() };
+    }
+
+    return { run, start, stop, stats };
+}
+
+module.exports = {
+    loadNotificationConfig,
+    createStateStore,
+    createNotificationScheduler,
+    optOutKey
+};
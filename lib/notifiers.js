@@ -0,0 +1,133 @@
+/**
+ * Notifiers
+ * Pluggable SMS/email/outbound-call senders selected with NOTIFIER.
+ *
+ * A notifier implements:
+ *   name
+ *   send({ channel: 'sms' | 'email' | 'call', to, subject?, body, meta? })
+ *       -> { id, status: 'sent' | 'queued', sent_at }
+ *
+ * Backends:
+ *   webhook - POST each message as JSON to a relay that hands it to the
+ *             SMS/email/dialer provider (NOTIFIER_WEBHOOK_URL)
+ *   file    - append each message to a JSON-lines outbox (NOTIFIER_OUTBOX_FILE)
+ *   log     - only log that a message was sent, never its body
+ *
+ * `delivers` is false for the file and log backends: nothing they accept
+ * reaches a customer.
+ *
+ * A 'call' message is an outbound-call request for the voice agent: `to` is
+ * the number to dial and `body` what the agent should open with.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const log = require('./logger').child('notifier');
+
+const CHANNELS = ['sms', 'email', 'call'];
+const DEFAULT_OUTBOX_FILE = path.join(__dirname, '..', 'data', 'outbox.jsonl');
+
+function validateMessage({ channel, to, body }) {
+    if (!CHANNELS.includes(channel)) {
+        throw new Error(`Unsupported channel: ${channel}`);
+    }
+    if (!to) {
+        throw new Error(`No ${channel === 'email' ? 'email address' : 'phone number'} to send to`);
+    }
+    if (!body) {
+        throw new Error('Message body is required');
+    }
+}
+
+function createWebhookNotifier({ url, token, timeoutMs = 5000 } = {}) {
+    if (!url) {
+        throw new Error('NOTIFIER_WEBHOOK_URL is required for the webhook notifier');
+    }
+
+    return {
+        name: 'webhook',
+        delivers: true,
+
+        async send(message) {
+            validateMessage(message);
+            const id = crypto.randomUUID();
+
+            const response = await fetch(url, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    // The relay can drop a message it has already accepted
+                    'Idempotency-Key': id,
+                    ...(token ? { Authorization: `Bearer ${token}` } : {})
+                },
+                body: JSON.stringify({ id, ...message }),
+                signal: AbortSignal.timeout(timeoutMs)
+            });
+            if (!response.ok) {
+                throw new Error(`Notifier webhook failed: ${response.status}`);
+            }
+
+            const result = { id, status: 'sent', sent_at: new Date().toISOString() };
+            log.info('Message sent', { channel: message.channel, to: message.to, id });
+            return result;
+        }
+    };
+}
+
+function createFileNotifier({ file = DEFAULT_OUTBOX_FILE } = {}) {
+    return {
+        name: 'file',
+        delivers: false,
+
+        async send(message) {
+            validateMessage(message);
+            const entry = {
+                id: crypto.randomUUID(),
+                status: 'queued',
+                sent_at: new Date().toISOString(),
+                ...message
+            };
+
+            await fs.promises.mkdir(path.dirname(file), { recursive: true });
+            await fs.promises.appendFile(file, JSON.stringify(entry) + '\n');
+
+            log.info('Message written to outbox', { channel: message.channel, to: message.to, id: entry.id });
+            return { id: entry.id, status: entry.status, sent_at: entry.sent_at };
+        }
+    };
+}
+
+function createLogNotifier() {
+    return {
+        name: 'log',
+        delivers: false,
+
+        // The body can carry a one-time code or a payment link
+        async send(message) {
+            validateMessage(message);
+            const result = { id: crypto.randomUUID(), status: 'sent', sent_at: new Date().toISOString() };
+            log.info('Message sent', { channel: message.channel, to: message.to, id: result.id });
+            return result;
+        }
+    };
+}
+
+const NOTIFIERS = {
+    webhook: createWebhookNotifier,
+    file: createFileNotifier,
+    log: createLogNotifier
+};
+
+function createNotifier(name = 'file', options = {}) {
+    const factory = NOTIFIERS[name];
+    if (!factory) {
+        throw new Error(`Unknown notifier: ${name}. Available: ${Object.keys(NOTIFIERS).join(', ')}`);
+    }
+    return factory(options);
+}
+
+module.exports = {
+    CHANNELS,
+    createNotifier
+};
@@ -0,0 +1,148 @@
+/**
+ * Package Catalog
+ * Scheduling channel, scheduling URL, deposits and display name per package,
+ * from its destsel row with config/packages.json laid over it.
+ *
+ * destsel supplies ref_dep, deposit, destination, ngts, vacation_type and
+ * vaca_desc, and may carry scheduling_channel, scheduling_url and
+ * display_name columns. The overlay then applies, in order: defaults (only
+ * where destsel has no value), the longest matching prefix key ("EX*"), and
+ * the exact pkgcode2 key.
+ *
+ * Package: { pkgcode2, display_name, destination, nights, vacation_type,
+ *            vaca_desc, scheduling_channel, scheduling_url, ref_dep, deposit,
+ *            total_expected, in_destsel, overlay }
+ *   scheduling_channel - online | phone | other
+ *   scheduling_url     - where online packages schedule (null otherwise)
+ *   ref_dep, deposit   - null for a package only the overlay knows, unless
+ *                        the overlay sets them
+ *   overlay            - the overlay key that applied, if any
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_CATALOG_FILE = path.join(__dirname, '..', 'config', 'packages.json');
+
+const SCHEDULING_CHANNELS = ['online', 'phone', 'other'];
+
+// Fields an overlay entry (or destsel column) can set
+const OVERLAY_FIELDS = ['scheduling_channel', 'scheduling_url', 'display_name', 'ref_dep', 'deposit'];
+
+function validateEntry(file, key, entry) {
+    const unknown = Object.keys(entry).filter(field => !OVERLAY_FIELDS.includes(field));
+    if (unknown.length > 0) {
+        throw new Error(`Package catalog ${file}: ${key} has unknown fields ${unknown.join(', ')}`);
+    }
+    if (entry.scheduling_channel !== undefined && !SCHEDULING_CHANNELS.includes(entry.scheduling_channel)) {
+        throw new Error(`Package catalog ${file}: ${key} scheduling_channel must be one of ${SCHEDULING_CHANNELS.join(', ')}`);
+    }
+    for (const field of ['ref_dep', 'deposit']) {
+        if (entry[field] !== undefined && !(typeof entry[field] === 'number' && entry[field] >= 0)) {
+            throw new Error(`Package catalog ${file}: ${key} ${field} must be a non-negative number`);
+        }
+    }
+}
+
+function loadPackageCatalog(file = process.env.PACKAGE_CATALOG_FILE || DEFAULT_CATALOG_FILE) {
+    const config = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const defaults = config.defaults || {};
+    validateEntry(file, 'defaults', defaults);
+
+    const exact = new Map();
+    const prefixes = [];
+    for (const [key, entry] of Object.entries(config.packages || {})) {
+        validateEntry(file, key, entry);
+        const code = key.trim().toUpperCase();
+        if (code.endsWith('*')) {
+            prefixes.push({ key: code, prefix: code.slice(0, -1), entry });
+        } else {
+            exact.set(code, { key: code, entry });
+        }
+    }
+    // Longest prefix first, so "EXV*" beats "EX*"
+    prefixes.sort((a, b) => b.prefix.length - a.prefix.length);
+
+    return { defaults, exact, prefixes };
+}
+
+/**
+ * Overlay entries matching a code, least specific first
+ */
+function overlaysFor(catalog, code) {
+    const matches = [];
+    const prefix = catalog.prefixes.find(p => code.startsWith(p.prefix));
+    if (prefix) matches.push(prefix);
+    if (catalog.exact.has(code)) matches.push(catalog.exact.get(code));
+    return matches;
+}
+
+// destsel columns the catalog reads as-is
+function destselFields(row) {
+    const fields = {};
+    for (const field of OVERLAY_FIELDS) {
+        if (row[field] !== undefined && row[field] !== null && row[field] !== '') fields[field] = row[field];
+    }
+    if (fields.scheduling_channel !== undefined) {
+        const channel = String(fields.scheduling_channel).trim().toLowerCase();
+        if (SCHEDULING_CHANNELS.includes(channel)) {
+            fields.scheduling_channel = channel;
+        } else {
+            delete fields.scheduling_channel;
+        }
+    }
+    return fields;
+}
+
+/**
+ * Catalog entry for a package code from its destsel row (null when destsel
+ * doesn't have it). Returns null when neither destsel nor the overlay knows
+ * the code.
+ */
+function resolvePackage(catalog, pkgCode, row = null) {
+    const code = String(pkgCode || '').trim().toUpperCase();
+    const overlays = code ? overlaysFor(catalog, code) : [];
+    if (!row && overlays.length === 0) return null;
+
+    const fields = {
+        ...catalog.defaults,
+        ...(row ? destselFields(row) : {}),
+        ...Object.assign({}, ...overlays.map(o => o.entry))
+    };
+    const channel = fields.scheduling_channel || 'other';
+    // Overlay-only packages have no deposits unless the overlay sets them
+    const hasDeposits = Boolean(row) || fields.ref_dep !== undefined || fields.deposit !== undefined;
+    const refDeposit = hasDeposits ? fields.ref_dep || 0 : null;
+    const confDeposit = hasDeposits ? fields.deposit || 0 : null;
+    const description = row ? row.vaca_desc || null : null;
+
+    return {
+        pkgcode2: code,
+        display_name: fields.display_name || description || code,
+        destination: row ? row.destination || row.dest || null : null,
+        nights: row ? row.ngts || row.nights || null : null,
+        vacation_type: row ? row.vacation_type || null : null,
+        vaca_desc: description,
+        scheduling_channel: channel,
+        scheduling_url: channel === 'online' ? fields.scheduling_url || null : null,
+        ref_dep: refDeposit,
+        deposit: confDeposit,
+        total_expected: hasDeposits ? refDeposit + confDeposit : null,
+        in_destsel: Boolean(row),
+        overlay: overlays.length > 0 ? overlays[overlays.length - 1].key : null
+    };
+}
+
+/**
+ * Codes listed by exact key in the overlay (prefix keys are not packages)
+ */
+function overlayCodes(catalog) {
+    return [...catalog.exact.keys()];
+}
+
+module.exports = {
+    SCHEDULING_CHANNELS,
+    loadPackageCatalog,
+    resolvePackage,
+    overlayCodes
+};
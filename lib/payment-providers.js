@@ -0,0 +1,120 @@
+/**
+ * Payment Providers
+ * Pluggable payment-link providers selected with PAYMENT_PROVIDER.
+ *
+ * A provider implements:
+ *   name
+ *   createPaymentLink({ amount, currency, description, reference, customer })
+ *       -> { id, url, expires_at }
+ *   parseWebhook(rawBody, headers)
+ *       -> { valid, reason?, event?: { link_id, status: 'paid' | 'failed', amount_paid, paid_at } }
+ *   A valid webhook for an event type the API doesn't act on (refunds,
+ *   disputes) has no event: { valid: true, ignored: type }
+ */
+
+const crypto = require('crypto');
+
+// =============================================================================
+// MOCK PROVIDER
+// =============================================================================
+// Local stand-in for testing. Links point at MOCK_PAYMENT_BASE_URL; webhooks
+// are signed with x-mock-signature: hex HMAC-SHA256(raw body, secret).
+
+// Mock event type -> payment link status
+const MOCK_EVENT_STATUSES = {
+    'payment.succeeded': 'paid',
+    'payment.failed': 'failed'
+};
+
+function signMockWebhook(rawBody, secret) {
+    return crypto.createHmac('sha256', secret).update(rawBody).digest('hex');
+}
+
+// timingSafeEqual throws on buffers of different byte lengths (a multibyte
+// header can match the hex digest's character length) - never let a bad
+// header throw out of the webhook
+function signaturesMatch(signature, expected) {
+    try {
+        const a = Buffer.from(String(signature));
+        const b = Buffer.from(expected);
+        return a.length === b.length && crypto.timingSafeEqual(a, b);
+    } catch (error) {
+        return false;
+    }
+}
+
+function createMockProvider({ baseUrl = 'http://localhost:3000/mock-pay', webhookSecret, linkTtlHours = 72 } = {}) {
+    return {
+        name: 'mock',
+
+        async createPaymentLink({ amount, currency = 'USD', reference }) {
+            const id = `mock_${crypto.randomBytes(8).toString('hex')}`;
+            return {
+                id,
+                url: `${baseUrl}/${id}?amount=${amount}&currency=${currency}&ref=${encodeURIComponent(reference)}`,
+                expires_at: new Date(Date.now() + linkTtlHours * 3600 * 1000).toISOString()
+            };
+        },
+
+        parseWebhook(rawBody, headers) {
+            if (!webhookSecret) {
+                return { valid: false, reason: 'Payment webhook secret not configured' };
+            }
+
+            const signature = headers['x-mock-signature'] || '';
+            const expected = signMockWebhook(rawBody, webhookSecret);
+            if (!signaturesMatch(signature, expected)) {
+                return { valid: false, reason: 'Signature mismatch' };
+            }
+
+            let payload;
+            try {
+                payload = JSON.parse(rawBody);
+            } catch (error) {
+                return { valid: false, reason: 'Invalid JSON' };
+            }
+
+            if (!payload || !payload.link_id) {
+                return { valid: false, reason: 'link_id missing' };
+            }
+
+            const status = Object.prototype.hasOwnProperty.call(MOCK_EVENT_STATUSES, payload.type)
+                ? MOCK_EVENT_STATUSES[payload.type]
+                : null;
+            if (!status) {
+                return { valid: true, ignored: String(payload.type || 'unknown') };
+            }
+
+            return {
+                valid: true,
+                event: {
+                    link_id: payload.link_id,
+                    status,
+                    amount_paid: Number(payload.amount) || 0,
+                    paid_at: payload.paid_at || new Date().toISOString()
+                }
+            };
+        }
+    };
+}
+
+// =============================================================================
+// REGISTRY
+// =============================================================================
+
+const PROVIDERS = {
+    mock: createMockProvider
+};
+
+function createPaymentProvider(name = 'mock', options = {}) {
+    const factory = PROVIDERS[name];
+    if (!factory) {
+        throw new Error(`Unknown payment provider: ${name}. Available: ${Object.keys(PROVIDERS).join(', ')}`);
+    }
+    return factory(options);
+}
+
+module.exports = {
+    createPaymentProvider,
+    signMockWebhook
+};
@@ -0,0 +1,184 @@
+/**
+ * Phone Number Normalization
+ * Turns caller IDs and stored RIMS_DATA phone values into E.164 plus a
+ * lookup key, and lists the formats a number may have been typed into
+ * phn1/phn2 as, so a lookup can match any of them.
+ *
+ * Handles:
+ * - Extensions: "x123", "ext. 123", "extension 123", "#123", ",123"
+ * - International prefixes: "+52 ...", "0052 ...", "011 52 ..."
+ * - NANP numbers with or without the leading 1 (10 or 11 digits)
+ * - Data-entry variants: "+44 (0) 20 ...", "+1 1 555 ...", Mexican mobile
+ *   numbers with the old "1" after +52
+ *
+ * Numbers without a country code are assumed to be NANP (+1). Digit strings
+ * longer than 11 digits are read as already including a country code.
+ */
+
+const DEFAULT_COUNTRY_CODE = '1';
+
+// Every other calling code is three digits (ITU-T E.164 assignments)
+const ONE_DIGIT_CODES = ['1', '7'];
+const TWO_DIGIT_CODES = [
+    '20', '27', '30', '31', '32', '33', '34', '36', '39', '40', '41', '43', '44', '45', '46', '47', '48', '49',
+    '51', '52', '53', '54', '55', '56', '57', '58', '60', '61', '62', '63', '64', '65', '66',
+    '81', '82', '84', '86', '90', '91', '92', '93', '94', '95', '98'
+];
+
+// Countries whose leading 0 is part of the number rather than a trunk prefix
+const KEEPS_LEADING_ZERO = ['39'];
+
+const EXTENSION_PATTERN = /\s*(?:;\s*ext=|ext(?:ension)?\.?|x|#|,)\s*(\d{1,6})\s*$/i;
+
+function splitCountryCode(digits) {
+    if (ONE_DIGIT_CODES.includes(digits.slice(0, 1))) return [digits.slice(0, 1), digits.slice(1)];
+    if (TWO_DIGIT_CODES.includes(digits.slice(0, 2))) return [digits.slice(0, 2), digits.slice(2)];
+    return [digits.slice(0, 3), digits.slice(3)];
+}
+
+/**
+ * Country code and national number for a digit string, or null when it is
+ * not a plausible phone number
+ */
+function resolveNumber(main) {
+    const hasPlus = /^\s*\+/.test(main);
+    let digits = main.replace(/\D/g, '');
+    let international = hasPlus;
+
+    // International dialling prefixes used instead of "+"
+    if (!hasPlus && /^011\d{8,}/.test(digits)) {
+        digits = digits.slice(3);
+        international = true;
+    } else if (!hasPlus && /^00\d{8,}/.test(digits)) {
+        digits = digits.slice(2);
+        international = true;
+    }
+
+    let countryCode;
+    let national;
+    if (international || digits.length > 11) {
+        [countryCode, national] = splitCountryCode(digits);
+    } else if (digits.length === 11 && digits.startsWith('1')) {
+        [countryCode, national] = ['1', digits.slice(1)];
+    } else if (digits.length === 10) {
+        [countryCode, national] = [DEFAULT_COUNTRY_CODE, digits];
+    } else {
+        return null;
+    }
+
+    if (countryCode === '1') {
+        // "+1 1 555 ..." - the 1 typed twice
+        if (national.length === 11 && national.startsWith('1')) national = national.slice(1);
+        if (national.length !== 10) return null;
+    } else {
+        // "+44 (0) 20 ..." - trunk prefix written after the country code
+        if (national.startsWith('0') && !KEEPS_LEADING_ZERO.includes(countryCode)) {
+            national = national.replace(/^0+/, '');
+        }
+        // Mexican mobiles were dialled as +52 1 + 10 digits until 2020
+        if (countryCode === '52' && national.length === 11 && national.startsWith('1')) {
+            national = national.slice(1);
+        }
+        if (national.length < 4 || countryCode.length + national.length > 15) return null;
+    }
+
+    return { countryCode, national };
+}
+
+/**
+ * Formats a stored value may be in for a number (phn1/phn2 are free text)
+ */
+function candidateFormats(countryCode, national) {
+    if (countryCode === '1') {
+        const [area, exchange, line] = [national.slice(0, 3), national.slice(3, 6), national.slice(6)];
+        return [
+            national,
+            `1${national}`,
+            `+1${national}`,
+            `${area}-${exchange}-${line}`,
+            `(${area}) ${exchange}-${line}`,
+            `(${area})${exchange}-${line}`,
+            `${area}.${exchange}.${line}`,
+            `${area} ${exchange} ${line}`,
+            `1-${area}-${exchange}-${line}`,
+            `+1 ${area}-${exchange}-${line}`,
+            `+1 (${area}) ${exchange}-${line}`
+        ];
+    }
+
+    // Never the bare national number: without its country code it reads as
+    // someone else's number (+52 55 1234 5678 vs US 551-234-5678)
+    const formats = [
+        `${countryCode}${national}`,
+        `+${countryCode}${national}`,
+        `+${countryCode} ${national}`,
+        `00${countryCode}${national}`,
+        `011${countryCode}${national}`
+    ];
+    if (countryCode === '52') {
+        formats.push(`521${national}`, `+521${national}`);
+    }
+    return formats;
+}
+
+/**
+ * Parse a phone number.
+ *
+ * Returns { valid, e164, country_code, national, extension, lookup_key, candidates }.
+ * lookup_key is the 10-digit national number for NANP numbers (how RIMS_DATA
+ * stores them) and country code + national number otherwise. An unparseable
+ * value is not valid; its lookup_key is just its digits.
+ */
+function parsePhone(value) {
+    const raw = value === undefined || value === null ? '' : String(value).trim();
+
+    const extensionMatch = raw.match(EXTENSION_PATTERN);
+    const extension = extensionMatch ? extensionMatch[1] : null;
+    const main = extensionMatch ? raw.slice(0, extensionMatch.index) : raw;
+
+    const resolved = resolveNumber(main);
+    if (!resolved) {
+        const digits = main.replace(/\D/g, '');
+        return {
+            valid: false,
+            e164: null,
+            country_code: null,
+            national: null,
+            extension,
+            lookup_key: digits,
+            candidates: digits ? [digits] : []
+        };
+    }
+
+    const { countryCode, national } = resolved;
+    return {
+        valid: true,
+        e164: `+${countryCode}${national}`,
+        country_code: countryCode,
+        national,
+        extension,
+        lookup_key: countryCode === '1' ? national : `${countryCode}${national}`,
+        candidates: candidateFormats(countryCode, national)
+    };
+}
+
+/**
+ * Lookup key for a phone number (see parsePhone)
+ */
+function normalizePhone(value) {
+    return parsePhone(value).lookup_key;
+}
+
+/**
+ * E.164 for a stored or caller-supplied number, or null when it cannot be
+ * parsed. Extensions are dropped - they cannot be dialled as part of E.164.
+ */
+function formatE164(value) {
+    return parsePhone(value).e164;
+}
+
+module.exports = {
+    parsePhone,
+    normalizePhone,
+    formatE164
+};
@@ -0,0 +1,229 @@
+/**
+ * Spoken Answer Matcher
+ * Picks which of a caller's records they mean from what they said, e.g.
+ * "the Cancun one", "E C R B", "the one ending in 0003", "the second one".
+ *
+ * Each record is scored 0..1 from several signals (package code, vac_id
+ * digits, destination, package description, nights, ordinal position, name).
+ * Signals every record shares (usually the name) are ignored since they
+ * cannot tell records apart. Confidence is the best score, reduced when the
+ * runner-up is close.
+ */
+
+const SIGNAL_SCORES = {
+    pkg_code: 1,
+    vac_id: 1,
+    destination: 0.9,
+    ordinal: 0.7,
+    package: 0.6,
+    nights: 0.6,
+    name: 0.4
+};
+
+// Each extra signal on the same record adds a little
+const EXTRA_SIGNAL_BONUS = 0.05;
+
+const DEFAULT_THRESHOLD = 0.6;
+
+// Position words, English and Spanish. Records are sorted most recent first.
+const ORDINALS = {
+    first: 0, '1st': 0, primero: 0, primera: 0,
+    second: 1, '2nd': 1, segundo: 1, segunda: 1,
+    third: 2, '3rd': 2, tercero: 2, tercera: 2,
+    fourth: 3, '4th': 3, cuarto: 3, cuarta: 3
+};
+const LATEST_WORDS = ['latest', 'newest', 'recent', 'ultimo', 'ultima', 'reciente', 'nuevo', 'nueva'];
+const OLDEST_WORDS = ['oldest', 'older', 'antiguo', 'antigua', 'anterior'];
+
+const NUMBER_WORDS = {
+    one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10,
+    uno: 1, una: 1, dos: 2, tres: 3, cuatro: 4, cinco: 5, seis: 6, siete: 7, ocho: 8, nueve: 9, diez: 10
+};
+const NIGHT_WORDS = ['night', 'nights', 'noche', 'noches'];
+
+const STOPWORDS = new Set([
+    'the', 'one', 'trip', 'package', 'vacation', 'to', 'for', 'and', 'its', 'it', 'is', 'my', 'a', 'an', 'in', 'of',
+    'el', 'la', 'los', 'las', 'de', 'del', 'que', 'mi', 'un', 'una', 'viaje', 'paquete', 'es', 'con', 'y'
+]);
+
+// =============================================================================
+// TEXT HELPERS
+// =============================================================================
+
+function normalizeText(value) {
+    return String(value || '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, ' ')
+        .trim();
+}
+
+function levenshtein(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(
+                previous[j] + 1,
+                current[j - 1] + 1,
+                previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+        }
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+// 1 for identical strings, 0 for nothing in common
+function similarity(a, b) {
+    if (!a || !b) return 0;
+    return 1 - levenshtein(a, b) / Math.max(a.length, b.length);
+}
+
+/**
+ * Best similarity between a phrase and any run of the same number of words
+ * in the answer ("cancoon" ~ "cancun", "las vega" ~ "las vegas")
+ */
+function phraseSimilarity(tokens, phrase) {
+    const words = phrase.split(' ');
+    let best = 0;
+    for (let i = 0; i + words.length <= tokens.length; i++) {
+        best = Math.max(best, similarity(tokens.slice(i, i + words.length).join(' '), phrase));
+    }
+    return best;
+}
+
+// =============================================================================
+// SIGNALS
+// =============================================================================
+
+function parseAnswer(answer) {
+    const text = normalizeText(answer);
+    const tokens = text ? text.split(' ') : [];
+    return {
+        text,
+        tokens,
+        // "E C R B" spelled out letter by letter
+        letters: tokens.filter(t => t.length === 1 && /[a-z]/.test(t)).join(''),
+        digits: String(answer || '').replace(/\D/g, ''),
+        numbers: tokens.map(t => (/^\d+$/.test(t) ? Number(t) : NUMBER_WORDS[t])).filter(n => n !== undefined)
+    };
+}
+
+function signalsFor(record, index, count, parsed, pkg) {
+    const signals = {};
+    const { text, tokens, letters, digits, numbers } = parsed;
+
+    const code = normalizeText(record.pkg_code2).replace(/ /g, '');
+    if (code && (tokens.includes(code) || letters === code || (code.length >= 4 && tokens.join('').includes(code)))) {
+        signals.pkg_code = SIGNAL_SCORES.pkg_code;
+    }
+
+    const vacId = String(record.vac_id || '');
+    if (digits.length >= 4 && vacId.endsWith(digits)) {
+        signals.vac_id = SIGNAL_SCORES.vac_id;
+    }
+
+    const destination = normalizeText(record.dest || (pkg && pkg.destination));
+    if (destination) {
+        if (` ${text} `.includes(` ${destination} `)) {
+            signals.destination = SIGNAL_SCORES.destination;
+        } else {
+            // Close spellings of the whole name or one distinctive word ("vegas")
+            const phrases = [destination, ...destination.split(' ').filter(w => w.length >= 4 && !STOPWORDS.has(w))];
+            const sim = Math.max(...phrases.map(phrase => phraseSimilarity(tokens, phrase)));
+            if (sim >= 0.7) signals.destination = Math.round(SIGNAL_SCORES.destination * sim * 100) / 100;
+        }
+    }
+
+    if (pkg) {
+        const described = new Set(normalizeText(`${pkg.vaca_desc || ''} ${pkg.vacation_type || ''}`).split(' '));
+        const meaningful = tokens.filter(t => t.length >= 4 && !STOPWORDS.has(t) && !/^\d+$/.test(t));
+        if (meaningful.some(t => described.has(t) && !destination.split(' ').includes(t))) {
+            signals.package = SIGNAL_SCORES.package;
+        }
+
+        if (pkg.nights && tokens.some(t => NIGHT_WORDS.includes(t)) && numbers.includes(pkg.nights)) {
+            signals.nights = SIGNAL_SCORES.nights;
+        }
+    }
+
+    const ordinal = tokens.map(t => ORDINALS[t]).find(i => i !== undefined);
+    if (ordinal === index
+        || (index === 0 && tokens.some(t => LATEST_WORDS.includes(t)))
+        || (index === count - 1 && tokens.some(t => OLDEST_WORDS.includes(t)))) {
+        signals.ordinal = SIGNAL_SCORES.ordinal;
+    }
+
+    const names = [record.p1F, record.p1L].map(normalizeText).filter(Boolean);
+    if (names.some(name => tokens.includes(name))) {
+        signals.name = SIGNAL_SCORES.name;
+    }
+
+    return signals;
+}
+
+function scoreSignals(signals) {
+    const values = Object.values(signals);
+    if (values.length === 0) return 0;
+    const score = Math.max(...values) + EXTRA_SIGNAL_BONUS * (values.length - 1);
+    return Math.min(1, Math.round(score * 100) / 100);
+}
+
+// =============================================================================
+// MATCHER
+// =============================================================================
+
+/**
+ * Match a spoken answer against records (sorted most recent first).
+ *
+ * Options:
+ *   packageFor(record) - destsel package info for a record, or null
+ *   threshold          - minimum confidence for a match (default 0.6)
+ *
+ * Returns { match: { index, record, score, reasons } | null, confidence, candidates }
+ */
+function matchSpokenAnswer(answer, records, { packageFor = () => null, threshold = DEFAULT_THRESHOLD } = {}) {
+    const parsed = parseAnswer(answer);
+
+    const scored = records.map((record, index) => ({
+        index,
+        record,
+        signals: signalsFor(record, index, records.length, parsed, packageFor(record))
+    }));
+
+    // A signal every record has cannot tell them apart
+    if (scored.length > 1) {
+        for (const name of Object.keys(SIGNAL_SCORES)) {
+            if (scored.every(s => s.signals[name] !== undefined)) {
+                for (const s of scored) delete s.signals[name];
+            }
+        }
+    }
+
+    const candidates = scored
+        .map(s => ({ index: s.index, record: s.record, score: scoreSignals(s.signals), reasons: Object.keys(s.signals) }))
+        .sort((a, b) => b.score - a.score || a.index - b.index);
+
+    const best = candidates[0];
+    const runnerUp = candidates[1];
+    if (!best || best.score === 0) {
+        return { match: null, confidence: 0, candidates };
+    }
+
+    const margin = best.score - (runnerUp ? runnerUp.score : 0);
+    const confidence = Math.round(best.score * Math.min(1, 0.5 + margin) * 100) / 100;
+
+    return {
+        match: confidence >= threshold ? best : null,
+        confidence,
+        candidates
+    };
+}
+
+module.exports = {
+    matchSpokenAnswer,
+    normalizeText,
+    similarity
+};
@@ -0,0 +1,100 @@
+/**
+ * Refund Tracking
+ * Refund stages and processing times from config/refunds.json, and the
+ * timeline for a single refund: its stage, when it should arrive and whether
+ * it is past the SLA.
+ *
+ * Refund: { amount, stage, requested_on?, issued_on? } - a refund with no
+ * requested_on (known only from RIMS_DATA cash_back_amt) has no window and
+ * is never past SLA.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_POLICY_FILE = path.join(__dirname, '..', 'config', 'refunds.json');
+
+const DAY_MS = 24 * 3600 * 1000;
+
+function loadRefundPolicy(file = process.env.REFUND_POLICY_FILE || DEFAULT_POLICY_FILE) {
+    const policy = JSON.parse(fs.readFileSync(file, 'utf8'));
+
+    if (!policy.stages || Object.keys(policy.stages).length === 0) {
+        throw new Error(`Refund policy ${file} needs stages`);
+    }
+
+    const { min, max } = policy.processing_days || {};
+    if (!Number.isInteger(min) || !Number.isInteger(max) || min > max) {
+        throw new Error(`Refund policy ${file} needs processing_days { min, max } with min <= max`);
+    }
+    if (!Number.isInteger(policy.sla_days) || policy.sla_days < 1) {
+        throw new Error(`Refund policy ${file} needs a positive sla_days`);
+    }
+
+    policy.escalation_email = policy.escalation_email || null;
+    return policy;
+}
+
+// Caspio dates come back as "2026-08-03T00:00:00" - the calendar day is what counts
+function dayOf(value) {
+    if (!value) return null;
+    const day = String(value).slice(0, 10);
+    return /^\d{4}-\d{2}-\d{2}$/.test(day) ? day : null;
+}
+
+function addDays(isoDate, days) {
+    return new Date(Date.parse(`${isoDate}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+/**
+ * Stage id for a stored stage value ("Processing" -> processing), or null
+ * when the policy has no such stage
+ */
+function normalizeStage(policy, stage) {
+    const id = String(stage || '').trim().toLowerCase().replace(/[\s-]+/g, '_');
+    return policy.stages[id] ? id : null;
+}
+
+/**
+ * Where a refund stands on `today` (YYYY-MM-DD).
+ *
+ * Returns { stage, stage_label, final, requested_on, issued_on, expected_from,
+ * expected_by, days_since_request, past_sla, days_past_sla }. Unknown stages
+ * are treated as the first stage.
+ */
+function refundTimeline(policy, refund, today) {
+    const stage = normalizeStage(policy, refund.stage) || Object.keys(policy.stages)[0];
+    const final = policy.stages[stage].final === true;
+    const requestedOn = dayOf(refund.requested_on);
+
+    const timeline = {
+        stage,
+        stage_label: policy.stages[stage].label || stage,
+        final,
+        requested_on: requestedOn,
+        issued_on: dayOf(refund.issued_on),
+        expected_from: null,
+        expected_by: null,
+        days_since_request: null,
+        past_sla: false,
+        days_past_sla: 0
+    };
+
+    if (requestedOn) {
+        const daysSince = Math.round((Date.parse(`${today}T00:00:00Z`) - Date.parse(`${requestedOn}T00:00:00Z`)) / DAY_MS);
+        timeline.expected_from = addDays(requestedOn, policy.processing_days.min);
+        timeline.expected_by = addDays(requestedOn, policy.processing_days.max);
+        timeline.days_since_request = daysSince;
+        if (!final && daysSince > policy.sla_days) {
+            timeline.past_sla = true;
+            timeline.days_past_sla = daysSince - policy.sla_days;
+        }
+    }
+
+    return timeline;
+}
+
+module.exports = {
+    loadRefundPolicy,
+    refundTimeline
+};
@@ -0,0 +1,79 @@
+/**
+ * Retell AI webhook helpers
+ * Signature verification and payload parsing for custom function calls.
+ *
+ * Retell signs each request with the account API key and sends
+ * `x-retell-signature: v=<timestamp ms>,d=<hex HMAC-SHA256(body + timestamp)>`.
+ */
+
+const crypto = require('crypto');
+
+// Reject signatures older than this to limit replay of captured requests
+const SIGNATURE_MAX_AGE_MS = 5 * 60 * 1000;
+
+function parseSignature(header) {
+    if (!header || typeof header !== 'string') return null;
+
+    const parts = {};
+    for (const pair of header.split(',')) {
+        const index = pair.indexOf('=');
+        if (index > 0) {
+            parts[pair.slice(0, index).trim()] = pair.slice(index + 1).trim();
+        }
+    }
+
+    if (!/^\d+$/.test(parts.v || '') || !/^[0-9a-f]+$/i.test(parts.d || '')) {
+        return null;
+    }
+    return { timestamp: Number(parts.v), digest: parts.d.toLowerCase() };
+}
+
+function signPayload(rawBody, timestamp, secret) {
+    return crypto
+        .createHmac('sha256', secret)
+        .update(`${rawBody}${timestamp}`)
+        .digest('hex');
+}
+
+/**
+ * Verify a Retell request signature against the raw request body.
+ * Returns { valid: true } or { valid: false, reason }.
+ */
+function verifySignature(rawBody, header, secret, now = Date.now()) {
+    if (!secret) {
+        return { valid: false, reason: 'Retell secret not configured' };
+    }
+
+    const signature = parseSignature(header);
+    if (!signature) {
+        return { valid: false, reason: 'Missing or malformed signature' };
+    }
+
+    if (Math.abs(now - signature.timestamp) > SIGNATURE_MAX_AGE_MS) {
+        return { valid: false, reason: 'Signature expired' };
+    }
+
+    const expected = Buffer.from(signPayload(rawBody, signature.timestamp, secret), 'hex');
+    const received = Buffer.from(signature.digest, 'hex');
+
+    if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+        return { valid: false, reason: 'Signature mismatch' };
+    }
+
+    return { valid: true };
+}
+
+/**
+ * Pull { name, args, call } out of a function call body.
+ * Retell sends null args for a function without parameters.
+ */
+function parseFunctionCall(body) {
+    const { name, args, call } = body || {};
+    return { name, args: args || {}, call: call || {} };
+}
+
+module.exports = {
+    verifySignature,
+    signPayload,
+    parseFunctionCall
+};
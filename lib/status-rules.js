@@ -0,0 +1,172 @@
+/**
+ * Status Rules Engine
+ * Evaluates an ordered, declarative rule set (config/status-rules/<version>.json)
+ * against facts derived from a RIMS_DATA record. The first matching rule wins.
+ *
+ * Rule shape:
+ *   { id, status, label, when: { all: [conditions] } | { any: [conditions] } }
+ * Condition: { fact, op, value } where value may be { threshold: name }.
+ * Agent messages live in the message catalog under status.<rule id>.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const RULES_DIR = path.join(__dirname, '..', 'config', 'status-rules');
+
+// Facts determineStatus provides - rules may only reference these
+const FACTS = [
+    'deposits_complete',
+    'days_until_travel',
+    'has_travel_date',
+    'has_travel_rep',
+    'has_final_docs',
+    'cash_back_amt',
+    'docs_printed',
+    'hotel_booked',
+    'agency_booked',
+    'conf_valid_code',
+    'dec_ready',
+    'scheduling_mode',
+    'pkg_code2',
+    'travel_date'
+];
+
+const OPERATORS = {
+    '==': (actual, expected) => actual === expected,
+    '!=': (actual, expected) => actual !== expected,
+    // Ordering comparisons never match a missing value (no travel date, etc.)
+    '<': (actual, expected) => isNumber(actual) && actual < expected,
+    '<=': (actual, expected) => isNumber(actual) && actual <= expected,
+    '>': (actual, expected) => isNumber(actual) && actual > expected,
+    '>=': (actual, expected) => isNumber(actual) && actual >= expected,
+    'in': (actual, expected) => Array.isArray(expected) && expected.includes(actual)
+};
+
+function isNumber(value) {
+    return typeof value === 'number' && !Number.isNaN(value);
+}
+
+// =============================================================================
+// LOADING AND VALIDATION
+// =============================================================================
+
+function validateCondition(ruleSet, rule, condition) {
+    if (!FACTS.includes(condition.fact)) {
+        throw new Error(`Rule ${rule.id}: unknown fact "${condition.fact}"`);
+    }
+    if (!OPERATORS[condition.op]) {
+        throw new Error(`Rule ${rule.id}: unknown operator "${condition.op}"`);
+    }
+    const value = condition.value;
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+        if (!ruleSet.thresholds || !(value.threshold in ruleSet.thresholds)) {
+            throw new Error(`Rule ${rule.id}: unknown threshold "${value.threshold}"`);
+        }
+    }
+}
+
+function validateRuleSet(ruleSet) {
+    if (!ruleSet.version || !Array.isArray(ruleSet.rules) || ruleSet.rules.length === 0) {
+        throw new Error('Rule set needs a version and at least one rule');
+    }
+
+    const ids = new Set();
+    for (const rule of ruleSet.rules) {
+        if (!rule.id || !rule.status || !rule.when) {
+            throw new Error(`Rule ${rule.id || '?'} needs id, status and when`);
+        }
+        if (ids.has(rule.id)) {
+            throw new Error(`Duplicate rule id: ${rule.id}`);
+        }
+        ids.add(rule.id);
+
+        const conditions = rule.when.all || rule.when.any;
+        if (!Array.isArray(conditions)) {
+            throw new Error(`Rule ${rule.id}: when must have an "all" or "any" list`);
+        }
+        conditions.forEach(c => validateCondition(ruleSet, rule, c));
+    }
+
+    // The last rule is the fallback and must always match
+    const last = ruleSet.rules[ruleSet.rules.length - 1];
+    if (!last.when.all || last.when.all.length !== 0) {
+        throw new Error(`Last rule (${last.id}) must be an unconditional fallback: { "all": [] }`);
+    }
+
+    return ruleSet;
+}
+
+/**
+ * Load a versioned rule set from config/status-rules/<version>.json
+ */
+function loadRuleSet(version) {
+    if (!/^[\w.-]+$/.test(version)) {
+        throw new Error(`Invalid rule set version: ${version}`);
+    }
+    const file = path.join(RULES_DIR, `${version}.json`);
+    return validateRuleSet(JSON.parse(fs.readFileSync(file, 'utf8')));
+}
+
+function listRuleSetVersions() {
+    return fs.readdirSync(RULES_DIR)
+        .filter(f => f.endsWith('.json'))
+        .map(f => f.replace(/\.json$/, ''))
+        .sort();
+}
+
+// =============================================================================
+// EVALUATION
+// =============================================================================
+
+function resolveValue(ruleSet, value) {
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+        return ruleSet.thresholds[value.threshold];
+    }
+    return value;
+}
+
+function evaluateCondition(ruleSet, facts, condition) {
+    const expected = resolveValue(ruleSet, condition.value);
+    const actual = facts[condition.fact];
+    return {
+        fact: condition.fact,
+        op: condition.op,
+        expected,
+        actual: actual === undefined ? null : actual,
+        passed: OPERATORS[condition.op](actual, expected)
+    };
+}
+
+/**
+ * Evaluate rules in order. Returns the matching rule and a trace of every
+ * rule checked up to and including it, with per-condition results.
+ */
+function evaluateRules(ruleSet, facts) {
+    const trace = [];
+
+    for (const rule of ruleSet.rules) {
+        const mode = rule.when.all ? 'all' : 'any';
+        const results = rule.when[mode].map(c => evaluateCondition(ruleSet, facts, c));
+        const matched = mode === 'all'
+            ? results.every(r => r.passed)
+            : results.some(r => r.passed);
+
+        trace.push({ rule: rule.id, mode, matched, conditions: results });
+
+        if (matched) {
+            return { rule, trace };
+        }
+    }
+
+    // Unreachable with a validated rule set - the last rule always matches
+    throw new Error(`No status rule matched in rule set ${ruleSet.version}`);
+}
+
+module.exports = {
+    FACTS,
+    loadRuleSet,
+    listRuleSetVersions,
+    validateRuleSet,
+    evaluateRules
+};
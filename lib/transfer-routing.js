@@ -0,0 +1,119 @@
+/**
+ * Transfer Routing
+ * Picks the live-transfer destination for a caller from the routing table in
+ * config/transfer-routing.json.
+ *
+ * Routes are checked in order and the first match wins. Conditions test
+ * routing facts (rule, status, scheduling_mode, has_travel_rep, pkg_code2);
+ * a list value matches any of its entries. The travel_rep destination uses
+ * the rep's direct line from travel_reps when the customer's tm is listed.
+ *
+ * Destination shape: { name, number?, sip_uri?, hours } where hours is a
+ * department in config/business-hours.json.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_ROUTING_FILE = path.join(__dirname, '..', 'config', 'transfer-routing.json');
+
+const ROUTING_FACTS = ['rule', 'status', 'scheduling_mode', 'has_travel_rep', 'pkg_code2'];
+
+function loadRoutingTable(file = process.env.TRANSFER_ROUTING_FILE || DEFAULT_ROUTING_FILE) {
+    const table = JSON.parse(fs.readFileSync(file, 'utf8'));
+
+    if (!table.destinations || !Array.isArray(table.routes) || table.routes.length === 0) {
+        throw new Error(`Transfer routing config ${file} needs destinations and routes`);
+    }
+
+    if (!table.destinations.customer_service) {
+        throw new Error(`Transfer routing config ${file} needs a customer_service destination for callers no route matches`);
+    }
+
+    for (const [id, destination] of Object.entries(table.destinations)) {
+        if (!destination.number && !destination.sip_uri) {
+            throw new Error(`Transfer destination ${id} needs a number or sip_uri`);
+        }
+        if (!destination.hours) {
+            throw new Error(`Transfer destination ${id} needs an hours department`);
+        }
+    }
+
+    table.routes.forEach((route, index) => {
+        if (!table.destinations[route.destination]) {
+            throw new Error(`Transfer route ${index}: unknown destination "${route.destination}"`);
+        }
+        const unknown = Object.keys(route.when || {}).filter(fact => !ROUTING_FACTS.includes(fact));
+        if (unknown.length > 0) {
+            throw new Error(`Transfer route ${index}: unknown facts ${unknown.join(', ')}`);
+        }
+    });
+
+    table.travel_reps = table.travel_reps || {};
+    return table;
+}
+
+function matches(when = {}, facts) {
+    return Object.entries(when).every(([fact, expected]) => (
+        Array.isArray(expected) ? expected.includes(facts[fact]) : facts[fact] === expected
+    ));
+}
+
+function travelRepLine(table, tm) {
+    const code = String(tm || '').trim().toUpperCase();
+    const entry = Object.entries(table.travel_reps).find(([key]) => key.toUpperCase() === code);
+    return entry ? entry[1] : null;
+}
+
+/**
+ * Destination for a caller.
+ *
+ * facts: { rule, status, scheduling_mode, has_travel_rep, pkg_code2, tm }
+ * department: an explicit destination id (the caller asked for it), which
+ * skips the routes
+ *
+ * Returns { id, name, number, sip_uri, hours, reason } or null for an
+ * unknown department.
+ */
+function selectDestination(table, facts = {}, { department = null } = {}) {
+    let id;
+    let reason;
+
+    if (department) {
+        if (!table.destinations[department]) return null;
+        id = department;
+        reason = 'requested';
+    } else {
+        const index = table.routes.findIndex(route => matches(route.when, facts));
+        // The routes should end with a catch-all; customer service if not
+        id = index === -1 ? 'customer_service' : table.routes[index].destination;
+        reason = index === -1 ? 'default' : `route:${index}`;
+    }
+
+    const destination = { ...table.destinations[id] };
+
+    if (id === 'travel_rep') {
+        const direct = travelRepLine(table, facts.tm);
+        if (direct) {
+            destination.name = direct.name || destination.name;
+            destination.number = direct.number || null;
+            destination.sip_uri = direct.sip_uri || null;
+            reason += ':direct_line';
+        }
+    }
+
+    return {
+        id,
+        name: destination.name || id,
+        number: destination.number || null,
+        sip_uri: destination.sip_uri || null,
+        hours: destination.hours,
+        reason
+    };
+}
+
+module.exports = {
+    ROUTING_FACTS,
+    loadRoutingTable,
+    selectDestination
+};
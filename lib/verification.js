@@ -0,0 +1,203 @@
+/**
+ * Caller Verification
+ * Caller ID alone is easy to spoof, so account details are only disclosed
+ * after the caller proves who they are with knowledge factors (last name, ZIP,
+ * last 4 of the vac_id) or a one-time code sent to the email on file.
+ *
+ * - Failed attempts are counted per key (phone / vac_id); after maxAttempts
+ *   the key is locked out for lockoutMs
+ * - One-time codes are stored hashed and expire after otpTtlMs
+ * - A successful check returns a short-lived session token that unlocks the
+ *   full status for the verified vac_ids
+ *
+ * State is in memory, so it is per instance and cleared on restart.
+ */
+
+const crypto = require('crypto');
+const { TTLCache } = require('./cache');
+
+const KNOWLEDGE_FACTORS = ['last_name', 'zip', 'vac_id_last4'];
+
+// =============================================================================
+// FACTOR MATCHING
+// =============================================================================
+
+// "O'Neil", "oneil" and "Ó Neil" all compare equal
+function normalizeName(value) {
+    return String(value || '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z]/g, '');
+}
+
+const digitsOnly = value => String(value || '').replace(/\D/g, '');
+
+// Enough for the caller to recognise the address without reading it out
+function maskEmail(email) {
+    const [user, domain] = String(email || '').split('@');
+    return domain ? `${user.charAt(0)}***@${domain}` : '';
+}
+
+const FACTOR_MATCHERS = {
+    last_name: (record, value) => normalizeName(value) !== '' && normalizeName(value) === normalizeName(record.p1L),
+    zip: (record, value, { zipField }) => {
+        if (!zipField) return false;
+        const expected = digitsOnly(record[zipField]).slice(0, 5);
+        return expected.length === 5 && digitsOnly(value).slice(0, 5) === expected;
+    },
+    vac_id_last4: (record, value) => {
+        const given = digitsOnly(value);
+        return given.length === 4 && String(record.vac_id).slice(-4) === given;
+    }
+};
+
+/**
+ * Knowledge factors present in a request body, e.g. { last_name, zip }
+ */
+function pickFactors(input) {
+    const factors = {};
+    for (const name of KNOWLEDGE_FACTORS) {
+        if (input[name] !== undefined && input[name] !== null && String(input[name]).trim() !== '') {
+            factors[name] = input[name];
+        }
+    }
+    return factors;
+}
+
+/**
+ * True when every supplied factor matches the record
+ */
+function matchFactors(record, factors, options = {}) {
+    const names = Object.keys(factors);
+    return names.length > 0 && names.every(name => FACTOR_MATCHERS[name](record, factors[name], options));
+}
+
+// =============================================================================
+// VERIFIER
+// =============================================================================
+
+const hashCode = code => crypto.createHash('sha256').update(String(code)).digest('hex');
+
+/**
+ * Options: sessionTtlMs, maxAttempts, lockoutMs, otpTtlMs, otpLength, maxEntries
+ */
+function createVerifier({
+    sessionTtlMs = 15 * 60 * 1000,
+    maxAttempts = 5,
+    lockoutMs = 15 * 60 * 1000,
+    otpTtlMs = 10 * 60 * 1000,
+    otpLength = 6,
+    maxEntries = 10000
+} = {}) {
+    const sessions = new TTLCache({ ttlMs: sessionTtlMs, maxEntries });
+    // A flood of new keys must not push out an active lockout
+    const failures = new TTLCache({
+        ttlMs: lockoutMs,
+        maxEntries,
+        pinned: entry => entry.lockedUntil > Date.now()
+    });
+    const codes = new TTLCache({ ttlMs: otpTtlMs, maxEntries });
+
+    /**
+     * Seconds until the first locked key unlocks, or 0 when none are locked
+     */
+    function lockedFor(keys) {
+        let seconds = 0;
+        for (const key of keys) {
+            const entry = failures.get(key);
+            if (entry && entry.lockedUntil > Date.now()) {
+                seconds = Math.max(seconds, Math.ceil((entry.lockedUntil - Date.now()) / 1000));
+            }
+        }
+        return seconds;
+    }
+
+    /**
+     * Count a failed attempt against every key. Returns attempts left before
+     * lockout (0 once locked).
+     */
+    function recordFailure(keys) {
+        let remaining = maxAttempts;
+        for (const key of keys) {
+            const entry = failures.get(key) || { count: 0, lockedUntil: 0 };
+            entry.count++;
+            if (entry.count >= maxAttempts) {
+                entry.lockedUntil = Date.now() + lockoutMs;
+            }
+            failures.set(key, entry);
+            remaining = Math.min(remaining, Math.max(0, maxAttempts - entry.count));
+        }
+        return remaining;
+    }
+
+    function clearFailures(keys) {
+        for (const key of keys) failures.delete(key);
+    }
+
+    /**
+     * New numeric one-time code for a key (replaces any earlier code)
+     */
+    function issueCode(key) {
+        const code = String(crypto.randomInt(0, 10 ** otpLength)).padStart(otpLength, '0');
+        codes.set(key, hashCode(code));
+        return { code, expires_at: new Date(Date.now() + otpTtlMs).toISOString() };
+    }
+
+    /**
+     * Check a one-time code. A matching code is used up.
+     */
+    function checkCode(key, code) {
+        const expected = codes.get(key);
+        if (!expected || !code) return false;
+
+        const matches = crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(hashCode(digitsOnly(code))));
+        if (matches) codes.delete(key);
+        return matches;
+    }
+
+    function createSession({ phone = null, vac_ids, method }) {
+        const token = crypto.randomBytes(24).toString('base64url');
+        const session = {
+            phone,
+            vac_ids: vac_ids.map(String),
+            method,
+            expires_at: new Date(Date.now() + sessionTtlMs).toISOString()
+        };
+        sessions.set(token, session);
+        return { token, ...session };
+    }
+
+    function getSession(token) {
+        if (!token) return null;
+        return sessions.get(String(token)) || null;
+    }
+
+    function stats() {
+        return {
+            active_sessions: sessions.stats().size,
+            tracked_failures: failures.stats().size,
+            pending_codes: codes.stats().size
+        };
+    }
+
+    return {
+        lockedFor,
+        recordFailure,
+        clearFailures,
+        issueCode,
+        checkCode,
+        createSession,
+        getSession,
+        stats
+    };
+}
+
+module.exports = {
+    KNOWLEDGE_FACTORS,
+    createVerifier,
+    matchFactors,
+    pickFactors,
+    normalizeName,
+    maskEmail
+};
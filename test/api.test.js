@@ -0,0 +1,628 @@
+const fs = require('fs');
+const path = require('path');
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { API_KEY, startApp } = require('./helpers/app');
+const { signMockWebhook } = require('../lib/payment-providers');
+
+const WEBHOOK_SECRET = 'test-webhook-secret';
+
+// A key that can read status but not administer
+const READER_KEY = 'reader-key';
+
+let app;
+let request;
+
+before(async () => {
+    app = await startApp({
+        API_KEYS: `test:${API_KEY}:*,reader:${READER_KEY}:read-status`,
+        PAYMENT_WEBHOOK_SECRET: WEBHOOK_SECRET
+    });
+    request = app.request;
+});
+
+after(() => app.close());
+
+// Messages the file notifier wrote to the outbox
+function outbox() {
+    const file = path.join(app.stateDir, 'outbox.jsonl');
+    if (!fs.existsSync(file)) return [];
+    return fs.readFileSync(file, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+}
+
+// Verify a seed caller with last name + vac_id last four; returns the session token
+async function verify(phone, lastName, vacId) {
+    const { body } = await request('POST', '/api/customer/verify', {
+        body: { phone, last_name: lastName, vac_id_last4: String(vacId).slice(-4) }
+    });
+    assert.equal(body.verified, true);
+    return body.session_token;
+}
+
+// Verify with the one-time code emailed to the address on file
+async function verifyByCode(phone) {
+    const sent = await request('POST', '/api/customer/verify/send-code', { body: { phone } });
+    assert.equal(sent.body.success, true);
+    const code = outbox().filter(m => m.channel === 'email').pop().body.match(/\d{6}/)[0];
+    const { body } = await request('POST', '/api/customer/verify', { body: { phone, otp: code } });
+    assert.equal(body.verified, true);
+    return body.session_token;
+}
+
+// Header carrying a session token
+const session = token => ({ headers: { 'x-session-token': token } });
+
+describe('health and auth', () => {
+    it('GET /health needs no key', async () => {
+        const { status, body } = await request('GET', '/health', { headers: { 'x-api-key': '' } });
+        assert.equal(status, 200);
+        assert.equal(body.status, 'healthy');
+        assert.ok(body.cache.destsel);
+    });
+
+    it('rejects /api requests without a valid key', async () => {
+        const { status } = await request('GET', '/api/customer/status?phone=5551230001', {
+            headers: { 'x-api-key': 'wrong' }
+        });
+        assert.equal(status, 401);
+    });
+
+    it('rejects a key without the route scope', async () => {
+        const { status } = await request('POST', '/api/admin/cache/invalidate', {
+            body: { cache: 'all' },
+            headers: { 'x-api-key': READER_KEY }
+        });
+        assert.equal(status, 403);
+    });
+});
+
+describe('GET /api/customer/status', () => {
+    it('reports an unknown caller', async () => {
+        const { body } = await request('GET', '/api/customer/status?phone=5550000000');
+        assert.equal(body.found, false);
+        assert.equal(body.status, 'unknown');
+    });
+
+    it('asks an unverified caller to verify without leaking the account', async () => {
+        const { body } = await request('GET', '/api/customer/status?phone=5551230001');
+        assert.equal(body.found, true);
+        assert.equal(body.verification_required, true);
+        assert.deepEqual(body.verification_methods, ['last_name', 'vac_id_last4', 'otp']);
+        assert.equal(body.customer, undefined);
+        assert.equal(body.deposits, undefined);
+    });
+
+    it('returns the full status once verified, whatever the phone format', async () => {
+        const token = await verify('5551230001', 'lopez', 100001);
+        const { body } = await request('GET', `/api/customer/status?phone=${encodeURIComponent('(555) 123-0001')}`, session(token));
+        assert.equal(body.found, true);
+        assert.equal(body.status, 'Deposit Needed');
+        assert.equal(body.customer.vac_id, 100001);
+        assert.equal(body.customer.phone, '+15551230001');
+        assert.equal(body.deposits.expected_deposit, 100);
+        assert.equal(body.deposits.remaining, 100);
+        assert.match(body.agent_message, /activatemytrip\.com/);
+        assert.equal(typeof body.is_business_hours, 'boolean');
+    });
+
+    it('only shows a shared phone the records the session verified', async () => {
+        const token = await verify('5551230002', 'Carter', 100003);
+        const { body } = await request('GET', '/api/customer/status?phone=5551230002', session(token));
+        assert.equal(body.multiple_records, undefined);
+        assert.equal(body.customer.vac_id, 100003);
+        assert.equal(body.deposits.expected_deposit, 150);
+    });
+
+    it('matches an international caller on the stored +52 1 format', async () => {
+        const { body } = await request('GET', `/api/customer/status?phone=${encodeURIComponent('+52 55 1234 5678')}`);
+        assert.equal(body.found, true);
+
+        const token = await verify('+52 55 1234 5678', 'Ramirez', 100005);
+        const verified = await request('GET', `/api/customer/status?phone=${encodeURIComponent('0052 55 1234 5678')}`, session(token));
+        assert.equal(verified.body.customer.vac_id, 100005);
+        assert.equal(verified.body.customer.phone, '+525512345678');
+    });
+
+    it('does not take the same digits as a US number for the international caller', async () => {
+        const { body } = await request('GET', '/api/customer/status?phone=5512345678');
+        assert.equal(body.found, false);
+    });
+
+    it('matches a number stored with an extension only on all of its digits', async () => {
+        // phn2 is '(555) 123-0005 x12', which no candidate format spells out
+        const stored = await request('GET', '/api/customer/status?phone=5551230005');
+        assert.equal(stored.body.found, true);
+
+        const sameLastFour = await request('GET', '/api/customer/status?phone=5559990005');
+        assert.equal(sameLastFour.body.found, false);
+    });
+
+    it('asks which package when the session verified several records, most recent first', async () => {
+        const token = await verifyByCode('5551230002');
+        const { body } = await request('GET', '/api/customer/status?phone=5551230002', session(token));
+        assert.equal(body.multiple_records, true);
+        assert.equal(body.record_count, 2);
+        assert.deepEqual(body.all_records.map(r => r.vac_id), [100003, 100002]);
+        assert.equal(body.most_recent.vac_id, 100003);
+        assert.equal(body.deposits, undefined);
+    });
+});
+
+describe('several packages on one phone', () => {
+    it('include_all gives the status of every package', async () => {
+        const token = await verifyByCode('5551230002');
+        const { body } = await request('GET', '/api/customer/status?phone=5551230002&include_all=true', session(token));
+        assert.equal(body.multiple_records, true);
+        assert.deepEqual(body.all_records.map(r => r.status), ['Deposit Needed', 'Ready to Schedule']);
+        assert.equal(body.all_records[1].deposits.expected_deposit, 100);
+        assert.match(body.agent_message, /Cancun/);
+        assert.match(body.agent_message, /Las Vegas/);
+    });
+
+    it('POST /api/customer/match-record needs a session', async () => {
+        const { body } = await request('POST', '/api/customer/match-record', {
+            body: { phone: '5551230002', answer: 'the Las Vegas one' }
+        });
+        assert.equal(body.verification_required, true);
+        assert.equal(body.matched, undefined);
+    });
+
+    it('POST /api/customer/match-record returns the status of the package the caller names', async () => {
+        const token = await verifyByCode('5551230002');
+        const { body } = await request('POST', '/api/customer/match-record', {
+            body: { phone: '5551230002', answer: 'the Las Vegas one' },
+            ...session(token)
+        });
+        assert.equal(body.matched, true);
+        assert.equal(body.customer.vac_id, 100002);
+        assert.equal(body.deposits.expected_deposit, 100);
+        assert.equal(body.candidates[0].vac_id, 100002);
+    });
+
+    it('POST /api/customer/match-record asks again when nothing matches', async () => {
+        const token = await verifyByCode('5551230002');
+        const { body } = await request('POST', '/api/customer/match-record', {
+            body: { phone: '5551230002', answer: 'umm whichever' },
+            ...session(token)
+        });
+        assert.equal(body.found, true);
+        assert.equal(body.matched, false);
+        assert.equal(body.customer, undefined);
+        assert.match(body.agent_message, /Cancun/);
+    });
+
+    it('POST /api/customer/match-record needs a phone and an answer', async () => {
+        const { body } = await request('POST', '/api/customer/match-record', { body: { phone: '5551230002' } });
+        assert.equal(body.found, false);
+        assert.match(body.error, /phone and answer are required/);
+    });
+});
+
+describe('POST /api/customer/verify', () => {
+    it('fails on a wrong last name and counts the attempt', async () => {
+        const { body } = await request('POST', '/api/customer/verify', {
+            body: { phone: '5551230001', last_name: 'Smith', vac_id_last4: '0001' }
+        });
+        assert.equal(body.verified, false);
+        assert.equal(typeof body.attempts_remaining, 'number');
+    });
+
+    it('needs enough knowledge factors', async () => {
+        const { body } = await request('POST', '/api/customer/verify', {
+            body: { phone: '5551230001', last_name: 'Lopez' }
+        });
+        assert.equal(body.verified, false);
+        assert.match(body.error, /at least 2/);
+    });
+
+    it('does not count the vac_id digits for a caller who gave the vac_id', async () => {
+        const { body } = await request('POST', '/api/customer/verify', {
+            body: { vac_id: 100001, last_name: 'Lopez', vac_id_last4: '0001' }
+        });
+        assert.equal(body.verified, false);
+        assert.equal(body.error, 'Provide a one-time code or at least 2 of: last_name, zip');
+        assert.match(body.agent_message, /email a verification code/);
+    });
+
+    it('locks the number out after repeated failures', async () => {
+        let body;
+        for (let attempt = 0; attempt < 5; attempt++) {
+            ({ body } = await request('POST', '/api/customer/verify', {
+                body: { phone: '5550000099', last_name: 'Nobody', vac_id_last4: '0000' }
+            }));
+        }
+        assert.equal(body.verified, false);
+        assert.equal(body.locked, true);
+
+        ({ body } = await request('POST', '/api/customer/verify', {
+            body: { phone: '5550000099', last_name: 'Nobody', vac_id_last4: '0000' }
+        }));
+        assert.equal(body.locked, true);
+    });
+
+    it('says how long the emailed code lasts', async () => {
+        await request('POST', '/api/customer/verify/send-code', { body: { vac_id: 100001 } });
+        assert.match(outbox().pop().body, /expires in 10 minutes/);
+    });
+
+    it('rejects a wrong one-time code', async () => {
+        await request('POST', '/api/customer/verify/send-code', { body: { phone: '5551230004' } });
+        const { body } = await request('POST', '/api/customer/verify', { body: { phone: '5551230004', otp: '000000' } });
+        assert.equal(body.verified, false);
+    });
+});
+
+describe('POST /api/customer/status-by-id', () => {
+    it('needs a session for the vac_id', async () => {
+        const { body } = await request('POST', '/api/customer/status-by-id', { body: { vac_id: 100003 } });
+        assert.equal(body.verification_required, true);
+        assert.equal(body.customer, undefined);
+        // The caller gave the vac_id, so its last four digits prove nothing
+        assert.deepEqual(body.verification_methods, ['last_name', 'otp']);
+        assert.match(body.agent_message, /email a verification code/);
+        assert.doesNotMatch(body.agent_message, /last four digits/);
+    });
+
+    it('returns the status for the chosen record', async () => {
+        const token = await verify('5551230002', 'Carter', 100003);
+        const { body } = await request('POST', '/api/customer/status-by-id', { body: { vac_id: 100003, session_token: token } });
+        assert.equal(body.found, true);
+        assert.equal(body.customer.vac_id, 100003);
+        assert.equal(body.deposits.expected_deposit, 150);
+    });
+
+    it('needs a vac_id', async () => {
+        const { body } = await request('POST', '/api/customer/status-by-id', { body: {} });
+        assert.equal(body.found, false);
+        assert.match(body.error, /vac_id is required/);
+    });
+});
+
+describe('POST /api/rims/phone-lookup', () => {
+    it('needs a session', async () => {
+        const { body } = await request('POST', '/api/rims/phone-lookup', { body: { phone_number: '5551230002' } });
+        assert.equal(body.verification_required, true);
+        assert.equal(body.all_records, undefined);
+    });
+
+    it('lists every verified record on the phone, most recent first', async () => {
+        const token = await verifyByCode('5551230002');
+        const { body } = await request('POST', '/api/rims/phone-lookup', {
+            body: { phone_number: '+1 555 123 0002' },
+            ...session(token)
+        });
+        assert.equal(body.found, true);
+        assert.equal(body.customer.vac_id, 100003);
+        assert.deepEqual(body.all_records.map(r => r.vac_id), [100003, 100002]);
+    });
+
+    it('matches the second stored phone', async () => {
+        const token = await verify('5551230002', 'Carter', 100002);
+        const { body } = await request('POST', '/api/rims/phone-lookup', {
+            body: { phone_number: '5559870002' },
+            ...session(token)
+        });
+        assert.equal(body.found, true);
+        assert.equal(body.customer.vac_id, 100002);
+    });
+
+    it('needs a phone number', async () => {
+        const { body } = await request('POST', '/api/rims/phone-lookup', { body: {} });
+        assert.equal(body.found, false);
+    });
+});
+
+describe('POST /api/rims/customer-status', () => {
+    it('needs a session', async () => {
+        const { body } = await request('POST', '/api/rims/customer-status', { body: { vac_id: 100004 } });
+        assert.equal(body.verification_required, true);
+        assert.equal(body.deposits, undefined);
+    });
+
+    it('looks up by vac_id', async () => {
+        const token = await verify('5551230004', "O'Neil", 100004);
+        const { body } = await request('POST', '/api/rims/customer-status', { body: { vac_id: 100004 }, ...session(token) });
+        assert.equal(body.found, true);
+        assert.equal(body.status, 'Refund Pending');
+        assert.deepEqual(body.details.deposits, body.deposits);
+    });
+
+    it('looks up by phone number', async () => {
+        const token = await verify('5551230001', 'Lopez', 100001);
+        const { body } = await request('POST', '/api/rims/customer-status', { body: { phone_number: '5551230001' }, ...session(token) });
+        assert.equal(body.customer.vac_id, 100001);
+    });
+
+    it('needs a vac_id or phone number', async () => {
+        const { body } = await request('POST', '/api/rims/customer-status', { body: {} });
+        assert.equal(body.found, false);
+        assert.match(body.error, /vac_id or phone_number required/);
+    });
+
+    it('reports a vac_id that is not on file', async () => {
+        const { body } = await request('POST', '/api/rims/customer-status', { body: { vac_id: 999999 } });
+        assert.equal(body.found, false);
+    });
+});
+
+describe('POST /api/status/evaluate', () => {
+    it('dry-runs the rules against a record and package', async () => {
+        const { body } = await request('POST', '/api/status/evaluate', {
+            body: {
+                customer: { pkg_code2: 'ECRB', val_dep: 100, conf_deposit: 50 },
+                package: { ref_dep: 100, deposit: 50 }
+            }
+        });
+        assert.equal(body.success, true);
+        assert.equal(body.rule, 'ready_to_schedule');
+        assert.equal(body.rules_version, 'v1');
+        assert.equal(body.deposits.complete, true);
+        assert.equal(body.trace[body.trace.length - 1].rule, 'ready_to_schedule');
+    });
+
+    it('looks the package up in destsel when none is given', async () => {
+        const { body } = await request('POST', '/api/status/evaluate', {
+            body: { customer: { pkg_code2: 'EM', val_dep: 75, conf_deposit: 0 } }
+        });
+        assert.equal(body.deposits.expected_deposit, 100);
+        assert.equal(body.rule, 'deposit_needed');
+    });
+
+    it('reports an unknown rule set version', async () => {
+        const { body } = await request('POST', '/api/status/evaluate', {
+            body: { customer: { pkg_code2: 'EM' }, version: 'v99' }
+        });
+        assert.equal(body.success, false);
+        assert.ok(body.available_versions.includes('v1'));
+    });
+
+    it('needs a customer record', async () => {
+        const { body } = await request('POST', '/api/status/evaluate', { body: {} });
+        assert.equal(body.success, false);
+    });
+});
+
+// POST a payment webhook signed like the mock provider does
+function paymentWebhook(payload, signature) {
+    const raw = JSON.stringify(payload);
+    return request('POST', '/webhooks/payments', {
+        body: raw,
+        headers: {
+            'content-type': 'application/json',
+            'x-api-key': '',
+            'x-mock-signature': signature === undefined ? signMockWebhook(raw, WEBHOOK_SECRET) : signature
+        }
+    });
+}
+
+describe('deposits', () => {
+    // vac_id -> session token
+    const sessions = {};
+
+    before(async () => {
+        sessions[100001] = await verify('5551230001', 'Lopez', 100001);
+        sessions[100003] = await verify('5551230002', 'Carter', 100003);
+        sessions[100004] = await verify('5551230004', "O'Neil", 100004);
+    });
+
+    // POST /api/deposits/payment-link with the session for the vac_id
+    const paymentLink = body => request('POST', '/api/deposits/payment-link', { body, ...session(sessions[body.vac_id]) });
+
+    it('needs a session before it says or sends anything', async () => {
+        const before = outbox().length;
+        const { body } = await request('POST', '/api/deposits/payment-link', { body: { vac_id: 100004, channel: 'sms' } });
+        assert.equal(body.success, false);
+        assert.equal(body.verification_required, true);
+        assert.equal(body.amount, undefined);
+        assert.equal(body.breakdown, undefined);
+        assert.equal(body.deposits, undefined);
+        assert.equal(outbox().length, before);
+        assert.equal(app.tables.PAYMENT_LINKS.some(l => l.vac_id === 100004), false);
+
+        // A session for another account doesn't count
+        const other = await request('POST', '/api/deposits/payment-link', {
+            body: { vac_id: 100004 },
+            ...session(sessions[100001])
+        });
+        assert.equal(other.body.verification_required, true);
+    });
+
+    it('texts a payment link for the outstanding deposit', async () => {
+        const { body } = await paymentLink({ vac_id: 100004, channel: 'sms' });
+        assert.equal(body.success, true);
+        assert.equal(body.amount, 100);
+        assert.deepEqual(body.breakdown, { refundable_deposit: 75, tax_deposit: 25 });
+
+        const sent = outbox().find(m => m.meta && m.meta.link_id === body.link_id);
+        assert.equal(sent.channel, 'sms');
+        assert.equal(sent.to, '+15551230004');
+        assert.ok(sent.body.includes(body.url));
+    });
+
+    it('credits a paid payment link once', async () => {
+        const link = await paymentLink({ vac_id: 100004, channel: 'email' });
+        assert.equal(link.body.success, true);
+
+        const event = { type: 'payment.succeeded', link_id: link.body.link_id, amount: 100 };
+        const paid = await paymentWebhook(event);
+        assert.equal(paid.status, 200);
+        assert.equal(paid.body.status, 'paid');
+        assert.equal(paid.body.val_dep, 75);
+        assert.equal(paid.body.conf_deposit, 25);
+
+        // A redelivered webhook doesn't credit the deposit twice
+        const again = await paymentWebhook(event);
+        assert.equal(again.body.duplicate, true);
+        const record = app.tables.RIMS_DATA.find(r => r.vac_id === 100004);
+        assert.equal(record.val_dep, 75);
+        assert.equal(record.conf_deposit, 25);
+
+        const unverified = await request('GET', '/api/deposits/status?vac_id=100004');
+        assert.equal(unverified.body.verification_required, true);
+        assert.equal(unverified.body.deposits, undefined);
+
+        const { body } = await request('GET', '/api/deposits/status?vac_id=100004', session(sessions[100004]));
+        assert.equal(body.deposits.complete, true);
+        assert.equal(body.deposits.remaining, 0);
+        assert.ok(body.payment_links.some(l => l.link_id === link.body.link_id && l.status === 'paid'));
+    });
+
+    it('has nothing to send once the deposit is paid', async () => {
+        const { body } = await paymentLink({ vac_id: 100004 });
+        assert.equal(body.success, false);
+        assert.match(body.agent_message, /nothing to pay/);
+    });
+
+    it('marks a link failed without crediting anything', async () => {
+        const link = await paymentLink({ vac_id: 100001 });
+        const { body } = await paymentWebhook({ type: 'payment.failed', link_id: link.body.link_id });
+        assert.equal(body.status, 'failed');
+        assert.equal(app.tables.RIMS_DATA.find(r => r.vac_id === 100001).val_dep, 0);
+    });
+
+    it('rejects webhooks with a bad signature and unknown links', async () => {
+        const event = { type: 'payment.succeeded', link_id: 'mock_x', amount: 100 };
+        assert.equal((await paymentWebhook(event, 'bad')).status, 401);
+        // As many characters as the hex digest but more bytes
+        assert.equal((await paymentWebhook(event, 'é'.repeat(64))).status, 401);
+        assert.equal((await paymentWebhook(event)).status, 404);
+    });
+
+    it('acknowledges event types it does not act on', async () => {
+        const link = await paymentLink({ vac_id: 100003 });
+        const { status, body } = await paymentWebhook({ type: 'charge.refunded', link_id: link.body.link_id, amount: 50 });
+        assert.equal(status, 200);
+        assert.deepEqual(body, { received: true, ignored: 'charge.refunded' });
+        assert.equal(app.tables.PAYMENT_LINKS.find(l => l.link_id === link.body.link_id).status, 'pending');
+    });
+
+    it('credits a retried link unless its earlier write already landed', async () => {
+        const record = app.tables.RIMS_DATA.find(r => r.vac_id === 100003);
+        // A link whose write-back failed after recording the deposits it was writing
+        const failedLink = link_id => {
+            app.tables.PAYMENT_LINKS.push({
+                link_id, vac_id: 100003, status: 'apply_failed', amount: 50,
+                refundable_amount: 50, tax_amount: 0, credited_val_dep: 50, credited_conf_deposit: 0
+            });
+            return paymentWebhook({ type: 'payment.succeeded', link_id, amount: 50 });
+        };
+
+        const retried = await failedLink('mock_not_landed');
+        assert.equal(retried.status, 200);
+        assert.equal(record.val_dep, 50);
+
+        // RIMS_DATA already holds what this link recorded: the write landed, its response was lost
+        const landed = await failedLink('mock_landed');
+        assert.equal(landed.status, 200);
+        assert.equal(landed.body.status, 'paid');
+        assert.equal(landed.body.val_dep, 50);
+        assert.equal(record.val_dep, 50);
+
+        record.val_dep = 0;
+    });
+
+    it('validates the request', async () => {
+        const badChannel = await paymentLink({ vac_id: 100001, channel: 'fax' });
+        assert.equal(badChannel.body.success, false);
+        const badId = await request('GET', '/api/deposits/status?vac_id=abc');
+        assert.equal(badId.body.success, false);
+    });
+});
+
+describe('memos', () => {
+    it('saves a memo and lists it', async () => {
+        const created = await request('POST', '/api/memos/create', {
+            body: { vac_id: 100002, memo_type: 'general', details: 'Asked about Las Vegas dates' }
+        });
+        assert.equal(created.body.success, true);
+        assert.ok(created.body.memo_id);
+
+        const unverified = await request('GET', '/api/memos?vac_id=100002');
+        assert.equal(unverified.body.verification_required, true);
+        assert.equal(unverified.body.memos, undefined);
+
+        const token = await verify('5551230002', 'Carter', 100002);
+        const { body } = await request('GET', '/api/memos?vac_id=100002', session(token));
+        assert.equal(body.success, true);
+        assert.ok(body.memos.some(m => m.details === 'Asked about Las Vegas dates'));
+    });
+
+    it('rejects an unknown memo type and a non-numeric vac_id', async () => {
+        const badType = await request('POST', '/api/memos/create', {
+            body: { vac_id: 100002, memo_type: 'gossip', details: 'x' }
+        });
+        assert.equal(badType.body.success, false);
+        assert.match(badType.body.error, /Invalid memo_type/);
+
+        const badId = await request('GET', `/api/memos?vac_id=${encodeURIComponent('1 OR 1=1')}`);
+        assert.equal(badId.body.success, false);
+    });
+});
+
+describe('GET /api/hours', () => {
+    it('lists departments and the current open state', async () => {
+        const { body } = await request('GET', '/api/hours');
+        assert.ok(body.timezone);
+        assert.ok(body.departments.customer_service.weekly);
+        assert.equal(typeof body.current.customer_service.is_open, 'boolean');
+        assert.ok(Array.isArray(body.upcoming_holidays));
+    });
+});
+
+describe('package catalog', () => {
+    it('lists destsel packages and overlay-only codes', async () => {
+        const { body } = await request('GET', '/api/packages');
+        assert.equal(body.success, true);
+        assert.deepEqual(body.packages.map(p => p.pkgcode2), ['ECRA', 'ECRB', 'ECRD', 'EKCA', 'EM', 'ES', 'EX25']);
+        assert.equal(body.packages.find(p => p.pkgcode2 === 'ES').in_destsel, false);
+    });
+
+    it('filters by scheduling channel', async () => {
+        const { body } = await request('GET', '/api/packages?scheduling_channel=phone');
+        assert.deepEqual(body.packages.map(p => p.pkgcode2), ['EM', 'ES', 'EX25']);
+        assert.match((await request('GET', '/api/packages?scheduling_channel=fax')).body.error, /must be one of/);
+    });
+
+    it('looks up one package by code', async () => {
+        const { body } = await request('GET', '/api/packages/ex25');
+        assert.equal(body.package.scheduling_channel, 'phone');
+        assert.equal(body.package.overlay, 'EX*');
+        assert.equal(body.package.total_expected, 100);
+
+        const missing = await request('GET', '/api/packages/NOPE');
+        assert.equal(missing.body.found, false);
+    });
+});
+
+describe('POST /api/admin/cache/invalidate', () => {
+    it('serves repeat lookups from the cache until invalidated', async () => {
+        const token = await verify('5551230001', 'Lopez', 100001);
+        const lookup = () => request('GET', '/api/customer/status?phone=5551230001', session(token));
+
+        app.api.destselCache.clear();
+        await lookup();
+        assert.notEqual(app.api.destselCache.get('ECRA'), undefined);
+
+        // A corrected destsel row only shows up after invalidation
+        app.tables.destsel.find(r => r.pkgcode2 === 'ECRA').ref_dep = 120;
+        app.api.rimsCache.clear();
+        let { body } = await lookup();
+        assert.equal(body.deposits.expected_deposit, 100);
+
+        const invalidated = await request('POST', '/api/admin/cache/invalidate', {
+            body: { cache: 'destsel', pkg_code2: 'ecra' }
+        });
+        assert.deepEqual(invalidated.body.removed, { destsel: 1 });
+
+        ({ body } = await lookup());
+        assert.equal(body.deposits.expected_deposit, 120);
+        app.tables.destsel.find(r => r.pkgcode2 === 'ECRA').ref_dep = 100;
+        await request('POST', '/api/admin/cache/invalidate', { body: { cache: 'all' } });
+    });
+
+    it('rejects an unknown cache', async () => {
+        const { body } = await request('POST', '/api/admin/cache/invalidate', { body: { cache: 'everything' } });
+        assert.equal(body.success, false);
+    });
+});
@@ -0,0 +1,97 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { startApp } = require('./helpers/app');
+const businessHours = require('../lib/business-hours');
+
+const TIMEZONE = 'America/Los_Angeles';
+const WEEKDAY_HOURS = { mon: [['09:00', '17:00']], tue: [['09:00', '17:00']], wed: [['09:00', '17:00']], thu: [['09:00', '17:00']], fri: [['09:00', '17:00']] };
+
+const schedule = {
+    timezone: TIMEZONE,
+    departments: {
+        customer_service: { name: 'Customer Service', weekly: WEEKDAY_HOURS },
+        scheduling: { name: 'Scheduling', weekly: WEEKDAY_HOURS },
+        booking: { name: 'Booking', weekly: { ...WEEKDAY_HOURS, sat: [['10:00', '12:00']] } }
+    },
+    holidays: [{ date: '2026-11-26', name: 'Thanksgiving' }],
+    special_hours: [{ date: '2026-11-27', hours: [['09:00', '13:00']], departments: ['customer_service'] }]
+};
+
+// YYYY-MM-DD `days` from today in the business timezone
+function localDate(days = 0) {
+    const today = new Intl.DateTimeFormat('en-CA', { timeZone: TIMEZONE }).format(new Date());
+    return new Date(Date.parse(`${today}T00:00:00Z`) + days * 24 * 3600 * 1000).toISOString().slice(0, 10);
+}
+
+describe('business hours', () => {
+    it('reads the weekly hours in the schedule timezone', () => {
+        // Monday 2026-11-02, 16:59 and 17:00 in Los Angeles (PST, UTC-8)
+        assert.equal(businessHours.isOpen(schedule, 'customer_service', new Date('2026-11-03T00:59:00Z')), true);
+        assert.equal(businessHours.isOpen(schedule, 'customer_service', new Date('2026-11-03T01:00:00Z')), false);
+    });
+
+    it('closes on holidays and applies special hours to the listed departments', () => {
+        assert.equal(businessHours.isOpen(schedule, 'customer_service', new Date('2026-11-26T18:00:00Z')), false);
+        // Friday 2026-11-27 at 14:00 local
+        assert.equal(businessHours.isOpen(schedule, 'customer_service', new Date('2026-11-27T22:00:00Z')), false);
+        assert.equal(businessHours.isOpen(schedule, 'booking', new Date('2026-11-27T22:00:00Z')), true);
+    });
+
+    it('finds the next opening past a weekend', () => {
+        // Friday 2026-11-06 at 18:00 local -> Monday 09:00 local
+        const next = businessHours.nextOpenAt(schedule, 'customer_service', new Date('2026-11-07T02:00:00Z'));
+        assert.equal(next.toISOString(), '2026-11-09T17:00:00.000Z');
+        assert.equal(businessHours.nextOpenAt(schedule, 'booking', new Date('2026-11-07T02:00:00Z')).toISOString(), '2026-11-07T18:00:00.000Z');
+    });
+
+    it('converts wall-clock times across a DST change', () => {
+        // 09:00 local before and after the 2026-11-01 change
+        assert.equal(businessHours.zonedTimeToDate(2026, 10, 30, 540, TIMEZONE).toISOString(), '2026-10-30T16:00:00.000Z');
+        assert.equal(businessHours.zonedTimeToDate(2026, 11, 2, 540, TIMEZONE).toISOString(), '2026-11-02T17:00:00.000Z');
+    });
+
+    it('lists slots that fit inside the open hours', () => {
+        const slots = [...businessHours.openSlots(schedule, 'booking', {
+            from: new Date('2026-11-07T18:20:00Z'),
+            slotMinutes: 45,
+            days: 0
+        })];
+        // Saturday 10:00-12:00 local: 10:45 and 11:30 would overrun, 10:00 has passed
+        assert.deepEqual(slots.map(s => s.start.toISOString()), ['2026-11-07T18:45:00.000Z']);
+    });
+});
+
+describe('GET /api/hours', () => {
+    let app;
+    let dir;
+
+    before(async () => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'best-agent-hours-'));
+        const file = path.join(dir, 'business-hours.json');
+        fs.writeFileSync(file, JSON.stringify({
+            ...schedule,
+            holidays: [
+                { date: localDate(-1), name: 'Yesterday' },
+                { date: localDate(0), name: 'Today' },
+                { date: localDate(1), name: 'Tomorrow' }
+            ]
+        }));
+        app = await startApp({ BUSINESS_HOURS_FILE: file });
+    });
+
+    after(async () => {
+        await app.close();
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it("lists holidays from today's date in the business timezone", async () => {
+        const { body } = await app.request('GET', '/api/hours');
+        assert.equal(body.timezone, TIMEZONE);
+        assert.deepEqual(body.upcoming_holidays.map(h => h.name), ['Today', 'Tomorrow']);
+        assert.equal(body.current.customer_service.is_open, false);
+    });
+});
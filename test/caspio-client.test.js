@@ -0,0 +1,218 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.LOG_LEVEL = 'error';
+
+const { createCaspioClient, CaspioError, CaspioUnavailableError } = require('../lib/caspio-client');
+const { createRegistry } = require('../lib/metrics');
+
+const BASE_URL = 'https://caspio.test';
+const realFetch = global.fetch;
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+let calls;
+
+// Replace fetch with `handler(call)`; every request is recorded in `calls`
+function stubFetch(handler) {
+    global.fetch = async (url, options = {}) => {
+        const call = {
+            url,
+            path: new URL(url).pathname,
+            method: options.method || 'GET',
+            token: (options.headers && options.headers.Authorization) || null,
+            at: Date.now()
+        };
+        calls.push(call);
+        return handler(call);
+    };
+}
+
+function reply(status, body = {}, headers = {}) {
+    return new Response(JSON.stringify(body), { status, headers: { 'content-type': 'application/json', ...headers } });
+}
+
+// Issues token-1, token-2, ...; everything else goes to `handler`
+function caspio(handler) {
+    let issued = 0;
+    stubFetch(async call => {
+        if (call.path === '/oauth/token') {
+            return reply(200, { access_token: `token-${++issued}`, expires_in: 3600 });
+        }
+        return handler(call);
+    });
+}
+
+const queries = () => calls.filter(c => c.path !== '/oauth/token');
+const tokenRequests = () => calls.filter(c => c.path === '/oauth/token');
+
+function client(options = {}) {
+    return createCaspioClient({
+        baseUrl: BASE_URL,
+        clientId: 'id',
+        clientSecret: 'secret',
+        timeoutMs: 200,
+        retryBaseMs: 10,
+        ...options
+    });
+}
+
+beforeEach(() => {
+    calls = [];
+});
+
+afterEach(() => {
+    global.fetch = realFetch;
+});
+
+describe('retries', () => {
+    it('retries a failing read with growing backoff', async () => {
+        let attempt = 0;
+        caspio(() => (++attempt < 3 ? reply(503) : reply(200, { Result: [{ vac_id: 1 }] })));
+        const db = client();
+
+        assert.deepEqual(await db.query('RIMS_DATA', ['vac_id', '=', 1]), [{ vac_id: 1 }]);
+
+        const [first, second, third] = queries();
+        assert.equal(queries().length, 3);
+        // retryBaseMs * 2^attempt plus up to retryBaseMs of jitter
+        assert.ok(second.at - first.at >= 10, `first delay ${second.at - first.at}ms`);
+        assert.ok(third.at - second.at >= 20, `second delay ${third.at - second.at}ms`);
+        assert.equal(db.stats().retries, 2);
+    });
+
+    it('retries network errors on reads and gives up after maxRetries', async () => {
+        caspio(() => {
+            throw new TypeError('fetch failed');
+        });
+        const db = client({ maxRetries: 2 });
+
+        await assert.rejects(db.query('RIMS_DATA', ['vac_id', '=', 1]), /Caspio request failed: fetch failed/);
+        assert.equal(queries().length, 3);
+        assert.equal(db.stats().failures, 1);
+    });
+
+    it('waits out Retry-After, capped at the request timeout', async () => {
+        let attempt = 0;
+        caspio(() => (++attempt === 1 ? reply(429, {}, { 'retry-after': '30' }) : reply(200, { Result: [] })));
+
+        await client({ timeoutMs: 60 }).query('RIMS_DATA', ['vac_id', '=', 1]);
+
+        const [first, second] = queries();
+        assert.ok(second.at - first.at >= 55, `delay ${second.at - first.at}ms`);
+        assert.ok(second.at - first.at < 1000, `delay ${second.at - first.at}ms`);
+    });
+
+    it('does not retry a 4xx', async () => {
+        caspio(() => reply(400, { Message: 'bad where' }));
+
+        await assert.rejects(client().query('RIMS_DATA', ['vac_id', '=', 1]), err => err instanceof CaspioError && err.status === 400);
+        assert.equal(queries().length, 1);
+    });
+});
+
+describe('non-idempotent writes', () => {
+    it('do not retry a 5xx or a network error that may have reached Caspio', async () => {
+        caspio(() => reply(500));
+        const db = client();
+        await assert.rejects(db.insert('MEMOS', { vac_id: 1 }), /Caspio insert failed: 500/);
+        assert.equal(queries().length, 1);
+
+        calls = [];
+        caspio(() => {
+            throw new TypeError('socket hang up');
+        });
+        await assert.rejects(db.insert('MEMOS', { vac_id: 1 }), CaspioError);
+        assert.equal(queries().length, 1);
+        assert.equal(db.stats().retries, 0);
+    });
+
+    it('retry a 429, which Caspio did not process', async () => {
+        let attempt = 0;
+        caspio(() => (++attempt === 1 ? reply(429) : reply(201, { Result: [{ PK_ID: 7 }] })));
+
+        assert.deepEqual(await client().insert('MEMOS', { vac_id: 1 }), { PK_ID: 7 });
+        assert.equal(queries().length, 2);
+    });
+});
+
+describe('token refresh', () => {
+    it('shares one refresh when several requests get a 401 together', async () => {
+        const revoked = new Set();
+        caspio(async call => {
+            // Hold the responses so all three requests are in flight at once
+            await sleep(5);
+            return revoked.has(call.token) ? reply(401) : reply(200, { Result: [{ token: call.token }] });
+        });
+        const db = client();
+
+        await db.query('RIMS_DATA', ['vac_id', '=', 1]);
+        assert.equal(tokenRequests().length, 1);
+        revoked.add('Bearer token-1');
+
+        const results = await Promise.all([1, 2, 3].map(id => db.query('RIMS_DATA', ['vac_id', '=', id])));
+
+        assert.equal(tokenRequests().length, 2);
+        assert.deepEqual(results.map(r => r[0].token), ['Bearer token-2', 'Bearer token-2', 'Bearer token-2']);
+        assert.equal(db.stats().token_refreshes, 2);
+    });
+
+    it('only retries once when the fresh token is rejected too', async () => {
+        caspio(() => reply(401));
+
+        await assert.rejects(client().query('RIMS_DATA', ['vac_id', '=', 1]), err => err.status === 401);
+        assert.equal(queries().length, 2);
+        assert.equal(tokenRequests().length, 2);
+    });
+});
+
+describe('circuit breaker', () => {
+    it('opens after consecutive failures and closes after a successful trial', async () => {
+        let healthy = false;
+        caspio(() => (healthy ? reply(200, { Result: [] }) : reply(500)));
+        const db = client({ maxRetries: 0, failureThreshold: 2, resetMs: 50 });
+
+        await assert.rejects(db.query('RIMS_DATA', ['vac_id', '=', 1]), /Caspio query failed: 500/);
+        await assert.rejects(db.query('RIMS_DATA', ['vac_id', '=', 1]), /Caspio query failed: 500/);
+        assert.equal(db.stats().circuit.state, 'open');
+
+        // Open: fail fast without calling Caspio
+        const before = calls.length;
+        await assert.rejects(db.query('RIMS_DATA', ['vac_id', '=', 1]), CaspioUnavailableError);
+        assert.equal(calls.length, before);
+
+        await sleep(60);
+        healthy = true;
+        assert.deepEqual(await db.query('RIMS_DATA', ['vac_id', '=', 1]), []);
+        assert.deepEqual(db.stats().circuit, { state: 'closed', consecutive_failures: 0 });
+    });
+
+    it('reopens when the half-open trial fails', async () => {
+        caspio(() => reply(500));
+        const db = client({ maxRetries: 0, failureThreshold: 1, resetMs: 30 });
+
+        await assert.rejects(db.query('RIMS_DATA', ['vac_id', '=', 1]), /500/);
+        await sleep(40);
+        await assert.rejects(db.query('RIMS_DATA', ['vac_id', '=', 1]), /500/);
+        assert.equal(db.stats().circuit.state, 'open');
+        await assert.rejects(db.query('RIMS_DATA', ['vac_id', '=', 1]), CaspioUnavailableError);
+    });
+});
+
+describe('metrics', () => {
+    it('records latency, retries, errors and the circuit state', async () => {
+        caspio(() => reply(503));
+        const metrics = createRegistry();
+        const db = client({ maxRetries: 1, failureThreshold: 1, resetMs: 1000, metrics });
+
+        await assert.rejects(db.query('RIMS_DATA', ['vac_id', '=', 1]), /503/);
+        await assert.rejects(db.query('RIMS_DATA', ['vac_id', '=', 1]), CaspioUnavailableError);
+
+        const text = metrics.render();
+        assert.match(text, /^caspio_request_duration_seconds_count\{operation="Query",status_code="503"\} 2$/m);
+        assert.match(text, /^caspio_retries_total\{operation="Query"\} 1$/m);
+        assert.match(text, /^caspio_errors_total\{operation="Query",reason="status_503"\} 1$/m);
+        assert.match(text, /^caspio_errors_total\{operation="Query",reason="circuit_open"\} 1$/m);
+        assert.match(text, /^caspio_token_refreshes_total 1$/m);
+        assert.match(text, /^caspio_circuit_state\{state="open"\} 1$/m);
+    });
+});
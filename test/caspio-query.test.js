@@ -0,0 +1,115 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { CaspioQueryError, buildWhere, buildSelect, buildOrderBy, or, and } = require('../lib/caspio-query');
+
+describe('buildWhere', () => {
+    it('builds comparisons, IN lists, null checks and groups', () => {
+        assert.equal(buildWhere('RIMS_DATA', ['vac_id', '=', 100001]), 'vac_id=100001');
+        assert.equal(buildWhere('RIMS_DATA', ['vac_id', '=', ' 100001 ']), 'vac_id=100001');
+        assert.equal(buildWhere('RIMS_DATA', ['phn1', 'in', ['555', 555]]), "phn1 IN ('555','555')");
+        assert.equal(buildWhere('RIMS_DATA', ['tm', 'is not null']), 'tm IS NOT NULL');
+        assert.equal(buildWhere('RIMS_DATA', ['decReady', '=', 'true']), 'decReady=1');
+        assert.equal(buildWhere('RIMS_DATA', ['asgn_trv_dt', '>=', '2026-03-01']), "asgn_trv_dt>='2026-03-01T00:00:00'");
+        assert.equal(
+            buildWhere('RIMS_DATA', and(['vac_id', '>', 1], or(['phn1', '=', '5'], ['phn2', '=', '5']))),
+            "vac_id>1 AND (phn1='5' OR phn2='5')"
+        );
+        assert.equal(buildWhere('RIMS_DATA', null), null);
+    });
+
+    it('escapes quotes so a value stays one string literal', () => {
+        assert.equal(buildWhere('RIMS_DATA', ['p1L', '=', "O'Neil"]), "p1L='O''Neil'");
+    });
+
+    it('keeps OR 1=1 injection inside the literal', () => {
+        assert.equal(buildWhere('RIMS_DATA', ['p1L', '=', "x' OR 1=1 --"]), "p1L='x'' OR 1=1 --'");
+        assert.equal(buildWhere('RIMS_DATA', ['p1L', '=', "' OR '1'='1"]), "p1L=''' OR ''1''=''1'");
+        assert.equal(
+            buildWhere('RIMS_DATA', ['p1L', '=', "'; DELETE FROM RIMS_DATA; --"]),
+            "p1L='''; DELETE FROM RIMS_DATA; --'"
+        );
+        assert.equal(
+            buildWhere('RIMS_DATA', ['phn1', 'IN', ["5551230001') OR (1=1"]]),
+            "phn1 IN ('5551230001'') OR (1=1')"
+        );
+    });
+
+    it('rejects control characters', () => {
+        for (const value of ['Lopez\u0000', "Lopez\n' OR 1=1", 'Lo\tpez', '\u001b[2J']) {
+            assert.throws(() => buildWhere('RIMS_DATA', ['p1L', '=', value]), /Invalid characters/);
+        }
+    });
+
+    it('rejects non-numeric values for numeric fields', () => {
+        for (const value of ['100001 OR 1=1', '1;DROP', '0x10', NaN, Infinity, null, {}, [1]]) {
+            assert.throws(() => buildWhere('RIMS_DATA', ['vac_id', '=', value]), /Invalid numeric value/, String(value));
+        }
+    });
+
+    it('rejects values of the wrong type', () => {
+        assert.throws(() => buildWhere('RIMS_DATA', ['p1L', '=', { toString: () => "' OR 1=1" }]), /Invalid string value/);
+        assert.throws(() => buildWhere('RIMS_DATA', ['p1L', '=', ['a']]), /Invalid string value/);
+        assert.throws(() => buildWhere('RIMS_DATA', ['decReady', '=', 'yes']), /Invalid boolean value/);
+    });
+
+    it('only accepts ISO dates', () => {
+        assert.equal(buildWhere('MEMOS', ['created_on', '<', new Date('2026-03-01T10:00:00Z')]), "created_on<'2026-03-01T10:00:00'");
+        assert.equal(buildWhere('MEMOS', ['created_on', '<', '2026-03-01T10:00:00Z']), "created_on<'2026-03-01T10:00:00'");
+        for (const value of ['1=1', "2026-03-01' OR '1'='1", 'March 1 2026', '2026-13-45', 1767225600000, null, true]) {
+            assert.throws(() => buildWhere('RIMS_DATA', ['asgn_trv_dt', '=', value]), /Invalid date value/, String(value));
+        }
+    });
+
+    it('rejects unknown fields, tables and operators', () => {
+        assert.throws(() => buildWhere('RIMS_DATA', ['1=1 OR vac_id', '=', 1]), /Unknown field/);
+        assert.throws(() => buildWhere('RIMS_DATA', ['password', '=', 'x']), /Unknown field/);
+        // Inherited object properties are not fields
+        assert.throws(() => buildWhere('RIMS_DATA', ['constructor', '=', 'x']), /Unknown field/);
+        assert.throws(() => buildWhere('RIMS_DATA', ['__proto__', '=', 'x']), /Unknown field/);
+        assert.throws(() => buildWhere('USERS', ['vac_id', '=', 1]), /Unknown table/);
+        assert.throws(() => buildWhere('RIMS_DATA', ['vac_id', '= 1 OR 1 =', 1]), /Unsupported operator/);
+        assert.throws(() => buildWhere('RIMS_DATA', ['vac_id', 'LIKE', '1%']), /LIKE is only supported/);
+    });
+
+    it('rejects malformed clauses', () => {
+        assert.throws(() => buildWhere('RIMS_DATA', 'vac_id=1 OR 1=1'), CaspioQueryError);
+        assert.throws(() => buildWhere('RIMS_DATA', or()), /at least one condition/);
+        assert.throws(() => buildWhere('RIMS_DATA', ['phn1', 'IN', []]), /non-empty list/);
+        assert.throws(() => buildWhere('RIMS_DATA', ['phn1', 'IN', "'a','b'"]), /non-empty list/);
+        assert.throws(() => buildWhere('RIMS_DATA', or('vac_id=1')), /triple/);
+    });
+});
+
+describe('buildSelect', () => {
+    it('joins plain identifiers', () => {
+        assert.equal(buildSelect(['vac_id', 'p1L']), 'vac_id,p1L');
+        assert.equal(buildSelect('vac_id'), 'vac_id');
+        assert.equal(buildSelect([]), null);
+        assert.equal(buildSelect(null), null);
+    });
+
+    it('rejects anything but identifiers', () => {
+        for (const field of ['vac_id,password', 'vac_id FROM users', '*', "p1L'", 'a b', '1abc', 'p1L\n', 42, null]) {
+            assert.throws(() => buildSelect(['vac_id', field]), /Invalid select field/, String(field));
+        }
+    });
+});
+
+describe('buildOrderBy', () => {
+    it('accepts schema fields with a direction', () => {
+        assert.equal(buildOrderBy('RIMS_DATA', 'val_entered_on desc'), 'val_entered_on DESC');
+        assert.equal(buildOrderBy('MEMOS', ['created_on DESC', 'PK_ID']), 'created_on DESC,PK_ID ASC');
+        assert.equal(buildOrderBy('MEMOS', null), null);
+    });
+
+    it('rejects unknown fields and anything after the direction', () => {
+        assert.throws(() => buildOrderBy('RIMS_DATA', 'password'), /Unknown field/);
+        assert.throws(() => buildOrderBy('RIMS_DATA', 'toString'), /Unknown field/);
+        assert.throws(() => buildOrderBy('RIMS_DATA', 'vac_id; DROP TABLE RIMS_DATA'), /Unknown field/);
+        assert.throws(() => buildOrderBy('RIMS_DATA', 'vac_id DESC, p1L'), /Invalid orderBy/);
+        assert.throws(() => buildOrderBy('RIMS_DATA', 'vac_id SIDEWAYS'), /Invalid orderBy/);
+        assert.throws(() => buildOrderBy('RIMS_DATA', 'vac_id ASC OR 1=1'), /Invalid orderBy/);
+        assert.throws(() => buildOrderBy('NOPE', 'vac_id'), /Unknown table/);
+    });
+});
@@ -0,0 +1,100 @@
+/**
+ * Test harness
+ * Starts dev/fake-caspio.js on a free port with a fresh copy of the seed
+ * data, points the API at it and listens on another free port.
+ *
+ * api.js reads its configuration when it is first required, so every test
+ * file gets its own process (node --test) and calls startApp() once.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createFakeCaspio, loadSeedData } = require('../../dev/fake-caspio');
+
+const API_KEY = 'test-key';
+
+function listen(app) {
+    return new Promise(resolve => {
+        const server = app.listen(0, '127.0.0.1', () => resolve(server));
+    });
+}
+
+function close(server) {
+    server.closeAllConnections();
+    return new Promise(resolve => server.close(resolve));
+}
+
+/**
+ * Require api.js with the test configuration (and `env` laid over it).
+ * Returns { api, stateDir } - stateDir holds the outbox, notification state
+ * and analytics database.
+ */
+function loadApi(env = {}) {
+    const stateDir = fs.mkdtempSync(path.join(os.tmpdir(), 'best-agent-api-test-'));
+
+    Object.assign(process.env, {
+        CASPIO_CLIENT_ID: 'test',
+        CASPIO_CLIENT_SECRET: 'test',
+        API_KEYS: `test:${API_KEY}:*`,
+        LOG_LEVEL: 'error',
+        NOTIFIER: 'file',
+        NOTIFIER_OUTBOX_FILE: path.join(stateDir, 'outbox.jsonl'),
+        NOTIFICATION_STATE_FILE: path.join(stateDir, 'notifications.json'),
+        ANALYTICS_DB_FILE: path.join(stateDir, 'analytics.db'),
+        ...env
+    });
+
+    return { api: require('../../api'), stateDir };
+}
+
+/**
+ * Start fake Caspio and the API. `env` is laid over the test defaults.
+ * Returns { api, tables, stateDir, request, close }.
+ */
+async function startApp(env = {}) {
+    const tables = loadSeedData();
+    const fake = await listen(createFakeCaspio(tables, { clientId: 'test', clientSecret: 'test' }));
+    const { api, stateDir } = loadApi({ CASPIO_BASE_URL: `http://127.0.0.1:${fake.address().port}`, ...env });
+    const server = await listen(api.app);
+    const base = `http://127.0.0.1:${server.address().port}`;
+
+    // JSON request with the test API key; returns { status, headers, body }
+    async function request(method, url, { body, headers = {} } = {}) {
+        const response = await fetch(base + url, {
+            method,
+            headers: {
+                'x-api-key': API_KEY,
+                ...(body !== undefined ? { 'content-type': 'application/json' } : {}),
+                ...headers
+            },
+            body: body === undefined ? undefined : (typeof body === 'string' ? body : JSON.stringify(body))
+        });
+        const text = await response.text();
+        let parsed = text;
+        try {
+            parsed = JSON.parse(text);
+        } catch (error) {
+            // not JSON - leave as text
+        }
+        return { status: response.status, headers: response.headers, body: parsed };
+    }
+
+    return {
+        api,
+        tables,
+        stateDir,
+        request,
+        async close() {
+            await close(server);
+            await close(fake);
+            fs.rmSync(stateDir, { recursive: true, force: true });
+        }
+    };
+}
+
+module.exports = {
+    API_KEY,
+    loadApi,
+    startApp
+};
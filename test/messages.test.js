@@ -0,0 +1,83 @@
+const fs = require('fs');
+const path = require('path');
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const messages = require('../lib/messages');
+const { loadRuleSet, listRuleSetVersions } = require('../lib/status-rules');
+
+const MESSAGES_DIR = path.join(__dirname, '..', 'config', 'messages');
+
+function catalog(lang) {
+    return JSON.parse(fs.readFileSync(path.join(MESSAGES_DIR, `${lang}.json`), 'utf8'));
+}
+
+// Every leaf in a catalog: [[key, template]]
+function leaves(node, prefix = '') {
+    return Object.entries(node).flatMap(([name, value]) => {
+        const key = prefix ? `${prefix}.${name}` : name;
+        return value && typeof value === 'object' ? leaves(value, key) : [[key, value]];
+    });
+}
+
+const placeholders = template => (template.match(/\{\{\w+\}\}/g) || []).sort();
+
+describe('message catalogs', () => {
+    it('translate every English key into every language', () => {
+        assert.deepEqual(messages.findMissingTranslations(), []);
+    });
+
+    it('use the same placeholders in every language', () => {
+        const english = new Map(leaves(catalog(messages.DEFAULT_LANGUAGE)));
+        for (const lang of messages.SUPPORTED_LANGUAGES) {
+            for (const [key, template] of leaves(catalog(lang))) {
+                assert.ok(english.has(key), `${lang}:${key} is not in English`);
+                assert.deepEqual(placeholders(template), placeholders(english.get(key)), `${lang}:${key}`);
+            }
+        }
+    });
+
+    it('have a status message for every rule', () => {
+        for (const version of listRuleSetVersions()) {
+            for (const rule of loadRuleSet(version).rules) {
+                for (const lang of messages.SUPPORTED_LANGUAGES) {
+                    assert.ok(messages.hasMessage(`status.${rule.id}`, lang), `${lang}:status.${rule.id} (${version})`);
+                }
+            }
+        }
+    });
+});
+
+describe('translate', () => {
+    it('interpolates variables and blanks missing ones', () => {
+        const scheduled = messages.translate('status.dates_scheduled', { vars: { travel_date: '2026-05-01' } });
+        assert.match(scheduled, /all set for 2026-05-01\./);
+        assert.doesNotMatch(messages.translate('status.dates_scheduled'), /\{\{/);
+    });
+
+    it('picks the variant and falls back to other', () => {
+        const online = messages.translate('status.ready_to_schedule', {
+            variant: 'online',
+            vars: { scheduling_url: 'activatemytrip.com' }
+        });
+        assert.match(online, /login to your activatemytrip\.com account/);
+        assert.equal(
+            messages.translate('status.ready_to_schedule', { variant: 'carrier-pigeon' }),
+            messages.translate('status.ready_to_schedule', { variant: 'other' })
+        );
+    });
+
+    it('throws on an unknown key', () => {
+        assert.throws(() => messages.translate('responses.nope'), /Missing message: responses.nope/);
+    });
+});
+
+describe('normalizeLanguage', () => {
+    it('maps codes, locales and spoken names', () => {
+        assert.equal(messages.normalizeLanguage('es-MX'), 'es');
+        assert.equal(messages.normalizeLanguage('Spanish'), 'es');
+        assert.equal(messages.normalizeLanguage(' EN_us '), 'en');
+        assert.equal(messages.normalizeLanguage('fr'), null);
+        assert.equal(messages.normalizeLanguage(5), null);
+    });
+});
@@ -0,0 +1,98 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { startApp } = require('./helpers/app');
+const { createRegistry } = require('../lib/metrics');
+
+const METRICS_TOKEN = 'test-metrics-token';
+
+describe('createRegistry', () => {
+    it('renders counters and gauges with escaped labels', () => {
+        const registry = createRegistry();
+        const requests = registry.counter('requests_total', 'Requests', ['route']);
+        requests.inc({ route: '/a' });
+        requests.inc({ route: '/a' }, 2);
+        requests.inc({ route: 'say "hi"\n' });
+        registry.gauge('up', 'Up').set({}, 1);
+
+        assert.equal(registry.render(), [
+            '# HELP requests_total Requests',
+            '# TYPE requests_total counter',
+            'requests_total{route="/a"} 3',
+            'requests_total{route="say \\"hi\\"\\n"} 1',
+            '# HELP up Up',
+            '# TYPE up gauge',
+            'up 1',
+            ''
+        ].join('\n'));
+    });
+
+    it('renders cumulative histogram buckets', () => {
+        const registry = createRegistry();
+        const latency = registry.histogram('latency_seconds', 'Latency', [], [0.1, 1]);
+        latency.observe({}, 0.05);
+        latency.observe({}, 0.5);
+        latency.observe({}, 5);
+
+        const lines = registry.render().split('\n');
+        assert.ok(lines.includes('latency_seconds_bucket{le="0.1"} 1'));
+        assert.ok(lines.includes('latency_seconds_bucket{le="1"} 2'));
+        assert.ok(lines.includes('latency_seconds_bucket{le="+Inf"} 3'));
+        assert.ok(lines.includes('latency_seconds_sum 5.55'));
+        assert.ok(lines.includes('latency_seconds_count 3'));
+    });
+
+    it('runs collectors before rendering and refuses a type change', () => {
+        const registry = createRegistry();
+        const size = registry.gauge('cache_size', 'Cache size');
+        let entries = 4;
+        registry.collect(() => size.set({}, entries));
+
+        assert.match(registry.render(), /^cache_size 4$/m);
+        entries = 7;
+        assert.match(registry.render(), /^cache_size 7$/m);
+        assert.throws(() => registry.counter('cache_size', 'Cache size'), /already registered as gauge/);
+    });
+});
+
+describe('monitoring routes', () => {
+    let app;
+    let request;
+
+    before(async () => {
+        app = await startApp({ METRICS_TOKEN });
+        request = app.request;
+    });
+
+    after(() => app.close());
+
+    it('reports ready when Caspio answers', async () => {
+        const { status, body } = await request('GET', '/health/ready', { headers: { 'x-api-key': '' } });
+        assert.equal(status, 200);
+        assert.equal(body.status, 'ready');
+        assert.equal(body.checks.caspio_token.ok, true);
+        assert.equal(body.checks.destsel_query.ok, true);
+        assert.equal(body.circuit.state, 'closed');
+    });
+
+    it('needs the metrics token', async () => {
+        assert.equal((await request('GET', '/metrics', { headers: { 'x-api-key': '' } })).status, 401);
+        assert.equal((await request('GET', '/metrics', { headers: { 'x-api-key': '', authorization: 'Bearer nope' } })).status, 401);
+    });
+
+    it('counts requests by route pattern, Caspio calls and status lookups', async () => {
+        await request('GET', '/api/refunds/100001');
+        await request('GET', '/api/customer/status?phone=5550000000');
+
+        const { status, headers, body } = await request('GET', '/metrics', {
+            headers: { 'x-api-key': '', authorization: `Bearer ${METRICS_TOKEN}` }
+        });
+        assert.equal(status, 200);
+        assert.match(headers.get('content-type'), /^text\/plain/);
+        assert.match(body, /^http_requests_total\{method="GET",route="\/api\/refunds\/:vac_id",status_code="200"\} 1$/m);
+        assert.match(body, /^caspio_request_duration_seconds_count\{operation="Query",status_code="200"\} \d+$/m);
+        assert.match(body, /^caspio_token_refreshes_total 1$/m);
+        assert.match(body, /^caspio_circuit_state\{state="closed"\} 1$/m);
+        assert.match(body, /^status_lookups_total\{source="api",found="false",status="unknown"\} 1$/m);
+    });
+});
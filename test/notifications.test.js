@@ -0,0 +1,105 @@
+const fs = require('fs');
+const path = require('path');
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { startApp } = require('./helpers/app');
+
+let app;
+let request;
+
+before(async () => {
+    app = await startApp();
+    request = app.request;
+});
+
+after(() => app.close());
+
+// Messages the file notifier wrote to the outbox
+function outbox() {
+    const file = path.join(app.stateDir, 'outbox.jsonl');
+    if (!fs.existsSync(file)) return [];
+    return fs.readFileSync(file, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+}
+
+function record(vacId) {
+    return app.tables.RIMS_DATA.find(r => r.vac_id === vacId);
+}
+
+describe('notification runs', () => {
+    it('records every status on the first run without notifying', async () => {
+        const { body } = await request('POST', '/api/notifications/run');
+        assert.equal(body.dry_run, false);
+        assert.equal(body.scanned, app.tables.RIMS_DATA.length);
+        assert.equal(body.first_seen, body.scanned);
+        assert.equal(body.counts.sent, 0);
+        assert.deepEqual(outbox(), []);
+    });
+
+    it('previews a status change in a dry run without sending or saving it', async () => {
+        Object.assign(record(100003), { val_dep: 100, conf_deposit: 50 });
+
+        const { body } = await request('GET', '/api/notifications/dry-run');
+        assert.equal(body.dry_run, true);
+        assert.deepEqual(body.transitions, [{ vac_id: 100003, from: 'Deposit Needed', to: 'Ready to Schedule', notify: ['sms'] }]);
+        assert.equal(body.counts.would_send, 1);
+        assert.match(body.notifications[0].body, /ready to choose your travel dates/);
+        assert.deepEqual(outbox(), []);
+
+        // Nothing was saved, so the dry run sees the same change again
+        const again = await request('GET', '/api/notifications/dry-run');
+        assert.equal(again.body.transition_count, 1);
+    });
+
+    it('sends the notification once', async () => {
+        const { body } = await request('POST', '/api/notifications/run');
+        assert.equal(body.counts.sent, 1);
+        assert.equal(body.notifications[0].vac_id, 100003);
+        assert.notEqual(body.notifications[0].to, '+15551230002');
+
+        const [sms] = outbox();
+        assert.equal(sms.channel, 'sms');
+        assert.equal(sms.to, '+15551230002');
+
+        const next = await request('POST', '/api/notifications/run');
+        assert.equal(next.body.transition_count, 0);
+        assert.equal(next.body.counts.sent, 0);
+    });
+});
+
+describe('opt-outs', () => {
+    it('skips a channel the customer opted out of', async () => {
+        const optOut = await request('POST', '/api/notifications/opt-out', {
+            body: { phone: '(555) 123-0001', channels: ['sms'] }
+        });
+        assert.equal(optOut.body.success, true);
+        assert.deepEqual(optOut.body.channels, ['sms']);
+
+        Object.assign(record(100001), { val_dep: 100 });
+        const { body } = await request('POST', '/api/notifications/run');
+        assert.equal(body.counts.opted_out, 1);
+        assert.equal(body.counts.sent, 0);
+        assert.equal(outbox().length, 1);
+    });
+
+    it('lists opt-outs and removes them on opt-in', async () => {
+        const listed = await request('GET', '/api/notifications/opt-outs');
+        assert.equal(listed.body.count, 1);
+        assert.deepEqual(listed.body.opt_outs[0].channels, ['sms']);
+
+        const optIn = await request('POST', '/api/notifications/opt-in', { body: { phone: '5551230001' } });
+        assert.equal(optIn.body.updated, 1);
+        assert.equal((await request('GET', '/api/notifications/opt-outs')).body.count, 0);
+    });
+
+    it('validates the request', async () => {
+        const none = await request('POST', '/api/notifications/opt-out', { body: {} });
+        assert.match(none.body.error, /phone, email or vac_id is required/);
+
+        const badChannel = await request('POST', '/api/notifications/opt-out', { body: { vac_id: 100001, channels: ['pigeon'] } });
+        assert.equal(badChannel.body.success, false);
+
+        const badId = await request('POST', '/api/notifications/opt-out', { body: { vac_id: '1 OR 1=1' } });
+        assert.match(badId.body.error, /vac_id must be numeric/);
+    });
+});
@@ -0,0 +1,70 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.LOG_LEVEL = 'info';
+
+const { createNotifier } = require('../lib/notifiers');
+
+const realFetch = global.fetch;
+const MESSAGE = { channel: 'email', to: 'maria.lopez@example.com', subject: 'Your code', body: 'Your code is 482913' };
+
+afterEach(() => {
+    global.fetch = realFetch;
+});
+
+// Lines written to stdout while `fn` runs
+async function captureStdout(fn) {
+    const lines = [];
+    const write = process.stdout.write;
+    process.stdout.write = chunk => lines.push(String(chunk)) > 0;
+    try {
+        await fn();
+    } finally {
+        process.stdout.write = write;
+    }
+    return lines.join('');
+}
+
+describe('log notifier', () => {
+    it('never logs the message body', async () => {
+        const output = await captureStdout(() => createNotifier('log').send(MESSAGE));
+        assert.match(output, /Message sent/);
+        assert.doesNotMatch(output, /482913/);
+    });
+});
+
+describe('webhook notifier', () => {
+    it('posts the message to the relay', async () => {
+        let sent;
+        global.fetch = async (url, options) => {
+            sent = { url, options };
+            return new Response(null, { status: 202 });
+        };
+
+        const notifier = createNotifier('webhook', { url: 'https://relay.test/send', token: 'relay-token' });
+        const result = await notifier.send(MESSAGE);
+
+        assert.equal(notifier.delivers, true);
+        assert.equal(result.status, 'sent');
+        assert.equal(sent.url, 'https://relay.test/send');
+        assert.equal(sent.options.headers.Authorization, 'Bearer relay-token');
+        assert.equal(sent.options.headers['Idempotency-Key'], result.id);
+        assert.deepEqual(JSON.parse(sent.options.body), { id: result.id, ...MESSAGE });
+    });
+
+    it('fails the send when the relay does', async () => {
+        global.fetch = async () => new Response(null, { status: 503 });
+        await assert.rejects(createNotifier('webhook', { url: 'https://relay.test/send' }).send(MESSAGE), /webhook failed: 503/);
+    });
+
+    it('needs a URL', () => {
+        assert.throws(() => createNotifier('webhook'), /NOTIFIER_WEBHOOK_URL/);
+    });
+});
+
+describe('production', () => {
+    it('refuses to start with a notifier that does not deliver', () => {
+        Object.assign(process.env, { NODE_ENV: 'production', NOTIFIER: 'file', LOG_LEVEL: 'error' });
+        assert.throws(() => require('../api'), /NOTIFIER=file does not deliver/);
+    });
+});
@@ -0,0 +1,93 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { loadPackageCatalog, resolvePackage, overlayCodes } = require('../lib/package-catalog');
+
+// Write `config` to a temp file and load it
+function loadConfig(config) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'best-agent-catalog-'));
+    const file = path.join(dir, 'packages.json');
+    fs.writeFileSync(file, JSON.stringify(config));
+    try {
+        return loadPackageCatalog(file);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+}
+
+const catalog = loadConfig({
+    defaults: { scheduling_channel: 'other', scheduling_url: 'activatemytrip.com' },
+    packages: {
+        'EX*': { scheduling_channel: 'phone' },
+        'EXV*': { scheduling_channel: 'online', scheduling_url: 'vegas.example.com' },
+        EXV2: { scheduling_channel: 'other' },
+        ecra: { scheduling_channel: 'online', display_name: 'Cancun All-Inclusive' },
+        PROMO1: { scheduling_channel: 'phone', ref_dep: 50 }
+    }
+});
+
+const row = fields => ({ pkgcode2: 'X', ref_dep: 100, deposit: 50, destination: 'Cancun', ngts: 5, vaca_desc: 'Cancun 5 nights', ...fields });
+
+describe('resolvePackage', () => {
+    it('lays the exact code over the longest prefix over destsel', () => {
+        assert.equal(resolvePackage(catalog, 'ex25', row()).scheduling_channel, 'phone');
+        assert.equal(resolvePackage(catalog, 'EXV1', row()).scheduling_url, 'vegas.example.com');
+        assert.equal(resolvePackage(catalog, 'EXV1', row()).overlay, 'EXV*');
+
+        const exact = resolvePackage(catalog, 'EXV2', row());
+        assert.equal(exact.scheduling_channel, 'other');
+        assert.equal(exact.scheduling_url, null);
+        assert.equal(exact.overlay, 'EXV2');
+    });
+
+    it('reads destsel columns, with defaults only filling gaps', () => {
+        const pkg = resolvePackage(catalog, 'ZZ1', row({ scheduling_channel: ' Online ', scheduling_url: 'zz.example.com' }));
+        assert.equal(pkg.scheduling_channel, 'online');
+        assert.equal(pkg.scheduling_url, 'zz.example.com');
+        assert.equal(pkg.display_name, 'Cancun 5 nights');
+        assert.equal(pkg.total_expected, 150);
+        assert.equal(pkg.nights, 5);
+        assert.equal(pkg.overlay, null);
+
+        assert.equal(resolvePackage(catalog, 'ZZ2', row({ scheduling_channel: 'fax' })).scheduling_channel, 'other');
+    });
+
+    it('knows overlay-only packages without inventing deposits', () => {
+        const promo = resolvePackage(catalog, 'PROMO1');
+        assert.equal(promo.in_destsel, false);
+        assert.equal(promo.ref_dep, 50);
+        assert.equal(promo.total_expected, 50);
+
+        const prefixOnly = resolvePackage(catalog, 'EX77');
+        assert.equal(prefixOnly.scheduling_channel, 'phone');
+        assert.equal(prefixOnly.total_expected, null);
+
+        assert.equal(resolvePackage(catalog, 'NOPE'), null);
+    });
+
+    it('uses the overlay display name', () => {
+        assert.equal(resolvePackage(catalog, 'ECRA', row()).display_name, 'Cancun All-Inclusive');
+    });
+});
+
+describe('loadPackageCatalog', () => {
+    it('lists exact codes only', () => {
+        assert.deepEqual(overlayCodes(catalog).sort(), ['ECRA', 'EXV2', 'PROMO1']);
+    });
+
+    it('rejects entries it does not understand', () => {
+        assert.throws(() => loadConfig({ packages: { EM: { channel: 'phone' } } }), /EM has unknown fields channel/);
+        assert.throws(() => loadConfig({ packages: { EM: { scheduling_channel: 'fax' } } }), /scheduling_channel must be one of/);
+        assert.throws(() => loadConfig({ defaults: { ref_dep: -5 } }), /defaults ref_dep must be a non-negative number/);
+    });
+
+    it('loads config/packages.json', () => {
+        const shipped = loadPackageCatalog(path.join(__dirname, '..', 'config', 'packages.json'));
+        assert.equal(resolvePackage(shipped, 'ECRB', row()).scheduling_channel, 'online');
+        assert.equal(resolvePackage(shipped, 'EZ10', row()).scheduling_channel, 'phone');
+        assert.equal(resolvePackage(shipped, 'EM', row()).scheduling_channel, 'phone');
+    });
+});
@@ -0,0 +1,99 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parsePhone, normalizePhone, formatE164 } = require('../lib/phone');
+
+describe('parsePhone', () => {
+    it('reads NANP numbers in any common format', () => {
+        for (const value of [
+            '5551230001',
+            '15551230001',
+            '+15551230001',
+            '(555) 123-0001',
+            '555.123.0001',
+            '1-555-123-0001',
+            '+1 (555) 123-0001',
+            '+1 1 555 123 0001'
+        ]) {
+            const phone = parsePhone(value);
+            assert.equal(phone.valid, true, value);
+            assert.equal(phone.e164, '+15551230001', value);
+            assert.equal(phone.lookup_key, '5551230001', value);
+        }
+    });
+
+    it('splits off extensions', () => {
+        assert.equal(parsePhone('555.123.0001 x12').extension, '12');
+        assert.equal(parsePhone('555-123-0001 ext. 7').extension, '7');
+        assert.equal(parsePhone('555-123-0001 extension 7').extension, '7');
+        assert.equal(parsePhone('5551230001#45').extension, '45');
+        assert.equal(parsePhone('5551230001;ext=99').extension, '99');
+        assert.equal(parsePhone('555.123.0001 x12').e164, '+15551230001');
+    });
+
+    it('reads international prefixes', () => {
+        for (const value of ['+52 55 1234 5678', '0052 55 1234 5678', '011 52 55 1234 5678']) {
+            const phone = parsePhone(value);
+            assert.equal(phone.country_code, '52', value);
+            assert.equal(phone.lookup_key, '525512345678', value);
+        }
+    });
+
+    it('drops the old Mexican mobile 1 and a written trunk prefix', () => {
+        assert.equal(parsePhone('+52 1 55 1234 5678').e164, '+525512345678');
+        assert.equal(parsePhone('+44 (0) 20 7946 0958').e164, '+442079460958');
+        // Italian numbers keep their leading 0
+        assert.equal(parsePhone('+39 06 1234 5678').e164, '+390612345678');
+    });
+
+    it('lists the stored formats a number may match', () => {
+        const { candidates } = parsePhone('5551230001');
+        for (const format of ['5551230001', '555-123-0001', '(555) 123-0001', '+1 555-123-0001']) {
+            assert.ok(candidates.includes(format), format);
+        }
+
+        const mexican = parsePhone('+52 55 1234 5678').candidates;
+        assert.ok(mexican.includes('+525512345678'));
+        assert.ok(mexican.includes('5215512345678'));
+    });
+
+    it('never matches an international number on its bare national number', () => {
+        // +52 55 1234 5678 is not the US number 551-234-5678
+        const { candidates } = parsePhone('+52 55 1234 5678');
+        assert.ok(!candidates.includes('5512345678'));
+        assert.ok(!parsePhone('+44 20 7946 0958').candidates.includes('2079460958'));
+    });
+
+    it('marks unparseable values invalid and keeps their digits', () => {
+        assert.deepEqual(parsePhone('12345'), {
+            valid: false,
+            e164: null,
+            country_code: null,
+            national: null,
+            extension: null,
+            lookup_key: '12345',
+            candidates: ['12345']
+        });
+        assert.equal(parsePhone('').valid, false);
+        assert.deepEqual(parsePhone(null).candidates, []);
+        assert.equal(parsePhone(undefined).lookup_key, '');
+        // +1 with the wrong number of digits
+        assert.equal(parsePhone('+1 555 123').valid, false);
+    });
+});
+
+describe('normalizePhone', () => {
+    it('returns the lookup key', () => {
+        assert.equal(normalizePhone('(555) 123-0001 x12'), '5551230001');
+        assert.equal(normalizePhone('+52 1 55 1234 5678'), '525512345678');
+        assert.equal(normalizePhone('abc'), '');
+    });
+});
+
+describe('formatE164', () => {
+    it('formats valid numbers and returns null otherwise', () => {
+        assert.equal(formatE164('555-123-0001 ext. 7'), '+15551230001');
+        assert.equal(formatE164('0044 20 7946 0958'), '+442079460958');
+        assert.equal(formatE164('12345'), null);
+    });
+});
@@ -0,0 +1,29 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { startApp } = require('./helpers/app');
+
+let app;
+
+before(async () => {
+    // Fake Caspio only accepts the test secret
+    app = await startApp({ CASPIO_CLIENT_SECRET: 'revoked' });
+});
+
+after(() => app.close());
+
+describe('GET /health/ready', () => {
+    it('is not ready when Caspio rejects the credentials', async () => {
+        const { status, body } = await app.request('GET', '/health/ready', { headers: { 'x-api-key': '' } });
+        assert.equal(status, 503);
+        assert.equal(body.status, 'not_ready');
+        assert.equal(body.checks.caspio_token.ok, false);
+        assert.match(body.checks.caspio_token.error, /auth failed: 401/);
+        assert.deepEqual(body.checks.destsel_query, { ok: false, error: 'skipped: no Caspio token' });
+    });
+
+    it('leaves the liveness check alone', async () => {
+        const { status } = await app.request('GET', '/health', { headers: { 'x-api-key': '' } });
+        assert.equal(status, 200);
+    });
+});
@@ -0,0 +1,72 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { matchSpokenAnswer, normalizeText } = require('../lib/record-matcher');
+
+// James Carter's two seed records, most recent first
+const RECORDS = [
+    { vac_id: 100003, pkg_code2: 'ECRB', p1F: 'James', p1L: 'Carter', dest: 'Cancun' },
+    { vac_id: 100002, pkg_code2: 'EX25', p1F: 'James', p1L: 'Carter', dest: 'Las Vegas' }
+];
+
+const PACKAGES = {
+    ECRB: { vaca_desc: 'Cancun 4 nights', destination: 'Cancun', nights: 4 },
+    EX25: { vaca_desc: 'Las Vegas 3 nights', destination: 'Las Vegas', nights: 3 }
+};
+
+function match(answer, options = {}) {
+    return matchSpokenAnswer(answer, RECORDS, { packageFor: r => PACKAGES[r.pkg_code2], ...options });
+}
+
+function matchedVacId(answer) {
+    const result = match(answer);
+    return result.match ? result.match.record.vac_id : null;
+}
+
+describe('matchSpokenAnswer', () => {
+    it('matches a destination', () => {
+        assert.equal(matchedVacId('the Las Vegas one'), 100002);
+        assert.equal(matchedVacId('cancún please'), 100003);
+    });
+
+    it('matches a spelled-out package code', () => {
+        assert.equal(matchedVacId('E C R B'), 100003);
+        assert.equal(matchedVacId('ex 25'), 100002);
+    });
+
+    it('matches vac_id digits', () => {
+        assert.equal(matchedVacId('the one ending in 0002'), 100002);
+    });
+
+    it('matches a position, in English or Spanish', () => {
+        assert.equal(matchedVacId('the second one'), 100002);
+        assert.equal(matchedVacId('el primero'), 100003);
+    });
+
+    it('matches the number of nights', () => {
+        assert.equal(matchedVacId('the three night trip'), 100002);
+    });
+
+    it('ignores what every record shares', () => {
+        const result = match('James Carter');
+        assert.equal(result.match, null);
+        assert.ok(result.candidates.every(c => !c.reasons.includes('name')));
+    });
+
+    it('does not guess on an answer that fits nothing', () => {
+        const result = match('umm whichever');
+        assert.equal(result.match, null);
+        assert.equal(result.confidence, 0);
+        assert.equal(result.candidates.length, 2);
+    });
+
+    it('respects the threshold', () => {
+        assert.equal(match('the second one', { threshold: 0.99 }).match, null);
+    });
+});
+
+describe('normalizeText', () => {
+    it('lower-cases and strips accents and punctuation', () => {
+        assert.equal(normalizeText('  Cancún,  MÉXICO! '), 'cancun mexico');
+    });
+});
@@ -0,0 +1,151 @@
+const fs = require('fs');
+const path = require('path');
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { startApp } = require('./helpers/app');
+const { loadRefundPolicy, refundTimeline } = require('../lib/refunds');
+
+const policy = loadRefundPolicy(path.join(__dirname, '..', 'config', 'refunds.json'));
+
+// YYYY-MM-DD `days` from today in the business timezone (negative for the past)
+function daysFromToday(days) {
+    const today = new Intl.DateTimeFormat('en-CA', { timeZone: 'America/Los_Angeles' }).format(new Date());
+    return new Date(Date.parse(`${today}T00:00:00Z`) + days * 24 * 3600 * 1000).toISOString().slice(0, 10);
+}
+
+describe('refundTimeline', () => {
+    it('gives the expected window from the request date', () => {
+        const timeline = refundTimeline(policy, { stage: 'Processing', requested_on: '2026-08-01T00:00:00' }, '2026-08-21');
+        assert.equal(timeline.stage, 'processing');
+        assert.equal(timeline.stage_label, 'Processing');
+        assert.equal(timeline.expected_from, '2026-08-31');
+        assert.equal(timeline.expected_by, '2026-09-15');
+        assert.equal(timeline.days_since_request, 20);
+        assert.equal(timeline.past_sla, false);
+    });
+
+    it('flags a refund past the SLA unless it was issued', () => {
+        const late = refundTimeline(policy, { stage: 'approved', requested_on: '2026-08-01' }, '2026-09-20');
+        assert.equal(late.past_sla, true);
+        assert.equal(late.days_past_sla, 5);
+
+        const issued = refundTimeline(policy, { stage: 'issued', requested_on: '2026-08-01', issued_on: '2026-09-10' }, '2026-09-20');
+        assert.equal(issued.final, true);
+        assert.equal(issued.past_sla, false);
+    });
+
+    it('treats an unknown stage as the first and an undated refund as never late', () => {
+        const timeline = refundTimeline(policy, { stage: 'lost' }, '2026-09-20');
+        assert.equal(timeline.stage, 'submitted');
+        assert.equal(timeline.expected_by, null);
+        assert.equal(timeline.past_sla, false);
+    });
+});
+
+describe('refund routes', () => {
+    let app;
+    let request;
+    let oneil;
+    let carter;
+
+    async function verify(phone, lastName, vacId) {
+        const { body } = await request('POST', '/api/customer/verify', {
+            body: { phone, last_name: lastName, vac_id_last4: String(vacId).slice(-4) }
+        });
+        return body.session_token;
+    }
+
+    const session = token => ({ headers: { 'x-session-token': token } });
+    const status = (vacId, token) => request('GET', `/api/refunds/${vacId}`, session(token)).then(r => r.body);
+    const inquiry = (vacId, token, notes) => request('POST', `/api/refunds/${vacId}/inquiry`, {
+        body: { notes },
+        ...session(token)
+    }).then(r => r.body);
+
+    function outbox() {
+        const file = path.join(app.stateDir, 'outbox.jsonl');
+        if (!fs.existsSync(file)) return [];
+        return fs.readFileSync(file, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+    }
+
+    before(async () => {
+        app = await startApp();
+        request = app.request;
+
+        app.tables.REFUNDS = [
+            // O'Neil's refund is 15 days past the 45-day SLA
+            { PK_ID: 7, vac_id: 100004, amount: 150, stage: 'processing', requested_on: `${daysFromToday(-60)}T00:00:00`, issued_on: null, escalated_on: null },
+            { PK_ID: 8, vac_id: 100003, amount: 40, stage: 'approved', requested_on: `${daysFromToday(-10)}T00:00:00`, issued_on: null, escalated_on: null }
+        ];
+        // Carter's other package only has cash back on RIMS_DATA
+        app.tables.RIMS_DATA.find(r => r.vac_id === 100002).cash_back_amt = 50;
+
+        oneil = await verify('5551230004', "O'Neil", 100004);
+        carter = await verify('5551230002', 'Carter', 100003);
+    });
+
+    after(() => app.close());
+
+    it('only tells an unverified caller the stage', async () => {
+        const body = await status(100004);
+        assert.equal(body.found, true);
+        assert.equal(body.verification_required, true);
+        assert.equal(body.stage, 'processing');
+        assert.equal(body.refund, undefined);
+        assert.doesNotMatch(body.agent_message, /\$150/);
+    });
+
+    it('gives a verified caller the amount and dates', async () => {
+        const body = await status(100003, carter);
+        assert.equal(body.verified, true);
+        assert.equal(body.refund.amount, 40);
+        assert.equal(body.refund.stage, 'approved');
+        assert.equal(body.refund.expected_by, daysFromToday(35));
+        assert.equal(body.refund.past_sla, false);
+        assert.match(body.agent_message, /\$40/);
+    });
+
+    it('falls back to cash back on RIMS_DATA', async () => {
+        const token = await verify('5551230002', 'Carter', 100002);
+        const body = await status(100002, token);
+        assert.equal(body.refund.source, 'rims_data');
+        assert.equal(body.refund.amount, 50);
+        assert.equal(body.refund.expected_by, null);
+    });
+
+    it('says when there is no refund', async () => {
+        const body = await status(100001);
+        assert.equal(body.found, false);
+        assert.equal(body.error, 'No refund on this account');
+        assert.ok(body.agent_message);
+        assert.equal((await status('abc')).error, 'A numeric vac_id is required');
+    });
+
+    it('records an inquiry within the SLA without escalating', async () => {
+        const body = await inquiry(100003, carter, 'Wants it sooner');
+        assert.equal(body.success, true);
+        assert.equal(body.escalated, false);
+        const memo = app.tables.MEMOS.find(m => m.PK_ID === body.memo_id);
+        assert.equal(memo.memo_type, 'refund_question');
+        assert.match(memo.details, /Wants it sooner/);
+    });
+
+    it('escalates an overdue refund once', async () => {
+        const first = await inquiry(100004, oneil, 'Third call');
+        assert.equal(first.past_sla, true);
+        assert.equal(first.escalated, true);
+        assert.equal(first.already_escalated, false);
+        assert.ok(app.tables.REFUNDS.find(r => r.PK_ID === 7).escalated_on);
+        assert.ok(app.tables.MEMOS.some(m => m.vac_id === 100004 && m.memo_type === 'refund_escalation'));
+
+        const emails = outbox().filter(m => m.to === policy.escalation_email);
+        assert.equal(emails.length, 1);
+        assert.match(emails[0].body, /15 days past the 45-day SLA/);
+
+        const second = await inquiry(100004, oneil);
+        assert.equal(second.escalated, false);
+        assert.equal(second.already_escalated, true);
+        assert.equal(outbox().filter(m => m.to === policy.escalation_email).length, 1);
+    });
+});
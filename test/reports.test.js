@@ -0,0 +1,129 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { startApp } = require('./helpers/app');
+const { createAnalyticsStore } = require('../lib/analytics-store');
+const { toCsv } = require('../lib/csv');
+
+describe('toCsv', () => {
+    it('quotes cells with commas, quotes and newlines', () => {
+        assert.equal(
+            toCsv([{ a: 'x,y', b: 'say "hi"', c: 'two\nlines', d: null }]),
+            'a,b,c,d\r\n"x,y","say ""hi""","two\nlines",\r\n'
+        );
+    });
+
+    it('defuses text a spreadsheet would run as a formula', () => {
+        assert.equal(toCsv([{ a: '=HYPERLINK("x")', b: '-1', c: -1 }]), 'a,b,c\r\n"\'=HYPERLINK(""x"")",\'-1,-1\r\n');
+    });
+
+    it('takes the columns given, in order', () => {
+        assert.equal(toCsv([{ a: 1, b: 2 }], ['b', 'a']), 'b,a\r\n2,1\r\n');
+        assert.equal(toCsv([], ['a']), 'a\r\n');
+    });
+});
+
+describe('analytics store', () => {
+    const store = createAnalyticsStore({ file: ':memory:' });
+    const window = { from: '2026-10-01T00:00:00.000Z', to: '2026-10-03T00:00:00.000Z' };
+
+    before(() => {
+        const lookup = { source: 'api', lookup: 'phone', found: true, record_count: 1 };
+        store.record({ ...lookup, created_at: '2026-10-01T09:00:00.000Z', status: 'Deposit Needed', scheduling_mode: 'online', pkg_code2: 'ECRA', latency_ms: 10 });
+        store.record({ ...lookup, created_at: '2026-10-01T10:00:00.000Z', status: 'Deposit Needed', scheduling_mode: 'online', pkg_code2: 'ECRB', latency_ms: 30 });
+        store.record({ ...lookup, created_at: '2026-10-02T10:00:00.000Z', found: false, record_count: 0, status: 'unknown' });
+        store.record({ ...lookup, created_at: '2026-10-02T11:00:00.000Z', found: false, record_count: 0, status: 'error', source: 'v2' });
+        // Outside the window
+        store.record({ ...lookup, created_at: '2026-10-03T00:00:00.000Z', status: 'Refund Pending' });
+    });
+
+    after(() => store.close());
+
+    it('counts statuses within the window', () => {
+        const report = store.statusDistribution(window);
+        assert.equal(report.total, 4);
+        assert.deepEqual(report.rows[0], {
+            status: 'Deposit Needed',
+            scheduling_mode: 'online',
+            count: 2,
+            avg_latency_ms: 20,
+            percent: 50
+        });
+    });
+
+    it('splits not found from errors per day', () => {
+        const report = store.notFoundRate(window);
+        assert.equal(report.not_found, 1);
+        assert.equal(report.errors, 1);
+        assert.equal(report.not_found_percent, 25);
+        assert.deepEqual(report.rows.map(r => [r.day, r.total, r.not_found]), [['2026-10-01', 2, 0], ['2026-10-02', 2, 1]]);
+    });
+
+    it('filters by source and package', () => {
+        assert.equal(store.statusDistribution({ ...window, source: 'v2' }).total, 1);
+        assert.deepEqual(store.byPackage({ ...window, pkg_code2: 'ECRB' }).rows.map(r => r.pkg_code2), ['ECRB']);
+    });
+});
+
+describe('report routes', () => {
+    let app;
+    let request;
+
+    before(async () => {
+        app = await startApp({ API_KEYS: 'test:test-key:*,agent:agent-key:read-status' });
+        request = app.request;
+
+        const { body: verified } = await request('POST', '/api/customer/verify', {
+            body: { phone: '5551230001', last_name: 'Lopez', vac_id_last4: '0001' }
+        });
+        const session = { headers: { 'x-session-token': verified.session_token } };
+
+        await request('GET', '/api/customer/status?phone=5551230001', session);
+        await request('GET', '/api/customer/status?phone=5551230001');
+        await request('GET', '/api/customer/status?phone=5550000000');
+        await request('GET', '/v2/customers/status?phone=5550000000');
+    });
+
+    after(() => app.close());
+
+    it('reports every status lookup', async () => {
+        const { body } = await request('GET', '/api/reports/status-distribution');
+        assert.equal(body.success, true);
+        assert.equal(body.total, 4);
+        assert.deepEqual(body.rows.map(r => [r.status, r.count]).sort(), [
+            ['Deposit Needed', 1],
+            ['unknown', 2],
+            ['verification_required', 1]
+        ]);
+    });
+
+    it('reports the not-found rate by source', async () => {
+        const { body } = await request('GET', '/api/reports/not-found-rate?source=api');
+        assert.equal(body.total, 3);
+        assert.equal(body.not_found, 1);
+        assert.equal(body.not_found_percent, 33.3);
+    });
+
+    it('reports by package for a status', async () => {
+        const { body } = await request('GET', '/api/reports/by-package?status=Deposit%20Needed&scheduling_mode=online');
+        assert.deepEqual(body.rows.map(r => [r.pkg_code2, r.count]), [['ECRA', 1]]);
+    });
+
+    it('exports CSV', async () => {
+        const { status, headers, body } = await request('GET', '/api/reports/not-found-rate?format=csv&from=2026-01-01&to=2099-12-31');
+        assert.equal(status, 200);
+        assert.match(headers.get('content-type'), /text\/csv/);
+        assert.match(headers.get('content-disposition'), /not-found-rate-2026-01-01-2100-01-01\.csv/);
+        assert.equal(body.split('\r\n')[0], 'day,total,not_found,errors,not_found_percent');
+    });
+
+    it('validates the window', async () => {
+        assert.match((await request('GET', '/api/reports/by-package?from=yesterday')).body.error, /must be dates/);
+        assert.equal((await request('GET', '/api/reports/by-package?from=2026-10-02&to=2026-10-01')).body.error, 'from must be before to');
+    });
+
+    it('needs the reports scope', async () => {
+        const { status } = await request('GET', '/api/reports/by-package', { headers: { 'x-api-key': 'agent-key' } });
+        assert.equal(status, 403);
+    });
+});
@@ -0,0 +1,197 @@
+const fs = require('fs');
+const path = require('path');
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { startApp } = require('./helpers/app');
+const { signPayload, verifySignature, parseFunctionCall } = require('../lib/retell');
+
+const RETELL_API_KEY = 'test-retell-key';
+const RETELL_RATE_LIMIT_MAX = 25;
+const FIXTURES_DIR = path.join(__dirname, 'fixtures', 'retell');
+
+let app;
+
+before(async () => {
+    app = await startApp({ RETELL_API_KEY, RETELL_RATE_LIMIT_MAX: String(RETELL_RATE_LIMIT_MAX) });
+});
+
+after(() => app.close());
+
+// Recorded Retell function call body, as sent
+function fixture(name) {
+    return fs.readFileSync(path.join(FIXTURES_DIR, `${name}.json`), 'utf8');
+}
+
+function signature(rawBody, timestamp = Date.now(), secret = RETELL_API_KEY) {
+    return `v=${timestamp},d=${signPayload(rawBody, timestamp, secret)}`;
+}
+
+// POST a raw body to /retell/functions signed like Retell does
+function callFunction(rawBody, header = signature(rawBody)) {
+    return app.request('POST', '/retell/functions', {
+        body: rawBody,
+        headers: { 'content-type': 'application/json', 'x-retell-signature': header, 'x-api-key': '' }
+    });
+}
+
+describe('verifySignature', () => {
+    const body = fixture('get_customer_status');
+
+    it('accepts a fresh signature over the raw body', () => {
+        assert.deepEqual(verifySignature(body, signature(body), RETELL_API_KEY), { valid: true });
+    });
+
+    it('rejects a tampered body, a wrong key and a stale timestamp', () => {
+        assert.equal(verifySignature(body.replace('+15551230001', '+15551230002'), signature(body), RETELL_API_KEY).valid, false);
+        assert.equal(verifySignature(body, signature(body, Date.now(), 'other-key'), RETELL_API_KEY).valid, false);
+        assert.equal(verifySignature(body, signature(body, Date.now() - 10 * 60 * 1000), RETELL_API_KEY).reason, 'Signature expired');
+        assert.equal(verifySignature(body, 'garbage', RETELL_API_KEY).valid, false);
+        assert.equal(verifySignature(body, signature(body), undefined).valid, false);
+    });
+});
+
+describe('parseFunctionCall', () => {
+    it('turns null args from a recorded call into an empty object', () => {
+        const { name, args, call } = parseFunctionCall(JSON.parse(fixture('get_customer_status')));
+        assert.equal(name, 'get_customer_status');
+        assert.deepEqual(args, {});
+        assert.equal(call.from_number, '+15551230001');
+    });
+
+    it('tolerates a null call object and a missing body', () => {
+        assert.deepEqual(parseFunctionCall({ name: 'get_memos', args: { vac_id: 1 }, call: null }),
+            { name: 'get_memos', args: { vac_id: 1 }, call: {} });
+        assert.deepEqual(parseFunctionCall(undefined), { name: undefined, args: {}, call: {} });
+    });
+});
+
+describe('POST /retell/functions', () => {
+    it('rejects unsigned and mis-signed calls', async () => {
+        const body = fixture('get_customer_status');
+        assert.equal((await callFunction(body, '')).status, 401);
+        assert.equal((await callFunction(body, signature(body, Date.now(), 'other-key'))).status, 401);
+    });
+
+    it('rejects an unknown function', async () => {
+        const body = JSON.stringify({ name: 'delete_everything', args: {}, call: {} });
+        const { status, body: response } = await callFunction(body);
+        assert.equal(status, 400);
+        assert.ok(response.available_functions.includes('get_customer_status'));
+    });
+
+    it('looks up the caller ID when Retell sends null args', async () => {
+        const { status, body } = await callFunction(fixture('get_customer_status'));
+        assert.equal(status, 200);
+        assert.equal(body.found, true);
+        assert.equal(body.verification_required, true);
+    });
+
+    it('tolerates a null call object', async () => {
+        const body = JSON.stringify({ name: 'get_customer_status', args: { phone: '5551230004' }, call: null });
+        const { status, body: response } = await callFunction(body);
+        assert.equal(status, 200);
+        assert.equal(response.found, true);
+    });
+
+    it('verifies the caller from their caller ID', async () => {
+        const { body } = await callFunction(fixture('verify_caller'));
+        assert.equal(body.verified, true);
+        assert.deepEqual(body.vac_ids, [100001]);
+        assert.ok(body.session_token);
+    });
+
+    it('verifies against the caller ID even when args name another phone', async () => {
+        const spoofed = JSON.parse(fixture('verify_caller'));
+        // O'Neil's details, claimed from Lopez's line
+        spoofed.args = { phone: '5551230004', last_name: "O'Neil", vac_id_last4: '0004' };
+        const { body } = await callFunction(JSON.stringify(spoofed));
+        assert.equal(body.verified, false);
+        assert.equal(body.session_token, undefined);
+    });
+
+    it('passes the session token through to the next function', async () => {
+        const { body: verified } = await callFunction(fixture('verify_caller'));
+
+        const status = JSON.parse(fixture('get_customer_status'));
+        status.args = { session_token: verified.session_token };
+        const { body } = await callFunction(JSON.stringify(status));
+        assert.equal(body.customer.vac_id, 100001);
+        assert.equal(body.status, 'Deposit Needed');
+    });
+
+    it('books a callback to the caller ID for a verified caller', async () => {
+        const booking = JSON.parse(fixture('schedule_callback'));
+        const { body: unverified } = await callFunction(JSON.stringify(booking));
+        assert.equal(unverified.verification_required, true);
+
+        const { body: verified } = await callFunction(JSON.stringify({
+            name: 'verify_caller',
+            args: { last_name: "O'Neil", vac_id_last4: '0004' },
+            call: booking.call
+        }));
+        booking.args.session_token = verified.session_token;
+
+        const { body } = await callFunction(JSON.stringify(booking));
+        assert.equal(body.success, true);
+        assert.equal(body.vac_id, 100004);
+        assert.equal(body.phone, '+15551230004');
+        assert.equal(body.status, 'scheduled');
+        assert.equal(body.notes, 'Asked where the refund is');
+    });
+
+    it('sends a payment link only for a verified caller', async () => {
+        const call = JSON.parse(fixture('verify_caller')).call;
+        const request = args => callFunction(JSON.stringify({ name: 'send_payment_link', args, call }));
+
+        const { body: unverified } = await request({ vac_id: 100001, channel: 'email' });
+        assert.equal(unverified.verification_required, true);
+        assert.equal(unverified.amount, undefined);
+        assert.equal(app.tables.PAYMENT_LINKS.some(l => l.vac_id === 100001), false);
+
+        const { body: verified } = await callFunction(fixture('verify_caller'));
+        const { body } = await request({ vac_id: 100001, channel: 'email', session_token: verified.session_token });
+        assert.equal(body.success, true);
+        assert.equal(app.tables.PAYMENT_LINKS.filter(l => l.vac_id === 100001).length, 1);
+    });
+
+    it('answers a failing function with something the agent can say', async () => {
+        // A channel that can't be turned into a string throws inside the handler
+        const body = JSON.stringify({
+            name: 'opt_out_notifications',
+            args: { channels: [{ toString: 1 }] },
+            call: { call_id: 'call_fail', from_number: '+15551230001' }
+        });
+        const { status, body: response } = await callFunction(body);
+        assert.equal(status, 200);
+        assert.equal(response.success, false);
+        assert.equal(response.status, 'error');
+        assert.match(response.agent_message, /customer service/);
+    });
+
+    it('answers the fallback in the requested language', async () => {
+        const body = JSON.stringify({
+            name: 'opt_out_notifications',
+            args: { channels: [{ toString: 1 }], lang: 'es' },
+            call: { from_number: '+15551230001' }
+        });
+        const { body: response } = await callFunction(body);
+        assert.match(response.agent_message, /servicio al cliente/);
+    });
+
+    it('rate-limits each caller number', async () => {
+        const call = { from_number: '+15557770000' };
+        const body = JSON.stringify({ name: 'not_a_function', args: {}, call });
+
+        for (let i = 0; i < RETELL_RATE_LIMIT_MAX; i++) {
+            assert.equal((await callFunction(body)).status, 400);
+        }
+        const limited = await callFunction(body);
+        assert.equal(limited.status, 429);
+        assert.ok(Number(limited.headers.get('retry-after')) > 0);
+
+        // Other callers have their own window
+        const other = JSON.stringify({ name: 'not_a_function', args: {}, call: { from_number: '+15557770001' } });
+        assert.equal((await callFunction(other)).status, 400);
+    });
+});
@@ -0,0 +1,158 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { startApp } = require('./helpers/app');
+
+let app;
+let request;
+let carter;
+let oneil;
+let rescheduler;
+
+// YYYY-MM-DD `days` from today in the business timezone
+function daysFromToday(days) {
+    const today = new Intl.DateTimeFormat('en-CA', { timeZone: 'America/Los_Angeles' }).format(new Date());
+    return new Date(Date.parse(`${today}T00:00:00Z`) + days * 24 * 3600 * 1000).toISOString().slice(0, 10);
+}
+
+function inventory(PK_ID, destination, nights, startDays, endDays) {
+    return {
+        PK_ID,
+        destination,
+        nights,
+        start_date: `${daysFromToday(startDays)}T00:00:00`,
+        end_date: `${daysFromToday(endDays)}T00:00:00`
+    };
+}
+
+async function verify(phone, lastName, vacId) {
+    const { body } = await request('POST', '/api/customer/verify', {
+        body: { phone, last_name: lastName, vac_id_last4: String(vacId).slice(-4) }
+    });
+    assert.equal(body.verified, true);
+    return body.session_token;
+}
+
+const session = token => ({ headers: { 'x-session-token': token } });
+
+before(async () => {
+    app = await startApp();
+    request = app.request;
+
+    // Open dates relative to today; bookings start SCHEDULING_LEAD_DAYS (30) out
+    app.tables.TRAVEL_INVENTORY = [
+        inventory(1, 'Las Vegas', 3, 5, 20),
+        inventory(2, 'Las Vegas', 3, 25, 45),
+        inventory(3, 'Las Vegas', 3, 40, 60),
+        inventory(4, 'Las Vegas', 3, 90, 90),
+        inventory(5, 'Las Vegas', 4, 30, 120),
+        inventory(6, 'Orlando', 4, 30, 120),
+        inventory(7, 'Cancun', 4, 30, 120)
+    ];
+    // Take O'Neil off the refund so the EM package is waiting on deposits
+    app.tables.RIMS_DATA.find(r => r.vac_id === 100004).cash_back_amt = null;
+    // Give the ECRB package paid deposits and an unconfirmed date to move
+    Object.assign(app.tables.RIMS_DATA.find(r => r.vac_id === 100003), {
+        val_dep: 150,
+        asgn_trv_dt: `${daysFromToday(100)}T00:00:00`
+    });
+
+    carter = await verify('5551230002', 'Carter', 100002);
+    oneil = await verify('5551230004', "O'Neil", 100004);
+    rescheduler = await verify('5551230002', 'Carter', 100003);
+});
+
+after(() => app.close());
+
+const availability = (vacId, token) => request('GET', `/api/scheduling/availability?vac_id=${vacId}`, session(token))
+    .then(r => r.body);
+const book = (body, token) => request('POST', '/api/scheduling/book', { body, ...session(token) }).then(r => r.body);
+
+describe('GET /api/scheduling/availability', () => {
+    it('needs a verified caller', async () => {
+        const body = await availability(100002, 'nope');
+        assert.equal(body.success, false);
+        assert.equal(body.verification_required, true);
+        assert.equal(body.ranges, undefined);
+    });
+
+    it('merges overlapping inventory from the earliest bookable date', async () => {
+        const body = await availability(100002, carter);
+        assert.equal(body.success, true);
+        assert.equal(body.eligible, true);
+        assert.equal(body.destination, 'Las Vegas');
+        assert.equal(body.nights, 3);
+        assert.equal(body.earliest_date, daysFromToday(30));
+        assert.deepEqual(body.ranges, [
+            { start_date: daysFromToday(30), end_date: daysFromToday(60) },
+            { start_date: daysFromToday(90), end_date: daysFromToday(90) }
+        ]);
+        assert.match(body.agent_message, /Las Vegas/);
+    });
+
+    it('mentions the deposit still due', async () => {
+        const body = await availability(100004, oneil);
+        assert.equal(body.success, true);
+        assert.equal(body.deposits_complete, false);
+        assert.match(body.agent_message, /\$100/);
+    });
+
+    it('sends online packages to the website', async () => {
+        const lopez = await verify('5551230001', 'Lopez', 100001);
+        const body = await availability(100001, lopez);
+        assert.equal(body.success, false);
+        assert.equal(body.eligible, false);
+        assert.match(body.agent_message, /activatemytrip\.com/);
+    });
+});
+
+describe('POST /api/scheduling/book', () => {
+    it('validates the travel date', async () => {
+        for (const travel_date of ['next friday', '2026-02-30', undefined]) {
+            const body = await book({ vac_id: 100002, travel_date }, carter);
+            assert.equal(body.error, 'travel_date must be a date (YYYY-MM-DD)', String(travel_date));
+        }
+    });
+
+    it('refuses a date that is not open', async () => {
+        const body = await book({ vac_id: 100002, travel_date: daysFromToday(70) }, carter);
+        assert.equal(body.success, false);
+        assert.equal(body.error, 'travel_date is not available');
+        assert.equal(body.ranges.length, 2);
+    });
+
+    it('waits for the deposits', async () => {
+        const body = await book({ vac_id: 100004, travel_date: daysFromToday(40) }, oneil);
+        assert.equal(body.success, false);
+        assert.equal(body.deposits.remaining, 100);
+    });
+
+    it('books and confirms the date and logs a memo', async () => {
+        const travelDate = daysFromToday(45);
+        const body = await book({ vac_id: 100002, travel_date: travelDate }, carter);
+        assert.equal(body.success, true);
+        assert.equal(body.previous_travel_date, null);
+        assert.equal(body.conf_valid_code, 'CONFIRM');
+
+        const row = app.tables.RIMS_DATA.find(r => r.vac_id === 100002);
+        assert.equal(row.asgn_trv_dt, `${travelDate}T00:00:00`);
+        assert.equal(row.conf_valid_code, 'CONFIRM');
+
+        const memo = app.tables.MEMOS.find(m => m.PK_ID === body.memo_id);
+        assert.equal(memo.memo_type, 'travel_scheduled');
+        assert.match(memo.details, new RegExp(travelDate));
+    });
+
+    it('does not book over a confirmed date', async () => {
+        const body = await book({ vac_id: 100002, travel_date: daysFromToday(90) }, carter);
+        assert.equal(body.success, false);
+        assert.equal(body.eligible, false);
+    });
+
+    it('reschedules an unconfirmed date', async () => {
+        const body = await book({ vac_id: 100003, travel_date: daysFromToday(50) }, rescheduler);
+        assert.equal(body.success, true);
+        assert.equal(body.previous_travel_date, daysFromToday(100));
+        assert.match(app.tables.MEMOS.find(m => m.PK_ID === body.memo_id).details, /\(was /);
+    });
+});
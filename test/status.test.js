@@ -0,0 +1,267 @@
+const fs = require('fs');
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { loadApi } = require('./helpers/app');
+const { loadRuleSet, validateRuleSet, evaluateRules } = require('../lib/status-rules');
+const { loadPackageCatalog, resolvePackage } = require('../lib/package-catalog');
+const { loadSeedData } = require('../dev/fake-caspio');
+
+const { api, stateDir } = loadApi();
+const { determineStatus, daysUntilDate, cleanPhone } = api;
+
+const destsel = loadSeedData().destsel;
+const catalog = loadPackageCatalog();
+const ruleSet = loadRuleSet('v1');
+
+after(() => fs.rmSync(stateDir, { recursive: true, force: true }));
+
+// ECRA: ref_dep 100 only (online), ECRB: 100 + 50 (online),
+// EX25: ref_dep 100 only (phone), EM: 75 + 25 (phone)
+function packageInfo(code) {
+    return { found: true, ...resolvePackage(catalog, code, destsel.find(r => r.pkgcode2 === code)) };
+}
+
+// Local noon, so the day count doesn't depend on the machine's timezone
+function daysFromNow(days) {
+    const date = new Date();
+    date.setDate(date.getDate() + days);
+    const pad = n => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T12:00:00`;
+}
+
+// RIMS_DATA record with both ECRB deposits paid and nothing else set
+function customer(fields = {}) {
+    return {
+        vac_id: 200001,
+        pkg_code2: 'ECRB',
+        val_dep: 100,
+        conf_deposit: 50,
+        asgn_trv_dt: null,
+        tm: null,
+        conf_valid_code: null,
+        cash_back_amt: 0,
+        Fnl_Doc_MO_Date: null,
+        date_print_enc: null,
+        decReady: false,
+        date_htl_book: null,
+        date_agncy_book: null,
+        ...fields
+    };
+}
+
+function statusOf(fields, code = 'ECRB', options) {
+    return determineStatus(customer({ pkg_code2: code, ...fields }), packageInfo(code), options);
+}
+
+describe('config/status-rules/v1.json', () => {
+    it('validates and ends in an unconditional fallback', () => {
+        assert.doesNotThrow(() => validateRuleSet(ruleSet));
+        assert.equal(ruleSet.version, 'v1');
+        assert.deepEqual(ruleSet.rules[ruleSet.rules.length - 1].when, { all: [] });
+    });
+
+    it('rejects rules referencing unknown facts or thresholds', () => {
+        const withRule = when => ({
+            ...ruleSet,
+            rules: [{ id: 'broken', status: 'Broken', when, message: 'Broken' }, ...ruleSet.rules]
+        });
+        assert.throws(() => validateRuleSet(withRule({ all: [{ fact: 'nope', op: '==', value: 1 }] })), /unknown fact/);
+        assert.throws(() => validateRuleSet(withRule({ all: [{ fact: 'cash_back_amt', op: '~', value: 1 }] })), /unknown operator/);
+        assert.throws(
+            () => validateRuleSet(withRule({ all: [{ fact: 'days_until_travel', op: '<', value: { threshold: 'nope' } }] })),
+            /unknown threshold/
+        );
+    });
+
+    it('never matches an ordering comparison against a missing travel date', () => {
+        const { rule, trace } = evaluateRules(ruleSet, {
+            deposits_complete: false,
+            days_until_travel: null,
+            has_final_docs: false,
+            cash_back_amt: 0
+        });
+        assert.equal(rule.id, 'deposit_needed');
+        const tripComplete = trace.find(t => t.rule === 'trip_complete');
+        assert.equal(tripComplete.conditions[1].passed, false);
+    });
+
+    it('traces every rule up to the match', () => {
+        const result = statusOf({ asgn_trv_dt: null });
+        assert.deepEqual(
+            result.trace.map(t => t.rule),
+            ruleSet.rules.slice(0, ruleSet.rules.findIndex(r => r.id === 'ready_to_schedule') + 1).map(r => r.id)
+        );
+        assert.equal(result.trace[result.trace.length - 1].matched, true);
+        assert.equal(result.rulesVersion, 'v1');
+    });
+});
+
+describe('determineStatus', () => {
+    it('refund_pending: cash back owed and no final documents', () => {
+        const result = statusOf({ cash_back_amt: 150 });
+        assert.equal(result.rule, 'refund_pending');
+        assert.equal(result.status, 'Refund Pending');
+    });
+
+    it('trip_complete: final documents mailed, even with cash back owed', () => {
+        const result = statusOf({ Fnl_Doc_MO_Date: '2025-06-01', cash_back_amt: 150 });
+        assert.equal(result.rule, 'trip_complete');
+        assert.equal(result.status, 'Trip Complete');
+    });
+
+    it('trip_complete: travel date more than a week past', () => {
+        assert.equal(statusOf({ asgn_trv_dt: daysFromNow(-8) }).rule, 'trip_complete');
+        assert.notEqual(statusOf({ asgn_trv_dt: daysFromNow(-7) }).rule, 'trip_complete');
+    });
+
+    it('travel_pending: hotel and agency booked within 14 days', () => {
+        const booked = { date_htl_book: '2026-01-01', date_agncy_book: '2026-01-02' };
+        assert.equal(statusOf({ ...booked, asgn_trv_dt: daysFromNow(14) }).rule, 'travel_pending');
+        assert.notEqual(statusOf({ ...booked, asgn_trv_dt: daysFromNow(15) }).rule, 'travel_pending');
+        assert.notEqual(statusOf({ date_htl_book: '2026-01-01', asgn_trv_dt: daysFromNow(10) }).rule, 'travel_pending');
+    });
+
+    it('booking_pending: documents printed within 45 days', () => {
+        assert.equal(statusOf({ date_print_enc: '2026-01-01', asgn_trv_dt: daysFromNow(45) }).rule, 'booking_pending');
+        assert.notEqual(statusOf({ date_print_enc: '2026-01-01', asgn_trv_dt: daysFromNow(46) }).rule, 'booking_pending');
+    });
+
+    it('travel_rep_assigned: rep on file within 75 days', () => {
+        assert.equal(statusOf({ tm: 'JSMITH', asgn_trv_dt: daysFromNow(75) }).rule, 'travel_rep_assigned');
+        assert.notEqual(statusOf({ tm: 'JSMITH', asgn_trv_dt: daysFromNow(76) }).rule, 'travel_rep_assigned');
+        // A blank tm is no rep
+        assert.equal(statusOf({ tm: '  ', asgn_trv_dt: daysFromNow(60) }).rule, 'waiting_for_travel_rep');
+    });
+
+    it('waiting_for_travel_rep: paid, dated within 75 days, no rep yet', () => {
+        const result = statusOf({ asgn_trv_dt: daysFromNow(60) });
+        assert.equal(result.rule, 'waiting_for_travel_rep');
+        assert.equal(result.statusLabel, 'Waiting for Travel Rep');
+    });
+
+    it('ready_to_schedule: paid with no travel date', () => {
+        const result = statusOf({});
+        assert.equal(result.rule, 'ready_to_schedule');
+        assert.equal(result.status, 'Ready to Schedule');
+    });
+
+    it('dates_scheduled: paid, confirmed and more than 75 days out', () => {
+        const travelDate = daysFromNow(100);
+        const result = statusOf({ asgn_trv_dt: travelDate, conf_valid_code: 'CONFIRM' });
+        assert.equal(result.rule, 'dates_scheduled');
+        assert.match(result.agentMessage, new RegExp(travelDate));
+    });
+
+    it('scheduled_must_reschedule: unconfirmed, not ready, within 75 days', () => {
+        const result = statusOf({ val_dep: 0, conf_deposit: 0, asgn_trv_dt: daysFromNow(60) });
+        assert.equal(result.rule, 'scheduled_must_reschedule');
+        assert.equal(result.statusLabel, 'Needs Rescheduling');
+    });
+
+    it('scheduled_can_confirm: unconfirmed, not ready, more than 75 days out', () => {
+        const result = statusOf({ asgn_trv_dt: daysFromNow(100), conf_valid_code: 'PENDING' });
+        assert.equal(result.rule, 'scheduled_can_confirm');
+        assert.equal(result.statusLabel, 'Needs Confirmation');
+    });
+
+    it('deposit_needed: the fallback when nothing else matches', () => {
+        const result = statusOf({ val_dep: 0, conf_deposit: 0 });
+        assert.equal(result.rule, 'deposit_needed');
+        assert.equal(result.status, 'Deposit Needed');
+    });
+
+    it('reads an unparseable travel date as no days until travel', () => {
+        const result = statusOf({ asgn_trv_dt: 'not a date' });
+        assert.equal(result.facts.days_until_travel, null);
+        assert.equal(result.facts.has_travel_date, true);
+    });
+
+    it('words the agent message for the package scheduling channel', () => {
+        const online = statusOf({ val_dep: 0, conf_deposit: 0 }, 'ECRB');
+        assert.equal(online.isOnlineScheduling, true);
+        assert.match(online.agentMessage, /activatemytrip\.com/);
+        assert.equal(online.schedulingUrl, 'activatemytrip.com');
+
+        const phone = statusOf({ val_dep: 0, conf_deposit: 0 }, 'EM');
+        assert.equal(phone.isPhoneScheduling, true);
+        assert.match(phone.agentMessage, /transfer you to scheduling/);
+        assert.equal(phone.schedulingUrl, null);
+    });
+
+    it('classifies a code destsel lacks by the overlay prefix', () => {
+        const result = determineStatus(customer({ pkg_code2: 'EX99', val_dep: 0, conf_deposit: 0 }), null);
+        assert.equal(result.facts.scheduling_mode, 'phone');
+        assert.equal(determineStatus(customer({ pkg_code2: 'QQ1' }), null).facts.scheduling_mode, 'other');
+    });
+
+    it('translates the agent message', () => {
+        const english = statusOf({});
+        const spanish = statusOf({}, 'ECRB', { lang: 'es' });
+        assert.equal(spanish.rule, english.rule);
+        assert.notEqual(spanish.agentMessage, english.agentMessage);
+    });
+});
+
+describe('deposits', () => {
+    it('complete when both required deposits are paid', () => {
+        const { deposits } = statusOf({ val_dep: 100, conf_deposit: 50 }, 'ECRB');
+        assert.equal(deposits.complete, true);
+        assert.equal(deposits.status, 'complete');
+        assert.equal(deposits.expected_deposit, 150);
+        assert.equal(deposits.total_paid, 150);
+        assert.equal(deposits.remaining, 0);
+    });
+
+    it('pending with the remainder when only part is paid', () => {
+        const { deposits } = statusOf({ val_dep: 100, conf_deposit: 0 }, 'ECRB');
+        assert.equal(deposits.complete, false);
+        assert.equal(deposits.status, 'pending');
+        assert.equal(deposits.remaining, 50);
+        assert.equal(deposits.refundable_deposit_required, 100);
+        assert.equal(deposits.tax_deposit_required, 50);
+    });
+
+    it('accepts a single required deposit paid into either field', () => {
+        assert.equal(statusOf({ val_dep: 0, conf_deposit: 100 }, 'ECRA').deposits.complete, true);
+        assert.equal(statusOf({ val_dep: 100, conf_deposit: 0 }, 'ECRA').deposits.complete, true);
+        assert.equal(statusOf({ val_dep: 60, conf_deposit: 0 }, 'ECRA').deposits.complete, false);
+    });
+
+    it('treats missing paid amounts as zero', () => {
+        const { deposits } = statusOf({ val_dep: null, conf_deposit: undefined }, 'EM');
+        assert.equal(deposits.total_paid, 0);
+        assert.equal(deposits.remaining, 100);
+        assert.equal(deposits.complete, false);
+    });
+
+    it('without package info, any deposit counts as paid', () => {
+        const paid = determineStatus(customer({ pkg_code2: 'ZZZZ', val_dep: 25, conf_deposit: 0 }), null);
+        assert.equal(paid.deposits.complete, true);
+        assert.equal(paid.deposits.expected_deposit, null);
+        assert.equal(paid.deposits.remaining, null);
+
+        const unpaid = determineStatus(customer({ pkg_code2: 'ZZZZ', val_dep: 0, conf_deposit: 0 }), null);
+        assert.equal(unpaid.deposits.complete, false);
+        assert.equal(unpaid.rule, 'deposit_needed');
+    });
+});
+
+describe('daysUntilDate', () => {
+    it('counts whole days from today', () => {
+        assert.equal(daysUntilDate(daysFromNow(0)), 0);
+        assert.equal(daysUntilDate(daysFromNow(30)), 30);
+        assert.equal(daysUntilDate(daysFromNow(-3)), -3);
+        assert.equal(daysUntilDate(null), null);
+    });
+});
+
+describe('cleanPhone', () => {
+    it('strips formatting and a leading US country code', () => {
+        assert.equal(cleanPhone('(555) 123-0001'), '5551230001');
+        assert.equal(cleanPhone('+1 555.123.0001'), '5551230001');
+        assert.equal(cleanPhone('15551230001'), '5551230001');
+        assert.equal(cleanPhone(''), '');
+        assert.equal(cleanPhone(undefined), '');
+    });
+});
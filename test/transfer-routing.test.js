@@ -0,0 +1,75 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { loadRoutingTable, selectDestination } = require('../lib/transfer-routing');
+
+const table = loadRoutingTable(path.join(__dirname, '..', 'config', 'transfer-routing.json'));
+
+// Write `config` to a temp file and load it
+function loadConfig(config) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'best-agent-routing-'));
+    const file = path.join(dir, 'routing.json');
+    fs.writeFileSync(file, JSON.stringify(config));
+    try {
+        return loadRoutingTable(file);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+}
+
+describe('selectDestination', () => {
+    it('takes the first route whose conditions all match', () => {
+        assert.equal(selectDestination(table, { rule: 'refund_pending' }).id, 'refunds');
+        assert.equal(selectDestination(table, { rule: 'ready_to_schedule', scheduling_mode: 'phone' }).id, 'scheduling');
+        assert.equal(selectDestination(table, { rule: 'ready_to_schedule', scheduling_mode: 'online' }).id, 'customer_service');
+        assert.equal(selectDestination(table, { rule: 'booking_pending' }).reason, 'route:4');
+    });
+
+    it("uses the travel rep's direct line when the tm is listed", () => {
+        const direct = selectDestination(table, { has_travel_rep: true, tm: ' am ' });
+        assert.equal(direct.number, '+18055550111');
+        assert.equal(direct.sip_uri, null);
+        assert.equal(direct.reason, 'route:3:direct_line');
+
+        const shared = selectDestination(table, { has_travel_rep: true, tm: 'ZZ' });
+        assert.equal(shared.number, '+18055550110');
+        assert.equal(shared.reason, 'route:3');
+    });
+
+    it('skips the routes for a requested department', () => {
+        const destination = selectDestination(table, { rule: 'refund_pending' }, { department: 'booking' });
+        assert.equal(destination.id, 'booking');
+        assert.equal(destination.reason, 'requested');
+        assert.equal(selectDestination(table, {}, { department: 'nope' }), null);
+    });
+
+    it('falls back to customer service when no route matches', () => {
+        const destination = selectDestination({ ...table, routes: [{ when: { rule: 'x' }, destination: 'refunds' }] }, {});
+        assert.equal(destination.id, 'customer_service');
+        assert.equal(destination.reason, 'default');
+    });
+});
+
+describe('loadRoutingTable', () => {
+    const destinations = { customer_service: { number: '+1', hours: 'customer_service' } };
+
+    it('rejects tables it cannot route with', () => {
+        assert.throws(() => loadConfig({ destinations, routes: [] }), /needs destinations and routes/);
+        assert.throws(
+            () => loadConfig({ destinations: { refunds: destinations.customer_service }, routes: [{ destination: 'refunds' }] }),
+            /needs a customer_service destination/
+        );
+        assert.throws(
+            () => loadConfig({ destinations: { customer_service: { hours: 'x' } }, routes: [{ destination: 'customer_service' }] }),
+            /needs a number or sip_uri/
+        );
+        assert.throws(() => loadConfig({ destinations, routes: [{ destination: 'billing' }] }), /unknown destination "billing"/);
+        assert.throws(
+            () => loadConfig({ destinations, routes: [{ when: { balance: 0 }, destination: 'customer_service' }] }),
+            /unknown facts balance/
+        );
+    });
+});
@@ -0,0 +1,184 @@
+const path = require('path');
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { startApp } = require('./helpers/app');
+
+let app;
+let request;
+
+before(async () => {
+    // Customer service and booking always open, scheduling never
+    app = await startApp({
+        BUSINESS_HOURS_FILE: path.join(__dirname, 'fixtures', 'business-hours.json'),
+        CALLBACK_SLOT_CAPACITY: '2'
+    });
+    request = app.request;
+});
+
+after(() => app.close());
+
+async function verify(phone, lastName, vacId) {
+    const { body } = await request('POST', '/api/customer/verify', {
+        body: { phone, last_name: lastName, vac_id_last4: String(vacId).slice(-4) }
+    });
+    return body.session_token;
+}
+
+const route = (body, token) => request('POST', '/api/transfer/route', {
+    body,
+    headers: token ? { 'x-session-token': token } : {}
+}).then(r => r.body);
+
+describe('POST /api/transfer/route', () => {
+    it("routes from the customer's status", async () => {
+        const body = await route({ vac_id: 100004 }, await verify('5551230004', "O'Neil", 100004));
+        assert.equal(body.success, true);
+        assert.equal(body.transfer, true);
+        assert.equal(body.department, 'refunds');
+        assert.equal(body.number, '+18005550103');
+        assert.equal(body.status, 'Refund Pending');
+        assert.equal(body.customer_found, true);
+        assert.match(body.agent_message, /Refunds/);
+    });
+
+    it("routes an unverified caller without looking up the vac_id", async () => {
+        const body = await route({ vac_id: 100004, status: 'Deposit Needed' });
+        assert.equal(body.success, true);
+        assert.equal(body.customer_found, false);
+        assert.equal(body.status, 'Deposit Needed');
+        assert.equal(body.department, 'customer_service');
+    });
+
+    it('routes from a status the agent already has', async () => {
+        const body = await route({ status: 'Refund Pending' });
+        assert.equal(body.department, 'refunds');
+        assert.equal(body.customer_found, false);
+    });
+
+    it('honours a requested department', async () => {
+        const body = await route({ vac_id: 100004, department: 'Customer Service' });
+        assert.equal(body.department, 'customer_service');
+        assert.equal(body.reason, 'requested');
+    });
+
+    it('offers a callback and logs a memo when the department is closed', async () => {
+        const body = await route({ vac_id: 100002 }, await verify('5551230002', 'Carter', 100002));
+        assert.equal(body.success, true);
+        assert.equal(body.transfer, false);
+        assert.equal(body.department, 'scheduling');
+        assert.equal(body.is_open, false);
+        assert.deepEqual(body.callback, { offered: true, department: 'scheduling', earliest_at: null });
+        assert.match(body.agent_message, /closed/);
+
+        const memo = app.tables.MEMOS.find(m => m.PK_ID === body.memo_id);
+        assert.equal(memo.vac_id, 100002);
+        assert.equal(memo.memo_type, 'transfer');
+    });
+
+    it('validates the vac_id and department', async () => {
+        assert.equal((await route({ vac_id: 'abc' })).error, 'vac_id must be numeric');
+        assert.match((await route({ department: 'billing' })).error, /Unknown department/);
+    });
+});
+
+describe('POST /api/callbacks', () => {
+    // Session per vac_id
+    const sessions = {};
+    const book = (body, token = sessions[body.vac_id]) => request('POST', '/api/callbacks', {
+        body,
+        headers: token ? { 'x-session-token': token } : {}
+    }).then(r => r.body);
+
+    before(async () => {
+        sessions[100001] = await verify('5551230001', 'Lopez', 100001);
+        sessions[100002] = await verify('5551230002', 'Carter', 100002);
+        sessions[100003] = await verify('5551230002', 'Carter', 100003);
+        sessions[100004] = await verify('5551230004', "O'Neil", 100004);
+    });
+
+    it('needs a verified session for the vac_id', async () => {
+        const body = await book({ vac_id: 100004 }, 'nope');
+        assert.equal(body.success, false);
+        assert.equal(body.verification_required, true);
+        assert.equal(app.tables.CALLBACKS.length, 0);
+    });
+
+    it('books the next slot with the customer phone and logs a memo', async () => {
+        const body = await book({ vac_id: 100004, notes: 'Refund question' });
+        assert.equal(body.success, true);
+        assert.equal(body.already_scheduled, false);
+        assert.equal(body.department, 'refunds');
+        assert.equal(body.phone, '+15551230004');
+        assert.equal(body.status, 'scheduled');
+        assert.ok(new Date(body.slot_start) > new Date());
+        assert.match(body.agent_message, /0004/);
+
+        const memo = app.tables.MEMOS.find(m => m.vac_id === 100004 && m.memo_type === 'callback_request');
+        assert.match(memo.details, /Refund question/);
+    });
+
+    it('keeps an upcoming callback instead of booking another', async () => {
+        const first = await book({ vac_id: 100003, department: 'booking' });
+        const again = await book({ vac_id: 100003, department: 'booking' });
+        assert.equal(again.already_scheduled, true);
+        assert.equal(again.callback_id, first.callback_id);
+    });
+
+    it('moves on to the next slot once one is full', async () => {
+        const preferred_at = new Date(Date.now() + 24 * 3600 * 1000).toISOString();
+        const slots = [];
+        for (const vac_id of [100001, 100002, 100004]) {
+            slots.push((await book({ vac_id, department: 'customer_service', preferred_at })).slot_start);
+        }
+        assert.equal(slots[0], slots[1]);
+        assert.ok(new Date(slots[2]) > new Date(slots[1]));
+    });
+
+    it('says so when the department has no open slots', async () => {
+        const body = await book({ vac_id: 100002, department: 'scheduling' });
+        assert.equal(body.success, false);
+        assert.equal(body.error, 'No callback slots available');
+        assert.ok(body.agent_message);
+    });
+
+    it('validates the request', async () => {
+        assert.equal((await book({})).error, 'A numeric vac_id is required');
+        assert.match((await book({ vac_id: 100001, department: 'billing' })).error, /Unknown department/);
+        assert.equal((await book({ vac_id: 100001, preferred_at: 'soon' })).error, 'preferred_at must be an ISO date-time');
+        assert.equal((await book({ vac_id: 999999 }, 'nope')).error, 'Customer not found');
+    });
+});
+
+describe('callbacks for agents', () => {
+    it('lists upcoming callbacks earliest first', async () => {
+        const { body } = await request('GET', '/api/callbacks?department=Customer%20Service');
+        assert.equal(body.success, true);
+        assert.equal(body.count, 3);
+        const starts = body.callbacks.map(c => new Date(c.slot_start).getTime());
+        assert.deepEqual(starts, [...starts].sort((a, b) => a - b));
+
+        assert.match((await request('GET', '/api/callbacks?status=done')).body.error, /status must be one of/);
+    });
+
+    it('lets one agent claim a callback', async () => {
+        const { body: list } = await request('GET', '/api/callbacks?status=scheduled');
+        const id = list.callbacks[0].callback_id;
+
+        const claim = agent => request('POST', `/api/callbacks/${id}/claim`, { body: { agent } }).then(r => r.body);
+        const [first, second] = await Promise.all([claim('ana'), claim('ben')]);
+        const winner = first.success ? first : second;
+        const loser = first.success ? second : first;
+
+        assert.equal(winner.callback.status, 'claimed');
+        assert.equal(loser.success, false);
+        assert.match(loser.error, /already claimed by/);
+    });
+
+    it('validates the claim', async () => {
+        const claim = (id, body) => request('POST', `/api/callbacks/${id}/claim`, { body }).then(r => r.body);
+        assert.equal((await claim('abc', { agent: 'ana' })).error, 'A numeric callback id is required');
+        assert.equal((await claim(1, {})).error, 'agent is required');
+        assert.equal((await claim(999, { agent: 'ana' })).error, 'Callback not found');
+    });
+});
@@ -0,0 +1,209 @@
+const fs = require('fs');
+const path = require('path');
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { startApp } = require('./helpers/app');
+
+let app;
+let request;
+
+before(async () => {
+    app = await startApp();
+    request = app.request;
+});
+
+after(() => app.close());
+
+// Messages the file notifier wrote to the outbox
+function outbox() {
+    const file = path.join(app.stateDir, 'outbox.jsonl');
+    if (!fs.existsSync(file)) return [];
+    return fs.readFileSync(file, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+}
+
+// Verify through /v2 and return the session token
+async function verify(body) {
+    const { status, body: result } = await request('POST', '/v2/customers/verify', { body });
+    assert.equal(status, 200);
+    return result.session_token;
+}
+
+const session = token => ({ headers: { 'x-session-token': token } });
+
+describe('GET /v2/openapi.json', () => {
+    it('is public and documents every route', async () => {
+        const { status, body } = await request('GET', '/v2/openapi.json', { headers: { 'x-api-key': '' } });
+        assert.equal(status, 200);
+        assert.equal(body.info.version, require('../package.json').version);
+        assert.deepEqual(Object.keys(body.paths).sort(), [
+            '/customers',
+            '/customers/match',
+            '/customers/status',
+            '/customers/verify',
+            '/customers/verify/send-code',
+            '/customers/{vac_id}/status'
+        ]);
+    });
+});
+
+describe('errors', () => {
+    it('needs an API key', async () => {
+        const { status } = await request('GET', '/v2/customers/status?phone=5551230001', { headers: { 'x-api-key': '' } });
+        assert.equal(status, 401);
+    });
+
+    it('reports validation errors per field', async () => {
+        const { status, body } = await request('GET', `/v2/customers/status?phone=${encodeURIComponent("1' OR 1=1")}&lang=fr`);
+        assert.equal(status, 400);
+        assert.equal(body.error.code, 'validation_error');
+        assert.deepEqual(body.error.details.map(d => d.field).sort(), ['lang', 'phone']);
+    });
+
+    it('404s an unknown caller', async () => {
+        const { status, body } = await request('GET', '/v2/customers/status?phone=5550000000');
+        assert.equal(status, 404);
+        assert.equal(body.error.code, 'not_found');
+    });
+});
+
+describe('GET /v2/customers/status', () => {
+    it('403s an unverified caller with the verification options', async () => {
+        const { status, body } = await request('GET', '/v2/customers/status?phone=5551230001');
+        assert.equal(status, 403);
+        assert.equal(body.error.code, 'verification_required');
+        assert.deepEqual(body.error.details.verification_methods, ['last_name', 'vac_id_last4', 'otp']);
+        assert.equal(body.customer, undefined);
+    });
+
+    it('returns the status with a session', async () => {
+        const token = await verify({ phone: '5551230001', last_name: 'Lopez', vac_id_last4: '0001' });
+        const { status, body } = await request('GET', '/v2/customers/status?phone=5551230001', session(token));
+        assert.equal(status, 200);
+        assert.equal(body.multiple_records, false);
+        assert.equal(body.customer.vac_id, 100001);
+        assert.equal(typeof body.business_hours.is_business_hours, 'boolean');
+    });
+
+    it('lists the packages when the session verified several', async () => {
+        await request('POST', '/v2/customers/verify/send-code', { body: { phone: '5551230002' } });
+        const code = outbox().pop().body.match(/\d{6}/)[0];
+        const token = await verify({ phone: '5551230002', otp: code });
+
+        const { body } = await request('GET', '/v2/customers/status?phone=5551230002', session(token));
+        assert.equal(body.multiple_records, true);
+        assert.deepEqual(body.all_records.map(r => r.vac_id), [100003, 100002]);
+    });
+});
+
+describe('GET /v2/customers/{vac_id}/status', () => {
+    it('validates the vac_id', async () => {
+        const { status, body } = await request('GET', '/v2/customers/abc/status');
+        assert.equal(status, 400);
+        assert.equal(body.error.details[0].field, 'vac_id');
+    });
+
+    it('needs a session for the record', async () => {
+        const { status } = await request('GET', '/v2/customers/100004/status');
+        assert.equal(status, 403);
+    });
+
+    it('returns the status with a session', async () => {
+        const token = await verify({ phone: '5551230004', last_name: "O'Neil", vac_id_last4: '0004' });
+        const { status, body } = await request('GET', '/v2/customers/100004/status?lang=es', session(token));
+        assert.equal(status, 200);
+        assert.equal(body.status, 'Refund Pending');
+        assert.equal(body.language, 'es');
+    });
+
+    it('404s a vac_id that is not on file', async () => {
+        const { status } = await request('GET', '/v2/customers/999999/status');
+        assert.equal(status, 404);
+    });
+});
+
+describe('GET /v2/customers', () => {
+    it('lists the verified records on a phone', async () => {
+        const unverified = await request('GET', '/v2/customers?phone=5551230002');
+        assert.equal(unverified.status, 403);
+
+        const token = await verify({ phone: '5551230002', last_name: 'Carter', vac_id_last4: '0002' });
+        const { status, body } = await request('GET', '/v2/customers?phone=5551230002', session(token));
+        assert.equal(status, 200);
+        assert.equal(body.record_count, 1);
+        assert.equal(body.records[0].vac_id, 100002);
+    });
+});
+
+describe('POST /v2/customers/match', () => {
+    it('matches the spoken answer among the verified records', async () => {
+        const body = { phone: '5551230002', answer: 'E X 25' };
+        const unverified = await request('POST', '/v2/customers/match', { body });
+        assert.equal(unverified.status, 403);
+
+        await request('POST', '/v2/customers/verify/send-code', { body: { phone: '5551230002' } });
+        const code = outbox().pop().body.match(/\d{6}/)[0];
+        const token = await verify({ phone: '5551230002', otp: code });
+
+        const { status, body: result } = await request('POST', '/v2/customers/match', { body, ...session(token) });
+        assert.equal(status, 200);
+        assert.equal(result.matched, true);
+        assert.equal(result.customer.vac_id, 100002);
+        assert.ok(result.business_hours);
+    });
+
+    it('needs an answer', async () => {
+        const { status, body } = await request('POST', '/v2/customers/match', { body: { phone: '5551230002' } });
+        assert.equal(status, 400);
+        assert.equal(body.error.details[0].field, 'answer');
+    });
+});
+
+describe('POST /v2/customers/verify', () => {
+    it('needs a phone or vac_id', async () => {
+        const { status, body } = await request('POST', '/v2/customers/verify', { body: { last_name: 'Lopez' } });
+        assert.equal(status, 400);
+        assert.equal(body.error.details[0].field, 'phone');
+    });
+
+    it('asks for more factors', async () => {
+        const { status, body } = await request('POST', '/v2/customers/verify', {
+            body: { phone: '5551230001', last_name: 'Lopez' }
+        });
+        assert.equal(status, 400);
+        assert.equal(body.error.code, 'more_factors_required');
+    });
+
+    it('403s details that do not match, then locks the caller out', async () => {
+        const attempt = () => request('POST', '/v2/customers/verify', {
+            body: { phone: '5550000099', last_name: 'Nobody', vac_id_last4: '0000' }
+        });
+
+        const first = await attempt();
+        assert.equal(first.status, 403);
+        assert.equal(first.body.error.code, 'verification_failed');
+        assert.equal(first.body.error.details.attempts_remaining, 4);
+
+        let locked;
+        for (let i = 0; i < 4; i++) locked = await attempt();
+        assert.equal(locked.status, 423);
+        assert.equal(locked.body.error.code, 'locked');
+        assert.ok(Number(locked.headers.get('retry-after')) > 0);
+    });
+});
+
+describe('POST /v2/customers/verify/send-code', () => {
+    it('emails a code to the masked address on file', async () => {
+        const { status, body } = await request('POST', '/v2/customers/verify/send-code', { body: { vac_id: 100001 } });
+        assert.equal(status, 200);
+        assert.equal(body.success, undefined);
+        assert.notEqual(body.sent_to, 'maria.lopez@example.com');
+        assert.ok(body.expires_at);
+        assert.equal(outbox().pop().to, 'maria.lopez@example.com');
+    });
+
+    it('needs a phone or vac_id', async () => {
+        const { status } = await request('POST', '/v2/customers/verify/send-code', { body: {} });
+        assert.equal(status, 400);
+    });
+});
@@ -0,0 +1,68 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createVerifier, matchFactors, pickFactors } = require('../lib/verification');
+const { TTLCache } = require('../lib/cache');
+
+describe('matchFactors', () => {
+    const record = { vac_id: 100004, p1L: "O'Neil" };
+
+    it('needs every supplied factor to match', () => {
+        assert.equal(matchFactors(record, { last_name: 'oneil', vac_id_last4: '0004' }), true);
+        assert.equal(matchFactors(record, { last_name: 'oneil', vac_id_last4: '0005' }), false);
+        assert.equal(matchFactors(record, {}), false);
+    });
+
+    it('only picks knowledge factors with a value', () => {
+        assert.deepEqual(pickFactors({ last_name: 'Lopez', zip: ' ', vac_id_last4: null, phone: '5551230001' }), { last_name: 'Lopez' });
+    });
+});
+
+describe('lockouts', () => {
+    it('locks a key out after maxAttempts failures', () => {
+        const verifier = createVerifier({ maxAttempts: 3, lockoutMs: 60 * 1000 });
+
+        assert.equal(verifier.recordFailure(['phone:5551230001']), 2);
+        verifier.recordFailure(['phone:5551230001']);
+        assert.equal(verifier.lockedFor(['phone:5551230001']), 0);
+        assert.equal(verifier.recordFailure(['phone:5551230001']), 0);
+        assert.ok(verifier.lockedFor(['phone:5551230001']) > 0);
+        assert.equal(verifier.lockedFor(['phone:5551230002']), 0);
+    });
+
+    it('keeps an active lockout while a spray of new keys fills the table', () => {
+        const verifier = createVerifier({ maxAttempts: 2, lockoutMs: 60 * 1000, maxEntries: 10 });
+        const locked = ['vac_id:100004'];
+        verifier.recordFailure(locked);
+        verifier.recordFailure(locked);
+
+        for (let i = 0; i < 100; i++) {
+            verifier.recordFailure([`phone:555000${String(i).padStart(4, '0')}`]);
+        }
+
+        assert.ok(verifier.lockedFor(locked) > 0);
+        assert.ok(verifier.stats().tracked_failures <= 10);
+    });
+});
+
+describe('TTLCache', () => {
+    it('evicts expired entries before live ones', () => {
+        const cache = new TTLCache({ ttlMs: 60 * 1000, maxEntries: 2 });
+        cache.set('stale', 1, -1);
+        cache.set('live', 2);
+        cache.set('new', 3);
+        assert.equal(cache.get('live'), 2);
+        assert.equal(cache.get('new'), 3);
+    });
+
+    it('evicts the oldest unpinned entry, and grows rather than drop a pinned one', () => {
+        const cache = new TTLCache({ ttlMs: 60 * 1000, maxEntries: 2, pinned: value => value.pinned });
+        cache.set('a', { pinned: true });
+        cache.set('b', { pinned: false });
+        cache.set('c', { pinned: true });
+        assert.deepEqual([...cache.entries.keys()], ['a', 'c']);
+
+        cache.set('d', { pinned: false });
+        assert.deepEqual([...cache.entries.keys()], ['a', 'c', 'd']);
+    });
+});